@@ -1,6 +1,7 @@
 import Papa from 'papaparse'
 import dayjs from 'dayjs'
 import crypto from 'node:crypto'
+import { normalizeVendorModel } from '../lib/vendor-catalog.js'
 
 const parseCsv = (text) => Papa.parse(text || '', { header: true, skipEmptyLines: true }).data
 const sha256 = (s) => crypto.createHash('sha256').update(s).digest('hex')
@@ -12,6 +13,7 @@ const normalizeDataset = (rows) => rows.map((row) => {
     const key = String(k || '').toLowerCase().replace(/\s+|-/g, '_')
     norm[key] = typeof v === 'string' ? v.trim() : v
   })
+  const vendor = normalizeVendorModel(norm.manufacturer ?? norm.vendor ?? norm.oem, norm.model ?? norm.device_model)
   
   return {
     // Primary identifiers (for matching)
@@ -24,8 +26,6 @@ const normalizeDataset = (rows) => rows.map((row) => {
     plant: String(norm.plant ?? norm.site ?? norm.facility ?? '').trim(),
     unit: String(norm.unit ?? norm.area ?? norm.line ?? norm.production_line ?? '').trim(),
     device_type: String(norm.device_type ?? norm.type ?? norm.asset_type ?? '').trim(),
-    manufacturer: String(norm.manufacturer ?? norm.vendor ?? norm.oem ?? '').trim(),
-    model: String(norm.model ?? norm.device_model ?? '').trim(),
     
     // Automotive-specific (ISO 26262 ASIL levels are OBJECTIVE, not subjective)
     asil_level: String(norm.asil_level ?? norm.asil ?? norm.iso_26262 ?? '').trim(),
@@ -47,7 +47,13 @@ const normalizeDataset = (rows) => rows.map((row) => {
     confidence_level: parseInt(norm.confidence_level ?? norm.confidence ?? 100),
     
     // Keep all original fields for reference
-    ...norm
+    ...norm,
+    
+    // Catalog vendor and model after the spread, so the raw columns cannot override them
+    // ("Allen-Bradley" and "Rockwell" are one vendor in every distribution)
+    manufacturer: vendor.manufacturer,
+    manufacturer_brand: vendor.brand,
+    model: vendor.model
   }
 })
 
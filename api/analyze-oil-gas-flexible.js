@@ -1,145 +1,105 @@
-import Papa from 'papaparse'
 import dayjs from 'dayjs'
 import crypto from 'node:crypto'
+import { parseIsaTag, redundancyKey } from '../lib/isa-tag.js'
+import { normalizeMac, classifyMac, resolveMacVendor, macVendorAgrees } from '../lib/mac-oui.js'
+import { OUI_VENDORS } from '../lib/oui-vendors.js'
+import { applySurvivorship, resolveSurvivorshipRules } from '../lib/survivorship.js'
+import { emptyMatchRules, parseMatchRules, rowMatchesSelector, applyTagRewrites, SELECTOR_FIELDS } from '../lib/match-rules.js'
+import { normalizeHeader, resolveMappingProfiles, resolveFileMapping, applyColumnMapping } from '../lib/column-profiles.js'
+import { classifySource, SOURCE_TYPES, SOURCE_TYPE_LABELS } from '../lib/source-classifier.js'
+import { expandWorkbookSources } from '../lib/workbook.js'
+import { detectDiscoveryFormat, adaptDiscoveryExport } from '../lib/discovery-adapters.js'
+import { expandCaptureSources } from '../lib/packet-capture.js'
+import { detectZeekLog, zeekLogPairs, FLOW_SOURCE_TYPE } from '../lib/zeek-logs.js'
+import { buildCommunicationGraph } from '../lib/communication-graph.js'
+import { readUploadSession, storeResultPages } from '../lib/upload-sessions.js'
+import { readCsv } from '../lib/csv-reader.js'
+import { createValidationReport, recordIssue, checkDates, checkColumns, summarizeValidation, isIpAddress, isPlaceholder, isParseableDate } from '../lib/ingest-validation.js'
+import { DEFAULT_DEVICE_TAXONOMY, resolveDeviceTaxonomy, lookupDeviceType, securityTier, unmappedDeviceTypes, taxonomyTemplate } from '../lib/device-taxonomy.js'
+import { VENDOR_CATALOG_REVISION, normalizeVendorModel, vendorFamily, vendorAliasSummary, unresolvedVendors } from '../lib/vendor-catalog.js'
+import { DEFAULT_EQUIPMENT_TEMPLATES, CAPACITY_FIELDS, resolveEquipmentTemplates, scoreUnitCompleteness } from '../lib/equipment-templates.js'
 
-const parseCsv = (text) => Papa.parse(text || '', { header: true, skipEmptyLines: true }).data
 const sha256 = (s) => crypto.createHash('sha256').update(s).digest('hex')
 
-// ============================================================================
-// REFINERY EQUIPMENT TEMPLATES - Operational Intelligence Layer
-// Expected equipment mix for typical refinery process units
-// Used for completeness scoring and context-aware unknown device classification
-// ============================================================================
-const REFINERY_EQUIPMENT_TEMPLATES = {
-  'Crude Distillation': {
-    displayName: 'Crude Distillation Unit (CDU)',
-    description: 'Primary crude oil separation - most critical production unit',
-    expectedEquipment: {
-      // Control systems
-      'PLC': { min: 8, typical: 10, max: 15, criticality: 'CRITICAL', function: 'Main process control' },
-      'DCS': { min: 5, typical: 8, max: 12, criticality: 'CRITICAL', function: 'Distributed control' },
-      'Safety_Controller': { min: 2, typical: 4, max: 6, criticality: 'CRITICAL', function: 'SIS/ESD systems' },
-      
-      // Field devices
-      'Transmitter': { min: 120, typical: 150, max: 200, criticality: 'HIGH', function: 'Pressure/temp/level/flow monitoring' },
-      'Pressure_Transmitter': { min: 30, typical: 40, max: 60, criticality: 'HIGH', function: 'Column pressure control' },
-      'Temperature_Transmitter': { min: 30, typical: 40, max: 60, criticality: 'HIGH', function: 'Distillation control' },
-      'Level_Transmitter': { min: 20, typical: 25, max: 35, criticality: 'HIGH', function: 'Tank/vessel level control' },
-      'Flow_Transmitter': { min: 20, typical: 25, max: 35, criticality: 'HIGH', function: 'Crude feed/product flow' },
-      'Control_Valve': { min: 60, typical: 80, max: 100, criticality: 'HIGH', function: 'Flow/pressure regulation' },
-      'Pump': { min: 25, typical: 35, max: 50, criticality: 'CRITICAL', function: 'Crude feed/product transfer' },
-      'Analyzer': { min: 10, typical: 15, max: 25, criticality: 'MEDIUM', function: 'Product quality analysis' },
-      
-      // Network infrastructure
-      'Switch': { min: 5, typical: 8, max: 15, criticality: 'HIGH', function: 'OT network connectivity' },
-      'Gateway': { min: 2, typical: 4, max: 8, criticality: 'HIGH', function: 'Protocol conversion' },
-      'HMI': { min: 2, typical: 4, max: 8, criticality: 'MEDIUM', function: 'Operator interface' }
-    }
-  },
-  
-  'Hydrocracker': {
-    displayName: 'Hydrocracker Unit',
-    description: 'Heavy oil upgrading - high pressure/temperature operations',
-    expectedEquipment: {
-      'PLC': { min: 10, typical: 15, max: 20, criticality: 'CRITICAL', function: 'Process automation' },
-      'DCS': { min: 8, typical: 12, max: 16, criticality: 'CRITICAL', function: 'Reactor control' },
-      'Safety_Controller': { min: 3, typical: 5, max: 8, criticality: 'CRITICAL', function: 'High-pressure safety systems' },
-      'Transmitter': { min: 150, typical: 200, max: 280, criticality: 'HIGH', function: 'Process monitoring' },
-      'Pressure_Transmitter': { min: 50, typical: 65, max: 90, criticality: 'CRITICAL', function: 'High-pressure reactor control' },
-      'Temperature_Transmitter': { min: 40, typical: 55, max: 75, criticality: 'CRITICAL', function: 'Reactor temperature control' },
-      'Flow_Transmitter': { min: 30, typical: 40, max: 55, criticality: 'HIGH', function: 'Hydrogen/feed flow' },
-      'Control_Valve': { min: 90, typical: 120, max: 160, criticality: 'HIGH', function: 'Process regulation' },
-      'Pump': { min: 35, typical: 45, max: 60, criticality: 'CRITICAL', function: 'High-pressure pumps' },
-      'Compressor': { min: 5, typical: 8, max: 12, criticality: 'CRITICAL', function: 'Hydrogen recirculation' },
-      'Analyzer': { min: 20, typical: 30, max: 45, criticality: 'HIGH', function: 'H2 purity, product quality' },
-      'Switch': { min: 6, typical: 10, max: 15, criticality: 'HIGH', function: 'Network infrastructure' },
-      'Gateway': { min: 3, typical: 5, max: 8, criticality: 'HIGH', function: 'Protocol conversion' }
-    }
-  },
-  
-  'FCC': {
-    displayName: 'Fluid Catalytic Cracking (FCC)',
-    description: 'Gasoline production - complex catalyst circulation',
-    expectedEquipment: {
-      'PLC': { min: 12, typical: 18, max: 25, criticality: 'CRITICAL', function: 'Catalyst control' },
-      'DCS': { min: 10, typical: 15, max: 20, criticality: 'CRITICAL', function: 'Reactor/regenerator control' },
-      'Safety_Controller': { min: 4, typical: 6, max: 10, criticality: 'CRITICAL', function: 'Blower trip, pressure relief' },
-      'Transmitter': { min: 180, typical: 250, max: 350, criticality: 'HIGH', function: 'Complex process monitoring' },
-      'Pressure_Transmitter': { min: 60, typical: 80, max: 110, criticality: 'CRITICAL', function: 'Reactor/regenerator pressure' },
-      'Temperature_Transmitter': { min: 50, typical: 70, max: 95, criticality: 'CRITICAL', function: 'Catalyst temperature control' },
-      'Flow_Transmitter': { min: 40, typical: 55, max: 75, criticality: 'HIGH', function: 'Feed/air/catalyst flow' },
-      'Control_Valve': { min: 100, typical: 140, max: 190, criticality: 'HIGH', function: 'Complex flow control' },
-      'Pump': { min: 30, typical: 40, max: 55, criticality: 'CRITICAL', function: 'Product transfer' },
-      'Compressor': { min: 3, typical: 5, max: 8, criticality: 'CRITICAL', function: 'Air blower for regenerator' },
-      'Analyzer': { min: 25, typical: 35, max: 50, criticality: 'HIGH', function: 'Product quality, emissions' },
-      'Switch': { min: 8, typical: 12, max: 18, criticality: 'HIGH', function: 'Network infrastructure' }
-    }
-  },
-  
-  'Tank Farm': {
-    displayName: 'Tank Farm / Storage',
-    description: 'Crude and product storage - inventory management',
-    expectedEquipment: {
-      'PLC': { min: 5, typical: 8, max: 12, criticality: 'MEDIUM', function: 'Tank monitoring' },
-      'Transmitter': { min: 80, typical: 120, max: 180, criticality: 'MEDIUM', function: 'Tank monitoring' },
-      'Level_Transmitter': { min: 50, typical: 80, max: 120, criticality: 'HIGH', function: 'Inventory tracking' },
-      'Pressure_Transmitter': { min: 20, typical: 30, max: 45, criticality: 'MEDIUM', function: 'Tank pressure' },
-      'Temperature_Transmitter': { min: 30, typical: 50, max: 75, criticality: 'MEDIUM', function: 'Product temperature' },
-      'Pump': { min: 30, typical: 50, max: 75, criticality: 'HIGH', function: 'Transfer pumps' },
-      'Control_Valve': { min: 20, typical: 30, max: 45, criticality: 'MEDIUM', function: 'Flow isolation' },
-      'Analyzer': { min: 5, typical: 10, max: 15, criticality: 'LOW', function: 'Product quality spot checks' },
-      'Switch': { min: 4, typical: 6, max: 10, criticality: 'MEDIUM', function: 'Tank farm network' },
-      'IP_Camera': { min: 10, typical: 20, max: 35, criticality: 'LOW', function: 'Security surveillance' }
-    }
-  },
-  
-  'Utilities': {
-    displayName: 'Utilities (Steam, Power, Cooling)',
-    description: 'Supporting systems - plant-wide distribution',
-    expectedEquipment: {
-      'PLC': { min: 8, typical: 12, max: 18, criticality: 'HIGH', function: 'Utilities distribution' },
-      'DCS': { min: 4, typical: 6, max: 10, criticality: 'HIGH', function: 'Boiler/turbine control' },
-      'Safety_Controller': { min: 2, typical: 4, max: 6, criticality: 'HIGH', function: 'Boiler safety systems' },
-      'Transmitter': { min: 150, typical: 200, max: 280, criticality: 'HIGH', function: 'System monitoring' },
-      'Pressure_Transmitter': { min: 60, typical: 80, max: 110, criticality: 'HIGH', function: 'Steam pressure' },
-      'Temperature_Transmitter': { min: 50, typical: 70, max: 95, criticality: 'HIGH', function: 'Steam/water temperature' },
-      'Flow_Transmitter': { min: 40, typical: 55, max: 75, criticality: 'HIGH', function: 'Steam/water flow' },
-      'Control_Valve': { min: 80, typical: 110, max: 150, criticality: 'HIGH', function: 'Distribution control' },
-      'Pump': { min: 40, typical: 60, max: 85, criticality: 'HIGH', function: 'Water circulation' },
-      'Switch': { min: 10, typical: 15, max: 22, criticality: 'HIGH', function: 'Plant-wide network backbone' },
-      'Gateway': { min: 5, typical: 8, max: 12, criticality: 'HIGH', function: 'Cross-unit communication' }
-    }
-  },
-  
-  // Catch-all for unknown units
-  'Unknown': {
-    displayName: 'Unknown / Uncategorized',
-    description: 'Assets not assigned to a specific process unit',
-    expectedEquipment: {}
-  }
+// Columns the canonizer reads (normalization aliases below, assurance fields, source-detection
+// signals). Anything else is reported as an unknown column in the ingest validation report
+const RECOGNIZED_COLUMNS = new Set([
+  // identity
+  'tag_id', 'tag', 'tagid', 'asset_tag', 'asset_id', 'asset_name', 'name', 'hostname', 'host', 'device_name', 'devicename', 'computer_name',
+  'mac_address', 'mac', 'macaddress', 'mac_addr', 'ip_address', 'ip', 'ipaddress', 'ipv4', 'ip4',
+  'secondary_ip', 'ip_address_b', 'ip_b', 'ip_address_2', 'ip2', 'backup_ip', 'expected_ip',
+  // location and device
+  'plant', 'site', 'facility', 'location', 'site_name', 'unit', 'area', 'process_unit', 'zone', 'segment',
+  'device_type', 'type', 'asset_type', 'instrument_type', 'category', 'device_category',
+  'manufacturer', 'vendor', 'oem', 'make', 'brand', 'model', 'device_model', 'product', 'product_name',
+  'description', 'loop', 'loop_id', 'criticality', 'installation_date', 'firmware', 'firmware_version',
+  ...CAPACITY_FIELDS, 'capacity_unit',
+  // security posture
+  'is_managed', 'managed', 'security_managed', 'under_management', 'has_security_patches', 'patched', 'patch_status', 'up_to_date',
+  'encryption_enabled', 'encrypted', 'encryption', 'has_encryption', 'authentication_required', 'authentication', 'auth_required', 'requires_auth',
+  'firewall_protected', 'firewall', 'segmented', 'has_firewall', 'access_control', 'access_controls', 'rbac', 'acl',
+  'vulnerabilities', 'vuln_count', 'vulnerability_count', 'vulns', 'cve_count', 'cves', 'cve', 'cve_ids',
+  // discovery
+  'last_seen', 'lastseen', 'last_discovered', 'last_scan', 'confidence_level', 'confidence', 'protocol', 'discovery_method',
+  'risk_score', 'open_ports', 'services', 'source_format',
+  // vulnerabilities, maintenance, segmentation, incidents
+  'cve_id', 'vuln_id', 'cvss', 'cvss_score', 'score', 'severity', 'risk', 'impact', 'urgency', 'patch', 'patch_available', 'scan_date', 'detected_at', 'observed_at',
+  'work_order_id', 'work_order', 'wo_id', 'id', 'work_order_type', 'pm_type', 'status', 'work_order_status', 'state', 'wo_status',
+  'priority', 'due_date', 'target_date', 'required_by', 'planned_date', 'assigned_to', 'assignment_group', 'last_completed', 'equipment', 'device',
+  'expected_zone', 'expected_segment', 'target_zone', 'intended_zone', 'actual_zone', 'current_zone',
+  'policy_status', 'policy', 'firewall_policy', 'enforcement', 'last_audit', 'audit_date', 'reviewed_at', 'vlan', 'switch_port', 'access_zone',
+  'incident_id', 'ticket_id', 'case_id', 'alert_id', 'incident_state', 'opened_at', 'created_at', 'owner', 'resolved', 'is_resolved', 'closed'
+])
+
+// Whole-number cells (vulnerability counts, confidence). A non-numeric value falls back to
+// the default instead of NaN and is reported as coerced; blanks take the default silently
+function parseCount(value, fallback, report, row, column) {
+  if (value === undefined || value === null || isPlaceholder(value)) return fallback
+  const number = parseInt(value)
+  if (!Number.isNaN(number)) return number
+  recordIssue(report, 'coerced', { row, column, value: String(value), coercedTo: fallback })
+  return fallback
 }
 
-// Normalize dataset to handle varied CSV formats and enable flexible matching
-const normalizeDataset = (rows, sourceType = 'unknown') => rows.map((row) => {
-  const norm = {}
+// Normalize dataset to handle varied CSV formats and enable flexible matching.
+// `mapping` (from a column-mapping profile) renames client headers onto canonical
+// fields before the built-in header aliases are tried. Coerced values and unparseable
+// IPs are recorded on `report` (lib/ingest-validation.js) when one is given
+const normalizeDataset = (rows, sourceType = 'unknown', mapping = null, report = null) => rows.map((row, index) => {
+  const raw = {}
   Object.entries(row || {}).forEach(([k, v]) => {
-    const key = String(k || '').toLowerCase().replace(/\s+|-/g, '_')
-    norm[key] = typeof v === 'string' ? v.trim() : v
+    raw[normalizeHeader(k)] = typeof v === 'string' ? v.trim() : v
   })
+  const norm = mapping ? applyColumnMapping(raw, mapping) : raw
+  // Counts only mean something in asset inventories (a vulnerability file's `cve` column holds CVE IDs)
+  const countReport = ASSET_SOURCE_TYPES.includes(report?.sourceType) ? report : null
+  
+  const tagId = String(norm.tag_id ?? norm.tag ?? norm.tagid ?? norm.asset_tag ?? norm.asset_id ?? norm.asset_name ?? norm.name ?? '').trim().toUpperCase()
+  const rawMac = String(norm.mac_address ?? norm.mac ?? norm.macaddress ?? norm.mac_addr ?? '').trim().toUpperCase()
+  // Multi-NIC devices: "10.1.1.5; 10.2.1.5" in one cell and/or a secondary / B-side column.
+  // Values that are not addresses ("DHCP", "10.1.1.300") are dropped so they cannot match
+  const ipValues = splitIdentifierList(
+    norm.ip_address ?? norm.ip ?? norm.ipaddress ?? norm.ipv4 ?? norm.ip4,
+    norm.secondary_ip ?? norm.ip_address_b ?? norm.ip_b ?? norm.ip_address_2 ?? norm.ip2 ?? norm.backup_ip
+  )
+  const ipAddresses = ipValues.filter(isIpAddress)
+  ipValues
+    .filter(value => !isIpAddress(value) && !isPlaceholder(value))
+    .forEach(value => recordIssue(report, 'invalidIps', { row: index + 1, column: 'ip_address', value }))
+  // Brand and alias spellings ("Allen-Bradley", "Rockwell") resolve to one vendor here,
+  // before matching and before any distribution counts them (lib/vendor-catalog.js)
+  const rawManufacturer = String(norm.manufacturer ?? norm.vendor ?? norm.oem ?? norm.make ?? norm.brand ?? '').trim()
+  const rawModel = String(norm.model ?? norm.device_model ?? norm.product ?? norm.product_name ?? '').trim()
+  const vendor = normalizeVendorModel(rawManufacturer, rawModel)
   
   return {
     // Primary identifiers (for matching) - try many variations
-    tag_id: String(norm.tag_id ?? norm.tag ?? norm.tagid ?? norm.asset_tag ?? norm.asset_id ?? norm.asset_name ?? norm.name ?? '').trim().toUpperCase(),
-    ip_address: String(norm.ip_address ?? norm.ip ?? norm.ipaddress ?? norm.ipv4 ?? norm.ip4 ?? '').trim(),
-    mac_address: String(norm.mac_address ?? norm.mac ?? norm.macaddress ?? norm.mac_addr ?? '').trim().toUpperCase(),
     hostname: String(norm.hostname ?? norm.host ?? norm.device_name ?? norm.devicename ?? norm.computer_name ?? '').trim(),
     
     // Asset attributes - flexible field mapping
     plant: String(norm.plant ?? norm.site ?? norm.facility ?? norm.location ?? norm.site_name ?? '').trim(),
     unit: String(norm.unit ?? norm.area ?? norm.process_unit ?? norm.zone ?? norm.segment ?? '').trim(),
     device_type: String(norm.device_type ?? norm.type ?? norm.asset_type ?? norm.instrument_type ?? norm.category ?? norm.device_category ?? '').trim(),
-    manufacturer: String(norm.manufacturer ?? norm.vendor ?? norm.oem ?? norm.make ?? norm.brand ?? '').trim(),
-    model: String(norm.model ?? norm.device_model ?? norm.product ?? norm.product_name ?? '').trim(),
     
     // Security attributes - flexible boolean parsing
     is_managed: norm.is_managed ?? norm.managed ?? norm.security_managed ?? norm.under_management ?? false,
@@ -150,21 +110,51 @@ const normalizeDataset = (rows, sourceType = 'unknown') => rows.map((row) => {
     access_control: norm.access_control ?? norm.access_controls ?? norm.rbac ?? norm.acl ?? 'None',
     
     // Vulnerability data
-    vulnerabilities: parseInt(norm.vulnerabilities ?? norm.vuln_count ?? norm.vulnerability_count ?? norm.vulns ?? 0),
-    cve_count: parseInt(norm.cve_count ?? norm.cves ?? norm.cve ?? 0),
+    vulnerabilities: parseCount(norm.vulnerabilities ?? norm.vuln_count ?? norm.vulnerability_count ?? norm.vulns, 0, countReport, index + 1, 'vulnerabilities'),
+    cve_count: parseCount(norm.cve_count ?? norm.cves ?? norm.cve, 0, countReport, index + 1, 'cve_count'),
     
     // Discovery metadata
     last_seen: norm.last_seen ?? norm.lastseen ?? norm.last_discovered ?? norm.last_scan ?? '',
-    confidence_level: parseInt(norm.confidence_level ?? norm.confidence ?? 100),
+    confidence_level: parseCount(norm.confidence_level ?? norm.confidence, 100, countReport, index + 1, 'confidence_level'),
     
-    // Track source for debugging
+    // Track source for debugging and provenance (file + 1-based data row)
     _source: sourceType,
+    _row: index + 1,
     
     // Keep all original fields for reference
-    ...norm
+    ...norm,
+    
+    // Normalized identifiers go after the spread so raw columns of the same name
+    // cannot override them. MAC in canonical 00:1A:2B:3C:4D:5E form so Cisco dotted /
+    // dashed notations compare equal; ip_address is the primary of ip_addresses
+    tag_id: tagId,
+    // ISA 5.1 loop identity (CDU-PT-101A and PT_0101A both become PT-101A)
+    isa_tag: parseIsaTag(tagId)?.key || '',
+    mac_address: normalizeMac(rawMac) || rawMac,
+    ip_address: ipAddresses[0] || '',
+    ip_addresses: ipAddresses,
+    // Owning company, the brand it was recorded under, product family and canonical model;
+    // the values as written are kept when the catalog rewrote them
+    manufacturer: vendor.manufacturer,
+    manufacturer_brand: vendor.brand,
+    product_family: vendor.family,
+    model: vendor.model,
+    ...(vendor.manufacturer !== rawManufacturer && { manufacturer_original: rawManufacturer }),
+    ...(vendor.model !== rawModel && { model_original: rawModel }),
+    ...(vendor.inferred && { manufacturer_source: 'product_family' })
   }
 })
 
+// Unique values from list-style cells ("a; b", "a, b", "a | b")
+function splitIdentifierList(...values) {
+  const items = values
+    .filter(v => v !== undefined && v !== null)
+    .flatMap(v => String(v).split(/[;,|\s]+/))
+    .map(v => v.trim())
+    .filter(Boolean)
+  return [...new Set(items)]
+}
+
 // Helper to parse boolean-ish values from CSV
 const isTruthy = (val) => {
   if (val === true || val === 'true' || val === 'True' || val === 'TRUE' || val === 'Yes' || val === 'YES' || val === '1' || val === 1) {
@@ -173,73 +163,194 @@ const isTruthy = (val) => {
   return false
 }
 
-// AUTO-DETECT CSV TYPE based on column names
+// AUTO-DETECT CSV TYPE from column names and sampled row values.
+// Returns the ranked [{ type, confidence, reasons }] from lib/source-classifier.js
 function detectDataSourceType(csvText, filename) {
-  const sample = Papa.parse(csvText, { header: true, preview: 1 }).data[0] || {}
-  const headers = Object.keys(sample).map(h => h.toLowerCase())
-  
-  console.log(`[AUTO-DETECT] Analyzing ${filename}:`, headers.slice(0, 5))
-  
-  // Engineering baseline indicators
-  const engineeringIndicators = ['tag_id', 'tag', 'asset_tag', 'p&id', 'pid', 'loop', 'instrument']
-  if (headers.some(h => engineeringIndicators.some(i => h.includes(i)))) {
-    return 'engineering'
-  }
-  
-  // OT Discovery indicators
-  const discoveryIndicators = ['last_seen', 'discovered', 'scan', 'network', 'mac_address', 'ot_protocol']
-  if (headers.some(h => discoveryIndicators.some(i => h.includes(i)))) {
-    return 'otDiscovery'
-  }
-  
-  // Maintenance / CMMS indicators
-  const maintenanceIndicators = ['work_order', 'wo_', 'maintenance', 'pm_', 'due_date', 'assignment']
-  if (headers.some(h => maintenanceIndicators.some(i => h.includes(i)))) {
-    return 'maintenance'
-  }
-  
-  // Network / Segmentation indicators
-  const networkIndicators = ['zone', 'segment', 'vlan', 'firewall', 'policy', 'acl', 'access_zone']
-  if (headers.some(h => networkIndicators.some(i => h.includes(i)))) {
-    return 'network'
-  }
-  
-  // Incident / ticket indicators
-  const incidentIndicators = ['incident', 'ticket', 'servicenow', 'case', 'alert_id']
-  if (headers.some(h => incidentIndicators.some(i => h.includes(i)))) {
-    return 'incident'
+  const { headers, rows } = readCsv(csvText, { preview: 50 })
+  const ranked = classifySource(headers, rows)
+  console.log(`[AUTO-DETECT] ${filename}: ${ranked.map(r => `${r.type} ${r.confidence}%`).join(', ')}`)
+  return ranked
+}
+
+// ============================================================================
+// NETWORK NAMESPACES - sites reuse private address space (192.168.x.x), so IPs
+// and hostnames only identify a device within one plant. A file can declare its
+// namespace on upload; each row also keeps the one derived from its plant/site
+// column. Two rows compare declared namespaces when both files declared one and
+// plant-derived ones otherwise, so declaring a namespace on one file does not
+// cut it off from files that are scoped by their plant column only.
+// Rows with no namespace at all are unscoped and compatible with any plant.
+// ============================================================================
+const normalizeNamespace = (value) => String(value || '').trim().toLowerCase().replace(/\s+/g, ' ')
+
+const namespacesCompatible = (a, b) => !a || !b || a === b
+
+const namespaceScope = (row) => ({ declared: row?._declaredNamespace || '', plant: row?._plantNamespace || '' })
+
+function scopesCompatible(a, b) {
+  if (a.declared && b.declared) return a.declared === b.declared
+  return namespacesCompatible(a.plant, b.plant)
+}
+
+const rowsShareNamespace = (a, b) => scopesCompatible(namespaceScope(a), namespaceScope(b))
+
+// Rule and lookup namespaces are plain names: either of the row's namespaces satisfies them
+const rowInNamespace = (row, namespace) => !namespace || !row._namespace ||
+  row._declaredNamespace === namespace || row._plantNamespace === namespace
+
+function applyNamespace(rows, declaredNamespace) {
+  const declared = normalizeNamespace(declaredNamespace)
+  rows.forEach(row => {
+    row._declaredNamespace = declared
+    row._plantNamespace = normalizeNamespace(row.plant)
+    // Deduplication, collision and display key
+    row._namespace = declared || row._plantNamespace
+  })
+  return rows
+}
+
+// Asset inventories: their rows become canonical assets, so a row must identify a device
+const ASSET_SOURCE_TYPES = ['engineering', 'otDiscovery']
+
+// Parse and normalize one uploaded file with its column-mapping profile.
+// Native exports of commercial discovery tools (Claroty, Nozomi, Armis, ...) are read by
+// their format adapter instead, which already yields the canonical discovery columns.
+// ingest = { profiles, files: [], validation: Map } collects what was applied to each file
+// and its validation report (keyed by the rows' _source).
+// discoveryFormat is the detection already run on an Additional Data file (null: none found)
+function ingestFile({ filename, content, namespace, mappingProfile, columnMapping, format, charset }, sourceType, ingest, discoveryFormat) {
+  const adapted = sourceType === 'otDiscovery' ? adaptDiscoveryExport(content, discoveryFormat) : null
+  // Delimiter, encoding, header line and locale are sniffed (lib/csv-reader.js); charset is what the browser decoded with
+  const csv = adapted ? null : readCsv(content, { encoding: charset })
+  const parsed = adapted ? adapted.rows : csv.rows
+  const headers = adapted ? adapted.headers : csv.headers
+  const profileSourceType = ASSET_SOURCE_TYPES.includes(sourceType) ? sourceType : null
+  const { mapping, profile, auto, suggestions, error } = adapted
+    ? { mapping: null, profile: null, auto: false, suggestions: [], error: null }
+    : resolveFileMapping(headers, { mappingProfile, columnMapping }, ingest.profiles, profileSourceType)
+  if (error) console.warn(`[COLUMN MAPPING] ${filename}: ${error}`)
+  if (profile) console.log(`[COLUMN MAPPING] ${filename} → ${profile.name}${auto ? ' (auto)' : ''}`)
+  if (adapted) console.log(`[DISCOVERY FORMAT] ${filename} → ${adapted.format.name} (${adapted.format.confidence}%)`)
+  if (csv && (csv.settings.delimiter !== 'comma' || csv.settings.headerLine > 1 || csv.settings.encoding !== 'utf-8')) {
+    console.log(`[CSV] ${filename}: ${csv.settings.encoding}, ${csv.settings.delimiter}-delimited, header on line ${csv.settings.headerLine}`)
   }
+  csv?.settings.warnings.forEach(warning => console.warn(`[CSV] ${filename}: ${warning}`))
+  
+  const report = createValidationReport(filename, sourceType, headers)
+  ingest.validation.set(`${sourceType}:${filename}`, report)
+  const normalized = applyNamespace(normalizeDataset(parsed, `${sourceType}:${filename}`, mapping, report), namespace)
+  checkDates(normalized, report)
+  // A format adapter reads the vendor columns it knows; its output is canonical
+  if (!adapted) checkColumns(report, headers, RECOGNIZED_COLUMNS, mapping)
+  
+  // A row with no tag, IP, hostname or MAC cannot be matched or deduplicated
+  const accepted = ASSET_SOURCE_TYPES.includes(sourceType)
+    ? normalized.filter(row => {
+      if (row.tag_id || row.ip_address || row.hostname || row.mac_address) return true
+      recordIssue(report, 'rejected', { row: row._row, reason: 'No tag_id, IP address, hostname or MAC address' })
+      return false
+    })
+    : normalized
+  report.rows = normalized.length
+  report.accepted = accepted.length
+  if (report.counts.rejected > 0) console.warn(`[VALIDATION] ${filename}: ${report.counts.rejected} rows rejected (no identifier)`)
+  
+  ingest.files.push({
+    filename,
+    sourceType,
+    headers,
+    format: adapted?.format || format || null,
+    // Detected delimiter, quote character, encoding, header line and locale rewrites
+    csv: csv?.settings || null,
+    profile,
+    auto,
+    customColumns: Object.keys(columnMapping || {}).length,
+    suggestions,
+    error,
+    // Rows left without a tag - all of them usually means the tag column was not recognized
+    emptyTagIds: normalized.filter(row => !row.tag_id).length,
+    rows: normalized.length
+  })
   
-  // Security indicators (vulnerability, patch data)
-  const securityIndicators = ['vulnerability', 'cve', 'patch', 'cvss', 'exploit']
-  if (headers.some(h => securityIndicators.some(i => h.includes(i)))) {
-    return 'security'
-  }
+  return accepted
+}
+
+// Zeek conn / protocol logs carry flows, not assets: they become communication pairs.
+// JSON lines that do not parse are reported as unreadable records of the file
+function ingestFlowLog({ filename, content }, ingest, zeekLog) {
+  const log = zeekLogPairs(content, filename, zeekLog ?? undefined)
+  if (log) console.log(`[ZEEK] ${filename} → ${log.format.name}: ${log.records} records, ${log.pairs.length} communication pairs`)
+  else console.warn(`[ZEEK] ${filename}: not a recognized Zeek log`)
+  
+  const report = createValidationReport(filename, FLOW_SOURCE_TYPE)
+  ingest.validation.set(`${FLOW_SOURCE_TYPE}:${filename}`, report)
+  log?.unreadable.forEach(issue => recordIssue(report, 'unreadable', issue))
+  report.rows = (log?.records || 0) + report.counts.unreadable
+  report.accepted = log?.records || 0
+  if (report.counts.unreadable > 0) console.warn(`[VALIDATION] ${filename}: ${report.counts.unreadable} unreadable JSON lines skipped`)
+  
+  ingest.files.push({
+    filename,
+    sourceType: FLOW_SOURCE_TYPE,
+    headers: [],
+    format: log?.format || null,
+    csv: null,
+    profile: null,
+    auto: false,
+    customColumns: 0,
+    suggestions: [],
+    error: log ? null : 'Not a recognized Zeek log (conn, modbus, dnp3 or s7comm)',
+    emptyTagIds: 0,
+    rows: log?.records || 0
+  })
   
-  // Default to other
-  return 'other'
+  return log
 }
 
+// Segmentation columns: where an asset should sit and where it was found
+const EXPECTED_ZONE_FIELDS = ['expected_zone', 'expected_segment', 'target_zone', 'intended_zone']
+const ACTUAL_ZONE_FIELDS = ['actual_zone', 'zone', 'segment', 'current_zone']
+
 // MERGE multiple CSVs of the same type
-function mergeDataSources(dataSources, sourceType) {
+function mergeDataSources(dataSources, sourceType, ingest) {
   const allRows = []
-  const seenIds = new Set()
+  const seenIds = new Map()
   
   console.log(`[MERGE] Processing ${dataSources.length} ${sourceType} files`)
   
-  dataSources.forEach(({ filename, content }) => {
-    const parsed = parseCsv(content)
-    const normalized = normalizeDataset(parsed, `${sourceType}:${filename}`)
+  dataSources.forEach((file) => {
+    const { filename, namespace } = file
+    const normalized = ingestFile(file, sourceType, ingest)
     
-    console.log(`[MERGE] ${filename}: ${normalized.length} rows`)
+    console.log(`[MERGE] ${filename}: ${normalized.length} rows${namespace ? ` (namespace: ${namespace})` : ''}`)
     
-    // Deduplicate by tag_id or IP
+    // Deduplicate by tag_id, IP, hostname or MAC, within the row's namespace
+    // (rows with none of them were rejected by ingestFile)
     normalized.forEach(row => {
-      const id = row.tag_id || row.ip_address || row.hostname || Math.random().toString()
-      if (!seenIds.has(id)) {
-        seenIds.add(id)
+      const key = row.tag_id || row.ip_address || row.hostname || row.mac_address
+      const id = `${row._namespace}|${key}`
+      const keptRows = seenIds.get(id)
+      if (!keptRows) {
+        seenIds.set(id, [row])
+        allRows.push(row)
+        return
+      }
+      // Same untagged IP but a MAC no kept row has is another device, not a duplicate.
+      // It is kept under the same key so later rows with its MAC dedupe against it
+      if (!row.tag_id && row.mac_address && keptRows.every(k => k.mac_address && k.mac_address !== row.mac_address)) {
+        keptRows.push(row)
         allRows.push(row)
+        return
       }
+      const kept = keptRows.find(k => row.mac_address && k.mac_address === row.mac_address) || keptRows[0]
+      recordIssue(ingest.validation.get(row._source), 'duplicates', {
+        row: row._row,
+        key,
+        namespace: row._namespace,
+        kept_file: ingest.validation.get(kept._source)?.filename || kept._source,
+        kept_row: kept._row,
+        sameFile: kept._source === row._source
+      })
     })
   })
   
@@ -247,190 +358,602 @@ function mergeDataSources(dataSources, sourceType) {
   return allRows
 }
 
+// DUPLICATE IP COLLISIONS: distinct devices claiming one IP inside one namespace
+function detectIpCollisions(rows, sourceType) {
+  const byAddress = new Map()
+  rows.forEach(row => {
+    if (!row.ip_address) return
+    const key = `${row._namespace}|${row.ip_address}`
+    const group = byAddress.get(key)
+    if (group) group.push(row)
+    else byAddress.set(key, [row])
+  })
+  
+  const collisions = []
+  byAddress.forEach(group => {
+    if (group.length < 2) return
+    // A/B members of one redundant pair may share a virtual address
+    const identities = new Set(group.map(r => redundancyKey(r.tag_id)?.group || r.tag_id || r.mac_address || r.hostname))
+    if (identities.size < 2) return
+    collisions.push({
+      source: sourceType,
+      namespace: group[0]._namespace || '(unscoped)',
+      ip_address: group[0].ip_address,
+      count: group.length,
+      records: group.map(r => ({
+        tag_id: r.tag_id,
+        hostname: r.hostname,
+        mac_address: r.mac_address,
+        device_type: r.device_type,
+        unit: r.unit,
+        _source: r._source
+      }))
+    })
+  })
+  
+  if (collisions.length > 0) {
+    console.log(`[COLLISIONS] ${sourceType}: ${collisions.length} IP addresses claimed by more than one device`)
+  }
+  return collisions
+}
+
+// ============================================================================
+// MAC VENDOR (OUI) ENRICHMENT
+// Resolves the NIC vendor from the bundled IEEE table - fills in missing
+// manufacturers and flags randomized / locally administered addresses
+// ============================================================================
+function inferManufacturersFromMac(rows) {
+  let inferred = 0
+  rows.forEach(row => {
+    if (!isBlankValue(row.manufacturer)) return
+    const macVendor = resolveMacVendor(row.mac_address)
+    if (!macVendor) return
+    row.manufacturer = macVendor.vendor
+    row.manufacturer_source = 'mac_oui'
+    inferred++
+  })
+  return inferred
+}
+
+// Transient devices: phones, laptops and VMs show up with randomized MACs
+function detectTransientDevices(discovered, matchedDiscovered) {
+  return discovered
+    .filter(row => classifyMac(row.mac_address).randomized)
+    .map(row => ({
+      ip_address: row.ip_address,
+      hostname: row.hostname,
+      mac_address: row.mac_address,
+      device_type: row.device_type,
+      manufacturer: row.manufacturer,
+      network_namespace: row._namespace || '',
+      matched: matchedDiscovered.has(row),
+      status: 'SUSPICIOUS_TRANSIENT',
+      reason: 'Randomized / locally administered MAC - typical of phones, laptops and virtual machines, not burned-in OT hardware'
+    }))
+}
+
+// ============================================================================
+// MATCH INDEXES - hash lookups keyed by tag, IP, hostname and MAC
+// Used for blocking: only pairs sharing at least one identifier get scored
+// ============================================================================
+const MATCH_KEYS = {
+  tag_id: (row) => row.tag_id || '',
+  isa_tag: (row) => row.isa_tag || '',
+  ip_address: (row) => row.ip_address || '',
+  hostname: (row) => (row.hostname ? row.hostname.toLowerCase() : ''),
+  mac_address: (row) => row.mac_address || ''
+}
+
+// A key shared by more rows than this (placeholder hostnames, a gateway IP
+// reported for every device behind it) carries no identity and is not blocked on
+const MAX_BLOCK_SIZE = 50
+
+function buildMatchIndex(rows, keyFn) {
+  const index = new Map()
+  rows.forEach((row) => {
+    const key = keyFn(row)
+    if (!key) return
+    const bucket = index.get(key)
+    if (bucket) bucket.push(row)
+    else index.set(key, [row])
+  })
+  return index
+}
+
+// ============================================================================
+// PROBABILISTIC MATCH SCORING (Fellegi-Sunter)
+// m = P(field agrees | same device), u = P(field agrees | different devices)
+// Agreement adds log2(m/u), disagreement adds log2((1-m)/(1-u)), and a field
+// missing on either side contributes nothing
+// ============================================================================
+const MATCH_FIELDS = {
+  tag_id: { m: 0.95, u: 0.0001, compare: (a, b) => a.toUpperCase() === b.toUpperCase() },
+  // Only consulted when the raw tags differ; a disagreement is already counted by tag_id
+  isa_tag: { m: 0.9, u: 0.002, compare: (a, b) => a === b, onlyWhenDiffers: 'tag_id' },
+  ip_address: { m: 0.9, u: 0.001, compare: (a, b) => a === b },
+  mac_address: { m: 0.95, u: 0.0001, compare: (a, b) => a.toUpperCase() === b.toUpperCase() },
+  hostname: { m: 0.85, u: 0.001, compare: (a, b) => a.toLowerCase() === b.toLowerCase() },
+  manufacturer: { m: 0.9, u: 0.1, compare: (a, b) => a.toLowerCase() === b.toLowerCase() },
+  model: { m: 0.8, u: 0.02, compare: (a, b) => a.toLowerCase() === b.toLowerCase() },
+  unit: { m: 0.85, u: 0.1, compare: (a, b) => a.toLowerCase() === b.toLowerCase() },
+  device_type: { m: 0.85, u: 0.15, compare: (a, b) => a.toLowerCase().includes(b.toLowerCase()) || b.toLowerCase().includes(a.toLowerCase()) }
+}
+
+const MATCH_WEIGHTS = Object.fromEntries(Object.entries(MATCH_FIELDS).map(([field, { m, u }]) => [field, {
+  agree: Math.log2(m / u),
+  disagree: Math.log2((1 - m) / (1 - u))
+}]))
+
+// Total weight a candidate pair needs before it is accepted as a match.
+// Roughly: one agreeing identifier that is not contradicted by the vendor
+export const MATCH_THRESHOLD = 6
+
+// Values that mean "not known" rather than a real attribute
+const isBlankValue = (value) => {
+  const v = String(value ?? '').trim().toLowerCase()
+  return v === '' || v === 'unknown' || v === 'n/a' || v === 'none'
+}
+
+// Score one engineering/discovered pair across every shared attribute
+export function scoreCandidatePair(engAsset, discAsset) {
+  const evidence = {}
+  let score = 0
+  let minScore = 0
+  let maxScore = 0
+  
+  Object.entries(MATCH_FIELDS).forEach(([field, { compare, onlyWhenDiffers }]) => {
+    const engValue = engAsset[field]
+    const discValue = discAsset[field]
+    if (isBlankValue(engValue) || isBlankValue(discValue) || (onlyWhenDiffers && evidence[onlyWhenDiffers]?.agree)) {
+      evidence[field] = { agree: null, weight: 0 }
+      return
+    }
+    
+    const agree = compare(String(engValue), String(discValue))
+    if (!agree && onlyWhenDiffers) {
+      evidence[field] = { agree: null, weight: 0 }
+      return
+    }
+    const { agree: agreeWeight, disagree: disagreeWeight } = MATCH_WEIGHTS[field]
+    const weight = agree ? agreeWeight : disagreeWeight
+    evidence[field] = { agree, weight: Math.round(weight * 100) / 100 }
+    score += weight
+    minScore += disagreeWeight
+    maxScore += agreeWeight
+  })
+  
+  // Same ISA loop written in another tag format (PT101A vs CDU-PT-101A): the raw tags
+  // differing is no evidence against the pair, so the tag_id disagreement is taken back
+  if (evidence.isa_tag.agree && evidence.tag_id.agree === false) {
+    const { agree: agreeWeight, disagree: disagreeWeight } = MATCH_WEIGHTS.tag_id
+    score -= disagreeWeight
+    minScore -= disagreeWeight
+    maxScore -= agreeWeight
+    evidence.tag_id = { agree: false, weight: 0 }
+  }
+  
+  return {
+    score,
+    evidence,
+    // Posterior-style confidence centred on the acceptance threshold
+    confidence: Math.round(100 / (1 + Math.pow(2, MATCH_THRESHOLD - score))),
+    // Share of the attainable evidence (given the fields both sides carry) that agreed
+    evidenceScore: maxScore > minScore ? Math.round(((score - minScore) / (maxScore - minScore)) * 100) : 0
+  }
+}
+
+// Name a scored match after the strongest identifier that agreed
+function matchTypeFromEvidence(evidence) {
+  if (evidence.tag_id?.agree) return 'exact_tag_id'
+  if (evidence.isa_tag?.agree) return 'isa_tag_match'
+  if (evidence.ip_address?.agree) return 'ip_match'
+  if (evidence.hostname?.agree) return 'hostname_match'
+  if (evidence.mac_address?.agree) return 'mac_match'
+  return 'attribute_match'
+}
+
+// Plain-language reasons for a scored pair, strongest evidence first
+const EVIDENCE_LABELS = {
+  tag_id: 'Tag',
+  isa_tag: 'ISA loop tag',
+  ip_address: 'IP address',
+  mac_address: 'MAC address',
+  hostname: 'Hostname',
+  manufacturer: 'Manufacturer',
+  model: 'Model',
+  unit: 'Unit',
+  device_type: 'Device type'
+}
+
+function describeEvidence(evidence, engAsset, discAsset) {
+  return Object.entries(evidence)
+    .filter(([, { agree }]) => agree !== null)
+    .sort((a, b) => Math.abs(b[1].weight) - Math.abs(a[1].weight))
+    .map(([field, { agree }]) => agree
+      ? `${EVIDENCE_LABELS[field]} agrees (${discAsset[field]})`
+      : `${EVIDENCE_LABELS[field]} differs (baseline ${engAsset[field]}, discovered ${discAsset[field]})`
+    )
+}
+
+// Pairs scoring above this but below the match threshold are queued for review
+const REVIEW_THRESHOLD = 0
+const MAX_CANDIDATES_PER_ASSET = 3
+
+// Summary of a row for the review queue (keeps the response small)
+const pickIdentity = (row) => ({
+  tag_id: row.tag_id,
+  plant: row.plant,
+  unit: row.unit,
+  device_type: row.device_type,
+  manufacturer: row.manufacturer,
+  model: row.model,
+  ip_address: row.ip_address,
+  hostname: row.hostname,
+  mac_address: row.mac_address,
+  _source: row._source
+})
+
+// MANUAL RULES: find the rows a pinned / forbidden rule selects.
+// Indexed on the rule's most specific identifier so large rule files stay cheap
+function buildRuleSelector(rows) {
+  const indexes = {}
+  return (selector, namespace) => {
+    const field = SELECTOR_FIELDS.find(f => selector[f])
+    if (!indexes[field]) {
+      indexes[field] = buildMatchIndex(rows, (row) => row[field] ? String(row[field]).trim().toUpperCase() : '')
+    }
+    const bucket = indexes[field].get(String(selector[field]).toUpperCase()) || []
+    return bucket.filter(row => rowMatchesSelector(row, selector) && rowInNamespace(row, namespace))
+  }
+}
+
+function applyPairRules(engineering, discovered, matchRules) {
+  const selectEngineering = buildRuleSelector(engineering)
+  const selectDiscovered = buildRuleSelector(discovered)
+  const ruleResults = []
+  
+  // Forbidden pairs: engineering row -> discovered rows it may never pair with
+  const forbiddenPairs = new Map()
+  matchRules.forbidden.forEach((rule, index) => {
+    const namespace = normalizeNamespace(rule.namespace)
+    const engRows = selectEngineering(rule.engineering, namespace)
+    const discRows = selectDiscovered(rule.discovered, namespace)
+    engRows.forEach(engAsset => {
+      const blocked = forbiddenPairs.get(engAsset) || new Set()
+      discRows.forEach(discAsset => blocked.add(discAsset))
+      forbiddenPairs.set(engAsset, blocked)
+    })
+    ruleResults.push({
+      type: 'forbidden',
+      index,
+      status: engRows.length > 0 && discRows.length > 0 ? 'applied' : 'not_found',
+      engineering: rule.engineering,
+      discovered: rule.discovered
+    })
+  })
+  
+  const isForbidden = (engAsset, discAsset) => Boolean(forbiddenPairs.get(engAsset)?.has(discAsset))
+  
+  // Pinned pairs: first compatible pair that is not already taken
+  const pinnedPairs = []
+  const pinnedEng = new Set()
+  const pinnedDisc = new Set()
+  matchRules.pinned.forEach((rule, index) => {
+    const namespace = normalizeNamespace(rule.namespace)
+    const engRows = selectEngineering(rule.engineering, namespace)
+    const discRows = selectDiscovered(rule.discovered, namespace)
+    let status = 'not_found'
+    if (engRows.length > 0 && discRows.length > 0) {
+      status = 'conflict'
+      const engAsset = engRows.find(e => !pinnedEng.has(e))
+      const discAsset = engAsset && discRows.find(d => !pinnedDisc.has(d) &&
+        rowsShareNamespace(engAsset, d) && !isForbidden(engAsset, d))
+      if (engAsset && discAsset) {
+        status = engRows.length > 1 || discRows.length > 1 ? 'applied_ambiguous' : 'applied'
+        pinnedEng.add(engAsset)
+        pinnedDisc.add(discAsset)
+        pinnedPairs.push({ engAsset, discAsset, rule })
+      }
+    }
+    ruleResults.push({ type: 'pinned', index, status, engineering: rule.engineering, discovered: rule.discovered })
+  })
+  
+  return { pinnedPairs, isForbidden, ruleResults }
+}
+
+// ============================================================================
+// MULTI-NIC AND REDUNDANT DEVICES
+// One canonical asset can own several network identities (A/B NICs of a DCS
+// controller, an HMI on two VLANs), and the idle member of a redundant A/B pair
+// can sit behind the same shared address as its partner
+// ============================================================================
+const interfaceIdentity = (row, via) => ({
+  ip_address: row.ip_address,
+  mac_address: row.mac_address,
+  hostname: row.hostname,
+  via,
+  _source: row._source
+})
+
+// A second interface may only join an asset whose attributes it does not contradict
+function attributesCompatible(engAsset, discAsset) {
+  return ['manufacturer', 'device_type'].every(field => {
+    const engValue = engAsset[field]
+    const discValue = discAsset[field]
+    return isBlankValue(engValue) || isBlankValue(discValue) || MATCH_FIELDS[field].compare(String(engValue), String(discValue))
+  })
+}
+
+// P-101A and P-101B are siblings: separate devices, never duplicates of each other
+function isRedundantSibling(tagA, tagB) {
+  const a = redundancyKey(tagA)
+  const b = redundancyKey(tagB)
+  return Boolean(a && b && a.group === b.group && a.member !== b.member)
+}
+
+function attachSecondaryIdentities(matchedAssets, engineering, discovered, { usedEngineeringAssets, usedDiscoveryAssets, isForbidden }) {
+  // Every identity a matched asset already owns
+  const owners = new Map()
+  const addOwner = (key, match) => {
+    if (!key) return
+    const list = owners.get(key)
+    if (!list) owners.set(key, [match])
+    else if (!list.includes(match)) list.push(match)
+  }
+  matchedAssets.forEach(match => {
+    const { engineering: engAsset, discovered: discAsset } = match
+    match.interfaces = [interfaceIdentity(discAsset, 'primary')]
+    addOwner(engAsset.tag_id && `TAG:${engAsset.tag_id}`, match)
+    addOwner(engAsset.hostname && `HOST:${engAsset.hostname.toLowerCase()}`, match)
+    addOwner(discAsset.hostname && `HOST:${discAsset.hostname.toLowerCase()}`, match)
+    addOwner(discAsset.mac_address && `MAC:${discAsset.mac_address}`, match)
+    ;(engAsset.ip_addresses || []).forEach(ip => addOwner(`IP:${ip}`, match))
+  })
+  
+  // Leftover discovered rows that share an identity with a matched asset are
+  // additional interfaces of that asset, not orphans
+  let interfaceCount = 0
+  discovered.forEach(discAsset => {
+    if (usedDiscoveryAssets.has(discAsset)) return
+    const probes = [
+      ['tag_id', discAsset.tag_id && `TAG:${discAsset.tag_id}`],
+      ['hostname', discAsset.hostname && `HOST:${discAsset.hostname.toLowerCase()}`],
+      ['mac_address', discAsset.mac_address && `MAC:${discAsset.mac_address}`],
+      ['declared_ip', discAsset.ip_address && `IP:${discAsset.ip_address}`]
+    ]
+    for (const [via, key] of probes) {
+      const owner = key && (owners.get(key) || []).find(match =>
+        rowsShareNamespace(match.engineering, discAsset) &&
+        // A second device on an address the asset already answers on is an IP collision, not a NIC
+        !match.interfaces.some(nic => nic.ip_address && nic.ip_address === discAsset.ip_address) &&
+        !isForbidden(match.engineering, discAsset) &&
+        !isRedundantSibling(match.engineering.tag_id, discAsset.tag_id || discAsset.hostname) &&
+        attributesCompatible(match.engineering, discAsset))
+      if (!owner) continue
+      owner.interfaces.push(interfaceIdentity(discAsset, via))
+      usedDiscoveryAssets.add(discAsset)
+      interfaceCount++
+      break
+    }
+  })
+  
+  // Redundant pairs behind one address: the unmatched member shares the
+  // discovered record of its matched partner (one discovered -> many assets)
+  const matchedByGroup = new Map()
+  matchedAssets.forEach(match => {
+    const key = redundancyKey(match.engineering.tag_id)
+    if (!key) return
+    const list = matchedByGroup.get(key.group) || []
+    list.push({ match, member: key.member })
+    matchedByGroup.set(key.group, list)
+  })
+  
+  const redundantMatches = []
+  engineering.forEach(engAsset => {
+    if (usedEngineeringAssets.has(engAsset)) return
+    const key = redundancyKey(engAsset.tag_id)
+    if (!key || !matchedByGroup.has(key.group)) return
+    const partner = matchedByGroup.get(key.group).find(({ match, member }) =>
+      member !== key.member &&
+      rowsShareNamespace(match.engineering, engAsset) &&
+      (engAsset.ip_addresses || []).includes(match.discovered.ip_address) &&
+      !isForbidden(engAsset, match.discovered))
+    if (!partner) return
+    const scored = scoreCandidatePair(engAsset, partner.match.discovered)
+    redundantMatches.push({
+      engineering: engAsset,
+      discovered: partner.match.discovered,
+      matchType: 'redundant_pair',
+      matchConfidence: scored.confidence,
+      matchScore: Math.round(scored.score * 100) / 100,
+      evidenceScore: scored.evidenceScore,
+      evidence: scored.evidence,
+      interfaces: [interfaceIdentity(partner.match.discovered, 'shared_with_partner')],
+      redundantPartner: partner.match.engineering.tag_id
+    })
+    usedEngineeringAssets.add(engAsset)
+  })
+  matchedAssets.push(...redundantMatches)
+  
+  return { interfaceCount, redundantMatchCount: redundantMatches.length }
+}
+
+// Redundant A/B groups in the baseline (two or more members of one loop / device)
+function detectRedundantGroups(rows) {
+  const groups = new Map()
+  rows.forEach(row => {
+    const key = redundancyKey(row.tag_id)
+    if (!key) return
+    const id = `${row._namespace || ''}|${key.group}`
+    const group = groups.get(id) || { group: key.group, namespace: row._namespace || '', unit: row.unit, members: [] }
+    if (!group.members.some(m => m.tag_id === row.tag_id)) {
+      group.members.push({ tag_id: row.tag_id, member: key.member, ip_address: row.ip_address })
+    }
+    groups.set(id, group)
+  })
+  return [...groups.values()].filter(g => g.members.length > 1)
+}
+
+// Redundancy block for a canonical asset, or null when the tag has no siblings
+function buildRedundancyInfo(engAsset, group, redundantPartner) {
+  if (!group) return null
+  const key = redundancyKey(engAsset.tag_id)
+  return {
+    group: group.group,
+    member: key?.member || '',
+    siblings: group.members.filter(m => m.tag_id !== engAsset.tag_id).map(m => m.tag_id),
+    sharedAddressWith: redundantPartner || null
+  }
+}
+
 // FLEXIBLE MATCHING (same as v2 but more robust)
 function performFlexibleMatching(engineering, discovered, options = {}) {
   const {
-    matchStrategies = ['tag_id', 'ip_address', 'hostname', 'mac_address'],
+    matchStrategies = ['tag_id', 'isa_tag', 'ip_address', 'hostname', 'mac_address'],
+    threshold = MATCH_THRESHOLD,
+    reviewThreshold = REVIEW_THRESHOLD,
+    matchRules = emptyMatchRules()
   } = options
   
   const engineeringAssets = engineering.length
   const discoveredAssets = discovered.length
   
   const matchedAssets = []
+  const usedEngineeringAssets = new Set()
   const usedDiscoveryAssets = new Set()
   
   console.log(`[MATCHING] Starting with ${engineeringAssets} eng assets, ${discoveredAssets} discovered assets`)
-  console.log(`[MATCHING] Strategies: ${matchStrategies.join(', ')}`)
-  
-  // Strategy 1: Exact tag_id match
-  if (matchStrategies.includes('tag_id')) {
-    engineering.forEach(engAsset => {
-      if (!engAsset.tag_id) return
-      
-      const match = discovered.find(d => 
-        d.tag_id === engAsset.tag_id && !usedDiscoveryAssets.has(d.tag_id + d.ip_address)
-      )
-      
-      if (match) {
-        matchedAssets.push({
-          engineering: engAsset,
-          discovered: match,
-          matchType: 'exact_tag_id',
-          matchConfidence: 100
-        })
-        usedDiscoveryAssets.add(match.tag_id + match.ip_address)
-      }
+  console.log(`[MATCHING] Blocking keys: ${matchStrategies.join(', ')}`)
+  
+  const recordMatch = (engAsset, match, scored, matchType = matchTypeFromEvidence(scored.evidence)) => {
+    matchedAssets.push({
+      engineering: engAsset,
+      discovered: match,
+      matchType,
+      matchConfidence: matchType === 'manual_override' ? 100 : scored.confidence,
+      matchScore: Math.round(scored.score * 100) / 100,
+      evidenceScore: scored.evidenceScore,
+      evidence: scored.evidence
     })
-    console.log(`[MATCHING] After tag_id: ${matchedAssets.length} matches`)
+    usedEngineeringAssets.add(engAsset)
+    usedDiscoveryAssets.add(match)
   }
   
-  // Strategy 2: IP address match
-  if (matchStrategies.includes('ip_address')) {
-    engineering.forEach(engAsset => {
-      if (!engAsset.ip_address || matchedAssets.find(m => m.engineering.tag_id === engAsset.tag_id)) return
-      
-      const match = discovered.find(d => 
-        d.ip_address && d.ip_address === engAsset.ip_address && !usedDiscoveryAssets.has(d.tag_id + d.ip_address)
-      )
-      
-      if (match) {
-        matchedAssets.push({
-          engineering: engAsset,
-          discovered: match,
-          matchType: 'ip_match',
-          matchConfidence: 95
-        })
-        usedDiscoveryAssets.add(match.tag_id + match.ip_address)
-      }
-    })
-    console.log(`[MATCHING] After IP: ${matchedAssets.length} matches`)
+  // Engineer decisions first: tag rewrites, then pinned and forbidden pairs
+  const tagRewrites = applyTagRewrites(engineering, matchRules, 'engineering') + applyTagRewrites(discovered, matchRules, 'otDiscovery')
+  const { pinnedPairs, isForbidden, ruleResults } = applyPairRules(engineering, discovered, matchRules)
+  pinnedPairs.forEach(({ engAsset, discAsset }) => {
+    recordMatch(engAsset, discAsset, scoreCandidatePair(engAsset, discAsset), 'manual_override')
+  })
+  if (tagRewrites > 0 || ruleResults.length > 0) {
+    console.log(`[MATCHING] Rules: ${tagRewrites} tags rewritten, ${pinnedPairs.length} pinned pairs, ${matchRules.forbidden.length} forbidden rules`)
   }
   
-  // Strategy 3: Hostname match
-  if (matchStrategies.includes('hostname')) {
-    engineering.forEach(engAsset => {
-      if (!engAsset.hostname || matchedAssets.find(m => m.engineering.tag_id === engAsset.tag_id)) return
-      
-      const match = discovered.find(d => 
-        d.hostname && d.hostname.toLowerCase() === engAsset.hostname.toLowerCase() && !usedDiscoveryAssets.has(d.tag_id + d.ip_address)
-      )
-      
-      if (match) {
-        matchedAssets.push({
-          engineering: engAsset,
-          discovered: match,
-          matchType: 'hostname_match',
-          matchConfidence: 90
-        })
-        usedDiscoveryAssets.add(match.tag_id + match.ip_address)
-      }
+  // Blocking: gather candidate pairs that share at least one identifier
+  const indexes = matchStrategies
+    .filter(field => MATCH_KEYS[field])
+    .map(field => ({ keyFn: MATCH_KEYS[field], index: buildMatchIndex(discovered, MATCH_KEYS[field]) }))
+  
+  const candidatePairs = []
+  const reviewPairs = []
+  engineering.forEach((engAsset, engIndex) => {
+    const seen = new Set()
+    indexes.forEach(({ keyFn, index }) => {
+      const key = keyFn(engAsset)
+      if (!key) return
+      const bucket = index.get(key)
+      if (!bucket || bucket.length > MAX_BLOCK_SIZE) return
+      bucket.forEach(discAsset => {
+        if (seen.has(discAsset)) return
+        seen.add(discAsset)
+        // Same address in another plant's network is a different device
+        if (!rowsShareNamespace(engAsset, discAsset)) return
+        if (usedEngineeringAssets.has(engAsset) || usedDiscoveryAssets.has(discAsset) || isForbidden(engAsset, discAsset)) return
+        const scored = scoreCandidatePair(engAsset, discAsset)
+        if (scored.score >= threshold) {
+          candidatePairs.push({ engIndex, engAsset, discAsset, scored })
+        } else if (scored.score > reviewThreshold) {
+          reviewPairs.push({ engIndex, engAsset, discAsset, scored })
+        }
+      })
     })
-    console.log(`[MATCHING] After hostname: ${matchedAssets.length} matches`)
-  }
+  })
   
-  // Strategy 4: MAC address match
-  if (matchStrategies.includes('mac_address')) {
-    engineering.forEach(engAsset => {
-      if (!engAsset.mac_address || matchedAssets.find(m => m.engineering.tag_id === engAsset.tag_id)) return
-      
-      const match = discovered.find(d => 
-        d.mac_address && d.mac_address === engAsset.mac_address && !usedDiscoveryAssets.has(d.tag_id + d.ip_address)
-      )
-      
-      if (match) {
-        matchedAssets.push({
-          engineering: engAsset,
-          discovered: match,
-          matchType: 'mac_match',
-          matchConfidence: 85
-        })
-        usedDiscoveryAssets.add(match.tag_id + match.ip_address)
-      }
+  // Best-scoring pair wins; ties keep baseline order
+  candidatePairs
+    .sort((a, b) => (b.scored.score - a.scored.score) || (a.engIndex - b.engIndex))
+    .forEach(({ engAsset, discAsset, scored }) => {
+      if (usedEngineeringAssets.has(engAsset) || usedDiscoveryAssets.has(discAsset)) return
+      recordMatch(engAsset, discAsset, scored)
     })
-    console.log(`[MATCHING] After MAC: ${matchedAssets.length} matches`)
-  }
   
-  // Strategy 5: Fuzzy matching by device type + manufacturer
-  if (matchedAssets.length === 0 && engineering.length > 0 && discovered.length > 0) {
-    console.log('[FALLBACK] No matches found. Attempting fuzzy matching...')
-    
-    engineering.forEach(engAsset => {
-      if (matchedAssets.find(m => m.engineering.tag_id === engAsset.tag_id)) return
-      
-      const fuzzyMatch = discovered.find(d => 
-        !usedDiscoveryAssets.has(d.tag_id + d.ip_address) &&
-        d.device_type && engAsset.device_type &&
-        d.device_type.toLowerCase().includes(engAsset.device_type.toLowerCase()) &&
-        d.manufacturer && engAsset.manufacturer &&
-        d.manufacturer.toLowerCase() === engAsset.manufacturer.toLowerCase()
-      )
-      
-      if (fuzzyMatch) {
-        matchedAssets.push({
-          engineering: engAsset,
-          discovered: fuzzyMatch,
-          matchType: 'fuzzy_type_manufacturer',
-          matchConfidence: 60
-        })
-        usedDiscoveryAssets.add(fuzzyMatch.tag_id + fuzzyMatch.ip_address)
-      }
-    })
-    
-    // Build lookup tables for matched assets (by tag, IP, hostname)
-    const canonicalLookup = new Map()
-    const matchedLookup = new Map()
-    
-    const registerLookupKey = (prefix, value, index) => {
-      if (!value && value !== 0) return
-      let normalized = String(value)
-      if (prefix === 'TAG') normalized = normalized.toUpperCase()
-      if (prefix === 'HOST') normalized = normalized.toLowerCase()
-      const key = `${prefix}:${normalized}`
-      if (!matchedLookup.has(key)) matchedLookup.set(key, index)
-      if (!canonicalLookup.has(key)) canonicalLookup.set(key, canonicalAssets[index])
-    }
-    
-    console.log(`[FALLBACK] After fuzzy matching: ${matchedAssets.length} matches`)
-  }
+  console.log(`[MATCHING] Scored ${candidatePairs.length} candidate pairs above threshold ${threshold}: ${matchedAssets.length} matches`)
   
-  // Strategy 6: Last resort intelligent pairing
-  if (matchedAssets.length === 0 && engineering.length > 0 && discovered.length > 0) {
-    console.log('[LAST RESORT] Using intelligent pairing')
-    
-    const remainingEng = engineering.filter(e => 
-      !matchedAssets.find(m => m.engineering.tag_id === e.tag_id)
-    )
-    const remainingDisc = discovered.filter(d => 
-      !usedDiscoveryAssets.has(d.tag_id + d.ip_address)
-    )
-    
-    const minMatches = Math.min(
-      Math.floor(engineeringAssets * 0.4),
-      remainingEng.length,
-      remainingDisc.length
-    )
-    
-    console.log(`[LAST RESORT] Creating ${minMatches} intelligent matches`)
-    
-    for (let i = 0; i < minMatches; i++) {
-      matchedAssets.push({
-        engineering: remainingEng[i],
-        discovered: remainingDisc[i],
-        matchType: 'intelligent_pairing',
-        matchConfidence: 50
-      })
-      usedDiscoveryAssets.add(remainingDisc[i].tag_id + remainingDisc[i].ip_address)
+  const { interfaceCount, redundantMatchCount } = attachSecondaryIdentities(matchedAssets, engineering, discovered, {
+    usedEngineeringAssets,
+    usedDiscoveryAssets,
+    isForbidden
+  })
+  console.log(`[MATCHING] ${interfaceCount} additional interfaces attached, ${redundantMatchCount} redundant members behind a shared address`)
+  
+  // REVIEW QUEUE: never auto-accepted, never counted toward coverage.
+  // Sources are (a) identifier-blocked pairs that scored below the threshold
+  // and (b) leftover rows sharing manufacturer + device type but no identifier
+  const remainingDisc = discovered.filter(d => !usedDiscoveryAssets.has(d))
+  const attributeKey = (row) => (row.manufacturer && row.device_type && !isBlankValue(row.manufacturer)
+    ? `${row.manufacturer.toLowerCase()}|${row.device_type.toLowerCase()}`
+    : '')
+  const byAttributes = buildMatchIndex(remainingDisc, attributeKey)
+  
+  // A manufacturer + type shared by more rows than MAX_BLOCK_SIZE (hundreds of identical PLCs) tells the
+  // rows apart no better than chance, and scoring every pair of it is quadratic - those are not suggested
+  let skippedBuckets = 0
+  engineering.forEach((engAsset, engIndex) => {
+    if (usedEngineeringAssets.has(engAsset)) return
+    const bucket = byAttributes.get(attributeKey(engAsset))
+    if (!bucket) return
+    if (bucket.length > MAX_BLOCK_SIZE) {
+      skippedBuckets++
+      return
     }
+    // No shared identifier, so even a high attribute score stays a suggestion; only the best few per asset are kept
+    const suggestions = []
+    bucket.forEach(discAsset => {
+      if (!rowsShareNamespace(engAsset, discAsset) || isForbidden(engAsset, discAsset)) return
+      const scored = scoreCandidatePair(engAsset, discAsset)
+      if (scored.score > reviewThreshold) suggestions.push({ engIndex, engAsset, discAsset, scored })
+    })
+    reviewPairs.push(...suggestions.sort((a, b) => b.scored.score - a.scored.score).slice(0, MAX_CANDIDATES_PER_ASSET))
+  })
+  if (skippedBuckets > 0) {
+    console.log(`[MATCHING] ${skippedBuckets} unmatched assets share manufacturer + type with over ${MAX_BLOCK_SIZE} devices - no attribute-only suggestions`)
   }
   
+  const candidatesPerAsset = new Map()
+  const candidateMatches = reviewPairs
+    .filter(({ engAsset, discAsset }) => !usedEngineeringAssets.has(engAsset) && !usedDiscoveryAssets.has(discAsset))
+    .sort((a, b) => (b.scored.score - a.scored.score) || (a.engIndex - b.engIndex))
+    .filter(({ engAsset }) => {
+      const count = candidatesPerAsset.get(engAsset) || 0
+      candidatesPerAsset.set(engAsset, count + 1)
+      return count < MAX_CANDIDATES_PER_ASSET
+    })
+    .map(({ engAsset, discAsset, scored }, idx) => ({
+      rank: idx + 1,
+      status: 'pending_review',
+      score: Math.round(scored.score * 100) / 100,
+      confidence: scored.confidence,
+      reasons: describeEvidence(scored.evidence, engAsset, discAsset),
+      engineering: pickIdentity(engAsset),
+      discovered: pickIdentity(discAsset)
+    }))
+  
+  console.log(`[MATCHING] ${candidateMatches.length} candidate pairs queued for review`)
+  
   // Calculate results
-  const blindSpots = engineering.filter(e => 
-    !matchedAssets.find(m => m.engineering.tag_id === e.tag_id)
-  )
+  const blindSpots = engineering.filter(e => !usedEngineeringAssets.has(e))
   
-  const orphans = discovered.filter(d => 
-    !usedDiscoveryAssets.has(d.tag_id + d.ip_address)
-  )
+  const orphans = remainingDisc
   
   const coveragePercentage = engineeringAssets > 0 
     ? Math.round((matchedAssets.length / engineeringAssets) * 100) 
@@ -440,87 +963,160 @@ function performFlexibleMatching(engineering, discovered, options = {}) {
     matched: matchedAssets,
     blindSpots,
     orphans,
+    candidateMatches,
     coveragePercentage,
     matchedCount: matchedAssets.length,
     blindSpotCount: blindSpots.length,
-    orphanCount: orphans.length
+    orphanCount: orphans.length,
+    candidatePairCount: candidatePairs.length,
+    interfaceCount,
+    redundantMatchCount,
+    threshold,
+    reviewThreshold,
+    rules: {
+      tagRewrites,
+      pinned: pinnedPairs.length,
+      forbidden: matchRules.forbidden.length,
+      results: ruleResults
+    }
   }
 }
 
 // ============================================================================
-// OPERATIONAL INTELLIGENCE: Plant Completeness & Context-Aware Analysis
+// FIELD CONTRADICTIONS
+// Matched assets whose sources disagree on a field, with the likely root cause
+// so engineering knows what to fix in the baseline
 // ============================================================================
+const ipSubnet = (ip) => String(ip || '').split('.').slice(0, 3).join('.')
+
+function diagnoseContradiction(field, engAsset, discAsset, match) {
+  const engValue = String(engAsset[field] ?? '')
+  const discValue = String(discAsset[field] ?? '')
+  
+  switch (field) {
+    case 'tag_id':
+      return engAsset.isa_tag && engAsset.isa_tag === discAsset.isa_tag
+        ? { severity: 'low', likely_cause: 'Same ISA loop written in a different tag format' }
+        : { severity: 'medium', likely_cause: 'Tag renamed or re-numbered; the discovery tool carries an old or different tag' }
+    case 'ip_address':
+      if ((match.interfaces || []).some(nic => nic.ip_address === engValue)) {
+        return { severity: 'low', likely_cause: 'Device answers on both addresses; the baseline documents the other interface as primary' }
+      }
+      return ipSubnet(engValue) === ipSubnet(discValue)
+        ? { severity: 'medium', likely_cause: 'Re-addressed within the same subnet (DHCP lease or manual change)' }
+        : { severity: 'high', likely_cause: 'Device moved to another subnet or the baseline IP is stale' }
+    case 'hostname':
+      return engValue.toLowerCase().includes(discValue.toLowerCase()) || discValue.toLowerCase().includes(engValue.toLowerCase())
+        ? { severity: 'low', likely_cause: 'Hostname naming convention differs (domain suffix or prefix)' }
+        : { severity: 'medium', likely_cause: 'Device renamed since the baseline was documented' }
+    case 'mac_address':
+      return { severity: 'high', likely_cause: 'NIC or device hardware replaced since the baseline was documented' }
+    case 'manufacturer': {
+      const family = vendorFamily(engValue)
+      return family && family === vendorFamily(discValue)
+        ? { severity: 'low', likely_cause: 'Brand name vs registered company name of the same vendor' }
+        : { severity: 'high', likely_cause: 'Different vendor: device replaced or baseline error' }
+    }
+    case 'model':
+      return { severity: 'medium', likely_cause: 'Model changed: hardware upgrade, replacement, or firmware-reported model name' }
+    case 'device_type':
+      return { severity: 'medium', likely_cause: 'Classified differently by the discovery fingerprint and the engineering type list' }
+    case 'unit':
+      return { severity: 'low', likely_cause: 'Asset relocated or unit naming differs between systems' }
+    default:
+      return { severity: 'medium', likely_cause: 'Sources disagree' }
+  }
+}
+
+const sourceRef = (row) => ({
+  file: String(row._source || '').split(':').slice(1).join(':') || null,
+  row: row._row ?? null
+})
 
-// Normalize device type to match template keys (handles variations)
-function normalizeDeviceType(deviceType) {
-  const dt = String(deviceType || '').toLowerCase().trim()
-  
-  // Map variations to canonical types
-  const typeMap = {
-    'plc': 'PLC',
-    'programmable_logic_controller': 'PLC',
-    'controller': 'PLC',
-    'dcs': 'DCS',
-    'distributed_control': 'DCS',
-    'safety_controller': 'Safety_Controller',
-    'sis': 'Safety_Controller',
-    'esd': 'Safety_Controller',
-    'safety_plc': 'Safety_Controller',
-    'transmitter': 'Transmitter',
-    'sensor': 'Transmitter',
-    'pressure_transmitter': 'Pressure_Transmitter',
-    'pressure_sensor': 'Pressure_Transmitter',
-    'pt': 'Pressure_Transmitter',
-    'temperature_transmitter': 'Temperature_Transmitter',
-    'temp_transmitter': 'Temperature_Transmitter',
-    'tt': 'Temperature_Transmitter',
-    'thermocouple': 'Temperature_Transmitter',
-    'level_transmitter': 'Level_Transmitter',
-    'level_sensor': 'Level_Transmitter',
-    'lt': 'Level_Transmitter',
-    'flow_transmitter': 'Flow_Transmitter',
-    'flow_meter': 'Flow_Transmitter',
-    'ft': 'Flow_Transmitter',
-    'control_valve': 'Control_Valve',
-    'valve': 'Control_Valve',
-    'actuator': 'Control_Valve',
-    'pump': 'Pump',
-    'motor': 'Pump',
-    'compressor': 'Compressor',
-    'analyzer': 'Analyzer',
-    'chromatograph': 'Analyzer',
-    'switch': 'Switch',
-    'ethernet_switch': 'Switch',
-    'network_switch': 'Switch',
-    'gateway': 'Gateway',
-    'protocol_converter': 'Gateway',
-    'hmi': 'HMI',
-    'workstation': 'HMI',
-    'scada': 'HMI',
-    'ip_camera': 'IP_Camera',
-    'camera': 'IP_Camera',
-    'cctv': 'IP_Camera'
+// Every disagreeing field of one matched pair (isa_tag is only ever consulted, never contradicted)
+function findContradictions(match, macVendor) {
+  const { engineering: engAsset, discovered: discAsset, evidence } = match
+  const base = {
+    tag_id: engAsset.tag_id || discAsset.tag_id,
+    plant: engAsset.plant,
+    unit: engAsset.unit,
+    match_type: match.matchType,
+    match_confidence: match.matchConfidence,
+    engineering_source: sourceRef(engAsset),
+    discovered_source: sourceRef(discAsset)
   }
   
-  return typeMap[dt] || null
+  const contradictions = Object.entries(evidence)
+    .filter(([, { agree }]) => agree === false)
+    .map(([field]) => ({
+      ...base,
+      field,
+      engineering_value: engAsset[field],
+      discovered_value: discAsset[field],
+      ...diagnoseContradiction(field, engAsset, discAsset, match)
+    }))
+  
+  if (macVendor && macVendorAgrees(engAsset.manufacturer, macVendor) === false) {
+    contradictions.push({
+      ...base,
+      field: 'mac_vendor',
+      engineering_value: engAsset.manufacturer,
+      discovered_value: macVendor.organization,
+      severity: 'medium',
+      likely_cause: 'NIC vendor differs from the recorded manufacturer (third-party network module, gateway, or replaced hardware)'
+    })
+  }
+  
+  return contradictions
 }
 
-// Analyze completeness of a process unit vs expected equipment
-function analyzeProcessUnitCompleteness(unitName, assets, matchedAssets) {
-  // Get template for this unit (normalize unit name variations)
-  const normalizedUnit = unitName.toLowerCase().includes('distill') ? 'Crude Distillation' :
-                        unitName.toLowerCase().includes('hydro') ? 'Hydrocracker' :
-                        unitName.toLowerCase().includes('fcc') || unitName.toLowerCase().includes('cat') ? 'FCC' :
-                        unitName.toLowerCase().includes('tank') || unitName.toLowerCase().includes('storage') ? 'Tank Farm' :
-                        unitName.toLowerCase().includes('util') || unitName.toLowerCase().includes('power') || unitName.toLowerCase().includes('steam') ? 'Utilities' :
-                        'Unknown'
-  
-  const template = REFINERY_EQUIPMENT_TEMPLATES[normalizedUnit]
-  if (!template || Object.keys(template.expectedEquipment).length === 0) {
+// Items returned per response - the summary counts always cover every contradiction
+const MAX_CONTRADICTION_ITEMS = 2000
+
+function summarizeContradictions(contradictions) {
+  const byField = {}
+  const bySeverity = { high: 0, medium: 0, low: 0 }
+  contradictions.forEach(c => {
+    byField[c.field] = (byField[c.field] || 0) + 1
+    bySeverity[c.severity]++
+  })
+  return {
+    total: contradictions.length,
+    assetsAffected: new Set(contradictions.map(c => `${c.engineering_source.file}|${c.engineering_source.row}`)).size,
+    byField,
+    bySeverity
+  }
+}
+
+// ============================================================================
+// OPERATIONAL INTELLIGENCE: Plant Completeness & Context-Aware Analysis
+// ============================================================================
+
+// Analyze completeness of a process unit vs expected equipment (lib/equipment-templates.js)
+function analyzeProcessUnitCompleteness(unitName, assets, matchedAssets, taxonomy = DEFAULT_DEVICE_TAXONOMY, templates = DEFAULT_EQUIPMENT_TEMPLATES) {
+  // Template through the unit alias table (lib/process-units.js + template aliases), sized to the
+  // unit's capacity, and the unit's equipment counted against it
+  const {
+    unitType: normalizedUnit,
+    resolution,
+    template,
+    canAssess,
+    completenessScore,
+    actual: actualEquipment,
+    unclassified,
+    gaps,
+    overages,
+    totalExpected,
+    totalActual,
+    totalWithinRange
+  } = scoreUnitCompleteness(unitName, assets, templates, taxonomy)
+  if (!canAssess) {
     // Unknown unit - can't assess completeness
     return {
       unitName,
       templateName: normalizedUnit,
+      templateRevision: templates.revision,
+      unitResolution: resolution,
       displayName: template?.displayName || unitName,
       description: template?.description || 'No template available',
       canAssess: false,
@@ -531,64 +1127,14 @@ function analyzeProcessUnitCompleteness(unitName, assets, matchedAssets) {
     }
   }
   
-  // Count actual equipment by type
-  const actualEquipment = {}
-  const unknownDevices = []
-  
-  assets.forEach(asset => {
-    const normalizedType = normalizeDeviceType(asset.device_type)
-    if (normalizedType) {
-      actualEquipment[normalizedType] = (actualEquipment[normalizedType] || 0) + 1
-    } else {
-      // Couldn't classify - track as unknown
-      unknownDevices.push({
-        tag_id: asset.tag_id,
-        device_type: asset.device_type,
-        manufacturer: asset.manufacturer,
-        ip_address: asset.ip_address
-      })
-    }
-  })
-  
-  // Compare actual vs expected
-  const gaps = []
-  const overages = []
-  let totalExpected = 0
-  let totalActual = 0
-  let totalWithinRange = 0
-  
-  Object.entries(template.expectedEquipment).forEach(([deviceType, spec]) => {
-    const actual = actualEquipment[deviceType] || 0
-    const { min, typical, max, criticality, function: func } = spec
-    
-    totalExpected += typical
-    totalActual += actual
-    
-    if (actual >= min && actual <= max) {
-      totalWithinRange += typical
-    } else if (actual < min) {
-      gaps.push({
-        deviceType,
-        expected: typical,
-        actual,
-        missing: min - actual,
-        criticality,
-        function: func,
-        severity: actual === 0 ? 'CRITICAL' : criticality === 'CRITICAL' ? 'HIGH' : 'MEDIUM'
-      })
-    } else if (actual > max) {
-      overages.push({
-        deviceType,
-        expected: typical,
-        actual,
-        excess: actual - max,
-        reason: 'Possible data quality issue or advanced instrumentation'
-      })
-    }
-  })
-  
-  // Calculate completeness score (0-100%)
-  const completenessScore = totalExpected > 0 ? Math.round((totalWithinRange / totalExpected) * 100) : 0
+  // Couldn't classify - track as unknown
+  const unknownDevices = unclassified.map(asset => ({
+    tag_id: asset.tag_id,
+    device_type: asset.device_type,
+    manufacturer: asset.manufacturer,
+    manufacturer_brand: asset.manufacturer_brand,
+    ip_address: asset.ip_address
+  }))
   
   // Assess operational risk
   const criticalGaps = gaps.filter(g => g.criticality === 'CRITICAL')
@@ -598,7 +1144,7 @@ function analyzeProcessUnitCompleteness(unitName, assets, matchedAssets) {
   
   // Assess cyber risk (from matched assets with security data)
   const networkableAssets = matchedAssets.filter(m => {
-    const classification = classifyDeviceBySecurity(m.engineering)
+    const classification = securityTier(m.engineering, taxonomy)
     return classification.tier === 1 || classification.tier === 2
   })
   
@@ -617,6 +1163,12 @@ function analyzeProcessUnitCompleteness(unitName, assets, matchedAssets) {
   return {
     unitName,
     templateName: normalizedUnit,
+    // Template set the score was graded against, and the documents that shaped this unit's counts
+    templateRevision: templates.revision,
+    templateSources: template.sources,
+    templateCapacity: template.capacity || null,
+    templateScaledFrom: template.scaledFrom || null,
+    unitResolution: resolution,
     displayName: template.displayName,
     description: template.description,
     canAssess: true,
@@ -660,24 +1212,26 @@ function inferUnknownDevices(unknownDevices, gaps, template) {
     let confidence = 'LOW'
     let reasoning = 'Unknown device type - no template match'
     
-    // Strategy 1: Check if manufacturer hints at device type
-    const mfr = String(device.manufacturer || '').toLowerCase()
+    // Strategy 1: Check if manufacturer hints at device type. The brand is more telling
+    // than the owning company (Fisher valves and Rosemount transmitters are both Emerson)
+    const maker = device.manufacturer_brand || device.manufacturer
+    const mfr = String(maker || '').toLowerCase()
     if (mfr.includes('rosemount') || mfr.includes('yokogawa') || mfr.includes('emerson')) {
       bestGuess = 'Transmitter'
       confidence = 'MEDIUM'
-      reasoning = `Manufacturer ${device.manufacturer} typically makes transmitters/sensors`
+      reasoning = `Manufacturer ${maker} typically makes transmitters/sensors`
     } else if (mfr.includes('fisher') || mfr.includes('masoneilan')) {
       bestGuess = 'Control_Valve'
       confidence = 'MEDIUM'
-      reasoning = `Manufacturer ${device.manufacturer} typically makes control valves`
-    } else if (mfr.includes('allen-bradley') || mfr.includes('siemens') || mfr.includes('schneider')) {
+      reasoning = `Manufacturer ${maker} typically makes control valves`
+    } else if (mfr.includes('allen-bradley') || mfr.includes('rockwell') || mfr.includes('siemens') || mfr.includes('schneider')) {
       bestGuess = 'PLC'
       confidence = 'MEDIUM'
-      reasoning = `Manufacturer ${device.manufacturer} typically makes PLCs/controllers`
+      reasoning = `Manufacturer ${maker} typically makes PLCs/controllers`
     } else if (mfr.includes('cisco') || mfr.includes('hirschmann') || mfr.includes('moxa')) {
       bestGuess = 'Switch'
       confidence = 'HIGH'
-      reasoning = `Manufacturer ${device.manufacturer} makes industrial network switches`
+      reasoning = `Manufacturer ${maker} makes industrial network switches`
     }
     
     // Strategy 2: Check if we have critical gaps that these unknowns could fill
@@ -706,66 +1260,8 @@ function inferUnknownDevices(unknownDevices, gaps, template) {
   return inferences
 }
 
-// DEVICE CLASSIFICATION: Categorize by security necessity
-function classifyDeviceBySecurity(asset) {
-  const deviceType = String(asset.device_type || '').toLowerCase()
-  const hasIP = Boolean(asset.ip_address)
-  const hasMAC = Boolean(asset.mac_address)
-  const isNetworkable = hasIP || hasMAC
-  
-  // Tier 1: Critical Network Assets (MUST secure)
-  const tier1Keywords = ['plc', 'dcs', 'hmi', 'scada', 'rtu', 'controller', 'server', 'workstation', 'historian', 'switch', 'router', 'firewall']
-  if (tier1Keywords.some(kw => deviceType.includes(kw))) {
-    return {
-      tier: 1,
-      classification: 'Critical Network Asset',
-      securityRequired: 'MUST',
-      rationale: 'Programmable/network infrastructure - direct attack vector'
-    }
-  }
-  
-  // Tier 2: Smart/Networkable Devices (MUST secure - network-facing!)
-  const tier2Keywords = ['smart', 'ip', 'ethernet', 'profinet', 'modbus', 'dnp3', 'bacnet', 'camera', 'analyzer', 'vfd', 'drive']
-  if (isNetworkable || tier2Keywords.some(kw => deviceType.includes(kw))) {
-    return {
-      tier: 2,
-      classification: 'Smart/Networkable Device',
-      securityRequired: 'MUST',
-      rationale: 'Network-connected - must be secured (lateral movement risk)'
-    }
-  }
-  
-  // Tier 3: Passive/Analog Devices (Inventory only)
-  const tier3Keywords = ['4-20', '4-20ma', 'analog', 'transmitter', 'pressure', 'temperature', 'flow', 'level', 'valve', 'sensor', 'gauge', 'switch', 'instrument']
-  if (tier3Keywords.some(kw => deviceType.includes(kw)) && !isNetworkable) {
-    return {
-      tier: 3,
-      classification: 'Passive/Analog Device',
-      securityRequired: 'NONE',
-      rationale: 'Analog signal only - no attack surface'
-    }
-  }
-  
-  // Default: If has IP/MAC, treat as Tier 2, otherwise Tier 3
-  if (isNetworkable) {
-    return {
-      tier: 2,
-      classification: 'Networkable Device',
-      securityRequired: 'SHOULD',
-      rationale: 'Has network presence'
-    }
-  }
-  
-  return {
-    tier: 3,
-    classification: 'Non-Networkable Device',
-    securityRequired: 'NONE',
-    rationale: 'No network connectivity'
-  }
-}
-
 // LEARNING ENGINE: Generate insights from the data
-function generateLearningInsights(engineering, discovered, matchResults, dataSources) {
+function generateLearningInsights(engineering, discovered, matchResults, dataSources, ingestedFiles = [], taxonomy = DEFAULT_DEVICE_TAXONOMY) {
   const insights = {
     dataQuality: {},
     columnUsage: {},
@@ -804,18 +1300,24 @@ function generateLearningInsights(engineering, discovered, matchResults, dataSou
   // 2. Column Usage - Which columns led to successful matches?
   const columnSuccess = {
     tag_id: 0,
+    isa_tag: 0,
     ip_address: 0,
     hostname: 0,
     mac_address: 0,
-    fuzzy: 0
+    attribute: 0,
+    manual_override: 0,
+    redundant_pair: 0
   }
   
   matchResults.matched.forEach(m => {
-    if (m.matchType === 'exact_tag_id') columnSuccess.tag_id++
+    if (m.matchType === 'manual_override') columnSuccess.manual_override++
+    else if (m.matchType === 'redundant_pair') columnSuccess.redundant_pair++
+    else if (m.matchType === 'exact_tag_id') columnSuccess.tag_id++
+    else if (m.matchType === 'isa_tag_match') columnSuccess.isa_tag++
     else if (m.matchType === 'ip_match') columnSuccess.ip_address++
     else if (m.matchType === 'hostname_match') columnSuccess.hostname++
     else if (m.matchType === 'mac_match') columnSuccess.mac_address++
-    else if (m.matchType.includes('fuzzy')) columnSuccess.fuzzy++
+    else columnSuccess.attribute++
   })
   
   insights.columnUsage = columnSuccess
@@ -823,9 +1325,9 @@ function generateLearningInsights(engineering, discovered, matchResults, dataSou
   // 3. Pattern Detection - What's working well?
   const patterns = {
     bestMatchStrategy: Object.entries(columnSuccess).sort((a, b) => b[1] - a[1])[0],
-    avgMatchConfidence: Math.round(
-      matchResults.matched.reduce((sum, m) => sum + m.matchConfidence, 0) / matchResults.matchedCount
-    ),
+    avgMatchConfidence: matchResults.matchedCount > 0
+      ? Math.round(matchResults.matched.reduce((sum, m) => sum + m.matchConfidence, 0) / matchResults.matchedCount)
+      : 0,
     manufacturerVariety: new Set(engineering.map(e => e.manufacturer).filter(Boolean)).size,
     deviceTypeVariety: new Set(engineering.map(e => e.device_type).filter(Boolean)).size,
     plantVariety: new Set(engineering.map(e => e.plant).filter(Boolean)).size
@@ -836,7 +1338,7 @@ function generateLearningInsights(engineering, discovered, matchResults, dataSou
   // 5. Device Classification & Security Posture Analysis
   const engineeringClassified = engineering.map(e => ({
     ...e,
-    securityClass: classifyDeviceBySecurity(e)
+    securityClass: securityTier(e, taxonomy)
   }))
   
   const tier1Assets = engineeringClassified.filter(e => e.securityClass.tier === 1)
@@ -848,7 +1350,7 @@ function generateLearningInsights(engineering, discovered, matchResults, dataSou
   
   // Security coverage: Only count networkable assets
   const networkableMatched = matchResults.matched.filter(m => {
-    const classification = classifyDeviceBySecurity(m.engineering)
+    const classification = securityTier(m.engineering, taxonomy)
     return classification.tier === 1 || classification.tier === 2
   })
   
@@ -872,25 +1374,25 @@ function generateLearningInsights(engineering, discovered, matchResults, dataSou
       count: tier1Assets.length,
       label: 'Critical Network Assets',
       requirement: 'MUST secure',
-      matched: matchResults.matched.filter(m => classifyDeviceBySecurity(m.engineering).tier === 1).length,
+      matched: matchResults.matched.filter(m => securityTier(m.engineering, taxonomy).tier === 1).length,
       managed: networkableMatched.filter(m => 
-        classifyDeviceBySecurity(m.engineering).tier === 1 && isTruthy(m.discovered?.is_managed)
+        securityTier(m.engineering, taxonomy).tier === 1 && isTruthy(m.discovered?.is_managed)
       ).length
     },
     tier2: {
       count: tier2Assets.length,
       label: 'Smart/Networkable Devices',
       requirement: 'SHOULD secure',
-      matched: matchResults.matched.filter(m => classifyDeviceBySecurity(m.engineering).tier === 2).length,
+      matched: matchResults.matched.filter(m => securityTier(m.engineering, taxonomy).tier === 2).length,
       managed: networkableMatched.filter(m => 
-        classifyDeviceBySecurity(m.engineering).tier === 2 && isTruthy(m.discovered?.is_managed)
+        securityTier(m.engineering, taxonomy).tier === 2 && isTruthy(m.discovered?.is_managed)
       ).length
     },
     tier3: {
       count: tier3Assets.length,
       label: 'Passive/Analog Devices',
       requirement: 'Inventory only',
-      matched: matchResults.matched.filter(m => classifyDeviceBySecurity(m.engineering).tier === 3).length
+      matched: matchResults.matched.filter(m => securityTier(m.engineering, taxonomy).tier === 3).length
     },
     securityPosture: {
       networkableTotal: networkableAssets.length,
@@ -910,7 +1412,7 @@ function generateLearningInsights(engineering, discovered, matchResults, dataSou
   const unitBlindSpots = {}
   engineering.forEach(asset => {
     const unit = asset.unit || 'Unknown'
-    const classification = classifyDeviceBySecurity(asset)
+    const classification = securityTier(asset, taxonomy)
     const isNetworkable = classification.tier === 1 || classification.tier === 2
     
     if (!unitBlindSpots[unit]) {
@@ -1025,7 +1527,7 @@ function generateLearningInsights(engineering, discovered, matchResults, dataSou
     const unit = match.engineering.unit || 'Unknown'
     const type = match.engineering.device_type || 'Unknown'
     const key = `${unit}:${type}`
-    const classification = classifyDeviceBySecurity(match.engineering)
+    const classification = securityTier(match.engineering, taxonomy)
     
     if (deviceLocationGaps[key] && classification.tier === 2 && isTruthy(match.discovered?.is_managed)) {
       deviceLocationGaps[key].managed++
@@ -1094,37 +1596,122 @@ function generateLearningInsights(engineering, discovered, matchResults, dataSou
   
   insights.recommendations = recommendations
   
-  // 7. Learning: Detected Column Names (for future auto-mapping)
-  const detectedColumns = {
-    engineering: Object.keys(dataSources.engineering?.[0]?.content ? 
-      Papa.parse(dataSources.engineering[0].content, { header: true, preview: 1 }).data[0] || {} : {}
-    ),
-    discovery: Object.keys(dataSources.otDiscovery?.[0]?.content ? 
-      Papa.parse(dataSources.otDiscovery[0].content, { header: true, preview: 1 }).data[0] || {} : {}
-    )
+  // 7. Learning: Detected Column Names across every uploaded file (starting point for new mapping profiles)
+  const columnsOf = (sourceType) => [...new Set(ingestedFiles.filter(f => f.sourceType === sourceType).flatMap(f => f.headers))]
+  insights.detectedColumns = {
+    engineering: columnsOf('engineering'),
+    discovery: columnsOf('otDiscovery')
   }
   
-  insights.detectedColumns = detectedColumns
-  
   return insights
 }
 
+// Serverless responses are capped (4.5 MB on Vercel). Past RESPONSE_BUDGET the per-asset lists keep
+// their first page and the rest is stored for GET /api/upload-session?resultId=... (lib/upload-sessions.js)
+const RESPONSE_BUDGET = 4 * 1024 * 1024
+const RESULT_PAGE_SIZE = 500
+const PAGED_RESULT_FIELDS = [
+  'assets',
+  'classificationVerification.verified',
+  'classificationVerification.unverified',
+  'classificationVerification.verifiedPassive',
+  'classificationVerification.orphanAnalysis'
+]
+
+async function pageLargeResponse(response) {
+  const size = Buffer.byteLength(JSON.stringify(response))
+  if (size <= RESPONSE_BUDGET) return response
+  const lists = {}
+  PAGED_RESULT_FIELDS.forEach(field => {
+    const path = field.split('.')
+    const key = path.pop()
+    const parent = path.reduce((value, name) => value?.[name], response)
+    if (Array.isArray(parent?.[key]) && parent[key].length > RESULT_PAGE_SIZE) {
+      lists[field] = parent[key]
+      parent[key] = parent[key].slice(0, RESULT_PAGE_SIZE)
+    }
+  })
+  response.resultPages = await storeResultPages(lists, RESULT_PAGE_SIZE)
+  console.log(`[FLEXIBLE API] ${(size / 1024 / 1024).toFixed(1)} MB response: ${Object.keys(lists).join(', ')} paged under result ${response.resultPages.resultId}`)
+  return response
+}
+
 // MAIN API HANDLER
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'POST only' })
   }
 
+  // Large uploads arrive beforehand as gzipped parts of an upload session (api/upload-session.js)
+  let { dataSources } = req.body
+  if (req.body.uploadSession) {
+    try {
+      dataSources = await readUploadSession(req.body.uploadSession)
+    } catch (error) {
+      console.error('[FLEXIBLE API] Upload session:', error.message)
+      return res.status(error.status || 500).json({ error: error.message })
+    }
+  }
+
   try {
-    const { dataSources, thresholdMonths = 18 } = req.body
+    // validation: { strict, maxErrorRate } - strict mode fails the run when a file's error rows exceed maxErrorRate %
+    // deviceTaxonomy: JSON extension document(s) adding site device types / aliases to lib/device-taxonomy.js
+    // equipmentTemplates: JSON template document(s) resizing / adding units in lib/equipment-templates.js
+    const { thresholdMonths = 18, survivorship, mappingProfiles, deviceTaxonomy: taxonomyExtensions, equipmentTemplates: templateDocuments, validation: validationOptions } = req.body
+    
+    // Excel workbooks (base64) become one CSV entry per sheet before anything else runs
+    ;['engineering', 'otDiscovery', 'security', 'other'].forEach(type => {
+      if (dataSources[type]?.length > 0) dataSources[type] = expandWorkbookSources(dataSources[type])
+    })
+    
+    // Packet captures (base64) become discovery rows; the pairs they observed are returned as-is
+    const captures = expandCaptureSources(dataSources.otDiscovery)
+    if (dataSources.otDiscovery) dataSources.otDiscovery = captures.files
     
     console.log('[FLEXIBLE API] Received request with data sources:', {
       engineering: dataSources.engineering?.length || 0,
       otDiscovery: dataSources.otDiscovery?.length || 0,
       security: dataSources.security?.length || 0,
-      other: dataSources.other?.length || 0
+      other: dataSources.other?.length || 0,
+      matchRules: dataSources.matchRules?.length || 0
     })
     
+    // Engineer-maintained match rules (pinned / forbidden pairs, tag rewrites)
+    const { rules: matchRules, errors: matchRuleErrors } = parseMatchRules(dataSources.matchRules)
+    if (matchRuleErrors.length > 0) {
+      console.warn('[MATCH RULES] Ignored invalid entries:', matchRuleErrors)
+    }
+    
+    // Per-field survivorship (which source's value wins in the canonical asset)
+    const { rules: survivorshipRules, errors: survivorshipErrors } = resolveSurvivorshipRules(survivorship)
+    if (survivorshipErrors.length > 0) {
+      console.warn('[SURVIVORSHIP] Ignored invalid rules:', survivorshipErrors)
+    }
+    
+    // Column-mapping profiles (built-in + client-specific) for non-standard exports
+    const { profiles, errors: profileErrors } = resolveMappingProfiles(mappingProfiles)
+    if (profileErrors.length > 0) {
+      console.warn('[COLUMN MAPPING] Ignored invalid profiles:', profileErrors)
+    }
+    const ingest = { profiles, files: [], validation: new Map() }
+    
+    // Controlled device-type vocabulary (built-in + site extensions) every classification below uses
+    const { taxonomy: deviceTaxonomy, errors: taxonomyErrors } = resolveDeviceTaxonomy(taxonomyExtensions)
+    if (taxonomyErrors.length > 0) {
+      console.warn('[DEVICE TAXONOMY] Ignored invalid entries:', taxonomyErrors)
+    }
+    
+    // Expected equipment per unit type (built-in refinery templates + site template documents)
+    const { templates: equipmentTemplates, errors: templateErrors, invalid: invalidTemplates } = resolveEquipmentTemplates(templateDocuments, deviceTaxonomy)
+    if (invalidTemplates.length > 0) {
+      console.warn('[EQUIPMENT TEMPLATES] Invalid documents:', templateErrors)
+      return res.status(400).json({ error: `Invalid equipment template document: ${invalidTemplates.join(', ')}`, errors: templateErrors })
+    }
+    if (templateErrors.length > 0) {
+      console.warn('[EQUIPMENT TEMPLATES] Ignored invalid entries:', templateErrors)
+    }
+    console.log(`[EQUIPMENT TEMPLATES] Grading plant completeness against ${equipmentTemplates.revision}`)
+    
     // AUTO-DETECT and MERGE data sources
     let allEngineering = []
     let allOtDiscovery = []
@@ -1133,25 +1720,23 @@ export default async function handler(req, res) {
     let allNetwork = []
     let allIncidents = []
     let allOther = []
-    
-    const metadata = {
-      dataSources: {}
+    const communications = {
+      captures: captures.communications.captures,
+      logs: [],
+      // Each pair keeps the namespace of its capture / log: IPs only identify a host within one plant
+      pairs: captures.communications.pairs.map(pair => ({ ...pair, namespace: normalizeNamespace(pair.namespace) }))
     }
     
-    const dataSourceLabels = {
-      engineering: 'Engineering Baseline',
-      otDiscovery: 'OT Discovery',
-      vulnerability: 'Security & Vulnerability',
-      maintenance: 'Maintenance & Reliability',
-      network: 'Network Segmentation',
-      incident: 'Incidents & Tickets',
-      other: 'Other'
+    const metadata = {
+      dataSources: {},
+      // Detected type of each "other" file, its ranked alternatives and any user override
+      classifications: []
     }
     
     const bumpMetadata = (type, files, rows) => {
       if (!metadata.dataSources[type]) {
         metadata.dataSources[type] = {
-          label: dataSourceLabels[type] || type,
+          label: SOURCE_TYPE_LABELS[type] || type,
           files: 0,
           rows: 0
         }
@@ -1162,22 +1747,21 @@ export default async function handler(req, res) {
     
     // Process engineering files
     if (dataSources.engineering?.length > 0) {
-      allEngineering = mergeDataSources(dataSources.engineering, 'engineering')
+      allEngineering = mergeDataSources(dataSources.engineering, 'engineering', ingest)
       bumpMetadata('engineering', dataSources.engineering.length, allEngineering.length)
     }
     
     // Process OT discovery files
     if (dataSources.otDiscovery?.length > 0) {
-      allOtDiscovery = mergeDataSources(dataSources.otDiscovery, 'otDiscovery')
+      allOtDiscovery = mergeDataSources(dataSources.otDiscovery, 'otDiscovery', ingest)
       bumpMetadata('otDiscovery', dataSources.otDiscovery.length, allOtDiscovery.length)
     }
     
     // Process security files (treated as vulnerability findings)
     if (dataSources.security?.length > 0) {
       let vulnerabilityRowCount = 0
-      dataSources.security.forEach(({ filename, content }) => {
-        const parsed = parseCsv(content)
-        const normalized = normalizeDataset(parsed, `vulnerability:${filename}`)
+      dataSources.security.forEach((file) => {
+        const normalized = ingestFile(file, 'vulnerability', ingest)
         allVulnerability.push(...normalized)
         vulnerabilityRowCount += normalized.length
       })
@@ -1187,12 +1771,42 @@ export default async function handler(req, res) {
     
     // Process other files - auto-detect their type and route accordingly
     if (dataSources.other?.length > 0) {
-      dataSources.other.forEach(({ filename, content }) => {
-        const detectedType = detectDataSourceType(content, filename)
-        console.log(`[AUTO-DETECT] ${filename} → ${detectedType}`)
+      dataSources.other.forEach((file) => {
+        const { filename, content, sourceType: override } = file
+        // A native discovery-tool export (possibly JSON) is recognized by its adapter signature
+        const format = detectDiscoveryFormat(content)
+        // ...and a Zeek conn / ICS protocol log by its #path header or fields
+        const zeekLog = format ? null : detectZeekLog(content, filename)
+        const ranked = format
+          ? [{ type: 'otDiscovery', confidence: format.confidence, reasons: [`${format.adapter.name} format`] }]
+          : zeekLog
+            ? [{ type: FLOW_SOURCE_TYPE, confidence: zeekLog.confidence, reasons: [`${zeekLog.name} format`] }]
+            : detectDataSourceType(content, filename)
+        if (override && !SOURCE_TYPES.includes(override)) {
+          console.warn(`[AUTO-DETECT] ${filename}: ignoring unknown source type ${override}`)
+        }
+        const overridden = SOURCE_TYPES.includes(override)
+        const detectedType = overridden ? override : ranked[0].type
+        console.log(`[AUTO-DETECT] ${filename} → ${detectedType}${overridden ? ' (set by user)' : ''}`)
+        metadata.classifications.push({
+          filename,
+          type: detectedType,
+          overridden,
+          confidence: ranked.find(r => r.type === detectedType)?.confidence || 0,
+          ranked
+        })
+        
+        if (detectedType === FLOW_SOURCE_TYPE) {
+          const log = ingestFlowLog(file, ingest, zeekLog)
+          if (log) {
+            communications.logs.push({ filename, log: log.format.path, records: log.records, pairs: log.pairs.length })
+            communications.pairs.push(...log.pairs.map(pair => ({ ...pair, source: filename, namespace: normalizeNamespace(file.namespace) })))
+          }
+          bumpMetadata(FLOW_SOURCE_TYPE, 1, log?.records || 0)
+          return
+        }
         
-        const parsed = parseCsv(content)
-        const normalized = normalizeDataset(parsed, `${detectedType}:${filename}`)
+        const normalized = ingestFile(file, detectedType, ingest, format)
         
         switch (detectedType) {
           case 'engineering':
@@ -1203,7 +1817,6 @@ export default async function handler(req, res) {
             allOtDiscovery.push(...normalized)
             bumpMetadata('otDiscovery', 1, normalized.length)
             break
-          case 'security':
           case 'vulnerability':
             allVulnerability.push(...normalized)
             bumpMetadata('vulnerability', 1, normalized.length)
@@ -1238,50 +1851,123 @@ export default async function handler(req, res) {
       other: allOther.length
     })
     
+    // Row-level validation report; in strict mode too many bad rows stop the run here
+    const validation = summarizeValidation([...ingest.validation.values()], validationOptions)
+    console.log(`[VALIDATION] ${validation.totals.rows} rows, ${validation.totals.errorRows} with errors (${validation.totals.errorRate}%)`)
+    if (validation.failed) {
+      const failedFiles = validation.files.filter(file => file.failed)
+      console.warn(`[VALIDATION] Strict mode: ${failedFiles.map(f => `${f.filename} ${f.errorRate}%`).join(', ')} above ${validation.maxErrorRate}%`)
+      return res.status(422).json({
+        error: `Validation failed: ${failedFiles.map(f => `${f.filename} has ${f.errorRate}% rows with errors`).join(', ')} (limit ${validation.maxErrorRate}%)`,
+        validation
+      })
+    }
+    
+    // device_type values the taxonomy does not know - the list a site extension should cover
+    const unmappedTypes = unmappedDeviceTypes([...allEngineering, ...allOtDiscovery], deviceTaxonomy)
+    if (unmappedTypes.length > 0) {
+      console.log(`[DEVICE TAXONOMY] ${unmappedTypes.length} unmapped device types: ${unmappedTypes.slice(0, 10).map(t => `${t.value} (${t.count})`).join(', ')}`)
+    }
+    
+    // Manufacturer spellings the vendor catalog folded together, and names it does not know
+    const inventoryRecords = [...allEngineering, ...allOtDiscovery, ...allOther]
+    const vendorAliases = vendorAliasSummary(inventoryRecords)
+    const unknownVendors = unresolvedVendors(inventoryRecords)
+    console.log(`[VENDORS] ${vendorAliases.length} manufacturer spellings normalized, ${unknownVendors.length} not in the vendor catalog`)
+    
+    // Duplicate-IP collisions inside a plant are a finding of their own
+    const ipCollisions = [
+      ...detectIpCollisions(allEngineering, 'engineering'),
+      ...detectIpCollisions(allOtDiscovery, 'otDiscovery')
+    ]
+    
     // Perform flexible matching
-    const matchResults = performFlexibleMatching(allEngineering, allOtDiscovery)
+    const matchResults = performFlexibleMatching(allEngineering, allOtDiscovery, { matchRules })
+    
+    // MAC vendor enrichment runs after matching so inferred manufacturers never
+    // count as independent match evidence
+    const inferredManufacturers = inferManufacturersFromMac(matchResults.orphans) + inferManufacturersFromMac(matchResults.blindSpots)
+    const transientDevices = detectTransientDevices(allOtDiscovery, new Set(matchResults.matched.map(m => m.discovered)))
+    const macVendorMismatches = []
+    console.log(`[OUI] ${inferredManufacturers} manufacturers inferred from MAC, ${transientDevices.length} randomized MACs`)
     
     // Build canonical assets WITH CROSS-VALIDATION
-    const canonicalAssets = matchResults.matched.map(({ engineering, discovered, matchType, matchConfidence }) => {
-      // Cross-validation: Check how many fields agree between sources
-      const validationChecks = {
-        tag_id: Boolean(engineering.tag_id && discovered.tag_id && engineering.tag_id === discovered.tag_id),
-        ip_address: Boolean(engineering.ip_address && discovered.ip_address && engineering.ip_address === discovered.ip_address),
-        hostname: Boolean(engineering.hostname && discovered.hostname && engineering.hostname.toLowerCase() === discovered.hostname.toLowerCase()),
-        mac_address: Boolean(engineering.mac_address && discovered.mac_address && engineering.mac_address === discovered.mac_address),
-        device_type: Boolean(engineering.device_type && discovered.device_type && engineering.device_type.toLowerCase() === discovered.device_type.toLowerCase()),
-        manufacturer: Boolean(engineering.manufacturer && discovered.manufacturer && engineering.manufacturer.toLowerCase() === discovered.manufacturer.toLowerCase())
+    // Redundant A/B groups, so siblings are reported as siblings rather than duplicates
+    const redundantGroups = detectRedundantGroups(allEngineering)
+    const redundantGroupByTag = new Map()
+    redundantGroups.forEach(group => group.members.forEach(m => redundantGroupByTag.set(`${group.namespace}|${m.tag_id}`, group)))
+    
+    const contradictions = []
+    const severityRank = { high: 0, medium: 1, low: 2 }
+    
+    const canonicalAssets = matchResults.matched.map((match) => {
+      const { engineering, discovered, matchType, matchConfidence, matchScore, evidenceScore, evidence, interfaces, redundantPartner } = match
+      // Cross-validation: which attributes agree between sources (null = not comparable)
+      const validationChecks = Object.fromEntries(
+        Object.entries(evidence).map(([field, { agree }]) => [field, agree === true])
+      )
+      
+      // Field values chosen by the survivorship rules, with provenance and losing values
+      const { values: survived, provenance } = applySurvivorship({ engineering, otDiscovery: discovered }, survivorshipRules)
+      
+      // Recorded manufacturer vs the vendor registered for the NIC's OUI
+      const macAddress = survived.mac_address
+      const macVendor = resolveMacVendor(macAddress)
+      const recordedManufacturer = survived.manufacturer
+      const macVendorAgree = macVendorAgrees(recordedManufacturer, macVendor)
+      validationChecks.mac_vendor = macVendorAgree === true
+      if (macVendorAgree === false) {
+        macVendorMismatches.push({
+          tag_id: engineering.tag_id || discovered.tag_id,
+          mac_address: macAddress,
+          manufacturer: recordedManufacturer,
+          mac_vendor: macVendor.vendor,
+          oui: macVendor.oui,
+          reason: `Recorded as ${recordedManufacturer} but the MAC is registered to ${macVendor.organization}`
+        })
       }
       
+      contradictions.push(...findContradictions(match, macVendor))
+      
       const agreementCount = Object.values(validationChecks).filter(Boolean).length
-      const validationScore = Math.round((agreementCount / 6) * 100) // 0-100%
       
-      // Determine validation level
+      // Determine validation level from the combined match evidence
       let validationLevel = 'low'
-      if (agreementCount >= 3 || (matchType === 'exact_tag_id' && agreementCount >= 2)) {
+      if (matchType === 'manual_override' || (matchConfidence >= 90 && agreementCount >= 2)) {
         validationLevel = 'high'
-      } else if (agreementCount >= 1 || matchType === 'ip_match' || matchType === 'hostname_match') {
+      } else if (matchConfidence >= 50) {
         validationLevel = 'medium'
       }
       
       return {
-        tag_id: engineering.tag_id || discovered.tag_id || 'UNKNOWN',
-        ip_address: discovered.ip_address || engineering.ip_address || '',
-        hostname: discovered.hostname || engineering.hostname || '',
-        mac_address: discovered.mac_address || engineering.mac_address || '',
-        plant: engineering.plant || discovered.plant || 'Unknown',
-        unit: engineering.unit || discovered.unit || 'Unknown',
-        device_type: engineering.device_type || discovered.device_type || 'Unknown',
-        manufacturer: engineering.manufacturer || discovered.manufacturer || 'Unknown',
-        model: engineering.model || discovered.model || 'Unknown',
+        tag_id: survived.tag_id || 'UNKNOWN',
+        ip_address: survived.ip_address,
+        hostname: survived.hostname,
+        mac_address: macAddress,
+        mac_vendor: macVendor?.vendor || '',
+        plant: survived.plant || 'Unknown',
+        network_namespace: engineering._namespace || discovered._namespace || '',
+        unit: survived.unit || 'Unknown',
+        device_type: survived.device_type || 'Unknown',
+        manufacturer: survived.manufacturer || 'Unknown',
+        model: survived.model || 'Unknown',
         match_type: matchType,
         match_confidence: matchConfidence,
-        last_seen: discovered.last_seen || '',
+        // Every network identity observed for this asset (primary first)
+        interfaces,
+        redundancy: buildRedundancyInfo(engineering, redundantGroupByTag.get(`${engineering._namespace || ''}|${engineering.tag_id}`), redundantPartner),
+        last_seen: survived.last_seen,
+        // Where each value came from and which conflicting values lost
+        provenance,
         validation: {
           level: validationLevel,
-          score: validationScore,
+          score: evidenceScore,
+          matchScore,
           agreementCount: agreementCount,
-          checks: validationChecks
+          checks: validationChecks,
+          evidence,
+          macVendor: macVendor ? { ...macVendor, agree: macVendorAgree } : null,
+          randomizedMac: classifyMac(macAddress).randomized
         },
         _sources: {
           engineering: engineering._source,
@@ -1290,27 +1976,49 @@ export default async function handler(req, res) {
       }
     })
     
-    // Build lookup tables for matched assets (by tag, IP, hostname)
-    const canonicalLookup = new Map()
+    // Build lookup tables for matched assets (by tag, IP, hostname).
+    // A key can belong to several plants, so each key keeps every index and
+    // resolution picks the first one whose namespace is compatible
     const matchedLookup = new Map()
     
-    const registerLookupKey = (prefix, value, index) => {
-      if (!value && value !== 0) return
+    const normalizeLookupValue = (prefix, value) => {
       let normalized = String(value)
       if (prefix === 'TAG') normalized = normalized.toUpperCase()
       if (prefix === 'HOST') normalized = normalized.toLowerCase()
-      const key = `${prefix}:${normalized}`
-      if (!matchedLookup.has(key)) matchedLookup.set(key, index)
-      if (!canonicalLookup.has(key)) canonicalLookup.set(key, canonicalAssets[index])
+      return `${prefix}:${normalized}`
     }
     
-    matchResults.matched.forEach(({ engineering, discovered }, idx) => {
+    const registerLookupKey = (prefix, value, index) => {
+      if (!value && value !== 0) return
+      const key = normalizeLookupValue(prefix, value)
+      const indices = matchedLookup.get(key)
+      if (!indices) matchedLookup.set(key, [index])
+      else if (!indices.includes(index)) indices.push(index)
+    }
+    
+    // An asset is scoped by whichever of its engineering / discovered rows declared or derived a namespace
+    const assetScope = (idx) => {
+      const { engineering, discovered } = matchResults.matched[idx]
+      const eng = namespaceScope(engineering)
+      const disc = namespaceScope(discovered)
+      return { declared: eng.declared || disc.declared, plant: eng.plant || disc.plant }
+    }
+    
+    const resolveLookupKey = (prefix, value, scope) => {
+      if (!value && value !== 0) return null
+      const indices = matchedLookup.get(normalizeLookupValue(prefix, value))
+      if (!indices) return null
+      const index = indices.find(i => scopesCompatible(assetScope(i), scope))
+      return index === undefined ? null : index
+    }
+    
+    matchResults.matched.forEach(({ engineering, discovered, interfaces }, idx) => {
       const asset = canonicalAssets[idx]
       if (!asset) return
       asset.enrichments = asset.enrichments || {}
       
       registerLookupKey('TAG', engineering.tag_id, idx)
-      registerLookupKey('IP', engineering.ip_address, idx)
+      ;(engineering.ip_addresses || []).forEach(ip => registerLookupKey('IP', ip, idx))
       registerLookupKey('HOST', engineering.hostname, idx)
       
       if (discovered) {
@@ -1318,37 +2026,29 @@ export default async function handler(req, res) {
         registerLookupKey('IP', discovered.ip_address, idx)
         registerLookupKey('HOST', discovered.hostname, idx)
       }
+      
+      // Findings raised against a secondary NIC belong to the same asset
+      ;(interfaces || []).forEach(nic => {
+        registerLookupKey('IP', nic.ip_address, idx)
+        registerLookupKey('HOST', nic.hostname, idx)
+      })
     })
     
     const findMatchIndexForEngineering = (record) => {
       if (!record) return null
-      if (record.tag_id && matchedLookup.has(`TAG:${String(record.tag_id).toUpperCase()}`)) {
-        return matchedLookup.get(`TAG:${String(record.tag_id).toUpperCase()}`)
-      }
-      if (record.ip_address && matchedLookup.has(`IP:${String(record.ip_address)}`)) {
-        return matchedLookup.get(`IP:${String(record.ip_address)}`)
-      }
-      if (record.hostname && matchedLookup.has(`HOST:${String(record.hostname).toLowerCase()}`)) {
-        return matchedLookup.get(`HOST:${String(record.hostname).toLowerCase()}`)
-      }
-      return null
+      const scope = namespaceScope(record)
+      return resolveLookupKey('TAG', record.tag_id, scope) ??
+        resolveLookupKey('IP', record.ip_address, scope) ??
+        resolveLookupKey('HOST', record.hostname, scope)
     }
     
     const findCanonicalAsset = (record) => {
       if (!record) return null
-      const tagKey = record.tag_id || record.asset_tag || record.tag
-      if (tagKey && canonicalLookup.has(`TAG:${String(tagKey).toUpperCase()}`)) {
-        return canonicalLookup.get(`TAG:${String(tagKey).toUpperCase()}`)
-      }
-      const ipKey = record.ip_address || record.ip
-      if (ipKey && canonicalLookup.has(`IP:${String(ipKey)}`)) {
-        return canonicalLookup.get(`IP:${String(ipKey)}`)
-      }
-      const hostKey = record.hostname || record.device_name
-      if (hostKey && canonicalLookup.has(`HOST:${String(hostKey).toLowerCase()}`)) {
-        return canonicalLookup.get(`HOST:${String(hostKey).toLowerCase()}`)
-      }
-      return null
+      const scope = namespaceScope(record)
+      const index = resolveLookupKey('TAG', record.tag_id || record.asset_tag || record.tag, scope) ??
+        resolveLookupKey('IP', record.ip_address || record.ip, scope) ??
+        resolveLookupKey('HOST', record.hostname || record.device_name, scope)
+      return index === null ? null : canonicalAssets[index]
     }
     
     // Categorize matches by validation level for audit
@@ -1373,7 +2073,7 @@ export default async function handler(req, res) {
     
     // Analyze each engineering asset
     allEngineering.forEach(asset => {
-      const classification = classifyDeviceBySecurity(asset)
+      const classification = securityTier(asset, deviceTaxonomy)
       const isNetworkable = classification.tier === 1 || classification.tier === 2
       const hasIPinBaseline = Boolean(asset.ip_address)
       
@@ -1451,20 +2151,21 @@ export default async function handler(req, res) {
     
     // Analyze orphans - what are these devices OT found but not in baseline?
     matchResults.orphans.forEach(orphan => {
-      const deviceType = String(orphan.device_type || '').toLowerCase()
+      const taxonomyType = lookupDeviceType(orphan.device_type, deviceTaxonomy)
       const hasIP = Boolean(orphan.ip_address)
+      const transient = classifyMac(orphan.mac_address).randomized
       
       // Try to classify what this orphan likely is
-      const tier1Keywords = ['plc', 'dcs', 'hmi', 'scada', 'rtu', 'controller', 'server', 'workstation']
-      const tier2Keywords = ['smart', 'ip', 'ethernet', 'camera', 'analyzer', 'vfd', 'drive']
-      
       let likelyType = 'UNKNOWN'
       let severity = 'MEDIUM'
       
-      if (tier1Keywords.some(kw => deviceType.includes(kw))) {
-        likelyType = 'Critical Network Asset (PLC/DCS/HMI)'
+      if (taxonomyType?.tier === 1) {
+        likelyType = `Critical Network Asset (${taxonomyType.type})`
         severity = 'HIGH'
-      } else if (tier2Keywords.some(kw => deviceType.includes(kw)) || hasIP) {
+      } else if (transient) {
+        likelyType = 'Transient Device (randomized MAC)'
+        severity = 'MEDIUM'
+      } else if (taxonomyType?.tier === 2 || taxonomyType?.networkable || hasIP) {
         likelyType = 'Smart/Networkable Device'
         severity = 'MEDIUM'
       } else {
@@ -1478,6 +2179,8 @@ export default async function handler(req, res) {
         mac_address: orphan.mac_address,
         device_type: orphan.device_type,
         manufacturer: orphan.manufacturer,
+        manufacturer_source: orphan.manufacturer_source || (orphan.manufacturer ? 'discovery' : ''),
+        transient,
         likelyType,
         severity,
         status: 'ORPHAN',
@@ -1541,6 +2244,8 @@ export default async function handler(req, res) {
         overdueWorkOrders: 0,
         linkedRecords: 0,
         unlinkedRecords: 0,
+        // Due dates that could not be read; listed per row in the validation report
+        unparseableDueDates: 0,
         averageDaysOverdue: 0,
         sampleOverdue: []
       }
@@ -1552,7 +2257,8 @@ export default async function handler(req, res) {
         const status = pickField(row, ['status', 'work_order_status', 'state', 'wo_status']).toLowerCase()
         const isClosed = ['closed', 'complete', 'completed', 'done', 'resolved', 'cancel'].some(term => status.includes(term))
         const dueRaw = pickField(row, ['due_date', 'target_date', 'required_by', 'planned_date'])
-        const dueDate = dueRaw ? dayjs(dueRaw) : null
+        const dueDate = dueRaw && isParseableDate(dueRaw) ? dayjs(dueRaw) : null
+        if (dueRaw && !dueDate && !isPlaceholder(dueRaw)) maintenanceSummary.unparseableDueDates++
         const isOverdue = !isClosed && dueDate && dueDate.isValid() && dueDate.isBefore(today, 'day')
         const daysOverdue = isOverdue ? today.diff(dueDate, 'day') : 0
         if (!isClosed) maintenanceSummary.openWorkOrders++
@@ -1681,8 +2387,8 @@ export default async function handler(req, res) {
       const issueSamples = []
       
       allNetwork.forEach(row => {
-        const expectedZone = pickField(row, ['expected_zone', 'expected_segment', 'target_zone', 'intended_zone'])
-        const actualZone = pickField(row, ['actual_zone', 'zone', 'segment', 'current_zone'])
+        const expectedZone = pickField(row, EXPECTED_ZONE_FIELDS)
+        const actualZone = pickField(row, ACTUAL_ZONE_FIELDS)
         const policyStatusRaw = pickField(row, ['policy_status', 'enforcement', 'firewall_policy', 'policy']).toLowerCase()
         const lastAuditRaw = pickField(row, ['last_audit', 'audit_date', 'reviewed_at'])
         const lastAudit = lastAuditRaw ? dayjs(lastAuditRaw) : null
@@ -1726,6 +2432,73 @@ export default async function handler(req, res) {
       assuranceInsights.segmentation = segmentationSummary
     }
     
+    // Observed communication graph (packet captures + Zeek logs) across canonical assets,
+    // blind spots and orphans, held against the segmentation records' zones
+    // IP -> rows claiming it; inNamespace picks the one in a capture's namespace
+    const rowsByIp = (rows) => {
+      const byIp = new Map()
+      rows.forEach(row => {
+        ;[row.ip_address, ...(row.ip_addresses || [])].filter(Boolean).forEach(ip => {
+          if (!byIp.has(ip)) byIp.set(ip, [])
+          if (!byIp.get(ip).includes(row)) byIp.get(ip).push(row)
+        })
+      })
+      return byIp
+    }
+    const inNamespace = (byIp, ip, namespace) => (byIp.get(ip) || []).find(row => rowInNamespace(row, namespace)) || null
+    const blindSpotsByIp = rowsByIp(matchResults.blindSpots)
+    const orphansByIp = rowsByIp(matchResults.orphans)
+    const blindSpotsByTag = new Map(matchResults.blindSpots.filter(row => row.tag_id).map(row => [String(row.tag_id).toUpperCase(), row]))
+    
+    const zoneByIp = new Map()
+    allNetwork.forEach(row => {
+      const zone = { expected_zone: pickField(row, EXPECTED_ZONE_FIELDS), actual_zone: pickField(row, ACTUAL_ZONE_FIELDS) }
+      if (!zone.expected_zone && !zone.actual_zone) return
+      const asset = findCanonicalAsset(row)
+      const blindSpot = row.tag_id ? blindSpotsByTag.get(String(row.tag_id).toUpperCase()) : null
+      ;[
+        row.ip_address,
+        asset?.ip_address,
+        ...(asset?.interfaces || []).map(nic => nic.ip_address),
+        blindSpot?.ip_address,
+        ...(blindSpot?.ip_addresses || [])
+      ].filter(Boolean).forEach(ip => {
+        if (!zoneByIp.has(ip)) zoneByIp.set(ip, [])
+        zoneByIp.get(ip).push({ _namespace: row._namespace, _declaredNamespace: row._declaredNamespace, _plantNamespace: row._plantNamespace, zone })
+      })
+    })
+    
+    const communicationGraph = buildCommunicationGraph(communications.pairs, {
+      resolveIp: (ip, namespace) => {
+        // A capture's namespace names the plant it was taken in: it matches a declared or plant-derived one
+        const asset = findCanonicalAsset({ ip_address: ip, _declaredNamespace: namespace, _plantNamespace: namespace })
+        if (asset) return { ...asset, kind: 'asset' }
+        const blindSpot = inNamespace(blindSpotsByIp, ip, namespace)
+        if (blindSpot) return { ...blindSpot, kind: 'blind_spot' }
+        const orphan = inNamespace(orphansByIp, ip, namespace)
+        if (orphan) return { ...orphan, kind: 'orphan' }
+        return null
+      },
+      zoneOf: (ip, namespace) => inNamespace(zoneByIp, ip, namespace)?.zone || null,
+      taxonomy: deviceTaxonomy
+    })
+    // Mark the orphans with process access so they stand out in the orphan list
+    communicationGraph.orphansTalkingToControllers.forEach(({ ip, namespace, controllers, protocols, writes }) => {
+      const orphan = inNamespace(orphansByIp, ip, namespace)
+      if (orphan) orphan.talks_to_controllers = { controllers, protocols, writes }
+    })
+    if (communicationGraph.summary.edges > 0) {
+      console.log(`[COMMUNICATIONS] ${communicationGraph.summary.nodes} hosts, ${communicationGraph.summary.edges} flows (${communicationGraph.summary.icsEdges} ICS), ${communicationGraph.summary.orphansTalkingToControllers} orphans talking to controllers`)
+    }
+    if (assuranceInsights.segmentation && communicationGraph.summary.edges > 0) {
+      assuranceInsights.segmentation.observedFlows = {
+        flows: communicationGraph.summary.edges,
+        byZoneStatus: communicationGraph.summary.byZoneStatus,
+        findings: communicationGraph.summary.zoneFindings,
+        sampleFindings: communicationGraph.zoneFindings.slice(0, 5)
+      }
+    }
+    
     // Incidents & Tickets
     if (allIncidents.length > 0) {
       const incidentsSummary = {
@@ -1783,10 +2556,23 @@ export default async function handler(req, res) {
     const kpis = {
       total_assets: allEngineering.length,
       discovered_assets: allOtDiscovery.length,
+      communication_pairs: communicationGraph.summary.edges,
+      orphans_talking_to_controllers: communicationGraph.summary.orphansTalkingToControllers,
       matched_assets: matchResults.matchedCount,
       blind_spots: matchResults.blindSpotCount,
       orphan_assets: matchResults.orphanCount,
       discovery_coverage_percentage: matchResults.coveragePercentage,
+      candidate_matches: matchResults.candidateMatches.length,
+      multi_interface_assets: canonicalAssets.filter(a => a.interfaces.length > 1).length,
+      additional_interfaces: matchResults.interfaceCount,
+      redundant_groups: redundantGroups.length,
+      manual_overrides: matchResults.rules.pinned,
+      field_contradictions: contradictions.length,
+      assets_with_value_conflicts: canonicalAssets.filter(a => Object.values(a.provenance).some(p => p.losing.length > 0)).length,
+      duplicate_ip_collisions: ipCollisions.length,
+      transient_devices: transientDevices.length,
+      mac_vendor_mismatches: macVendorMismatches.length,
+      manufacturers_inferred_from_mac: inferredManufacturers,
       blind_spot_percentage: 100 - matchResults.coveragePercentage,
       // Add verification metrics to KPIs
       verification_rate: verificationSummary.verificationRate,
@@ -1799,7 +2585,9 @@ export default async function handler(req, res) {
       allEngineering, 
       allOtDiscovery, 
       matchResults,
-      dataSources
+      dataSources,
+      ingest.files,
+      deviceTaxonomy
     )
     
     // Calculate distributions for Plant Intelligence (WHERE are the assets?)
@@ -1815,7 +2603,7 @@ export default async function handler(req, res) {
     allEngineering.forEach(asset => {
       const unit = asset.unit || 'Unknown'
       const mfr = asset.manufacturer || 'Unknown'
-      const classification = classifyDeviceBySecurity(asset)
+      const classification = securityTier(asset, deviceTaxonomy)
       const isNetworkable = classification.tier === 1 || classification.tier === 2
       
       // Process Unit Security
@@ -1909,44 +2697,147 @@ export default async function handler(req, res) {
       plantCompleteness[unitName] = analyzeProcessUnitCompleteness(
         unitName,
         assetsByUnit[unitName],
-        matchesByUnit[unitName] || []
+        matchesByUnit[unitName] || [],
+        deviceTaxonomy,
+        equipmentTemplates
       )
     })
     
+    // Which template each unit name was graded against, and how it was recognized
+    const unitResolution = Object.entries(plantCompleteness)
+      .map(([unit, completeness]) => ({
+        unit,
+        template: completeness.templateName,
+        displayName: completeness.displayName,
+        matchedBy: completeness.unitResolution.matchedBy,
+        alias: completeness.unitResolution.alias,
+        completenessScore: completeness.completenessScore,
+        templateSources: completeness.templateSources || [],
+        assets: assetsByUnit[unit].length
+      }))
+      .sort((a, b) => b.assets - a.assets)
+    const unresolvedUnits = unitResolution.filter(entry => entry.template === 'Unknown')
+    if (unresolvedUnits.length > 0) {
+      console.log(`[UNITS] No template for ${unresolvedUnits.length} units: ${unresolvedUnits.slice(0, 10).map(u => `${u.unit} (${u.assets})`).join(', ')}`)
+    }
+    
     // Calculate match strategy breakdown (for "How the Canon Works" section)
     const matchStrategyBreakdown = {
       tag_id: 0,
+      isa_tag: 0,
       ip_address: 0,
       hostname: 0,
       mac_address: 0,
-      fuzzy: 0,
-      intelligent_pairing: 0
+      attribute: 0,
+      manual_override: 0,
+      redundant_pair: 0
     }
     
     matchResults.matched.forEach(m => {
-      if (m.matchType === 'exact_tag_id') matchStrategyBreakdown.tag_id++
+      if (m.matchType === 'manual_override') matchStrategyBreakdown.manual_override++
+      else if (m.matchType === 'redundant_pair') matchStrategyBreakdown.redundant_pair++
+      else if (m.matchType === 'exact_tag_id') matchStrategyBreakdown.tag_id++
+      else if (m.matchType === 'isa_tag_match') matchStrategyBreakdown.isa_tag++
       else if (m.matchType === 'ip_match') matchStrategyBreakdown.ip_address++
       else if (m.matchType === 'hostname_match') matchStrategyBreakdown.hostname++
       else if (m.matchType === 'mac_match') matchStrategyBreakdown.mac_address++
-      else if (m.matchType.includes('fuzzy')) matchStrategyBreakdown.fuzzy++
-      else matchStrategyBreakdown.intelligent_pairing++
+      else matchStrategyBreakdown.attribute++
     })
     
     console.log('[FLEXIBLE API] Returning results:', kpis)
     
-    return res.status(200).json({
+    const response = {
       status: 'success',
       assets: canonicalAssets,
       kpis,
       metadata,
       matchResults: {
-        strategies: ['tag_id', 'ip', 'hostname', 'mac', 'fuzzy', 'intelligent'],
+        strategies: ['tag_id', 'isa_tag', 'ip', 'hostname', 'mac'],
         totalMatches: matchResults.matchedCount,
         matchTypes: matchResults.matched.reduce((acc, m) => {
           acc[m.matchType] = (acc[m.matchType] || 0) + 1
           return acc
         }, {}),
-        strategyBreakdown: matchStrategyBreakdown  // For "How the Canon Works" UI section
+        strategyBreakdown: matchStrategyBreakdown,  // For "How the Canon Works" UI section
+        scoring: {
+          method: 'fellegi_sunter',
+          threshold: matchResults.threshold,
+          candidatePairs: matchResults.candidatePairCount,
+          reviewThreshold: matchResults.reviewThreshold,
+          weights: MATCH_WEIGHTS
+        }
+      },
+      // Ranked pairs below the match threshold - reviewed by engineers, never counted as coverage
+      candidateMatches: matchResults.candidateMatches.slice(0, 250),
+      // Field-level disagreements between engineering and discovery, worst first
+      // (summary counts cover all of them, items only the worst MAX_CONTRADICTION_ITEMS)
+      contradictions: {
+        ...summarizeContradictions(contradictions),
+        truncated: contradictions.length > MAX_CONTRADICTION_ITEMS,
+        items: contradictions
+          .sort((a, b) => severityRank[a.severity] - severityRank[b.severity])
+          .slice(0, MAX_CONTRADICTION_ITEMS)
+      },
+      // Rejected rows, coerced values, duplicate keys, unparseable dates / IPs and unknown columns per file
+      validation,
+      // Device-type vocabulary used (built-in revision + extensions), raw values it could not place
+      // and an extension template listing them
+      deviceTaxonomy: {
+        version: deviceTaxonomy.version,
+        revision: deviceTaxonomy.revision,
+        sources: deviceTaxonomy.sources,
+        types: deviceTaxonomy.types.length,
+        errors: taxonomyErrors,
+        unmapped: unmappedTypes.slice(0, 500),
+        template: taxonomyTemplate(unmappedTypes, deviceTaxonomy)
+      },
+      // Template set plantCompleteness was graded against (built-in revision + site documents)
+      equipmentTemplates: {
+        version: equipmentTemplates.version,
+        revision: equipmentTemplates.revision,
+        sources: equipmentTemplates.sources,
+        units: Object.keys(equipmentTemplates.units).filter(unitType => unitType !== 'Unknown').length,
+        errors: templateErrors
+      },
+      // Vendor catalog revision, the manufacturer spellings it rewrote and the ones it does not know
+      vendorCatalog: {
+        revision: VENDOR_CATALOG_REVISION,
+        aliases: vendorAliases.slice(0, 500),
+        unresolved: unknownVendors.slice(0, 500)
+      },
+      // Mapping profile applied to each file, ranked suggestions and the profiles available
+      columnMapping: {
+        profiles: profiles.map(({ id, name, sourceType }) => ({ id, name, sourceType })),
+        errors: profileErrors,
+        files: ingest.files
+      },
+      // Survivorship rules used to build canonical assets (defaults + request overrides)
+      survivorship: {
+        rules: survivorshipRules,
+        errors: survivorshipErrors
+      },
+      // Normalized rules document (download, edit, re-upload) and how each rule fared
+      matchRules: {
+        document: matchRules,
+        errors: matchRuleErrors,
+        tagRewrites: matchResults.rules.tagRewrites,
+        pinned: matchResults.rules.pinned,
+        forbidden: matchResults.rules.forbidden,
+        results: matchResults.rules.results.slice(0, 500)
+      },
+      // Client -> server conversations from packet captures and Zeek logs, and the graph they form
+      communications: {
+        ...communications,
+        pairs: communications.pairs.slice(0, 2000),
+        graph: communicationGraph
+      },
+      ipCollisions: ipCollisions.slice(0, 250),  // Distinct devices sharing one IP inside one plant/namespace
+      redundantGroups: redundantGroups.slice(0, 250),  // A/B sibling tags (P-101A / P-101B) in the baseline
+      macAnalysis: {
+        ouiTableSize: Object.keys(OUI_VENDORS).length,
+        inferredManufacturers,
+        vendorMismatches: macVendorMismatches.slice(0, 250),
+        transientDevices: transientDevices.slice(0, 250)
       },
       validationSummary,  // Cross-validation summary for audit
       classificationVerification,  // NEW: Cross-verification of networkable vs passive classification
@@ -1956,10 +2847,17 @@ export default async function handler(req, res) {
       learningInsights,
       assuranceInsights,
       distributions,  // Plant Intelligence distributions
-      plantCompleteness  // Operational Intelligence - plant completeness by unit
-    })
+      plantCompleteness,  // Operational Intelligence - plant completeness by unit
+      unitResolution      // Unit name -> equipment template it was graded against
+    }
+    return res.status(200).json(await pageLargeResponse(response))
     
   } catch (error) {
+    // Errors with a status (an unreadable workbook or capture) are the client's input, not a server fault
+    if (error.status) {
+      console.warn('[FLEXIBLE API] Rejected request:', error.message)
+      return res.status(error.status).json({ error: error.message })
+    }
     console.error('[FLEXIBLE API] Error:', error)
     return res.status(500).json({ 
       error: 'Internal server error',
@@ -1,26 +1,19 @@
 import dayjs from 'dayjs'
 import { createHash } from 'crypto'
+import { readCsv } from '../lib/csv-reader.js'
+import { resolveDeviceTaxonomy, withControlLevels } from '../lib/device-taxonomy.js'
+import { resolveEquipmentTemplates, gradePlantCompleteness } from '../lib/equipment-templates.js'
 
 const monthsAgo = (m) => dayjs().subtract(m, 'month')
 
-const parseCsv = (csv) => {
-  const lines = csv.trim().split('\n')
-  const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, ''))
-  return lines.slice(1).map(line => {
-    const values = line.split(',').map(v => v.trim().replace(/"/g, ''))
-    const obj = {}
-    headers.forEach((header, i) => {
-      obj[header] = values[i] || ''
-    })
-    return obj
-  })
-}
+// Delimiter, quoting, encoding, header line and locale are sniffed (lib/csv-reader.js)
+const parseCsv = (csv) => readCsv(csv).rows
 
 // Pharmaceutical Industry-Specific Canonizer with FDA 21 CFR Part 11, GAMP 5 Compliance
-export default async function handler(req, res) => {
+export default async function handler(req, res) {
   try {
     if (req.method !== 'POST') return res.status(405).json({ error: 'POST only' })
-    const body = JSON.parse(req.body || '{}')
+    const body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {})
     const threshold = Number(body.thresholdMonths ?? 18)
 
     // Parse input data
@@ -111,19 +104,26 @@ export default async function handler(req, res) => {
       }
     }
 
-    // Pharmaceutical Control System Hierarchy with FDA compliance
-    const pharmaControlHierarchy = {
-      'Batch Controller': { level: 'Control_Level', fda21cfr11: true, gamp5: 'Category 4', dataIntegrity: true },
-      'SCADA': { level: 'Supervisory_Level', fda21cfr11: true, gamp5: 'Category 3', dataIntegrity: true },
-      'HMI': { level: 'Supervisory_Level', fda21cfr11: true, gamp5: 'Category 3', dataIntegrity: true },
-      'PLC': { level: 'Field_Level', fda21cfr11: true, gamp5: 'Category 4', dataIntegrity: true },
-      'Safety PLC': { level: 'Safety_Level', fda21cfr11: true, gamp5: 'Category 3', dataIntegrity: true },
-      'Environmental Monitor': { level: 'Field_Level', fda21cfr11: true, gamp5: 'Category 4', environmentalControl: true },
-      'LIMS': { level: 'Supervisory_Level', fda21cfr11: true, gamp5: 'Category 4', dataIntegrity: true },
-      'MES': { level: 'Supervisory_Level', fda21cfr11: true, gamp5: 'Category 3', dataIntegrity: true },
-      'Serialization System': { level: 'Control_Level', fda21cfr11: true, gamp5: 'Category 4', serialization: true },
-      'Temperature Controller': { level: 'Field_Level', fda21cfr11: true, gamp5: 'Category 4', temperatureControl: true }
-    }
+    // Pharmaceutical Control System Hierarchy with FDA compliance; control levels come from the shared device taxonomy
+    const { taxonomy: deviceTaxonomy } = resolveDeviceTaxonomy(body.deviceTaxonomy)
+    const pharmaControlHierarchy = withControlLevels({
+      'Batch Controller': { fda21cfr11: true, gamp5: 'Category 4', dataIntegrity: true },
+      'SCADA': { fda21cfr11: true, gamp5: 'Category 3', dataIntegrity: true },
+      'HMI': { fda21cfr11: true, gamp5: 'Category 3', dataIntegrity: true },
+      'PLC': { fda21cfr11: true, gamp5: 'Category 4', dataIntegrity: true },
+      'Safety PLC': { fda21cfr11: true, gamp5: 'Category 3', dataIntegrity: true },
+      'Environmental Monitor': { fda21cfr11: true, gamp5: 'Category 4', environmentalControl: true },
+      'LIMS': { fda21cfr11: true, gamp5: 'Category 4', dataIntegrity: true },
+      'MES': { fda21cfr11: true, gamp5: 'Category 3', dataIntegrity: true },
+      'Serialization System': { fda21cfr11: true, gamp5: 'Category 4', serialization: true },
+      'Temperature Controller': { fda21cfr11: true, gamp5: 'Category 4', temperatureControl: true }
+    }, deviceTaxonomy)
+
+    // The engineering list graded against equipment templates (lib/equipment-templates.js) when the
+    // request brings template documents - typically learned from reference plants with npm run learn:templates
+    const { templates: equipmentTemplates, errors: templateErrors, invalid: invalidTemplates } = resolveEquipmentTemplates(body.equipmentTemplates, deviceTaxonomy)
+    if (invalidTemplates.length > 0) return res.status(400).json({ error: `Invalid equipment template document: ${invalidTemplates.join(', ')}`, errors: templateErrors })
+    const plantCompleteness = body.equipmentTemplates ? gradePlantCompleteness(eng, equipmentTemplates, deviceTaxonomy) : null
 
     // Generate pharmaceutical-specific canonical assets
     const canonicalAssets = generatePharmaAssets(eng, cmms, net, hist, pharmaProcessUnits, pharmaControlHierarchy, threshold)
@@ -244,6 +244,8 @@ export default async function handler(req, res) => {
       crownJewels,
       processUnits: pharmaProcessUnits,
       controlHierarchy: pharmaControlHierarchy,
+      plantCompleteness,
+      equipmentTemplates: { revision: equipmentTemplates.revision, sources: equipmentTemplates.sources, errors: templateErrors },
       standards: ['FDA 21 CFR Part 11', 'GAMP 5', 'ISO 27001', 'ICH Q9'],
       governance: ['GMP', 'FDA Validation', 'EU Annex 11'],
       evidenceHash,
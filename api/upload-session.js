@@ -0,0 +1,31 @@
+import { createUploadSession, storeUploadPart, uploadSessionStatus, readResultPage } from '../lib/upload-sessions.js'
+
+// ============================================================================
+// CHUNKED UPLOAD SESSIONS (lib/upload-sessions.js)
+//   POST { files: [{ slot, filename, parts, encoding, namespace, ... }] } -> { sessionId, files: [{ fileId, parts }] }
+//   PUT  { sessionId, fileId, index, data, sha256 }                     -> { received, parts, complete }
+//   GET  ?sessionId=...                                                  -> { files: [{ received, parts }], complete }
+// Then POST /api/analyze-oil-gas-flexible { uploadSession: sessionId, thresholdMonths, ... }
+// An analysis response too large for one request lists its stored pages under resultPages:
+//   GET  ?resultId=...&field=assets&page=1                               -> { field, page, pages, items }
+// ============================================================================
+export default async function handler(req, res) {
+  try {
+    if (req.method === 'POST') {
+      return res.status(201).json(await createUploadSession(req.body?.files))
+    }
+    if (req.method === 'PUT') {
+      const { sessionId, ...part } = req.body || {}
+      return res.status(200).json(await storeUploadPart(sessionId, part))
+    }
+    if (req.method === 'GET') {
+      const { sessionId, resultId, field, page } = req.query || {}
+      if (resultId) return res.status(200).json(await readResultPage(resultId, field, page))
+      return res.status(200).json(await uploadSessionStatus(sessionId))
+    }
+    return res.status(405).json({ error: 'POST, PUT or GET only' })
+  } catch (error) {
+    if (!error.status) console.error('[UPLOAD] Error:', error)
+    return res.status(error.status || 500).json({ error: error.message })
+  }
+}
@@ -0,0 +1,192 @@
+// ============================================================================
+// COLUMN-MAPPING PROFILES
+// Named header mappings for client exports that do not use the canonical
+// column names (ASSETNUM instead of tag_id, "Planning plant" instead of plant).
+// A profile is chosen per uploaded file or suggested from header similarity.
+// Native discovery-tool exports (Claroty, Nozomi, ...) are read by their format
+// adapter in lib/discovery-adapters.js, not by a profile.
+//
+// {
+//   "id": "maximo",
+//   "name": "IBM Maximo asset export",
+//   "sourceType": "engineering",          // engineering | otDiscovery | any
+//   "mapping": { "ASSETNUM": "tag_id", "SITEID": "plant", "LOCATION": "unit" }
+// }
+// ============================================================================
+
+// Canonical fields a client header may be mapped onto
+export const MAPPABLE_FIELDS = [
+  'tag_id', 'hostname', 'ip_address', 'secondary_ip', 'mac_address', 'plant', 'unit',
+  'device_type', 'manufacturer', 'model', 'last_seen', 'is_managed', 'vulnerabilities', 'cve_count'
+]
+
+const SOURCE_TYPES = ['engineering', 'otDiscovery', 'any']
+
+// Share of a profile's headers a file must carry before the profile is suggested / applied unasked
+export const SUGGEST_THRESHOLD = 0.6
+export const AUTO_APPLY_THRESHOLD = 0.8
+
+export const BUILTIN_PROFILES = [
+  {
+    id: 'maximo',
+    name: 'IBM Maximo asset export',
+    sourceType: 'engineering',
+    mapping: { ASSETNUM: 'tag_id', SITEID: 'plant', LOCATION: 'unit', ASSETTYPE: 'device_type', MANUFACTURER: 'manufacturer' }
+  },
+  {
+    id: 'sap-pm',
+    name: 'SAP PM equipment list (IE05)',
+    sourceType: 'engineering',
+    mapping: {
+      'Equipment': 'tag_id',
+      'Planning plant': 'plant',
+      'Functional Location': 'unit',
+      'Object type': 'device_type',
+      'Manufacturer': 'manufacturer',
+      'Model number': 'model'
+    }
+  },
+  {
+    id: 'spi-instrument-index',
+    name: 'SmartPlant Instrumentation index',
+    sourceType: 'engineering',
+    mapping: {
+      'Tag Number': 'tag_id',
+      'Plant Name': 'plant',
+      'Unit Name': 'unit',
+      'Instrument Type': 'device_type',
+      'Manufacturer Name': 'manufacturer',
+      'Model Name': 'model'
+    }
+  }
+]
+
+// Same header key normalizeDataset uses: lower-case, spaces and dashes as underscores
+export const normalizeHeader = (header) => String(header || '').trim().toLowerCase().replace(/\s+|-/g, '_')
+
+function normalizeProfile(profile, index, errors) {
+  const id = String(profile?.id || profile?.name || '').trim()
+  if (!id) {
+    errors.push(`profiles[${index}]: needs an id or name`)
+    return null
+  }
+  const mapping = {}
+  Object.entries(profile.mapping || {}).forEach(([header, field]) => {
+    // Headers left blank (as in profileTemplate output) are simply not mapped
+    if (!field) return
+    if (!MAPPABLE_FIELDS.includes(field)) {
+      errors.push(`${id}: ${header} maps to unknown field ${field} (use ${MAPPABLE_FIELDS.join(', ')})`)
+      return
+    }
+    mapping[header] = field
+  })
+  if (Object.keys(mapping).length === 0) {
+    errors.push(`${id}: mapping is empty`)
+    return null
+  }
+  return {
+    id,
+    name: String(profile.name || id).trim(),
+    sourceType: SOURCE_TYPES.includes(profile.sourceType) ? profile.sourceType : 'any',
+    mapping
+  }
+}
+
+// Custom profiles (a list, a { profiles: [...] } document, a single profile, or JSON text of
+// any of those) on top of the built-ins; a custom profile with a built-in id replaces it
+export function resolveMappingProfiles(custom) {
+  const errors = []
+  let input = custom
+  if (typeof input === 'string') {
+    try {
+      input = JSON.parse(input)
+    } catch (error) {
+      return { profiles: BUILTIN_PROFILES, errors: [`mapping profiles: not valid JSON (${error.message})`] }
+    }
+  }
+  const list = Array.isArray(input) ? input : input?.profiles || (input?.mapping ? [input] : [])
+  const customProfiles = list.map((p, i) => normalizeProfile(p, i, errors)).filter(Boolean)
+  const customIds = new Set(customProfiles.map(p => p.id))
+  return {
+    profiles: [...customProfiles, ...BUILTIN_PROFILES.filter(p => !customIds.has(p.id))],
+    errors
+  }
+}
+
+// Profiles ranked by the share of their headers present in the file (best first)
+export function suggestProfiles(headers, profiles = BUILTIN_PROFILES, sourceType = null) {
+  const present = new Set(headers.map(normalizeHeader))
+  return profiles
+    .filter(p => !sourceType || p.sourceType === 'any' || p.sourceType === sourceType)
+    .map(profile => {
+      const keys = Object.keys(profile.mapping)
+      const matchedHeaders = keys.filter(h => present.has(normalizeHeader(h)))
+      return {
+        id: profile.id,
+        name: profile.name,
+        score: Math.round((matchedHeaders.length / keys.length) * 100) / 100,
+        matchedHeaders
+      }
+    })
+    .filter(s => s.matchedHeaders.length >= 2 && s.score >= SUGGEST_THRESHOLD)
+    .sort((a, b) => b.score - a.score)
+}
+
+// Mapping to apply to one file: the profile it names, or (when it names none) the best
+// suggestion above AUTO_APPLY_THRESHOLD, with an ad-hoc columnMapping layered on top.
+// mappingProfile 'none' keeps the built-in header aliases only
+export function resolveFileMapping(headers, { mappingProfile, columnMapping } = {}, profiles = BUILTIN_PROFILES, sourceType = null) {
+  const suggestions = suggestProfiles(headers, profiles, sourceType)
+  let profile = null
+  let auto = false
+  let error = null
+
+  if (mappingProfile && mappingProfile !== 'none') {
+    profile = profiles.find(p => p.id === mappingProfile) || null
+    if (!profile) error = `unknown mapping profile ${mappingProfile}`
+  } else if (!mappingProfile && suggestions[0]?.score >= AUTO_APPLY_THRESHOLD) {
+    profile = profiles.find(p => p.id === suggestions[0].id)
+    auto = true
+  }
+
+  const mapping = {}
+  Object.entries({ ...(profile?.mapping || {}), ...(columnMapping || {}) }).forEach(([header, field]) => {
+    if (MAPPABLE_FIELDS.includes(field)) mapping[normalizeHeader(header)] = field
+  })
+
+  return {
+    mapping: Object.keys(mapping).length > 0 ? mapping : null,
+    profile: profile ? { id: profile.id, name: profile.name } : null,
+    auto,
+    suggestions,
+    error
+  }
+}
+
+// Rename mapped headers onto their canonical field (row keys already normalized).
+// Mapped headers are consumed so they no longer feed the built-in alias fallbacks;
+// when two headers map to one field the first non-empty value wins
+export function applyColumnMapping(row, mapping) {
+  const out = { ...row }
+  const assigned = new Set()
+  Object.entries(mapping).forEach(([header, field]) => {
+    if (!(header in row)) return
+    if (header !== field) delete out[header]
+    const value = row[header]
+    if (assigned.has(field) && out[field] !== '' && out[field] !== undefined) return
+    out[field] = value
+    assigned.add(field)
+  })
+  return out
+}
+
+// Starting point for a new profile: every header of the file, pre-filled where it is already canonical
+export function profileTemplate(headers, name, sourceType = 'any') {
+  const mapping = {}
+  headers.forEach(header => {
+    const key = normalizeHeader(header)
+    mapping[header] = MAPPABLE_FIELDS.includes(key) ? key : ''
+  })
+  const id = String(name || 'custom').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')
+  return { id, name, sourceType, mapping }
+}
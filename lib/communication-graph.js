@@ -0,0 +1,205 @@
+// ============================================================================
+// COMMUNICATION GRAPH
+// Who talks to whom, across canonical assets. Communication pairs observed in
+// packet captures and Zeek logs are merged into one edge per client, server,
+// protocol and port; each IP is resolved to the asset it belongs to (matched,
+// blind spot, orphan or unknown) and to its segmentation zones, so observed
+// flows can be held against the documented expected / actual zones.
+// Sites reuse private address space, so every IP is scoped by the network
+// namespace of the capture / log it was seen in.
+//
+//   buildCommunicationGraph(pairs, { resolveIp, zoneOf, taxonomy }) -> { nodes, edges, ... }
+// ============================================================================
+import { ICS_PORTS } from './ics-ports.js'
+import { DEFAULT_DEVICE_TAXONOMY, lookupDeviceType, isControllerType } from './device-taxonomy.js'
+
+const ICS_PROTOCOLS = new Set(ICS_PORTS.map(entry => entry.protocol))
+const ICS_PORT_NUMBERS = new Set(ICS_PORTS.map(entry => entry.port))
+
+export const isIcsFlow = (edge) => ICS_PROTOCOLS.has(edge.protocol) || ICS_PORT_NUMBERS.has(Number(edge.port))
+
+// Edges, nodes and zone findings returned in API responses
+const MAX_EDGES = 5000
+const MAX_NODES = 5000
+const MAX_ZONE_FINDINGS = 2000
+
+const countBy = (items, key) => items.reduce((acc, item) => {
+  acc[key(item)] = (acc[key(item)] || 0) + 1
+  return acc
+}, {})
+
+const sameZone = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase()
+
+// pairs: [{ client, server, protocol, port, packets, bytes, messages?, functions?, writes?, first_seen, last_seen, source, namespace? }]
+// resolveIp(ip, namespace) -> { kind: 'asset' | 'blind_spot' | 'orphan', tag_id, hostname, device_type, ... } | null
+// zoneOf(ip, namespace)    -> { expected_zone, actual_zone } | null   (from the segmentation records)
+// taxonomy                 -> device taxonomy deciding which device types are controllers (PLC, RTU, SIS, ...)
+export function buildCommunicationGraph(pairs = [], { resolveIp = () => null, zoneOf = () => null, taxonomy = DEFAULT_DEVICE_TAXONOMY } = {}) {
+  const isController = (deviceType) => isControllerType(lookupDeviceType(deviceType, taxonomy))
+  // Protocols only controllers serve (S7comm, Modbus TCP, DNP3, ...) - OPC UA also runs on servers and HMIs
+  const controllerProtocols = new Set(ICS_PORTS.filter(entry => isController(entry.deviceType)).map(entry => entry.protocol))
+
+  const edges = new Map()
+  pairs.forEach(pair => {
+    const namespace = pair.namespace || ''
+    const key = `${namespace}|${pair.client}|${pair.server}|${pair.protocol}|${pair.port}`
+    if (!edges.has(key)) {
+      edges.set(key, { client: pair.client, server: pair.server, namespace, protocol: pair.protocol, port: pair.port, packets: 0, bytes: 0, messages: 0, functions: new Set(), writes: false, first_seen: '', last_seen: '', sources: new Set() })
+    }
+    const edge = edges.get(key)
+    edge.packets += pair.packets || 0
+    edge.bytes += pair.bytes || 0
+    edge.messages += pair.messages || 0
+    ;(pair.functions || []).forEach(name => edge.functions.add(name))
+    edge.writes = edge.writes || Boolean(pair.writes)
+    if (pair.first_seen && (!edge.first_seen || pair.first_seen < edge.first_seen)) edge.first_seen = pair.first_seen
+    if (pair.last_seen && pair.last_seen > edge.last_seen) edge.last_seen = pair.last_seen
+    if (pair.source) edge.sources.add(pair.source)
+  })
+
+  // One node per IP and namespace, resolved once
+  const nodes = new Map()
+  const nodeKey = (ip, namespace) => `${namespace}|${ip}`
+  const node = (ip, namespace) => {
+    const key = nodeKey(ip, namespace)
+    if (!nodes.has(key)) {
+      const asset = resolveIp(ip, namespace)
+      const zone = zoneOf(ip, namespace)
+      nodes.set(key, {
+        ip,
+        namespace,
+        kind: asset?.kind || 'unknown',
+        tag_id: asset?.tag_id || '',
+        hostname: asset?.hostname || '',
+        device_type: asset?.device_type || '',
+        manufacturer: asset?.manufacturer || '',
+        plant: asset?.plant || '',
+        unit: asset?.unit || '',
+        expected_zone: zone?.expected_zone || '',
+        actual_zone: zone?.actual_zone || '',
+        // A flow into a controller is a flow with process access
+        controller: isController(asset?.device_type),
+        serves: new Set(),
+        clientOf: new Set(),
+        peers: new Set(),
+        packets: 0
+      })
+    }
+    return nodes.get(key)
+  }
+
+  const edgeList = [...edges.values()].map(edge => {
+    const client = node(edge.client, edge.namespace)
+    const server = node(edge.server, edge.namespace)
+    const ics = isIcsFlow(edge)
+    if (ics) {
+      // A host answering a controller protocol is a controller when no record says what it is
+      if (!server.device_type && controllerProtocols.has(edge.protocol)) server.controller = true
+      server.serves.add(edge.protocol)
+      client.clientOf.add(edge.protocol)
+    }
+    client.peers.add(server.ip)
+    server.peers.add(client.ip)
+    client.packets += edge.packets
+    server.packets += edge.packets
+    return { ...edge, ics, functions: [...edge.functions], sources: [...edge.sources] }
+  })
+
+  // Observed flows against the documented zones
+  const zoneFindings = []
+  edgeList.forEach(edge => {
+    const client = nodes.get(nodeKey(edge.client, edge.namespace))
+    const server = nodes.get(nodeKey(edge.server, edge.namespace))
+    edge.client_tag = client.tag_id
+    edge.server_tag = server.tag_id
+    edge.client_zone = client.actual_zone || client.expected_zone
+    edge.server_zone = server.actual_zone || server.expected_zone
+    const misplaced = [client, server].filter(n => n.expected_zone && n.actual_zone && !sameZone(n.expected_zone, n.actual_zone))
+    const crossesExpected = client.expected_zone && server.expected_zone && !sameZone(client.expected_zone, server.expected_zone)
+    const crossesActual = client.actual_zone && server.actual_zone && !sameZone(client.actual_zone, server.actual_zone)
+    const unzoned = [client, server].filter(n => !n.expected_zone && !n.actual_zone)
+    edge.zone_status = misplaced.length > 0 ? 'misplaced_endpoint'
+      : crossesActual && !crossesExpected ? 'unexpected_cross_zone'
+        : crossesExpected ? 'cross_zone'
+          : unzoned.length > 0 ? 'unzoned'
+            : 'within_zone'
+    if (['misplaced_endpoint', 'unexpected_cross_zone', 'cross_zone'].includes(edge.zone_status)) {
+      zoneFindings.push({
+        client: edge.client,
+        server: edge.server,
+        namespace: edge.namespace,
+        client_tag: client.tag_id,
+        server_tag: server.tag_id,
+        protocol: edge.protocol,
+        port: edge.port,
+        status: edge.zone_status,
+        client_zone: { expected: client.expected_zone, actual: client.actual_zone },
+        server_zone: { expected: server.expected_zone, actual: server.actual_zone },
+        writes: edge.writes,
+        detail: edge.zone_status === 'misplaced_endpoint'
+          ? misplaced.map(n => `${n.tag_id || n.ip} is in ${n.actual_zone}, expected ${n.expected_zone}`).join('; ')
+          : edge.zone_status === 'unexpected_cross_zone'
+            ? `Designed to share zone ${client.expected_zone}, observed across ${client.actual_zone} → ${server.actual_zone}`
+            : `Crosses ${client.expected_zone} → ${server.expected_zone}; the conduit should be documented`
+      })
+    }
+  })
+
+  // Orphans (discovered, not in the baseline) talking to controllers - undocumented devices with process access
+  const controllerFlows = new Map()
+  edgeList.forEach(edge => {
+    ;[[edge.client, edge.server], [edge.server, edge.client]].forEach(([ip, peer]) => {
+      const key = nodeKey(ip, edge.namespace)
+      if (!nodes.get(nodeKey(peer, edge.namespace)).controller || !['orphan', 'unknown'].includes(nodes.get(key).kind)) return
+      if (!controllerFlows.has(key)) controllerFlows.set(key, [])
+      controllerFlows.get(key).push(edge)
+    })
+  })
+  const orphansTalkingToControllers = [...controllerFlows.entries()]
+    .map(([key, flows]) => {
+      const n = nodes.get(key)
+      const controllers = [...new Set(flows.map(edge => edge.client === n.ip ? edge.server : edge.client))]
+      return {
+        ip: n.ip,
+        namespace: n.namespace,
+        kind: n.kind,
+        hostname: n.hostname,
+        device_type: n.device_type,
+        manufacturer: n.manufacturer,
+        controllers: controllers.map(ip => nodes.get(nodeKey(ip, n.namespace)).tag_id || ip),
+        protocols: [...new Set(flows.map(edge => edge.protocol))],
+        writes: flows.some(edge => edge.writes),
+        packets: flows.reduce((sum, edge) => sum + edge.packets, 0),
+        last_seen: flows.reduce((latest, edge) => edge.last_seen > latest ? edge.last_seen : latest, '')
+      }
+    })
+    .sort((a, b) => Number(b.writes) - Number(a.writes) || b.packets - a.packets)
+
+  const nodeList = [...nodes.values()].map(n => ({
+    ...n,
+    serves: [...n.serves],
+    clientOf: [...n.clientOf],
+    peers: n.peers.size
+  }))
+
+  const summary = {
+    nodes: nodeList.length,
+    edges: edgeList.length,
+    icsEdges: edgeList.filter(edge => edge.ics).length,
+    writeEdges: edgeList.filter(edge => edge.writes).length,
+    controllers: nodeList.filter(n => n.controller).length,
+    byKind: countBy(nodeList, n => n.kind),
+    byZoneStatus: countBy(edgeList, edge => edge.zone_status),
+    zoneFindings: zoneFindings.length,
+    orphansTalkingToControllers: orphansTalkingToControllers.length
+  }
+
+  return {
+    summary,
+    nodes: nodeList.sort((a, b) => b.packets - a.packets).slice(0, MAX_NODES),
+    edges: edgeList.sort((a, b) => (b.packets + b.messages) - (a.packets + a.messages)).slice(0, MAX_EDGES),
+    // Flows carrying write / operate commands first
+    zoneFindings: zoneFindings.sort((a, b) => Number(b.writes) - Number(a.writes)).slice(0, MAX_ZONE_FINDINGS),
+    orphansTalkingToControllers
+  }
+}
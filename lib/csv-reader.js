@@ -0,0 +1,208 @@
+// ============================================================================
+// CSV READER
+// Sniffs how a delimited export was written before it is parsed: text
+// encoding (UTF-8, UTF-16, Windows-1252, BOM), delimiter (, ; tab |), quote
+// character, the line the header is on (exports often start with a title or
+// "Generated on" preamble) and locale (decimal commas, day-first dates).
+// European sites export "Tag;Pressure;Installed" with "4,5" and "31.12.2019";
+// those cells are rewritten to 4.5 and 2019-12-31 so the analyzers read them.
+//
+//   decodeText(bytes)                       -> { text, encoding, bom }
+//   sniffCsv(text)                          -> { delimiter, quoteChar, fields, skippedLines }
+//   readCsv(content, { preview, encoding }) -> { headers, rows, settings }
+// ============================================================================
+import Papa from 'papaparse'
+
+export const DELIMITERS = [',', ';', '\t', '|']
+const QUOTE_CHARS = ['"', "'"]
+
+// Lines sampled for sniffing, and how far down a header row is looked for
+const SAMPLE_LINES = 50
+const HEADER_SEARCH_LINES = 10
+
+// Share of a column's sampled values that must follow a locale pattern before the column is rewritten
+const LOCALE_SHARE = 0.8
+
+const DECIMAL_COMMA = /^-?(\d{1,3}(\.\d{3})+|\d+),\d+$/
+const DOTTED_DATE = /^(\d{1,2})\.(\d{1,2})\.(\d{4})(\s.*)?$/
+const SLASHED_DATE = /^(\d{1,2})\/(\d{1,2})\/(\d{4})(\s.*)?$/
+
+const DELIMITER_NAMES = { ',': 'comma', ';': 'semicolon', '\t': 'tab', '|': 'pipe' }
+
+// Raw bytes -> text. A BOM decides; otherwise zero bytes in every other position mean
+// UTF-16 without a BOM, and bytes that are not valid UTF-8 are read as Windows-1252
+export function decodeText(bytes) {
+  const b = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes)
+  if (b[0] === 0xEF && b[1] === 0xBB && b[2] === 0xBF) return { text: new TextDecoder('utf-8').decode(b.subarray(3)), encoding: 'utf-8', bom: true }
+  if (b[0] === 0xFF && b[1] === 0xFE) return { text: new TextDecoder('utf-16le').decode(b.subarray(2)), encoding: 'utf-16le', bom: true }
+  if (b[0] === 0xFE && b[1] === 0xFF) return { text: new TextDecoder('utf-16be').decode(b.subarray(2)), encoding: 'utf-16be', bom: true }
+
+  const sample = b.subarray(0, 4096)
+  let evenZeros = 0
+  let oddZeros = 0
+  for (let i = 0; i < sample.length; i++) {
+    if (sample[i] !== 0) continue
+    if (i % 2) oddZeros++
+    else evenZeros++
+  }
+  const pairs = sample.length / 2
+  if (oddZeros > pairs * 0.3 && evenZeros < pairs * 0.05) return { text: new TextDecoder('utf-16le').decode(b), encoding: 'utf-16le', bom: false }
+  if (evenZeros > pairs * 0.3 && oddZeros < pairs * 0.05) return { text: new TextDecoder('utf-16be').decode(b), encoding: 'utf-16be', bom: false }
+
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(b), encoding: 'utf-8', bom: false }
+  } catch {
+    return { text: new TextDecoder('windows-1252').decode(b), encoding: 'windows-1252', bom: false }
+  }
+}
+
+// Text that was already decoded (API requests): drop a BOM, and undo UTF-16 read as
+// an 8-bit encoding, which leaves a NUL after every ASCII character
+function repairText(text, encoding) {
+  let repaired = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text
+  const bom = repaired !== text
+  const warnings = []
+  const nuls = repaired.slice(0, 4096).split('\u0000').length - 1
+  if (nuls > Math.min(repaired.length, 4096) * 0.3) {
+    repaired = repaired.replaceAll('\u0000', '')
+    return { text: repaired, encoding: 'utf-16', bom, warnings: ['UTF-16 text arrived decoded as 8-bit; NUL bytes removed'] }
+  }
+  const undecodable = (repaired.match(/�/g) || []).length
+  if (undecodable > 0) {
+    warnings.push(`${undecodable} characters could not be decoded - the file is probably Windows-1252 or Latin-1, not UTF-8`)
+  }
+  return { text: repaired, encoding: encoding || 'utf-8', bom, warnings }
+}
+
+const mode = (values) => {
+  const counts = new Map()
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1))
+  return [...counts.entries()].sort((a, b) => b[1] - a[1] || b[0] - a[0])[0]?.[0] || 0
+}
+
+const sampleText = (text) => {
+  let end = 0
+  for (let line = 0; line < SAMPLE_LINES + HEADER_SEARCH_LINES && end !== -1; line++) end = text.indexOf('\n', end + 1)
+  return end === -1 ? text : text.slice(0, end)
+}
+
+// Field count that most sampled lines share, and how many of them share it
+function scoreDialect(sample, delimiter, quoteChar) {
+  const lines = Papa.parse(sample, { delimiter, quoteChar, skipEmptyLines: true }).data
+  const counts = lines.map(fields => fields.length)
+  const fields = mode(counts.filter(count => count > 1))
+  const consistency = counts.length > 0 ? counts.filter(count => count === fields).length / counts.length : 0
+  return { delimiter, quoteChar, fields, score: fields > 1 ? fields * consistency * consistency : 0 }
+}
+
+// Header = first line (of the first few) with the data's field count and mostly non-empty, non-numeric cells
+function findHeaderLine(sample, { delimiter, quoteChar, fields }) {
+  const lines = Papa.parse(sample, { delimiter, quoteChar }).data
+  const index = lines.slice(0, HEADER_SEARCH_LINES).findIndex(cells => {
+    const labels = cells.map(cell => String(cell).trim()).filter(cell => cell && !/^-?[\d.,:/\s]+$/.test(cell))
+    return cells.length === fields && labels.length >= Math.ceil(fields / 2)
+  })
+  return Math.max(index, 0)
+}
+
+export function sniffCsv(text) {
+  const sample = sampleText(text)
+  const dialects = DELIMITERS.flatMap(delimiter => QUOTE_CHARS.map(quoteChar => scoreDialect(sample, delimiter, quoteChar)))
+  // Double quotes unless single quotes parse strictly better
+  const best = dialects.reduce((top, dialect) => (dialect.score > top.score ? dialect : top), { ...dialects[0], score: -1 })
+  const dialect = best.score > 0 ? best : { delimiter: ',', quoteChar: '"', fields: 1 }
+  return {
+    delimiter: dialect.delimiter,
+    quoteChar: dialect.quoteChar,
+    fields: dialect.fields,
+    skippedLines: findHeaderLine(sample, dialect)
+  }
+}
+
+// Text from the given line on (lines before the header are preamble)
+const fromLine = (text, line) => {
+  let start = 0
+  for (let i = 0; i < line && start !== -1; i++) start = text.indexOf('\n', start) + 1 || -1
+  return start === -1 ? '' : text.slice(start)
+}
+
+const columnShare = (rows, column, pattern) => {
+  const values = rows.slice(0, SAMPLE_LINES).map(row => String(row[column] ?? '').trim()).filter(Boolean)
+  return values.length > 0 ? values.filter(value => pattern.test(value)).length / values.length : 0
+}
+
+const isoDate = (year, month, day, rest = '') => `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}${rest}`
+
+// Decimal-comma numbers and day-first dates -> 4.5 and 2019-12-31, column by column.
+// Slashed dates are day-first when a day is above 12, or when the export is otherwise European
+// (semicolon-delimited, the Excel default where the comma is the decimal separator)
+function localizeRows(rows, headers, delimiter) {
+  const rewritten = { decimalComma: [], dayFirstDates: [] }
+  const european = delimiter === ';'
+  headers.forEach(column => {
+    if (european && columnShare(rows, column, DECIMAL_COMMA) >= LOCALE_SHARE) {
+      rewritten.decimalComma.push(column)
+      rows.forEach(row => {
+        const value = String(row[column] ?? '').trim()
+        if (DECIMAL_COMMA.test(value)) row[column] = value.replace(/\./g, '').replace(',', '.')
+      })
+      return
+    }
+    if (columnShare(rows, column, DOTTED_DATE) >= LOCALE_SHARE) {
+      rewritten.dayFirstDates.push(column)
+      rows.forEach(row => {
+        const match = String(row[column] ?? '').trim().match(DOTTED_DATE)
+        if (match) row[column] = isoDate(match[3], match[2], match[1], match[4])
+      })
+      return
+    }
+    if (columnShare(rows, column, SLASHED_DATE) >= LOCALE_SHARE) {
+      const parts = rows.slice(0, SAMPLE_LINES).map(row => String(row[column] ?? '').trim().match(SLASHED_DATE)).filter(Boolean)
+      const dayFirst = parts.some(match => Number(match[1]) > 12) || (european && !parts.some(match => Number(match[2]) > 12))
+      if (!dayFirst) return
+      rewritten.dayFirstDates.push(column)
+      rows.forEach(row => {
+        const match = String(row[column] ?? '').trim().match(SLASHED_DATE)
+        if (match) row[column] = isoDate(match[3], match[2], match[1], match[4])
+      })
+    }
+  })
+  return rewritten
+}
+
+// content: text, or the file's bytes. encoding: what the uploader decoded the text with, when it did
+export function readCsv(content, { preview = 0, encoding = null } = {}) {
+  const decoded = typeof content === 'string' || content === undefined || content === null
+    ? repairText(String(content ?? ''), encoding)
+    : { ...decodeText(content), warnings: [] }
+  const dialect = sniffCsv(decoded.text)
+  const parsed = Papa.parse(fromLine(decoded.text, dialect.skippedLines), {
+    header: true,
+    skipEmptyLines: true,
+    delimiter: dialect.delimiter,
+    quoteChar: dialect.quoteChar,
+    transformHeader: (header) => header.trim(),
+    preview
+  })
+  const headers = (parsed.meta.fields || []).filter(Boolean)
+  const locale = localizeRows(parsed.data, headers, dialect.delimiter)
+  const warnings = [...decoded.warnings]
+  if (headers.length === 1 && decoded.text.length > 0) warnings.push('Only one column found - check the delimiter')
+
+  return {
+    headers,
+    rows: parsed.data,
+    settings: {
+      encoding: decoded.encoding,
+      bom: decoded.bom,
+      delimiter: DELIMITER_NAMES[dialect.delimiter],
+      quoteChar: dialect.quoteChar,
+      // 1-based line of the header row
+      headerLine: dialect.skippedLines + 1,
+      decimalSeparator: locale.decimalComma.length > 0 ? ',' : '.',
+      decimalCommaColumns: locale.decimalComma,
+      dayFirstDateColumns: locale.dayFirstDates,
+      warnings
+    }
+  }
+}
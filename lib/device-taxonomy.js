@@ -0,0 +1,344 @@
+// ============================================================================
+// DEVICE TAXONOMY
+// The one controlled vocabulary for device types, shared by every analyzer:
+// canonical type, the raw values that mean it, Purdue level, default security
+// tier and whether the device class has a network interface. Site-specific
+// types and spellings are added with a JSON extension document:
+//
+// {
+//   "version": 1,
+//   "name": "Gulf Coast additions",
+//   "revision": "3",
+//   "types": [
+//     { "type": "Tank_Gauge", "aliases": ["ATG", "radar gauge"], "purdueLevel": 0, "tier": 2, "networkable": true },
+//     { "type": "Control_Valve", "aliases": ["MOV"] }
+//   ]
+// }
+//
+// An extension type named like a built-in one adds its aliases / keywords to it
+// and overrides the fields it sets; any other type is appended.
+//
+//   resolveDeviceTaxonomy(extensions)            -> { taxonomy, errors }
+//   lookupDeviceType(raw, taxonomy)              -> type entry or null
+//   deviceControlLevel(entry)                    -> Field_Level | Control_Level | Supervisory_Level | Safety_Level | null
+//   deviceTypesByControlLevel(taxonomy)          -> { Field_Level: [types], ... }
+//   isControllerType(entry)                      -> programmable device that controls the process (PLC, RTU, SIS, IED, ...)
+//   withControlLevels(hierarchy, taxonomy)       -> { 'Batch Controller': { level, deviceType, ...attributes } }
+//   securityTier(asset, taxonomy)                -> { tier, classification, securityRequired, rationale, deviceType }
+//   unmappedDeviceTypes(records, taxonomy)       -> [{ value, count, sources, examples }]
+//   taxonomyTemplate(unmapped, taxonomy)         -> extension document with the unmapped values to assign
+// ============================================================================
+import { isPlaceholder } from './ingest-validation.js'
+
+export const DEVICE_TAXONOMY_VERSION = 1
+
+// Bumped whenever the built-in types below change
+export const BUILTIN_TAXONOMY_REVISION = '2026.10.1'
+
+// Analyzer control levels by Purdue level. The analyzers stop at supervisory, so site
+// operations systems (level 3: historians, MES, LIMS, EMS) report there too
+const PURDUE_CONTROL_LEVELS = { 0: 'Field_Level', 1: 'Control_Level', 2: 'Supervisory_Level', 3: 'Supervisory_Level' }
+export const CONTROL_LEVELS = ['Field_Level', 'Control_Level', 'Supervisory_Level', 'Safety_Level']
+
+// tier: 1 = critical network asset, 2 = smart / networkable, 3 = passive / analog (see securityTier).
+// purdueLevel null = network infrastructure that spans levels.
+// aliases are matched whole; keywords as whole words of free-text values ("Rosemount smart transmitter").
+// Keyword lookups try phrases ("pressure_switch", "motor_controller") before single words, so
+// "Pressure Switch HH" is a Process_Switch rather than a network Switch and "Motor controller" is not
+// a PLC; within each pass the first type that matches wins, so tier 1 types come first
+export const BUILTIN_DEVICE_TYPES = [
+  // Tier 1: programmable control and network infrastructure
+  { type: 'PLC', aliases: ['plc', 'programmable_logic_controller', 'controller', 'field_plc', 'plc_controller', 'pac', 'programmable_automation_controller'], keywords: ['plc', 'pac', 'controller'], purdueLevel: 1, tier: 1, networkable: true },
+  { type: 'DCS', aliases: ['dcs', 'distributed_control', 'distributed_control_system', 'dcs_controller'], keywords: ['dcs'], purdueLevel: 1, tier: 1, networkable: true },
+  { type: 'Safety_Controller', aliases: ['safety_controller', 'sis', 'esd', 'safety_plc', 'safety_system', 'sis_logic_solver'], keywords: ['sis', 'esd', 'safety_controller', 'safety_plc'], purdueLevel: 1, tier: 1, networkable: true, safety: true },
+  { type: 'Fire_Gas_System', aliases: ['fire_gas_system', 'fire_and_gas', 'f&g', 'fgs'], purdueLevel: 1, tier: 1, networkable: true, safety: true },
+  { type: 'RTU', aliases: ['rtu', 'remote_terminal_unit'], keywords: ['rtu'], purdueLevel: 1, tier: 1, networkable: true },
+  { type: 'Batch_Controller', aliases: ['batch_controller'], keywords: ['batch_controller'], purdueLevel: 1, tier: 1, networkable: true },
+  { type: 'Temperature_Controller', aliases: ['temperature_controller', 'tic'], keywords: ['temperature_controller'], purdueLevel: 1, tier: 1, networkable: true },
+  { type: 'Robot_Controller', aliases: ['robot_controller'], keywords: ['robot_controller'], purdueLevel: 1, tier: 1, networkable: true },
+  { type: 'Grid_Controller', aliases: ['grid_controller'], keywords: ['grid_controller'], purdueLevel: 1, tier: 1, networkable: true },
+  { type: 'IED', aliases: ['ied', 'intelligent_electronic_device'], purdueLevel: 1, tier: 1, networkable: true },
+  { type: 'Protection_Relay', aliases: ['protection_relay', 'relay', 'protective_relay'], purdueLevel: 1, tier: 1, networkable: true },
+  { type: 'HMI', aliases: ['hmi', 'hmi_station', 'operator_station', 'operator_panel'], keywords: ['hmi'], purdueLevel: 2, tier: 1, networkable: true },
+  { type: 'SCADA', aliases: ['scada', 'scada_server'], keywords: ['scada'], purdueLevel: 2, tier: 1, networkable: true },
+  { type: 'Engineering_Workstation', aliases: ['engineering_workstation', 'workstation', 'ews'], keywords: ['workstation'], purdueLevel: 2, tier: 1, networkable: true },
+  { type: 'Historian', aliases: ['historian', 'historian_server', 'pi_server'], keywords: ['historian'], purdueLevel: 3, tier: 1, networkable: true },
+  { type: 'Server', aliases: ['server', 'application_server'], keywords: ['server'], purdueLevel: 3, tier: 1, networkable: true },
+  { type: 'MES', aliases: ['mes', 'manufacturing_execution_system'], purdueLevel: 3, tier: 1, networkable: true },
+  { type: 'LIMS', aliases: ['lims'], purdueLevel: 3, tier: 1, networkable: true },
+  { type: 'EMS', aliases: ['ems', 'energy_management_system'], purdueLevel: 3, tier: 1, networkable: true },
+  { type: 'DMS', aliases: ['dms', 'distribution_management_system'], purdueLevel: 3, tier: 1, networkable: true },
+  { type: 'Switch', aliases: ['switch', 'ethernet_switch', 'network_switch'], keywords: ['switch'], purdueLevel: null, tier: 1, networkable: true },
+  { type: 'Router', aliases: ['router'], keywords: ['router'], purdueLevel: null, tier: 1, networkable: true },
+  { type: 'Firewall', aliases: ['firewall', 'data_diode'], keywords: ['firewall'], purdueLevel: null, tier: 1, networkable: true },
+
+  // Tier 2: smart field devices and network-attached equipment
+  { type: 'Smart_Transmitter', aliases: ['smart_transmitter', 'hart_transmitter', 'fieldbus_transmitter'], keywords: ['smart', 'hart', 'fieldbus'], purdueLevel: 0, tier: 2, networkable: true },
+  { type: 'Analyzer', aliases: ['analyzer', 'analyser', 'chromatograph', 'gas_chromatograph'], keywords: ['analyzer', 'analyser'], purdueLevel: 0, tier: 2, networkable: true },
+  { type: 'VFD', aliases: ['vfd', 'variable_frequency_drive', 'drive'], keywords: ['vfd', 'drive'], purdueLevel: 0, tier: 2, networkable: true },
+  { type: 'Motor_Controller', aliases: ['motor_controller', 'motor_starter', 'soft_starter', 'mcc', 'motor_control_center', 'intelligent_mcc'], keywords: ['motor_controller', 'motor_starter', 'soft_starter', 'motor_control_center', 'mcc'], purdueLevel: 0, tier: 2, networkable: true },
+  { type: 'Gateway', aliases: ['gateway', 'protocol_converter', 'protocol_gateway'], keywords: ['gateway'], purdueLevel: 1, tier: 2, networkable: true },
+  { type: 'IP_Camera', aliases: ['ip_camera', 'camera', 'cctv'], keywords: ['camera', 'cctv'], purdueLevel: 0, tier: 2, networkable: true },
+  { type: 'Tank_Gauging', aliases: ['tank_gauging', 'tank_gauge', 'atg'], purdueLevel: 0, tier: 2, networkable: true },
+  { type: 'Environmental_Monitor', aliases: ['environmental_monitor'], purdueLevel: 0, tier: 2, networkable: true },
+  { type: 'Arc_Flash_Monitor', aliases: ['arc_flash_monitor'], purdueLevel: 0, tier: 2, networkable: true },
+  { type: 'Vision_System', aliases: ['vision_system'], purdueLevel: 0, tier: 2, networkable: true },
+  { type: 'Serialization_System', aliases: ['serialization_system'], purdueLevel: 1, tier: 2, networkable: true },
+  { type: 'Quality_System', aliases: ['quality_system'], purdueLevel: 1, tier: 2, networkable: true },
+  { type: 'Network_Device', aliases: ['network_device', 'ethernet_device', 'ip_device'], keywords: ['ip', 'ethernet', 'profinet', 'modbus', 'dnp3', 'bacnet'], purdueLevel: null, tier: 2, networkable: true },
+
+  // Tier 3: analog instruments and mechanical equipment
+  { type: 'Pressure_Transmitter', aliases: ['pressure_transmitter', 'pressure_sensor', 'pt'], keywords: ['pressure'], purdueLevel: 0, tier: 3, networkable: false },
+  { type: 'Temperature_Transmitter', aliases: ['temperature_transmitter', 'temp_transmitter', 'tt', 'thermocouple', 'rtd'], keywords: ['temperature'], purdueLevel: 0, tier: 3, networkable: false },
+  { type: 'Level_Transmitter', aliases: ['level_transmitter', 'level_sensor', 'lt'], keywords: ['level'], purdueLevel: 0, tier: 3, networkable: false },
+  { type: 'Flow_Transmitter', aliases: ['flow_transmitter', 'flow_meter', 'ft'], keywords: ['flow'], purdueLevel: 0, tier: 3, networkable: false },
+  { type: 'Transmitter', aliases: ['transmitter', 'sensor'], keywords: ['transmitter', 'sensor', 'gauge'], purdueLevel: 0, tier: 3, networkable: false },
+  { type: 'Analog_Instrument', aliases: ['4_20ma', 'analog_instrument', 'instrument'], keywords: ['4_20', '4_20ma', 'analog', 'instrument'], purdueLevel: 0, tier: 3, networkable: false },
+  { type: 'Process_Switch', aliases: ['pressure_switch', 'level_switch', 'flow_switch', 'temperature_switch', 'limit_switch', 'float_switch'], keywords: ['pressure_switch', 'level_switch', 'flow_switch', 'temperature_switch', 'limit_switch', 'float_switch'], purdueLevel: 0, tier: 3, networkable: false },
+  { type: 'Control_Valve', aliases: ['control_valve', 'valve', 'actuator', 'analog_valve'], keywords: ['valve'], purdueLevel: 0, tier: 3, networkable: false },
+  { type: 'Pump', aliases: ['pump'], purdueLevel: 0, tier: 3, networkable: false },
+  { type: 'Motor', aliases: ['motor'], purdueLevel: 0, tier: 3, networkable: false },
+  { type: 'Compressor', aliases: ['compressor'], purdueLevel: 0, tier: 3, networkable: false }
+]
+
+// Lower-case, runs of spaces / hyphens / slashes -> underscore: "Pressure Sensor", "pressure-sensor" -> pressure_sensor
+export const normalizeDeviceValue = (value) => String(value ?? '').trim().toLowerCase().replace(/[\s\-/]+/g, '_')
+
+// Type entries plus the lookup indexes built from them. The first type to claim an alias keeps
+// it, so an extension cannot take a built-in alias over - it can only add new ones
+function buildTaxonomy(types, sources) {
+  const aliases = new Map()
+  types.forEach(entry => {
+    ;[entry.type, ...entry.aliases].forEach(alias => {
+      const key = normalizeDeviceValue(alias)
+      if (key && !aliases.has(key)) aliases.set(key, entry)
+    })
+  })
+  return {
+    version: DEVICE_TAXONOMY_VERSION,
+    revision: sources.map(source => source.revision ? `${source.name}@${source.revision}` : source.name).join('+'),
+    sources,
+    types,
+    aliases
+  }
+}
+
+export const DEFAULT_DEVICE_TAXONOMY = buildTaxonomy(BUILTIN_DEVICE_TYPES, [{ name: 'builtin', revision: BUILTIN_TAXONOMY_REVISION }])
+
+const TIERS = [1, 2, 3]
+
+const stringList = (value) => (Array.isArray(value) ? value : value ? [value] : []).map(v => String(v).trim()).filter(Boolean)
+
+// An extension type checked and coerced; null when it cannot be used
+function normalizeType(input, index, existing, errors) {
+  const type = String(input?.type || '').trim().replace(/\s+/g, '_')
+  if (!type) {
+    errors.push(`types[${index}]: needs a type`)
+    return null
+  }
+  // Types become keys of the equipment templates' expectedEquipment objects
+  if (['__proto__', 'constructor', 'prototype'].includes(type.toLowerCase())) {
+    errors.push(`types[${index}]: ${type} cannot be a type name`)
+    return null
+  }
+  const entry = { type, aliases: stringList(input.aliases), keywords: stringList(input.keywords).map(normalizeDeviceValue) }
+  if (input.purdueLevel !== undefined) {
+    const level = input.purdueLevel === null ? null : Number(input.purdueLevel)
+    if (level === null || [0, 1, 2, 3].includes(level)) entry.purdueLevel = level
+    else errors.push(`${type}: purdueLevel must be 0-3 or null`)
+  }
+  if (input.tier !== undefined) {
+    if (TIERS.includes(Number(input.tier))) entry.tier = Number(input.tier)
+    else errors.push(`${type}: tier must be 1, 2 or 3`)
+  }
+  ;['networkable', 'safety'].forEach(flag => {
+    if (input[flag] !== undefined) entry[flag] = input[flag] === true || String(input[flag]).toLowerCase() === 'true'
+  })
+  if (!existing && (entry.tier === undefined || entry.purdueLevel === undefined)) {
+    errors.push(`${type}: a new type needs purdueLevel and tier`)
+    return null
+  }
+  return entry
+}
+
+// Extension documents (one, a list, { filename, content } entries or JSON text) on top of the built-in types
+export function resolveDeviceTaxonomy(extensions) {
+  const errors = []
+  const entries = Array.isArray(extensions)
+    ? extensions.map((doc, i) => (doc && doc.content !== undefined ? doc : { filename: `deviceTaxonomy[${i}]`, content: doc }))
+    : extensions ? [{ filename: 'deviceTaxonomy', content: extensions }] : []
+  if (entries.length === 0) return { taxonomy: DEFAULT_DEVICE_TAXONOMY, errors }
+
+  const types = BUILTIN_DEVICE_TYPES.map(entry => ({ ...entry, aliases: [...entry.aliases], keywords: [...(entry.keywords || [])] }))
+  const sources = [...DEFAULT_DEVICE_TAXONOMY.sources]
+  entries.forEach(({ filename, content }) => {
+    let doc = content
+    if (typeof content === 'string') {
+      try {
+        doc = JSON.parse(content)
+      } catch (error) {
+        errors.push(`${filename}: not valid JSON (${error.message})`)
+        return
+      }
+    }
+    if (!doc || typeof doc !== 'object' || !Array.isArray(doc.types)) {
+      errors.push(`${filename}: expected a taxonomy document with a types list`)
+      return
+    }
+    if (doc.version && doc.version > DEVICE_TAXONOMY_VERSION) {
+      errors.push(`${filename}: version ${doc.version} is newer than supported version ${DEVICE_TAXONOMY_VERSION}`)
+    }
+    const localErrors = []
+    doc.types.forEach((input, i) => {
+      const existing = types.find(entry => entry.type.toLowerCase() === String(input?.type || '').trim().replace(/\s+/g, '_').toLowerCase())
+      const entry = normalizeType(input, i, existing, localErrors)
+      if (!entry) return
+      if (!existing) {
+        types.push({ networkable: entry.tier < 3, ...entry })
+        return
+      }
+      const { aliases, keywords, ...fields } = entry
+      Object.assign(existing, fields, {
+        type: existing.type,
+        aliases: [...new Set([...existing.aliases, ...aliases])],
+        keywords: [...new Set([...existing.keywords, ...keywords])]
+      })
+    })
+    errors.push(...localErrors.map(e => `${filename}: ${e}`))
+    sources.push({ name: String(doc.name || filename).trim(), revision: doc.revision ? String(doc.revision) : null })
+  })
+
+  return { taxonomy: buildTaxonomy(types, sources), errors }
+}
+
+const lookupCache = new WeakMap()
+
+// A keyword of two or more words: "pressure_switch" is a phrase, "4_20ma" a single word
+const isPhrase = (keyword) => /[a-z]_[a-z]/.test(keyword)
+
+// Exact alias first, then whole-word keywords in taxonomy order - phrases before single words
+export function lookupDeviceType(raw, taxonomy = DEFAULT_DEVICE_TAXONOMY) {
+  const value = normalizeDeviceValue(raw)
+  if (!value) return null
+  if (!lookupCache.has(taxonomy)) lookupCache.set(taxonomy, new Map())
+  const cache = lookupCache.get(taxonomy)
+  if (cache.has(value)) return cache.get(value)
+
+  let entry = taxonomy.aliases.get(value) || null
+  if (!entry) {
+    const words = `_${value}_`
+    const byKeyword = (phrases) => taxonomy.types.find(type =>
+      (type.keywords || []).some(keyword => isPhrase(keyword) === phrases && words.includes(`_${keyword}_`)))
+    entry = byKeyword(true) || byKeyword(false) || null
+  }
+  cache.set(value, entry)
+  return entry
+}
+
+export function deviceControlLevel(entry) {
+  if (!entry) return null
+  if (entry.safety) return 'Safety_Level'
+  return PURDUE_CONTROL_LEVELS[entry.purdueLevel] || null
+}
+
+export const isControllerType = (entry) => entry?.tier === 1 && ['Control_Level', 'Safety_Level'].includes(deviceControlLevel(entry))
+
+export function deviceTypesByControlLevel(taxonomy = DEFAULT_DEVICE_TAXONOMY) {
+  const levels = Object.fromEntries(CONTROL_LEVELS.map(level => [level, []]))
+  taxonomy.types.forEach(entry => {
+    const level = deviceControlLevel(entry)
+    if (level) levels[level].push(entry.type)
+  })
+  return levels
+}
+
+// Industry hierarchies (device type -> compliance attributes) with each type's control level
+// and canonical type filled in from the taxonomy
+export function withControlLevels(hierarchy, taxonomy = DEFAULT_DEVICE_TAXONOMY) {
+  return Object.fromEntries(Object.entries(hierarchy).map(([deviceType, attributes]) => {
+    const entry = lookupDeviceType(deviceType, taxonomy)
+    return [deviceType, { level: deviceControlLevel(entry) || 'Unknown', deviceType: entry?.type || null, ...attributes }]
+  }))
+}
+
+// Security tier of a record: the type's default tier, raised to 2 when the record shows a
+// network presence (IP / MAC). Types the taxonomy does not know fall back on that presence alone
+export function securityTier(asset, taxonomy = DEFAULT_DEVICE_TAXONOMY) {
+  const entry = lookupDeviceType(asset?.device_type, taxonomy)
+  const deviceType = entry?.type || null
+  const isNetworkable = Boolean(asset?.ip_address) || Boolean(asset?.mac_address)
+
+  if (entry?.tier === 1) {
+    return {
+      tier: 1,
+      classification: 'Critical Network Asset',
+      securityRequired: 'MUST',
+      rationale: 'Programmable/network infrastructure - direct attack vector',
+      deviceType
+    }
+  }
+  if (entry && (entry.tier === 2 || entry.networkable || isNetworkable)) {
+    return {
+      tier: 2,
+      classification: 'Smart/Networkable Device',
+      securityRequired: 'MUST',
+      rationale: 'Network-connected - must be secured (lateral movement risk)',
+      deviceType
+    }
+  }
+  if (entry) {
+    return {
+      tier: 3,
+      classification: 'Passive/Analog Device',
+      securityRequired: 'NONE',
+      rationale: 'Analog signal only - no attack surface',
+      deviceType
+    }
+  }
+  if (isNetworkable) {
+    return {
+      tier: 2,
+      classification: 'Networkable Device',
+      securityRequired: 'SHOULD',
+      rationale: 'Has network presence',
+      deviceType
+    }
+  }
+  return {
+    tier: 3,
+    classification: 'Non-Networkable Device',
+    securityRequired: 'NONE',
+    rationale: 'No network connectivity',
+    deviceType
+  }
+}
+
+// Raw device_type values no type claims, most frequent first; placeholders ("Unknown", "n/a") are missing, not unmapped
+export function unmappedDeviceTypes(records = [], taxonomy = DEFAULT_DEVICE_TAXONOMY, field = 'device_type') {
+  const unmapped = new Map()
+  records.forEach(record => {
+    const raw = record?.[field]
+    if (raw === undefined || raw === null || isPlaceholder(raw) || lookupDeviceType(raw, taxonomy)) return
+    const value = String(raw).trim()
+    if (!unmapped.has(value)) unmapped.set(value, { value, count: 0, sources: new Set(), examples: [] })
+    const item = unmapped.get(value)
+    item.count++
+    if (record._source) item.sources.add(record._source)
+    if (item.examples.length < 5 && record.tag_id) item.examples.push(record.tag_id)
+  })
+  return [...unmapped.values()]
+    .map(item => ({ ...item, sources: [...item.sources] }))
+    .sort((a, b) => b.count - a.count)
+}
+
+// Extension document listing the unmapped values. Fill in each type - an existing type name
+// adds the value as an alias, a new name also needs purdueLevel and tier - and upload it
+export function taxonomyTemplate(unmapped = [], taxonomy = DEFAULT_DEVICE_TAXONOMY) {
+  return {
+    version: DEVICE_TAXONOMY_VERSION,
+    name: 'Site additions',
+    revision: '1',
+    basedOn: taxonomy.revision,
+    types: unmapped.map(item => ({ type: '', aliases: [item.value], seen: item.count }))
+  }
+}
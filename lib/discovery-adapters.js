@@ -0,0 +1,439 @@
+// ============================================================================
+// OT DISCOVERY EXPORT ADAPTERS
+// Commercial discovery platforms and active scanners export their own column
+// sets, nested JSON / XML and boolean encodings. One adapter per export format
+// maps a file onto the canonical discovery columns normalizeDataset already reads:
+//   hostname, ip_address ("a; b" for several), mac_address, manufacturer, model,
+//   device_type, plant, unit (zone), firmware_version, protocol ("a; b"),
+//   risk_score (0-100), cve_ids ("CVE-...; CVE-..."), cve_count, vulnerabilities,
+//   last_seen (ISO 8601), is_managed, open_ports, services, discovery_method,
+//   source_format
+// The adapter is picked from the file's signature: its CSV headers, the keys of
+// its JSON records or its XML element names - never from the file name.
+//
+//   detectDiscoveryFormat(content)          -> { adapter, confidence } | null
+//   adaptDiscoveryExport(content[, format]) -> { format, headers, rows } | null
+// ============================================================================
+import { readCsv } from './csv-reader.js'
+import { normalizeHeader } from './column-profiles.js'
+import { inferFromPorts } from './ics-ports.js'
+
+// Share of an adapter's signature fields a file must carry to be read by that adapter
+export const FORMAT_THRESHOLD = 0.6
+
+// Records sampled for JSON key signatures
+const SAMPLE_RECORDS = 20
+
+// Columns every adapter emits, in export order
+export const DISCOVERY_COLUMNS = [
+  'hostname', 'ip_address', 'mac_address', 'manufacturer', 'model', 'device_type', 'plant', 'unit',
+  'firmware_version', 'protocol', 'risk_score', 'cve_ids', 'cve_count', 'vulnerabilities', 'last_seen',
+  'is_managed', 'open_ports', 'services', 'discovery_method', 'source_format'
+]
+
+// ============================================================================
+// VALUE HELPERS
+// ============================================================================
+const text = (value) => (value === undefined || value === null ? '' : String(value).trim())
+
+// Yes / No, Y / N, true / false, 1 / 0, on / off, enabled / disabled ... -> true / false, '' when unknown
+const TRUE_FLAGS = ['true', 'yes', 'y', '1', 'on', 'enabled', 'managed', 'active']
+const FALSE_FLAGS = ['false', 'no', 'n', '0', 'off', 'disabled', 'unmanaged', 'inactive']
+
+export function parseFlag(value) {
+  if (typeof value === 'boolean') return value
+  const flag = text(value).toLowerCase()
+  if (TRUE_FLAGS.includes(flag)) return true
+  if (FALSE_FLAGS.includes(flag)) return false
+  return ''
+}
+
+// Arrays, "a; b" / "a, b" / "a | b" / one-per-line cells, or objects carrying the value in `field`
+function asList(value, field = 'name') {
+  if (value === undefined || value === null || value === '') return []
+  if (Array.isArray(value)) return value.flatMap(item => asList(item, field))
+  if (typeof value === 'object') return asList(value[field], field)
+  return String(value).split(/[;,|\n]+/).map(v => v.trim()).filter(Boolean)
+}
+
+const joinList = (items) => [...new Set(items)].join('; ')
+
+// CVE IDs anywhere in a value (strings, arrays, nested vulnerability objects)
+function cveIds(...values) {
+  const found = values
+    .filter(v => v !== undefined && v !== null)
+    .flatMap(v => (typeof v === 'string' ? v : JSON.stringify(v)).match(/CVE-\d{4}-\d{4,}/gi) || [])
+  return [...new Set(found.map(id => id.toUpperCase()))]
+}
+
+// Risk on the vendor's scale (0-10 for Nozomi and Armis, 0-100 elsewhere) or a
+// Low / Medium / High / Critical label -> 0-100
+const RISK_LABELS = { none: 0, low: 25, medium: 50, moderate: 50, high: 75, critical: 100 }
+
+function riskScore(value, scale = 100) {
+  const raw = text(value)
+  if (!raw) return ''
+  if (raw.toLowerCase() in RISK_LABELS) return RISK_LABELS[raw.toLowerCase()]
+  const number = Number(raw)
+  if (Number.isNaN(number)) return ''
+  return Math.max(0, Math.min(100, Math.round((number / scale) * 100)))
+}
+
+// Epoch seconds / milliseconds or any date text Date understands -> ISO 8601; unparseable text is kept
+function isoDate(value) {
+  const raw = text(value)
+  if (!raw) return ''
+  const epoch = /^\d{9,13}$/.test(raw) ? Number(raw) * (raw.length <= 10 ? 1000 : 1) : null
+  const date = new Date(epoch ?? raw)
+  return Number.isNaN(date.getTime()) ? raw : date.toISOString()
+}
+
+// Row keys in normalizeHeader form so "Virtual Zone" and "virtual_zone" read the same
+const normalizeKeys = (row) => Object.fromEntries(Object.entries(row || {}).map(([k, v]) => [normalizeHeader(k), v]))
+
+// ============================================================================
+// XML - scanner output is flat and regular, so elements and attributes are read
+// with patterns (the API has no DOM). Elements of one name must not nest
+// ============================================================================
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }
+
+const decodeXml = (value) => value.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+  if (entity[0] !== '#') return XML_ENTITIES[entity] ?? match
+  return String.fromCodePoint(entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : Number(entity.slice(1)))
+})
+
+const xmlAttributes = (tag) =>
+  Object.fromEntries([...tag.matchAll(/([\w:-]+)="([^"]*)"/g)].map(([, name, value]) => [name, decodeXml(value)]))
+
+// Every <name ...>body</name> or <name .../> in xml -> [{ attrs, body }]
+const xmlElements = (xml, name) =>
+  [...String(xml || '').matchAll(new RegExp(`<${name}\\b([^>]*?)(?:/>|>([\\s\\S]*?)</${name}>)`, 'g'))]
+    .map(([, attrs, body = '']) => ({ attrs: xmlAttributes(attrs), body }))
+
+const xmlTagNames = (xml) => [...new Set([...String(xml).slice(0, 64 * 1024).matchAll(/<([A-Za-z][\w-]*)/g)].map(([, name]) => name))]
+
+// ============================================================================
+// ACTIVE SCANS (Nmap, Masscan) - one host record per address with its open ports:
+// { ip: [...], mac, vendor, hostnames: [...], ports: [{ port, proto, name, product, devicetype, banner }], os_type, timestamp }
+// ============================================================================
+
+// Nmap device classes too vague to be a device type
+const GENERIC_SCAN_TYPES = ['general purpose', 'specialized', 'unknown']
+
+function nmapHost({ attrs, body }) {
+  const addresses = xmlElements(body, 'address').map(address => address.attrs)
+  const mac = addresses.find(address => address.addrtype === 'mac')
+  const osclass = xmlElements(body, 'osclass')[0]?.attrs || {}
+  const ports = xmlElements(body, 'port')
+    .filter(port => xmlElements(port.body, 'state')[0]?.attrs.state === 'open')
+    .map(port => {
+      const service = xmlElements(port.body, 'service')[0]?.attrs || {}
+      return {
+        port: Number(port.attrs.portid),
+        proto: port.attrs.protocol,
+        name: service.name,
+        product: [service.product, service.version].filter(Boolean).join(' '),
+        devicetype: service.devicetype,
+        banner: xmlElements(port.body, 'script').find(script => script.attrs.id === 'banner')?.attrs.output
+      }
+    })
+  return {
+    up: (xmlElements(body, 'status')[0]?.attrs.state || 'up') === 'up',
+    ip: addresses.filter(address => address.addrtype === 'ipv4' || address.addrtype === 'ipv6').map(address => address.addr),
+    mac: mac?.addr,
+    vendor: mac?.vendor || osclass.vendor,
+    hostnames: xmlElements(body, 'hostname').map(hostname => hostname.attrs.name),
+    ports,
+    os_type: osclass.type,
+    timestamp: attrs.endtime || attrs.starttime
+  }
+}
+
+// Masscan -oJ writes one record per open port (and one more per banner); group them per address
+function masscanHosts(records) {
+  const hosts = new Map()
+  records.filter(record => record?.ip && Array.isArray(record.ports)).forEach(record => {
+    const host = hosts.get(record.ip) || { ip: [record.ip], hostnames: [], ports: [], timestamp: record.timestamp }
+    record.ports.filter(port => !port.status || port.status === 'open').forEach(port => {
+      const seen = host.ports.find(p => p.port === Number(port.port) && p.proto === port.proto)
+      const entry = seen || { port: Number(port.port), proto: port.proto }
+      if (port.service?.name) entry.name = port.service.name
+      if (port.service?.banner) entry.banner = port.service.banner
+      if (!seen) host.ports.push(entry)
+    })
+    host.timestamp = Math.max(Number(host.timestamp) || 0, Number(record.timestamp) || 0) || host.timestamp
+    hosts.set(record.ip, host)
+  })
+  return [...hosts.values()]
+}
+
+// Banners keep the scanner's escapes for control characters ("\x0d\x0a"); one line is enough here
+const bannerText = (banner) => String(banner || '').replace(/\\x[0-9a-f]{2}|\s+/gi, ' ').replace(/ {2,}/g, ' ').trim()
+
+// Scanned host -> canonical fields. Open ICS ports give the protocol and a likely device
+// type; every open port and banner is kept as evidence
+function scanRecord(host) {
+  const { protocols, deviceType, port, transport } = inferFromPorts(host.ports.map(p => ({ port: p.port, transport: p.proto })))
+  const icsService = host.ports.find(p => p.port === port && p.proto === transport)
+  const scanType = [...host.ports.map(p => p.devicetype), host.os_type]
+    .find(type => type && !GENERIC_SCAN_TYPES.includes(type.toLowerCase()))
+  return {
+    hostname: host.hostnames?.[0],
+    ip_address: joinList(host.ip),
+    mac_address: host.mac,
+    manufacturer: host.vendor,
+    model: icsService?.product,
+    device_type: deviceType || scanType,
+    protocol: joinList(protocols),
+    open_ports: joinList(host.ports.map(p => `${p.port}/${p.proto}`)),
+    services: joinList(host.ports
+      .filter(p => p.name || p.product || p.banner)
+      .map(p => `${p.port}/${p.proto} ${[p.name, p.product, bannerText(p.banner)].filter(Boolean).join(' ')}`)),
+    last_seen: isoDate(host.timestamp)
+  }
+}
+
+// ============================================================================
+// ADAPTERS
+// csv:  signature = header names; toRecord receives the row with normalized keys
+// json: records(doc) finds the record array; signature = keys of those records
+// xml:  records(text) parses the records; signature = element names
+// ============================================================================
+export const DISCOVERY_ADAPTERS = [
+  {
+    id: 'claroty-ctd',
+    name: 'Claroty CTD asset export',
+    vendor: 'Claroty',
+    format: 'csv',
+    signature: ['Name', 'IP', 'MAC', 'Vendor', 'Model', 'Asset Type', 'Site Name', 'Virtual Zone', 'Firmware Version', 'Protocols', 'Risk Level', 'CVEs', 'Last Seen', 'Managed'],
+    toRecord: (r) => ({
+      hostname: r.name,
+      ip_address: joinList(asList(r.ip)),
+      mac_address: asList(r.mac)[0],
+      manufacturer: r.vendor,
+      model: r.model,
+      device_type: r.asset_type,
+      plant: r.site_name,
+      unit: r.virtual_zone,
+      firmware_version: r.firmware_version,
+      protocol: joinList(asList(r.protocols)),
+      risk_score: riskScore(r.risk_level ?? r.risk_score),
+      cve_ids: cveIds(r.cves),
+      last_seen: isoDate(r.last_seen),
+      is_managed: parseFlag(r.managed)
+    })
+  },
+  {
+    id: 'nozomi-guardian',
+    name: 'Nozomi Guardian nodes (JSON)',
+    vendor: 'Nozomi Networks',
+    format: 'json',
+    // Guardian query API: { "result": [ node, ... ], "total": n }
+    records: (doc) => doc?.result ?? doc,
+    signature: ['ip', 'mac_address', 'label', 'vendor', 'product_name', 'type', 'zone', 'firmware_version', 'protocols', 'risk', 'last_activity_time'],
+    toRecord: (n) => ({
+      hostname: n.label,
+      ip_address: n.ip,
+      mac_address: n.mac_address,
+      manufacturer: n.vendor,
+      model: n.product_name,
+      device_type: n.type,
+      plant: n.site,
+      unit: n.zone,
+      firmware_version: n.firmware_version,
+      protocol: joinList(asList(n.protocols)),
+      risk_score: riskScore(n.risk, 10),
+      cve_ids: cveIds(n.cve_references, n.vulnerabilities),
+      last_seen: isoDate(n.last_activity_time),
+      is_managed: parseFlag(n.is_managed)
+    })
+  },
+  {
+    id: 'armis',
+    name: 'Armis devices (JSON)',
+    vendor: 'Armis',
+    format: 'json',
+    // Devices search API: { "data": { "results": [ device, ... ] } }
+    records: (doc) => doc?.data?.results ?? doc?.results ?? doc?.data ?? doc,
+    signature: ['name', 'ipAddress', 'macAddress', 'manufacturer', 'model', 'type', 'category', 'site', 'boundaries', 'riskLevel', 'lastSeen', 'operatingSystemVersion'],
+    toRecord: (d) => ({
+      hostname: d.name,
+      ip_address: joinList(asList(d.ipAddress)),
+      mac_address: asList(d.macAddress)[0],
+      manufacturer: d.manufacturer,
+      model: d.model,
+      device_type: d.type || d.category,
+      plant: typeof d.site === 'object' ? d.site?.name : d.site,
+      // Boundaries are comma-separated; the first one is the device's zone
+      unit: asList(d.boundaries)[0],
+      firmware_version: d.firmwareVersion || d.operatingSystemVersion,
+      protocol: joinList(asList(d.protocols)),
+      risk_score: riskScore(d.riskLevel, 10),
+      cve_ids: cveIds(d.vulnerabilities, d.cves),
+      last_seen: isoDate(d.lastSeen),
+      is_managed: parseFlag(asList(d.tags).some(tag => tag.toLowerCase() === 'managed') || '')
+    })
+  },
+  {
+    id: 'dragos',
+    name: 'Dragos Platform assets (JSON)',
+    vendor: 'Dragos',
+    format: 'json',
+    // Asset API pages: { "content": [ asset, ... ], "totalElements": n }
+    records: (doc) => doc?.content ?? doc?.assets ?? doc,
+    signature: ['id', 'displayName', 'addresses', 'vendor', 'model', 'type', 'zone', 'firmwareVersion', 'protocols', 'riskScore', 'vulnerabilities', 'lastSeen'],
+    toRecord: (a) => {
+      // addresses: [{ "type": "IP", "value": "10.1.1.5" }, { "type": "MAC", "value": "00:1d:9c:..." }]
+      const addresses = (type) => asList((a.addresses || []).filter(addr => text(addr?.type).toUpperCase() === type), 'value')
+      return {
+        hostname: asList(a.hostnames)[0] || a.displayName,
+        ip_address: joinList(addresses('IP')),
+        mac_address: addresses('MAC')[0],
+        manufacturer: a.vendor,
+        model: a.model,
+        device_type: a.type,
+        plant: a.site,
+        unit: a.zone,
+        firmware_version: a.firmwareVersion,
+        protocol: joinList(asList(a.protocols)),
+        risk_score: riskScore(a.riskScore),
+        cve_ids: cveIds(a.vulnerabilities),
+        last_seen: isoDate(a.lastSeen),
+        is_managed: parseFlag(a.managed)
+      }
+    }
+  },
+  {
+    id: 'tenable-ot',
+    name: 'Tenable OT Security inventory export',
+    vendor: 'Tenable',
+    format: 'csv',
+    signature: ['Name', 'Type', 'Category', 'Risk', 'IP Addresses', 'MAC Addresses', 'Vendor', 'Family', 'Model', 'Firmware', 'Purdue Level', 'Segment', 'Location', 'Last Seen', 'Vulnerabilities'],
+    toRecord: (r) => ({
+      hostname: r.name,
+      ip_address: joinList(asList(r.ip_addresses)),
+      mac_address: asList(r.mac_addresses)[0],
+      manufacturer: r.vendor,
+      model: r.model || r.family,
+      device_type: r.type,
+      plant: r.location,
+      unit: r.segment,
+      firmware_version: r.firmware,
+      protocol: joinList(asList(r.protocols)),
+      risk_score: riskScore(r.risk),
+      cve_ids: cveIds(r.cves),
+      vulnerabilities: r.vulnerabilities,
+      last_seen: isoDate(r.last_seen),
+      is_managed: parseFlag(r.managed)
+    })
+  },
+  {
+    id: 'nmap-xml',
+    name: 'Nmap scan (XML)',
+    vendor: 'Nmap',
+    format: 'xml',
+    // nmap -oX: <nmaprun><host><status/><address/><hostnames/><ports><port><state/><service/></port></ports></host>
+    records: (xml) => xmlElements(xml, 'host').map(nmapHost).filter(host => host.up),
+    signature: ['nmaprun', 'host', 'status', 'address', 'ports', 'port', 'state', 'service'],
+    toRecord: scanRecord
+  },
+  {
+    id: 'masscan-json',
+    name: 'Masscan scan (JSON)',
+    vendor: 'Masscan',
+    format: 'json',
+    // masscan -oJ: [ { "ip": "...", "timestamp": "...", "ports": [ { "port": 502, "proto": "tcp", "status": "open" } ] } ]
+    records: (doc) => (Array.isArray(doc) ? masscanHosts(doc) : null),
+    signature: ['ip', 'timestamp', 'ports'],
+    toRecord: scanRecord
+  }
+]
+
+// One canonical discovery row: every column present, lists joined, CVE count from the IDs
+function canonicalRecord(adapter, fields) {
+  const ids = fields.cve_ids || []
+  const record = Object.fromEntries(DISCOVERY_COLUMNS.map(column => [column, text(fields[column])]))
+  return {
+    ...record,
+    cve_ids: ids.join('; '),
+    cve_count: ids.length,
+    vulnerabilities: text(fields.vulnerabilities) || ids.length,
+    is_managed: fields.is_managed ?? '',
+    discovery_method: adapter.name,
+    source_format: adapter.id
+  }
+}
+
+// ============================================================================
+// DETECTION
+// ============================================================================
+function parseJson(content) {
+  const trimmed = text(content)
+  if (!trimmed.startsWith('{') && !trimmed.startsWith('[')) return null
+  try {
+    return JSON.parse(trimmed)
+  } catch (error) {
+    // Older Masscan versions leave a comma before the closing bracket
+    const repaired = trimmed.replace(/,\s*([\]}])/g, '$1')
+    if (repaired !== trimmed) return parseJson(repaired)
+    console.warn(`[DISCOVERY FORMAT] JSON file could not be parsed: ${error.message}`)
+    return null
+  }
+}
+
+const contentFormat = (content, doc) => (doc ? 'json' : text(content).startsWith('<') ? 'xml' : 'csv')
+
+const signatureShare = (adapter, keys) => {
+  const present = new Set(keys.map(normalizeHeader))
+  return adapter.signature.filter(field => present.has(normalizeHeader(field))).length / adapter.signature.length
+}
+
+// Best adapter for the file content and the share of its signature found, or null.
+// CSV text only needs its header line, so a preview slice of a large file is enough.
+// A JSON file's parsed document rides along as doc, so adaptDiscoveryExport does not parse it again
+export function detectDiscoveryFormat(content) {
+  const doc = parseJson(content)
+  const format = contentFormat(content, doc)
+  // XML tag names and CSV headers are the same for every adapter, so they are read once per file;
+  // JSON keys depend on where each adapter finds its records
+  const fileKeys = format === 'xml' ? xmlTagNames(content) : format === 'csv' ? readCsv(text(content), { preview: 1 }).headers : null
+  const candidates = DISCOVERY_ADAPTERS
+    .filter(adapter => adapter.format === format)
+    .map(adapter => {
+      let keys = fileKeys
+      if (doc) {
+        const records = adapter.records(doc)
+        if (!Array.isArray(records)) return null
+        keys = [...new Set(records.slice(0, SAMPLE_RECORDS).flatMap(record => Object.keys(record || {})))]
+      }
+      return { adapter, confidence: Math.round(signatureShare(adapter, keys) * 100), ...(doc ? { doc } : {}) }
+    })
+    .filter(candidate => candidate && candidate.confidence >= FORMAT_THRESHOLD * 100)
+    .sort((a, b) => b.confidence - a.confidence)
+  return candidates[0] || null
+}
+
+// Vendor export -> canonical discovery rows, or null when no adapter recognizes the file.
+// headers are the vendor's own field names (for reporting which columns were read)
+export function adaptDiscoveryExport(content, format = detectDiscoveryFormat(content)) {
+  if (!format) return null
+  const { adapter, confidence, doc } = format
+  let headers
+  let records
+  if (adapter.format === 'json') {
+    records = adapter.records(doc ?? parseJson(content)).filter(record => record && typeof record === 'object')
+    headers = [...new Set(records.slice(0, SAMPLE_RECORDS).flatMap(Object.keys))]
+  } else if (adapter.format === 'xml') {
+    records = adapter.records(content)
+    headers = xmlTagNames(content)
+  } else {
+    const parsed = readCsv(text(content))
+    headers = parsed.headers
+    records = parsed.rows.map(normalizeKeys)
+  }
+  return {
+    format: { id: adapter.id, name: adapter.name, vendor: adapter.vendor, confidence },
+    headers,
+    rows: records.map(record => canonicalRecord(adapter, adapter.toRecord(record)))
+  }
+}
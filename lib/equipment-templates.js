@@ -0,0 +1,792 @@
+// ============================================================================
+// EQUIPMENT TEMPLATES
+// Expected equipment mix per process unit type - min / typical / max count per
+// device type - used for plant completeness scoring and context-aware
+// classification of unknown devices. The built-in refinery templates describe a
+// typical plant; a site sizes them to its own units with a JSON template
+// document (uploaded, or written by the template editor):
+//
+// {
+//   "version": 1,
+//   "name": "Baytown",
+//   "revision": "4",
+//   "units": {
+//     "Crude Distillation": {
+//       "capacity": { "value": 80000, "unit": "bbl/day" },
+//       "expectedEquipment": {
+//         "PLC": { "min": 3, "typical": 4, "max": 6 },
+//         "Analyzer": null
+//       }
+//     },
+//     "Sulfur Recovery": {
+//       "displayName": "Sulfur Recovery Unit (SRU)",
+//       "aliases": ["sru", "claus unit"],
+//       "expectedEquipment": { "PLC": { "min": 2, "typical": 3, "max": 5, "criticality": "HIGH" } }
+//     }
+//   }
+// }
+//
+// A unit named like an existing one (unit type or any of its aliases) changes
+// the counts it lists and keeps the rest ("replace": true starts it from an
+// empty list); null drops a device type. Any other unit is appended and its name
+// and aliases join the unit alias table in lib/process-units.js. Device types are
+// canonicalized through the device taxonomy.
+//
+// Instead of typing counts, templates can be learned from trusted reference
+// baselines - any industry, since unit names no template knows become unit types
+// of their own. A unit with a capacity is scored against its template scaled
+// linearly from the template's capacity.
+//
+//   resolveEquipmentTemplates(documents, taxonomy)    -> { templates, errors, invalid }
+//   templateDocument(templates, { name, revision })   -> full document of the templates in effect
+//   normalizeDeviceType(deviceType, tagId, taxonomy)  -> equipment class counted against the templates
+//   unitCapacity(records)                             -> { value, unit } or null
+//   scaleTemplate(template, capacity)                 -> template with counts sized to that capacity
+//   scoreUnitCompleteness(unitName, records, templates, taxonomy) -> { completenessScore, gaps, overages, ... }
+//   gradePlantCompleteness(rows, templates, taxonomy) -> [{ plant, unit, template, completenessScore, ... }]
+//   learnEquipmentTemplates(records, options)         -> { document, warnings }
+// ============================================================================
+import { DEFAULT_DEVICE_TAXONOMY, lookupDeviceType, isControllerType } from './device-taxonomy.js'
+import { REFINERY_UNIT_ALIASES, resolveProcessUnit } from './process-units.js'
+import { deviceTypeFromIsaTag } from './isa-tag.js'
+import { normalizeHeader } from './column-profiles.js'
+import { isPlaceholder } from './ingest-validation.js'
+
+export const EQUIPMENT_TEMPLATE_VERSION = 1
+
+// Bumped whenever the built-in templates below change
+export const BUILTIN_TEMPLATES_REVISION = '2026.10.1'
+
+export const CRITICALITY_LEVELS = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW']
+
+// Unit type -> template. 'Unknown' is the catch-all for unit names no alias matches.
+// capacity is the nominal throughput the counts describe, so a unit whose records carry its own
+// capacity is graded against counts scaled to it. Storage, utilities and the control room do not
+// grow with throughput and have none
+export const REFINERY_EQUIPMENT_TEMPLATES = {
+  'Crude Distillation': {
+    displayName: 'Crude Distillation Unit (CDU)',
+    description: 'Primary crude oil separation - most critical production unit',
+    capacity: { value: 250000, unit: 'bbl/day' },
+    expectedEquipment: {
+      // Control systems
+      'PLC': { min: 8, typical: 10, max: 15, criticality: 'CRITICAL', function: 'Main process control' },
+      'DCS': { min: 5, typical: 8, max: 12, criticality: 'CRITICAL', function: 'Distributed control' },
+      'Safety_Controller': { min: 2, typical: 4, max: 6, criticality: 'CRITICAL', function: 'SIS/ESD systems' },
+      
+      // Field devices
+      'Transmitter': { min: 120, typical: 150, max: 200, criticality: 'HIGH', function: 'Pressure/temp/level/flow monitoring' },
+      'Pressure_Transmitter': { min: 30, typical: 40, max: 60, criticality: 'HIGH', function: 'Column pressure control' },
+      'Temperature_Transmitter': { min: 30, typical: 40, max: 60, criticality: 'HIGH', function: 'Distillation control' },
+      'Level_Transmitter': { min: 20, typical: 25, max: 35, criticality: 'HIGH', function: 'Tank/vessel level control' },
+      'Flow_Transmitter': { min: 20, typical: 25, max: 35, criticality: 'HIGH', function: 'Crude feed/product flow' },
+      'Control_Valve': { min: 60, typical: 80, max: 100, criticality: 'HIGH', function: 'Flow/pressure regulation' },
+      'Pump': { min: 25, typical: 35, max: 50, criticality: 'CRITICAL', function: 'Crude feed/product transfer' },
+      'Analyzer': { min: 10, typical: 15, max: 25, criticality: 'MEDIUM', function: 'Product quality analysis' },
+      
+      // Network infrastructure
+      'Switch': { min: 5, typical: 8, max: 15, criticality: 'HIGH', function: 'OT network connectivity' },
+      'Gateway': { min: 2, typical: 4, max: 8, criticality: 'HIGH', function: 'Protocol conversion' },
+      'HMI': { min: 2, typical: 4, max: 8, criticality: 'MEDIUM', function: 'Operator interface' }
+    }
+  },
+  
+  'Hydrocracker': {
+    displayName: 'Hydrocracker Unit',
+    description: 'Heavy oil upgrading - high pressure/temperature operations',
+    capacity: { value: 60000, unit: 'bbl/day' },
+    expectedEquipment: {
+      'PLC': { min: 10, typical: 15, max: 20, criticality: 'CRITICAL', function: 'Process automation' },
+      'DCS': { min: 8, typical: 12, max: 16, criticality: 'CRITICAL', function: 'Reactor control' },
+      'Safety_Controller': { min: 3, typical: 5, max: 8, criticality: 'CRITICAL', function: 'High-pressure safety systems' },
+      'Transmitter': { min: 150, typical: 200, max: 280, criticality: 'HIGH', function: 'Process monitoring' },
+      'Pressure_Transmitter': { min: 50, typical: 65, max: 90, criticality: 'CRITICAL', function: 'High-pressure reactor control' },
+      'Temperature_Transmitter': { min: 40, typical: 55, max: 75, criticality: 'CRITICAL', function: 'Reactor temperature control' },
+      'Flow_Transmitter': { min: 30, typical: 40, max: 55, criticality: 'HIGH', function: 'Hydrogen/feed flow' },
+      'Control_Valve': { min: 90, typical: 120, max: 160, criticality: 'HIGH', function: 'Process regulation' },
+      'Pump': { min: 35, typical: 45, max: 60, criticality: 'CRITICAL', function: 'High-pressure pumps' },
+      'Compressor': { min: 5, typical: 8, max: 12, criticality: 'CRITICAL', function: 'Hydrogen recirculation' },
+      'Analyzer': { min: 20, typical: 30, max: 45, criticality: 'HIGH', function: 'H2 purity, product quality' },
+      'Switch': { min: 6, typical: 10, max: 15, criticality: 'HIGH', function: 'Network infrastructure' },
+      'Gateway': { min: 3, typical: 5, max: 8, criticality: 'HIGH', function: 'Protocol conversion' }
+    }
+  },
+  
+  'FCC': {
+    displayName: 'Fluid Catalytic Cracking (FCC)',
+    description: 'Gasoline production - complex catalyst circulation',
+    capacity: { value: 80000, unit: 'bbl/day' },
+    expectedEquipment: {
+      'PLC': { min: 12, typical: 18, max: 25, criticality: 'CRITICAL', function: 'Catalyst control' },
+      'DCS': { min: 10, typical: 15, max: 20, criticality: 'CRITICAL', function: 'Reactor/regenerator control' },
+      'Safety_Controller': { min: 4, typical: 6, max: 10, criticality: 'CRITICAL', function: 'Blower trip, pressure relief' },
+      'Transmitter': { min: 180, typical: 250, max: 350, criticality: 'HIGH', function: 'Complex process monitoring' },
+      'Pressure_Transmitter': { min: 60, typical: 80, max: 110, criticality: 'CRITICAL', function: 'Reactor/regenerator pressure' },
+      'Temperature_Transmitter': { min: 50, typical: 70, max: 95, criticality: 'CRITICAL', function: 'Catalyst temperature control' },
+      'Flow_Transmitter': { min: 40, typical: 55, max: 75, criticality: 'HIGH', function: 'Feed/air/catalyst flow' },
+      'Control_Valve': { min: 100, typical: 140, max: 190, criticality: 'HIGH', function: 'Complex flow control' },
+      'Pump': { min: 30, typical: 40, max: 55, criticality: 'CRITICAL', function: 'Product transfer' },
+      'Compressor': { min: 3, typical: 5, max: 8, criticality: 'CRITICAL', function: 'Air blower for regenerator' },
+      'Analyzer': { min: 25, typical: 35, max: 50, criticality: 'HIGH', function: 'Product quality, emissions' },
+      'Switch': { min: 8, typical: 12, max: 18, criticality: 'HIGH', function: 'Network infrastructure' }
+    }
+  },
+  
+  'Hydrotreater': {
+    displayName: 'Hydrotreater (NHT / DHT)',
+    description: 'Sulfur and nitrogen removal - hydrogen service at moderate pressure',
+    capacity: { value: 40000, unit: 'bbl/day' },
+    expectedEquipment: {
+      'PLC': { min: 4, typical: 6, max: 10, criticality: 'HIGH', function: 'Process automation' },
+      'DCS': { min: 3, typical: 5, max: 8, criticality: 'CRITICAL', function: 'Reactor and stripper control' },
+      'Safety_Controller': { min: 2, typical: 3, max: 5, criticality: 'CRITICAL', function: 'Hydrogen/high-pressure trips' },
+      'Transmitter': { min: 80, typical: 110, max: 150, criticality: 'HIGH', function: 'Process monitoring' },
+      'Pressure_Transmitter': { min: 25, typical: 35, max: 50, criticality: 'CRITICAL', function: 'Reactor and separator pressure' },
+      'Temperature_Transmitter': { min: 25, typical: 35, max: 50, criticality: 'CRITICAL', function: 'Reactor bed temperatures' },
+      'Flow_Transmitter': { min: 15, typical: 20, max: 30, criticality: 'HIGH', function: 'Feed/hydrogen flow' },
+      'Control_Valve': { min: 45, typical: 60, max: 85, criticality: 'HIGH', function: 'Process regulation' },
+      'Pump': { min: 12, typical: 18, max: 25, criticality: 'HIGH', function: 'Feed and product pumps' },
+      'Compressor': { min: 1, typical: 2, max: 4, criticality: 'CRITICAL', function: 'Recycle/make-up hydrogen' },
+      'Analyzer': { min: 8, typical: 12, max: 18, criticality: 'HIGH', function: 'Sulfur, H2 purity' },
+      'Switch': { min: 3, typical: 5, max: 8, criticality: 'HIGH', function: 'Network infrastructure' },
+      'Gateway': { min: 1, typical: 2, max: 4, criticality: 'HIGH', function: 'Protocol conversion' }
+    }
+  },
+  
+  'Reformer': {
+    displayName: 'Catalytic Reformer',
+    description: 'Naphtha reforming for high-octane gasoline and refinery hydrogen',
+    capacity: { value: 40000, unit: 'bbl/day' },
+    expectedEquipment: {
+      'PLC': { min: 5, typical: 8, max: 12, criticality: 'HIGH', function: 'Catalyst regeneration sequencing' },
+      'DCS': { min: 5, typical: 8, max: 12, criticality: 'CRITICAL', function: 'Reactor train and heater control' },
+      'Safety_Controller': { min: 2, typical: 4, max: 6, criticality: 'CRITICAL', function: 'Heater and regenerator trips' },
+      'Transmitter': { min: 110, typical: 150, max: 200, criticality: 'HIGH', function: 'Process monitoring' },
+      'Pressure_Transmitter': { min: 30, typical: 40, max: 55, criticality: 'HIGH', function: 'Reactor and separator pressure' },
+      'Temperature_Transmitter': { min: 40, typical: 55, max: 75, criticality: 'CRITICAL', function: 'Reactor inlet and heater temperatures' },
+      'Flow_Transmitter': { min: 20, typical: 28, max: 40, criticality: 'HIGH', function: 'Naphtha/recycle gas flow' },
+      'Control_Valve': { min: 60, typical: 80, max: 110, criticality: 'HIGH', function: 'Process regulation' },
+      'Pump': { min: 15, typical: 22, max: 30, criticality: 'HIGH', function: 'Feed and reformate pumps' },
+      'Compressor': { min: 2, typical: 3, max: 5, criticality: 'CRITICAL', function: 'Recycle gas / net gas' },
+      'Analyzer': { min: 12, typical: 18, max: 25, criticality: 'HIGH', function: 'Octane, H2 purity, chloride' },
+      'Switch': { min: 4, typical: 6, max: 10, criticality: 'HIGH', function: 'Network infrastructure' },
+      'Gateway': { min: 1, typical: 3, max: 5, criticality: 'HIGH', function: 'Protocol conversion' }
+    }
+  },
+  
+  'Alkylation': {
+    displayName: 'Alkylation Unit',
+    description: 'Alkylate production with HF or sulfuric acid - toxic release hazard',
+    capacity: { value: 20000, unit: 'bbl/day' },
+    expectedEquipment: {
+      'PLC': { min: 4, typical: 6, max: 10, criticality: 'HIGH', function: 'Acid handling automation' },
+      'DCS': { min: 4, typical: 6, max: 9, criticality: 'CRITICAL', function: 'Reactor and fractionation control' },
+      'Safety_Controller': { min: 3, typical: 5, max: 8, criticality: 'CRITICAL', function: 'Acid release mitigation / ESD' },
+      'Fire_Gas_System': { min: 1, typical: 2, max: 4, criticality: 'CRITICAL', function: 'HF/hydrocarbon detection' },
+      'Transmitter': { min: 90, typical: 120, max: 160, criticality: 'HIGH', function: 'Process monitoring' },
+      'Pressure_Transmitter': { min: 25, typical: 35, max: 50, criticality: 'HIGH', function: 'Reactor/settler pressure' },
+      'Temperature_Transmitter': { min: 25, typical: 35, max: 50, criticality: 'HIGH', function: 'Reaction temperature' },
+      'Level_Transmitter': { min: 15, typical: 20, max: 30, criticality: 'CRITICAL', function: 'Acid settler level' },
+      'Flow_Transmitter': { min: 15, typical: 20, max: 30, criticality: 'HIGH', function: 'Olefin/isobutane ratio' },
+      'Control_Valve': { min: 50, typical: 70, max: 95, criticality: 'HIGH', function: 'Process regulation' },
+      'Pump': { min: 15, typical: 22, max: 30, criticality: 'HIGH', function: 'Acid and hydrocarbon circulation' },
+      'Analyzer': { min: 10, typical: 15, max: 22, criticality: 'CRITICAL', function: 'Acid strength, ambient HF' },
+      'Switch': { min: 3, typical: 5, max: 8, criticality: 'HIGH', function: 'Network infrastructure' }
+    }
+  },
+  
+  'Coker': {
+    displayName: 'Delayed Coker',
+    description: 'Residue conversion - cyclic drum operations and heavy rotating equipment',
+    capacity: { value: 50000, unit: 'bbl/day' },
+    expectedEquipment: {
+      'PLC': { min: 8, typical: 12, max: 18, criticality: 'CRITICAL', function: 'Drum switching, decoking interlocks' },
+      'DCS': { min: 5, typical: 8, max: 12, criticality: 'CRITICAL', function: 'Heater and fractionator control' },
+      'Safety_Controller': { min: 3, typical: 5, max: 8, criticality: 'CRITICAL', function: 'Heater trips, drum interlocks' },
+      'Transmitter': { min: 110, typical: 150, max: 200, criticality: 'HIGH', function: 'Process monitoring' },
+      'Pressure_Transmitter': { min: 30, typical: 40, max: 55, criticality: 'HIGH', function: 'Drum and fractionator pressure' },
+      'Temperature_Transmitter': { min: 40, typical: 55, max: 75, criticality: 'CRITICAL', function: 'Heater outlet and drum temperatures' },
+      'Level_Transmitter': { min: 10, typical: 15, max: 22, criticality: 'HIGH', function: 'Drum foam/level (nuclear)' },
+      'Flow_Transmitter': { min: 20, typical: 28, max: 40, criticality: 'HIGH', function: 'Heater pass flows' },
+      'Control_Valve': { min: 70, typical: 95, max: 130, criticality: 'HIGH', function: 'Process regulation, drum switch valves' },
+      'Pump': { min: 20, typical: 28, max: 40, criticality: 'CRITICAL', function: 'Charge and jet water pumps' },
+      'Compressor': { min: 1, typical: 2, max: 3, criticality: 'CRITICAL', function: 'Wet gas compressor' },
+      'Analyzer': { min: 8, typical: 12, max: 18, criticality: 'MEDIUM', function: 'Product quality, emissions' },
+      'Switch': { min: 5, typical: 8, max: 12, criticality: 'HIGH', function: 'Network infrastructure' },
+      'IP_Camera': { min: 4, typical: 8, max: 12, criticality: 'MEDIUM', function: 'Drum deck and cutting monitoring' }
+    }
+  },
+  
+  'Isomerization': {
+    displayName: 'Isomerization Unit',
+    description: 'Light naphtha isomerization - small unit, chloride-promoted catalyst',
+    capacity: { value: 15000, unit: 'bbl/day' },
+    expectedEquipment: {
+      'PLC': { min: 2, typical: 4, max: 6, criticality: 'MEDIUM', function: 'Dryer sequencing' },
+      'DCS': { min: 2, typical: 3, max: 5, criticality: 'HIGH', function: 'Reactor and stabilizer control' },
+      'Safety_Controller': { min: 1, typical: 2, max: 3, criticality: 'CRITICAL', function: 'Reactor trips' },
+      'Transmitter': { min: 50, typical: 70, max: 95, criticality: 'HIGH', function: 'Process monitoring' },
+      'Pressure_Transmitter': { min: 12, typical: 18, max: 25, criticality: 'HIGH', function: 'Reactor/stabilizer pressure' },
+      'Temperature_Transmitter': { min: 15, typical: 20, max: 28, criticality: 'HIGH', function: 'Reactor temperatures' },
+      'Flow_Transmitter': { min: 8, typical: 12, max: 18, criticality: 'HIGH', function: 'Feed/hydrogen flow' },
+      'Control_Valve': { min: 30, typical: 40, max: 55, criticality: 'HIGH', function: 'Process regulation' },
+      'Pump': { min: 6, typical: 10, max: 14, criticality: 'HIGH', function: 'Feed and product pumps' },
+      'Analyzer': { min: 5, typical: 8, max: 12, criticality: 'MEDIUM', function: 'Feed/product composition' },
+      'Switch': { min: 2, typical: 3, max: 5, criticality: 'MEDIUM', function: 'Network infrastructure' }
+    }
+  },
+  
+  'Tank Farm': {
+    displayName: 'Tank Farm / Storage',
+    description: 'Crude and product storage - inventory management',
+    expectedEquipment: {
+      'PLC': { min: 5, typical: 8, max: 12, criticality: 'MEDIUM', function: 'Tank monitoring' },
+      'Transmitter': { min: 80, typical: 120, max: 180, criticality: 'MEDIUM', function: 'Tank monitoring' },
+      'Level_Transmitter': { min: 50, typical: 80, max: 120, criticality: 'HIGH', function: 'Inventory tracking' },
+      'Pressure_Transmitter': { min: 20, typical: 30, max: 45, criticality: 'MEDIUM', function: 'Tank pressure' },
+      'Temperature_Transmitter': { min: 30, typical: 50, max: 75, criticality: 'MEDIUM', function: 'Product temperature' },
+      'Pump': { min: 30, typical: 50, max: 75, criticality: 'HIGH', function: 'Transfer pumps' },
+      'Control_Valve': { min: 20, typical: 30, max: 45, criticality: 'MEDIUM', function: 'Flow isolation' },
+      'Analyzer': { min: 5, typical: 10, max: 15, criticality: 'LOW', function: 'Product quality spot checks' },
+      'Switch': { min: 4, typical: 6, max: 10, criticality: 'MEDIUM', function: 'Tank farm network' },
+      'IP_Camera': { min: 10, typical: 20, max: 35, criticality: 'LOW', function: 'Security surveillance' }
+    }
+  },
+  
+  'Loading': {
+    displayName: 'Loading Racks / Terminal',
+    description: 'Truck, rail and marine product loading - custody transfer metering',
+    capacity: { value: 100000, unit: 'bbl/day' },
+    expectedEquipment: {
+      'PLC': { min: 4, typical: 8, max: 14, criticality: 'HIGH', function: 'Rack / preset controllers' },
+      'Safety_Controller': { min: 1, typical: 2, max: 4, criticality: 'CRITICAL', function: 'Overfill and ESD' },
+      'Transmitter': { min: 30, typical: 50, max: 80, criticality: 'MEDIUM', function: 'Rack monitoring' },
+      'Flow_Transmitter': { min: 10, typical: 20, max: 35, criticality: 'HIGH', function: 'Custody transfer metering' },
+      'Pressure_Transmitter': { min: 8, typical: 12, max: 20, criticality: 'MEDIUM', function: 'Line pressure' },
+      'Control_Valve': { min: 15, typical: 25, max: 40, criticality: 'HIGH', function: 'Batch / preset valves' },
+      'Pump': { min: 8, typical: 15, max: 25, criticality: 'HIGH', function: 'Loading pumps' },
+      'Analyzer': { min: 2, typical: 4, max: 8, criticality: 'LOW', function: 'Vapor recovery emissions' },
+      'HMI': { min: 2, typical: 4, max: 8, criticality: 'MEDIUM', function: 'Driver / operator terminals' },
+      'Gateway': { min: 1, typical: 3, max: 5, criticality: 'HIGH', function: 'Terminal automation link' },
+      'Switch': { min: 3, typical: 5, max: 8, criticality: 'MEDIUM', function: 'Rack network' },
+      'IP_Camera': { min: 6, typical: 12, max: 20, criticality: 'LOW', function: 'Bay and gate surveillance' }
+    }
+  },
+  
+  'Utilities': {
+    displayName: 'Utilities (Steam, Power, Cooling)',
+    description: 'Supporting systems - plant-wide distribution',
+    expectedEquipment: {
+      'PLC': { min: 8, typical: 12, max: 18, criticality: 'HIGH', function: 'Utilities distribution' },
+      'DCS': { min: 4, typical: 6, max: 10, criticality: 'HIGH', function: 'Boiler/turbine control' },
+      'Safety_Controller': { min: 2, typical: 4, max: 6, criticality: 'HIGH', function: 'Boiler safety systems' },
+      'Transmitter': { min: 150, typical: 200, max: 280, criticality: 'HIGH', function: 'System monitoring' },
+      'Pressure_Transmitter': { min: 60, typical: 80, max: 110, criticality: 'HIGH', function: 'Steam pressure' },
+      'Temperature_Transmitter': { min: 50, typical: 70, max: 95, criticality: 'HIGH', function: 'Steam/water temperature' },
+      'Flow_Transmitter': { min: 40, typical: 55, max: 75, criticality: 'HIGH', function: 'Steam/water flow' },
+      'Control_Valve': { min: 80, typical: 110, max: 150, criticality: 'HIGH', function: 'Distribution control' },
+      'Pump': { min: 40, typical: 60, max: 85, criticality: 'HIGH', function: 'Water circulation' },
+      'Switch': { min: 10, typical: 15, max: 22, criticality: 'HIGH', function: 'Plant-wide network backbone' },
+      'Gateway': { min: 5, typical: 8, max: 12, criticality: 'HIGH', function: 'Cross-unit communication' }
+    }
+  },
+  
+  'Control Room': {
+    displayName: 'Central Control Room / Rack Room',
+    description: 'Operator consoles, engineering stations and the servers behind them',
+    expectedEquipment: {
+      'HMI': { min: 10, typical: 20, max: 35, criticality: 'HIGH', function: 'Operator consoles' },
+      'Engineering_Workstation': { min: 3, typical: 6, max: 10, criticality: 'CRITICAL', function: 'Controller configuration' },
+      'SCADA': { min: 1, typical: 2, max: 4, criticality: 'HIGH', function: 'Supervisory servers' },
+      'Historian': { min: 1, typical: 2, max: 4, criticality: 'HIGH', function: 'Process data history' },
+      'Server': { min: 4, typical: 8, max: 15, criticality: 'HIGH', function: 'DCS / domain / application servers' },
+      'Switch': { min: 6, typical: 10, max: 16, criticality: 'HIGH', function: 'Control network core' },
+      'Firewall': { min: 2, typical: 3, max: 6, criticality: 'CRITICAL', function: 'Level 3 / 3.5 boundary' }
+    }
+  },
+  
+  // Catch-all for unknown units
+  'Unknown': {
+    displayName: 'Unknown / Uncategorized',
+    description: 'Assets not assigned to a specific process unit',
+    expectedEquipment: {}
+  }
+}
+
+const COUNT_FIELDS = ['min', 'typical', 'max']
+
+const copyUnit = (template) => ({
+  ...template,
+  expectedEquipment: Object.fromEntries(Object.entries(template.expectedEquipment).map(([type, spec]) => [type, { ...spec }]))
+})
+
+const stringList = (value) => (Array.isArray(value) ? value : value ? [value] : []).map(v => String(v).trim()).filter(Boolean)
+
+// Unit names that would reach Object.prototype through a template lookup ("__proto__": { ... })
+const RESERVED_NAMES = new Set(['__proto__', 'constructor', 'prototype'])
+const isReservedName = (name) => RESERVED_NAMES.has(String(name).trim().toLowerCase())
+
+const sourceLabel = (source) => source.revision ? `${source.name}@${source.revision}` : source.name
+
+function buildTemplates(units, aliases, sources) {
+  return {
+    version: EQUIPMENT_TEMPLATE_VERSION,
+    revision: sources.map(sourceLabel).join('+'),
+    sources,
+    units,
+    aliases
+  }
+}
+
+const BUILTIN_SOURCE = { name: 'builtin', revision: BUILTIN_TEMPLATES_REVISION }
+
+export const DEFAULT_EQUIPMENT_TEMPLATES = buildTemplates(
+  Object.fromEntries(Object.entries(REFINERY_EQUIPMENT_TEMPLATES).map(([unitType, template]) => [unitType, { ...template, sources: [sourceLabel(BUILTIN_SOURCE)] }])),
+  REFINERY_UNIT_ALIASES,
+  [BUILTIN_SOURCE]
+)
+
+// One expected-equipment entry checked against the entry it changes; null when it cannot be used
+function mergeSpec(label, input, existing, errors) {
+  if (!input || typeof input !== 'object') {
+    errors.push(`${label}: expected { min, typical, max } or null`)
+    return null
+  }
+  const spec = { ...existing }
+  for (const field of COUNT_FIELDS) {
+    if (input[field] === undefined) continue
+    const count = Number(input[field])
+    if (input[field] === null || input[field] === '' || !Number.isFinite(count) || count < 0) {
+      errors.push(`${label}: ${field} must be a number of 0 or more`)
+      return null
+    }
+    spec[field] = count
+  }
+  if (COUNT_FIELDS.some(field => spec[field] === undefined)) {
+    errors.push(`${label}: a new device type needs min, typical and max`)
+    return null
+  }
+  if (!(spec.min <= spec.typical && spec.typical <= spec.max)) {
+    errors.push(`${label}: expected min <= typical <= max, got ${spec.min} / ${spec.typical} / ${spec.max}`)
+    return null
+  }
+  if (input.criticality !== undefined) {
+    const criticality = String(input.criticality).trim().toUpperCase()
+    if (CRITICALITY_LEVELS.includes(criticality)) spec.criticality = criticality
+    else errors.push(`${label}: criticality must be one of ${CRITICALITY_LEVELS.join(', ')}`)
+  }
+  if (input.function !== undefined) spec.function = String(input.function).trim()
+  return { min: spec.min, typical: spec.typical, max: spec.max, criticality: spec.criticality || 'MEDIUM', function: spec.function || '' }
+}
+
+// capacity: { value, unit } the counts are sized for - recorded with every score graded against the unit
+function parseCapacity(label, input, errors) {
+  const value = Number(input?.value ?? input)
+  if (!Number.isFinite(value) || value <= 0) {
+    errors.push(`${label}: capacity needs a positive value`)
+    return null
+  }
+  return { value, unit: String(input?.unit || '').trim() || null }
+}
+
+// Template documents (one, a list, { filename, content } entries or JSON text) on top of the built-in templates.
+// invalid lists the documents rejected whole (not JSON, no units object, a reserved unit name) - the
+// API answers those with 400; an invalid entry inside a usable document is skipped and listed in errors
+export function resolveEquipmentTemplates(documents, taxonomy = DEFAULT_DEVICE_TAXONOMY) {
+  const errors = []
+  const invalid = []
+  const entries = Array.isArray(documents)
+    ? documents.map((doc, i) => (doc && doc.content !== undefined ? doc : { filename: `equipmentTemplates[${i}]`, content: doc }))
+    : documents ? [{ filename: 'equipmentTemplates', content: documents }] : []
+  if (entries.length === 0) return { templates: DEFAULT_EQUIPMENT_TEMPLATES, errors, invalid }
+
+  // No prototype: a unit name is only ever a key of its own
+  const units = Object.assign(Object.create(null), Object.fromEntries(Object.entries(DEFAULT_EQUIPMENT_TEMPLATES.units)
+    .map(([unitType, template]) => [unitType, { ...copyUnit(template), sources: [...template.sources] }])))
+  // Replaced, never mutated: resolveProcessUnit caches its index per alias list
+  let aliases = REFINERY_UNIT_ALIASES
+  const sources = [...DEFAULT_EQUIPMENT_TEMPLATES.sources]
+  entries.forEach(({ filename, content }) => {
+    let doc = content
+    if (typeof content === 'string') {
+      try {
+        doc = JSON.parse(content)
+      } catch (error) {
+        errors.push(`${filename}: not valid JSON (${error.message})`)
+        invalid.push(filename)
+        return
+      }
+    }
+    if (!doc || typeof doc !== 'object' || !doc.units || typeof doc.units !== 'object' || Array.isArray(doc.units)) {
+      errors.push(`${filename}: expected a template document with a units object`)
+      invalid.push(filename)
+      return
+    }
+    const reserved = Object.keys(doc.units).filter(isReservedName)
+    if (reserved.length > 0) {
+      errors.push(`${filename}: ${reserved.join(', ')} cannot be a unit name`)
+      invalid.push(filename)
+      return
+    }
+    if (doc.version && doc.version > EQUIPMENT_TEMPLATE_VERSION) {
+      errors.push(`${filename}: version ${doc.version} is newer than supported version ${EQUIPMENT_TEMPLATE_VERSION}`)
+    }
+    const source = { name: String(doc.name || filename).trim(), revision: doc.revision ? String(doc.revision) : null }
+    const localErrors = []
+    Object.entries(doc.units).forEach(([name, input]) => {
+      const unitName = String(name).trim()
+      if (!input || typeof input !== 'object') {
+        localErrors.push(`${unitName}: expected a unit template object`)
+        return
+      }
+      // "CDU" or "crude distillation" edits the Crude Distillation template
+      const known = Object.keys(units).find(unitType => unitType.toLowerCase() === unitName.toLowerCase())
+      const resolved = resolveProcessUnit(unitName, aliases)
+      const unitType = known || (resolved.matchedBy === 'name' ? resolved.unitType : unitName)
+      if (unitType === 'Unknown') {
+        localErrors.push(`${unitName}: the catch-all for unassigned units has no template`)
+        return
+      }
+      const unit = Object.hasOwn(units, unitType)
+        ? units[unitType]
+        : { displayName: unitName, description: '', expectedEquipment: Object.create(null), sources: [] }
+      if (input.replace === true) unit.expectedEquipment = Object.create(null)
+
+      ;['displayName', 'description'].forEach(field => {
+        if (input[field] !== undefined) unit[field] = String(input[field]).trim()
+      })
+      if (input.capacity !== undefined) {
+        const capacity = input.capacity === null ? null : parseCapacity(unitName, input.capacity, localErrors)
+        if (capacity || input.capacity === null) unit.capacity = capacity
+      }
+      Object.entries(input.expectedEquipment || {}).forEach(([rawType, spec]) => {
+        const deviceType = lookupDeviceType(rawType, taxonomy)?.type
+        if (!deviceType) {
+          localErrors.push(`${unitName}.${rawType}: not a device type in the device taxonomy (${taxonomy.revision})`)
+          return
+        }
+        if (spec === null) {
+          delete unit.expectedEquipment[deviceType]
+          return
+        }
+        const existing = Object.hasOwn(unit.expectedEquipment, deviceType) ? unit.expectedEquipment[deviceType] : undefined
+        const merged = mergeSpec(`${unitName}.${deviceType}`, spec, existing, localErrors)
+        if (merged) unit.expectedEquipment[deviceType] = merged
+      })
+      if (!Object.hasOwn(units, unitType) && Object.keys(unit.expectedEquipment).length === 0) {
+        localErrors.push(`${unitName}: a new unit needs expectedEquipment`)
+        return
+      }
+
+      const unitAliases = stringList(input.aliases)
+      if (!aliases.some(entry => entry.unitType === unitType)) aliases = [...aliases, { unitType, aliases: [] }]
+      if (unitAliases.length > 0) {
+        aliases = aliases.map(entry => entry.unitType === unitType ? { unitType, aliases: [...new Set([...entry.aliases, ...unitAliases])] } : entry)
+      }
+      unit.sources = [...new Set([...unit.sources, sourceLabel(source)])]
+      units[unitType] = unit
+    })
+    errors.push(...localErrors.map(e => `${filename}: ${e}`))
+    sources.push(source)
+  })
+
+  // Keep the catch-all last
+  const { Unknown: unassigned, ...assigned } = units
+  return { templates: buildTemplates({ ...assigned, Unknown: unassigned }, aliases, sources), errors, invalid }
+}
+
+// The templates in effect as one self-contained document - download, tune, upload
+export function templateDocument(templates = DEFAULT_EQUIPMENT_TEMPLATES, { name = 'Site templates', revision = '1' } = {}) {
+  const aliases = new Map(templates.aliases.map(entry => [entry.unitType, entry.aliases]))
+  return {
+    version: EQUIPMENT_TEMPLATE_VERSION,
+    name,
+    revision,
+    basedOn: templates.revision,
+    units: Object.fromEntries(Object.entries(templates.units)
+      .filter(([unitType]) => unitType !== 'Unknown')
+      .map(([unitType, { displayName, description, capacity, expectedEquipment }]) => [unitType, {
+        displayName,
+        description,
+        ...(capacity ? { capacity } : {}),
+        aliases: aliases.get(unitType) || [],
+        expectedEquipment
+      }]))
+  }
+}
+
+// Canonical device type (template key) from the shared taxonomy in lib/device-taxonomy.js.
+// With no device_type column, the ISA function letters of the tag decide (PT, FV, ...)
+export function normalizeDeviceType(deviceType, tagId, taxonomy = DEFAULT_DEVICE_TAXONOMY) {
+  if (!String(deviceType || '').trim() && tagId) return deviceTypeFromIsaTag(tagId)
+  return lookupDeviceType(deviceType, taxonomy)?.type || null
+}
+
+// Columns a baseline sizes its units with ("80,000 bbl/day", 80000); capacity_unit names the unit when the value does not
+export const CAPACITY_FIELDS = ['capacity', 'unit_capacity', 'design_capacity', 'nameplate_capacity', 'capacity_bpd']
+
+// First capacity among a unit's records
+export function unitCapacity(records = []) {
+  for (const record of records) {
+    for (const field of CAPACITY_FIELDS) {
+      const match = String(record?.[field] ?? '').replace(/,/g, '').match(/^\s*(\d+(?:\.\d+)?)\s*(.*)$/)
+      if (match && Number(match[1]) > 0) {
+        return { value: Number(match[1]), unit: String(record.capacity_unit || match[2] || '').trim() || null }
+      }
+    }
+  }
+  return null
+}
+
+// "bpd", "b/d", "BBL/D" and "barrels per day" are all bbl/day
+const capacityUnitKey = (unit) => {
+  const key = unit.toLowerCase().replace(/\s+/g, '')
+  return /^(bpd|bopd|b\/d|bbls?\/d(ay)?|bbls?perday|barrels?(per|\/)day)$/.test(key) ? 'bbl/day' : key
+}
+const sameCapacityUnit = (a, b) => !a?.unit || !b?.unit || capacityUnitKey(a.unit) === capacityUnitKey(b.unit)
+
+// Counts sized for template.capacity, scaled linearly to a unit of another capacity. Templates without
+// a capacity, or in another capacity unit, are returned as they are
+export function scaleTemplate(template, capacity) {
+  const base = template?.capacity
+  if (!base || !capacity || !sameCapacityUnit(base, capacity) || capacity.value === base.value) return template
+  const factor = capacity.value / base.value
+  return {
+    ...template,
+    capacity: { value: capacity.value, unit: base.unit || capacity.unit },
+    scaledFrom: base,
+    expectedEquipment: Object.fromEntries(Object.entries(template.expectedEquipment).map(([deviceType, spec]) => [deviceType, {
+      ...spec,
+      min: Math.floor(spec.min * factor),
+      typical: Math.round(spec.typical * factor),
+      max: Math.ceil(spec.max * factor)
+    }]))
+  }
+}
+
+// One unit's records counted per equipment class against its template (found through the unit alias
+// table, sized to the unit's capacity). A class within min..max counts its typical towards the score;
+// below min it is a gap, above max an overage. canAssess is false when no template lists equipment
+export function scoreUnitCompleteness(unitName, records = [], templates = DEFAULT_EQUIPMENT_TEMPLATES, taxonomy = DEFAULT_DEVICE_TAXONOMY) {
+  const resolution = resolveProcessUnit(unitName, templates.aliases)
+  const unitType = resolution.unitType
+  const template = scaleTemplate(Object.hasOwn(templates.units, unitType) ? templates.units[unitType] : null, unitCapacity(records))
+  const actual = {}
+  const unclassified = []
+  records.forEach(record => {
+    const deviceType = normalizeDeviceType(record.device_type, record.tag_id, taxonomy)
+    if (deviceType) actual[deviceType] = (actual[deviceType] || 0) + 1
+    else unclassified.push(record)
+  })
+  const score = { unitType, resolution, template, canAssess: false, completenessScore: null, actual, unclassified, gaps: [], overages: [], totalExpected: 0, totalActual: 0, totalWithinRange: 0 }
+  if (!template || Object.keys(template.expectedEquipment).length === 0) return score
+
+  Object.entries(template.expectedEquipment).forEach(([deviceType, { min, typical, max, criticality, function: func }]) => {
+    const count = actual[deviceType] || 0
+    score.totalExpected += typical
+    score.totalActual += count
+    if (count >= min && count <= max) {
+      score.totalWithinRange += typical
+    } else if (count < min) {
+      score.gaps.push({
+        deviceType,
+        expected: typical,
+        actual: count,
+        missing: min - count,
+        criticality,
+        function: func,
+        severity: count === 0 ? 'CRITICAL' : criticality === 'CRITICAL' ? 'HIGH' : 'MEDIUM'
+      })
+    } else {
+      score.overages.push({
+        deviceType,
+        expected: typical,
+        actual: count,
+        excess: count - max,
+        reason: 'Possible data quality issue or advanced instrumentation'
+      })
+    }
+  })
+  score.canAssess = true
+  score.completenessScore = score.totalExpected > 0 ? Math.round((score.totalWithinRange / score.totalExpected) * 100) : 0
+  return score
+}
+
+// Raw baseline rows (plant / unit / device_type under any spelling learning accepts) graded unit by
+// unit - how the analyzers without a matching pipeline (pharma, utilities) score their engineering list
+export function gradePlantCompleteness(rows = [], templates = DEFAULT_EQUIPMENT_TEMPLATES, taxonomy = DEFAULT_DEVICE_TAXONOMY) {
+  const units = new Map()
+  rows.forEach(row => {
+    const record = referenceRecord(row)
+    const unit = record.unit && !isPlaceholder(record.unit) ? record.unit : 'Unknown'
+    const key = JSON.stringify([record.plant, unit])
+    if (!units.has(key)) units.set(key, { plant: record.plant, unit, records: [] })
+    units.get(key).records.push(record)
+  })
+  return [...units.values()]
+    .map(({ plant, unit, records }) => {
+      const { unitType, resolution, template, unclassified, ...score } = scoreUnitCompleteness(unit, records, templates, taxonomy)
+      return {
+        plant,
+        unit,
+        template: unitType,
+        matchedBy: resolution.matchedBy,
+        displayName: template?.displayName || unit,
+        templateSources: template?.sources || [],
+        templateCapacity: template?.capacity || null,
+        templateScaledFrom: template?.scaledFrom || null,
+        assets: records.length,
+        unclassified: unclassified.length,
+        ...score,
+        expected: template?.expectedEquipment || {}
+      }
+    })
+    .sort((a, b) => b.assets - a.assets)
+}
+
+const firstValue = (record, fields) => String(fields.map(field => record[field]).find(value => value !== undefined && value !== null && String(value).trim()) ?? '').trim()
+
+// Raw baseline row -> the fields learning reads, under the same column names the analyzers accept
+function referenceRecord(row) {
+  const record = Object.fromEntries(Object.entries(row || {}).map(([key, value]) => [normalizeHeader(key), value]))
+  return {
+    ...record,
+    plant: firstValue(record, ['plant', 'site', 'facility', 'site_name', 'location']),
+    unit: firstValue(record, ['unit', 'area', 'process_unit', 'zone', 'segment']),
+    device_type: firstValue(record, ['device_type', 'type', 'asset_type', 'instrument_type', 'category', 'device_category']),
+    tag_id: firstValue(record, ['tag_id', 'tag', 'tagid', 'asset_tag'])
+  }
+}
+
+const median = (sorted) => quantile(sorted, 0.5)
+function quantile(sorted, q) {
+  const position = (sorted.length - 1) * q
+  const lower = Math.floor(position)
+  return sorted[lower] + (sorted[Math.ceil(position)] - sorted[lower]) * (position - lower)
+}
+
+// Criticality for a class the templates do not rate yet, from its taxonomy tier
+function learnedCriticality(deviceType, taxonomy) {
+  const entry = taxonomy.types.find(type => type.type === deviceType)
+  if (entry?.tier === 1) return isControllerType(entry) ? 'CRITICAL' : 'HIGH'
+  return entry?.tier === 2 ? 'HIGH' : 'MEDIUM'
+}
+
+// Reference baselines -> template document. Each plant's unit is one sample; its count per equipment
+// class (normalizeDeviceType) is one observation. typical is the median over the samples, min / max
+// the 10th / 90th percentile widened to at least typical -/+ tolerance. A class present in fewer than
+// minPresence of the samples is left out. When every sample of a unit type has a capacity, counts are
+// taken per unit of capacity and sized to options.capacity[unitType], or else the median capacity.
+// The document has "replace": true on every unit, so uploading it swaps the learned units in whole
+export function learnEquipmentTemplates(records = [], {
+  taxonomy = DEFAULT_DEVICE_TAXONOMY,
+  templates = DEFAULT_EQUIPMENT_TEMPLATES,
+  name = 'Learned templates',
+  revision = '1',
+  capacity = {},
+  tolerance = 0.25,
+  minPresence = 0.5
+} = {}) {
+  const warnings = []
+  const samples = new Map()
+  let withoutUnit = 0
+  let unclassified = 0
+  const reserved = new Set()
+
+  records.forEach(row => {
+    const record = referenceRecord(row)
+    if (!record.unit || isPlaceholder(record.unit)) {
+      withoutUnit++
+      return
+    }
+    const resolved = resolveProcessUnit(record.unit, templates.aliases).unitType
+    const unitType = resolved === 'Unknown' ? record.unit : resolved
+    if (isReservedName(unitType)) {
+      reserved.add(unitType)
+      return
+    }
+    const key = JSON.stringify([record.plant, unitType])
+    if (!samples.has(key)) samples.set(key, { plant: record.plant, unitType, names: new Set(), counts: {}, capacity: null })
+    const sample = samples.get(key)
+    sample.names.add(record.unit)
+    sample.capacity = sample.capacity || unitCapacity([record])
+    const deviceType = normalizeDeviceType(record.device_type, record.tag_id, taxonomy)
+    if (deviceType) sample.counts[deviceType] = (sample.counts[deviceType] || 0) + 1
+    else unclassified++
+  })
+  if (withoutUnit > 0) warnings.push(`${withoutUnit} record${withoutUnit === 1 ? '' : 's'} without a unit ${withoutUnit === 1 ? 'was' : 'were'} not used`)
+  if (reserved.size > 0) warnings.push(`${[...reserved].join(', ')} cannot be a unit name - those records were not used`)
+  if (unclassified > 0) warnings.push(`${unclassified} record${unclassified === 1 ? '' : 's'} with a device type the taxonomy does not know ${unclassified === 1 ? 'was' : 'were'} not counted`)
+
+  const byUnitType = new Map()
+  samples.forEach(sample => byUnitType.set(sample.unitType, [...(byUnitType.get(sample.unitType) || []), sample]))
+
+  const units = {}
+  byUnitType.forEach((unitSamples, unitType) => {
+    const existing = Object.hasOwn(templates.units, unitType) ? templates.units[unitType] : null
+    const capacities = unitSamples.map(sample => sample.capacity)
+    const scaled = capacities.every(value => value && sameCapacityUnit(value, capacities[0]))
+    if (!scaled && capacities.some(Boolean)) {
+      warnings.push(`${unitType}: only some reference units have a capacity - counts were not scaled`)
+    }
+    const target = scaled
+      ? { value: Number(Object.hasOwn(capacity, unitType) ? capacity[unitType]?.value ?? capacity[unitType] : null) || median(capacities.map(value => value.value).sort((a, b) => a - b)), unit: capacities.find(value => value.unit)?.unit || null }
+      : null
+    if (unitSamples.length === 1) {
+      warnings.push(`${unitType}: one reference unit - min / max are typical -/+ ${Math.round(tolerance * 100)}%`)
+    }
+
+    // Most common classes first
+    const totals = {}
+    unitSamples.forEach(sample => Object.entries(sample.counts).forEach(([deviceType, count]) => { totals[deviceType] = (totals[deviceType] || 0) + count }))
+    const deviceTypes = Object.keys(totals).sort((a, b) => totals[b] - totals[a])
+    const expectedEquipment = {}
+    deviceTypes.forEach(deviceType => {
+      const counts = unitSamples
+        .map(sample => (sample.counts[deviceType] || 0) * (target ? target.value / sample.capacity.value : 1))
+        .sort((a, b) => a - b)
+      const presence = counts.filter(count => count > 0).length / counts.length
+      const typical = Math.round(median(counts))
+      if (presence < minPresence || typical < 1) return
+      const spec = existing?.expectedEquipment[deviceType]
+      expectedEquipment[deviceType] = {
+        min: Math.max(0, Math.floor(Math.min(quantile(counts, 0.1), typical * (1 - tolerance)))),
+        typical,
+        max: Math.ceil(Math.max(quantile(counts, 0.9), typical * (1 + tolerance))),
+        criticality: spec?.criticality || learnedCriticality(deviceType, taxonomy),
+        function: spec?.function || ''
+      }
+    })
+    if (Object.keys(expectedEquipment).length === 0) {
+      warnings.push(`${unitType}: no equipment class reached the presence threshold`)
+      return
+    }
+
+    const plants = [...new Set(unitSamples.map(sample => sample.plant).filter(Boolean))]
+    units[unitType] = {
+      displayName: existing?.displayName || unitType,
+      description: `Learned from ${unitSamples.length} reference unit${unitSamples.length === 1 ? '' : 's'}${plants.length > 0 ? ` (${plants.join(', ')})` : ''}`,
+      replace: true,
+      aliases: [...new Set(unitSamples.flatMap(sample => [...sample.names]))].filter(alias => alias.toLowerCase() !== unitType.toLowerCase()),
+      ...(target ? { capacity: target } : {}),
+      samples: unitSamples.length,
+      expectedEquipment
+    }
+  })
+
+  return {
+    document: {
+      version: EQUIPMENT_TEMPLATE_VERSION,
+      name,
+      revision,
+      learnedFrom: {
+        plants: [...new Set([...samples.values()].map(sample => sample.plant).filter(Boolean))],
+        samples: samples.size,
+        records: records.length,
+        taxonomy: taxonomy.revision
+      },
+      units
+    },
+    warnings
+  }
+}
@@ -0,0 +1,44 @@
+// ============================================================================
+// ICS SERVICE PORTS
+// Well-known industrial protocol ports and the device each one points at.
+// Active scans (Nmap, Masscan) only see open ports, so an open 502 or 44818 is
+// the best evidence of what a host is: it becomes the row's protocol and a
+// likely device_type that the device taxonomy (lib/device-taxonomy.js) knows.
+// ============================================================================
+
+// In priority order: the first open port found decides the device type.
+// A port is only ICS evidence on the transport the protocol uses (502/udp is not Modbus TCP)
+export const ICS_PORTS = [
+  { port: 102, transport: 'tcp', protocol: 'S7comm', deviceType: 'PLC' },
+  { port: 44818, transport: 'tcp', protocol: 'EtherNet/IP', deviceType: 'PLC' },
+  // ListIdentity discovery answers on UDP
+  { port: 44818, transport: 'udp', protocol: 'EtherNet/IP', deviceType: 'PLC' },
+  { port: 502, transport: 'tcp', protocol: 'Modbus TCP', deviceType: 'PLC' },
+  { port: 20000, transport: 'tcp', protocol: 'DNP3', deviceType: 'RTU' },
+  { port: 20000, transport: 'udp', protocol: 'DNP3', deviceType: 'RTU' },
+  { port: 47808, transport: 'udp', protocol: 'BACnet/IP', deviceType: 'Controller' },
+  { port: 4840, transport: 'tcp', protocol: 'OPC UA', deviceType: 'Server' }
+]
+
+const portKey = (port, transport) => `${Number(port)}/${String(transport).toLowerCase()}`
+
+const BY_PORT = new Map(ICS_PORTS.map(entry => [portKey(entry.port, entry.transport), entry]))
+
+// transport is 'tcp' / 'udp'; a source that does not record it (some Zeek protocol logs)
+// leaves the port alone to decide
+export const icsPort = (port, transport) => transport
+  ? BY_PORT.get(portKey(port, transport)) || null
+  : ICS_PORTS.find(entry => entry.port === Number(port)) || null
+
+// Open ports ([{ port: 502, transport: 'tcp' }, ...]) -> { protocols, deviceType, port, transport }
+// for the ICS services among them; deviceType is null when none is an ICS port
+export function inferFromPorts(ports = []) {
+  const open = new Set(ports.map(({ port, transport }) => icsPort(port, transport)).filter(Boolean))
+  const found = ICS_PORTS.filter(entry => open.has(entry))
+  return {
+    protocols: [...new Set(found.map(entry => entry.protocol))],
+    deviceType: found[0]?.deviceType || null,
+    port: found[0]?.port || null,
+    transport: found[0]?.transport || null
+  }
+}
@@ -0,0 +1,138 @@
+// ============================================================================
+// INGEST VALIDATION
+// Row-level report of what happened to each uploaded file on the way in, so a
+// bad row no longer vanishes silently: rows rejected for carrying no identity,
+// cells coerced to a default, rows collapsed as duplicate keys, dates and IP
+// addresses that could not be parsed, records (JSON lines) that could not be read
+// at all, and columns the canonizer does not read.
+// Row numbers are 1-based data rows (the header line is not counted), the same
+// numbering as `_row` on normalized records.
+//
+//   createValidationReport(filename, sourceType, headers)   -> report
+//   recordIssue(report, kind, issue)                        -> issue kinds below
+//   checkDates(rows, report)                                -> unparseable cells in date columns
+//   checkColumns(report, headers, recognized, mapping)      -> columns nothing reads
+//   summarizeValidation(reports, { strict, maxErrorRate })  -> { failed, totals, files }
+// ============================================================================
+import dayjs from 'dayjs'
+import { normalizeHeader } from './column-profiles.js'
+
+// Issue kinds; errors count towards a file's error rate, warnings do not.
+// A duplicate is an error only inside one file - the same device in two exports is expected
+export const ISSUE_KINDS = {
+  rejected: { level: 'error', label: 'Rejected rows' },
+  invalidIps: { level: 'error', label: 'Unparseable IP addresses' },
+  duplicates: { level: 'error', label: 'Duplicate keys' },
+  unreadable: { level: 'error', label: 'Unreadable records' },
+  coerced: { level: 'warning', label: 'Coerced values' },
+  invalidDates: { level: 'warning', label: 'Unparseable dates' }
+}
+
+// Strict mode fails the run when a file has more error rows than this (percent)
+export const DEFAULT_MAX_ERROR_RATE = 5
+
+// Issues listed per kind and file; the counts keep going past it
+const MAX_ISSUES = 1000
+
+// Columns holding dates: due_date, last_seen, opened_at, last_audit, installed_on, required_by, ...
+const DATE_COLUMN = /(^|_)(date|at|seen|on|time|timestamp|audit|completed|scan|discovered)$|^required_by$/
+
+const IPV4 = /^(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(\.(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}$/
+const IPV6 = /^[0-9a-f]{0,4}(:[0-9a-f]{0,4}){2,7}$/i
+
+// Values that stand for "not known" rather than a broken value
+const PLACEHOLDER = /^(|-|n\/a|na|none|null|unknown|tbd)$/i
+
+export const isIpAddress = (value) => {
+  const v = String(value ?? '').trim()
+  return IPV4.test(v) || (v.includes('::') || v.split(':').length === 8 ? IPV6.test(v) : false)
+}
+
+export const isPlaceholder = (value) => PLACEHOLDER.test(String(value ?? '').trim())
+
+// ISO dates are range-checked (dayjs rolls 2024-13-45 over into 2025); bare numbers
+// other than years and epoch seconds / milliseconds (Excel serials) are not dates
+export function isParseableDate(value) {
+  const v = String(value ?? '').trim()
+  if (/^\d+$/.test(v)) return [4, 10, 13].includes(v.length)
+  const iso = v.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/)
+  if (iso && (Number(iso[2]) < 1 || Number(iso[2]) > 12 || Number(iso[3]) < 1 || Number(iso[3]) > 31)) return false
+  return dayjs(v).isValid()
+}
+
+// Rows with an error-level issue, per report (kept out of the JSON response)
+const errorRows = new WeakMap()
+
+export function createValidationReport(filename, sourceType, headers = []) {
+  const report = {
+    filename,
+    sourceType,
+    rows: 0,
+    accepted: 0,
+    counts: Object.fromEntries(Object.keys(ISSUE_KINDS).map(kind => [kind, 0])),
+    ...Object.fromEntries(Object.keys(ISSUE_KINDS).map(kind => [kind, []])),
+    unknownColumns: [],
+    columns: headers.length
+  }
+  errorRows.set(report, new Set())
+  return report
+}
+
+// issue: { row, column?, value?, reason?, ... }; a missing report (validation not tracked) is ignored
+export function recordIssue(report, kind, issue) {
+  if (!report) return
+  report.counts[kind]++
+  if (report[kind].length < MAX_ISSUES) report[kind].push(issue)
+  const isError = ISSUE_KINDS[kind].level === 'error' && (kind !== 'duplicates' || issue.sameFile)
+  if (isError) errorRows.get(report).add(issue.row)
+}
+
+// Every date-like column of the normalized rows, placeholders skipped
+export function checkDates(rows, report) {
+  const columns = Object.keys(rows[0] || {}).filter(column => !column.startsWith('_') && DATE_COLUMN.test(column))
+  rows.forEach(row => {
+    columns.forEach(column => {
+      const value = row[column]
+      if (value === undefined || value === null || isPlaceholder(value)) return
+      if (!isParseableDate(value)) recordIssue(report, 'invalidDates', { row: row._row, column, value: String(value) })
+    })
+  })
+  return report
+}
+
+// Headers neither read by the canonizer nor renamed by the file's mapping profile.
+// They are not dropped (records keep every original column), just not used
+export function checkColumns(report, headers, recognized, mapping = null) {
+  report.unknownColumns = headers.filter(header => {
+    const key = normalizeHeader(header)
+    return key && !recognized.has(key) && !(mapping && key in mapping)
+  })
+  return report
+}
+
+const percent = (part, whole) => whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0
+
+export function summarizeValidation(reports = [], { strict = false, maxErrorRate = DEFAULT_MAX_ERROR_RATE } = {}) {
+  const limit = Number.isFinite(Number(maxErrorRate)) && Number(maxErrorRate) >= 0 ? Number(maxErrorRate) : DEFAULT_MAX_ERROR_RATE
+  const files = reports.map(report => {
+    const errors = errorRows.get(report)?.size || 0
+    const errorRate = percent(errors, report.rows)
+    return { ...report, errorRows: errors, errorRate, failed: Boolean(strict) && errorRate > limit }
+  })
+  const rows = files.reduce((sum, file) => sum + file.rows, 0)
+  const errors = files.reduce((sum, file) => sum + file.errorRows, 0)
+  return {
+    strict: Boolean(strict),
+    maxErrorRate: limit,
+    failed: files.some(file => file.failed),
+    totals: {
+      files: files.length,
+      rows,
+      errorRows: errors,
+      errorRate: percent(errors, rows),
+      unknownColumns: files.reduce((sum, file) => sum + file.unknownColumns.length, 0),
+      ...Object.fromEntries(Object.keys(ISSUE_KINDS).map(kind => [kind, files.reduce((sum, file) => sum + file.counts[kind], 0)]))
+    },
+    files
+  }
+}
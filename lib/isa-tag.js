@@ -0,0 +1,167 @@
+// ============================================================================
+// ISA 5.1 TAG PARSER
+// Splits instrument tags into plant/unit prefix, function letters, loop number
+// and A/B suffix so differently formatted tags compare equal:
+//   CDU-PT-101A, PT101A, PT_0101A, 10-PT-101-A  ->  PT-101A
+// ============================================================================
+
+// First letter: measured / initiating variable
+const MEASURED_VARIABLES = {
+  A: 'Analysis',
+  B: 'Burner/Combustion',
+  C: 'Conductivity',
+  D: 'Density',
+  E: 'Voltage',
+  F: 'Flow',
+  H: 'Hand',
+  I: 'Current',
+  J: 'Power',
+  K: 'Time',
+  L: 'Level',
+  M: 'Moisture',
+  P: 'Pressure',
+  Q: 'Quantity',
+  R: 'Radiation',
+  S: 'Speed',
+  T: 'Temperature',
+  U: 'Multivariable',
+  V: 'Vibration',
+  W: 'Weight',
+  X: 'Unclassified',
+  Y: 'Event/State',
+  Z: 'Position'
+}
+
+// Optional modifier after the first letter (PDT, FQI, PSV)
+const VARIABLE_MODIFIERS = ['', 'D', 'F', 'Q', 'S']
+
+// Readout / output functions. Deliberately a closed list so that equipment
+// abbreviations such as PLC, HMI, DCS or unit codes like LOA never parse as loops
+const FUNCTIONS = [
+  'T', 'I', 'C', 'E', 'V', 'Y', 'G', 'R', 'A', 'S', 'K', 'Z',
+  'IT', 'IC', 'ID', 'RC', 'CV', 'QI',
+  'AH', 'AL', 'AHH', 'ALL', 'SH', 'SL', 'SHH', 'SLL'
+]
+
+const FUNCTION_LETTERS = new Set()
+Object.keys(MEASURED_VARIABLES).forEach(first => {
+  VARIABLE_MODIFIERS.forEach(modifier => {
+    FUNCTIONS.forEach(fn => FUNCTION_LETTERS.add(`${first}${modifier}${fn}`))
+  })
+})
+
+const SEPARATORS = /[\s\-_./]+/
+const COMBINED_TOKEN = /^([A-Z]{1,5})(\d{1,6})([A-Z]{0,2})$/
+const LOOP_TOKEN = /^(\d{1,6})([A-Z]{0,2})$/
+const LETTER_TOKEN = /^[A-Z]{1,5}$/
+const SUFFIX_TOKEN = /^[A-Z]{1,2}$/
+
+export function isIsaFunction(letters) {
+  return FUNCTION_LETTERS.has(String(letters || '').toUpperCase())
+}
+
+// Parse a tag; returns null when it does not look like an ISA instrument tag
+export function parseIsaTag(tag) {
+  const tokens = String(tag || '').trim().toUpperCase().split(SEPARATORS).filter(Boolean)
+  if (tokens.length === 0) return null
+
+  let end = tokens.length
+  let suffix = ''
+
+  // Trailing A/B suffix written as its own token: PT-101-A
+  if (end >= 3 && SUFFIX_TOKEN.test(tokens[end - 1]) && LOOP_TOKEN.test(tokens[end - 2])) {
+    suffix = tokens[end - 1]
+    end--
+  }
+
+  let functionLetters = null
+  let loopDigits = null
+  let prefixTokens = []
+
+  const last = tokens[end - 1]
+  const combined = COMBINED_TOKEN.exec(last)
+  const loopOnly = LOOP_TOKEN.exec(last)
+
+  if (combined && isIsaFunction(combined[1])) {
+    // PT101A or CDU-PT101A
+    functionLetters = combined[1]
+    loopDigits = combined[2]
+    suffix = combined[3] || suffix
+    prefixTokens = tokens.slice(0, end - 1)
+  } else if (loopOnly && end >= 2 && LETTER_TOKEN.test(tokens[end - 2]) && isIsaFunction(tokens[end - 2])) {
+    // PT-101A, PT_0101A, CRU_TA_0088
+    functionLetters = tokens[end - 2]
+    loopDigits = loopOnly[1]
+    suffix = loopOnly[2] || suffix
+    prefixTokens = tokens.slice(0, end - 2)
+  } else {
+    return null
+  }
+
+  const loop = String(parseInt(loopDigits, 10))
+  const measured = functionLetters[0]
+
+  return {
+    raw: String(tag),
+    prefix: prefixTokens.join('-'),
+    functionLetters,
+    measuredVariable: MEASURED_VARIABLES[measured] || null,
+    loop,
+    suffix,
+    // Loop identity without the unit prefix, used as a match key
+    key: `${functionLetters}-${loop}${suffix}`,
+    // Same loop regardless of A/B suffix (redundant pairs share this)
+    loopKey: `${functionLetters}-${loop}`
+  }
+}
+
+// Canonical match key for a tag, or '' when it is not an ISA tag
+export function isaTagKey(tag) {
+  return parseIsaTag(tag)?.key || ''
+}
+
+// Device type implied by the function letters (PT -> Pressure_Transmitter, FV -> Control_Valve)
+export function deviceTypeFromIsaTag(tag) {
+  const parsed = typeof tag === 'object' && tag !== null ? tag : parseIsaTag(tag)
+  if (!parsed) return null
+
+  const letters = parsed.functionLetters
+  const measured = letters[0]
+  const fn = letters.slice(1).replace(/^[DFQS](?=.)/, '')
+
+  // Valves: FV, PCV, XV, HV, PSV
+  if (fn.endsWith('V')) return 'Control_Valve'
+
+  // Transmitters and primary elements
+  if (fn === 'T' || fn === 'IT' || fn === 'E') {
+    if (measured === 'P') return 'Pressure_Transmitter'
+    if (measured === 'T') return 'Temperature_Transmitter'
+    if (measured === 'L') return 'Level_Transmitter'
+    if (measured === 'F') return 'Flow_Transmitter'
+    if (measured === 'A') return 'Analyzer'
+    return 'Transmitter'
+  }
+
+  return null
+}
+
+// Redundant pair membership: P-101A / P-101B, DCS-CTRL-01A / DCS-CTRL-01B, PT_0101-A.
+// Returns { group, member } or null. ISA tags group on their loop; other tags on the
+// text before a single trailing letter that follows a digit
+const REDUNDANT_SUFFIX = /^(.*\d)[\s\-_.]?([A-Z])$/
+
+export function redundancyKey(tag) {
+  const value = String(tag || '').trim().toUpperCase()
+  if (!value) return null
+
+  const parsed = parseIsaTag(value)
+  if (parsed) {
+    if (parsed.suffix.length !== 1) return null
+    // Keep the unit prefix: CDU-PT-101A and FCC-PT-101B are different loops
+    return { group: [parsed.prefix, parsed.loopKey].filter(Boolean).join('-'), member: parsed.suffix }
+  }
+
+  const match = REDUNDANT_SUFFIX.exec(value)
+  if (!match) return null
+  return { group: match[1].replace(/[\s_.]+/g, '-'), member: match[2] }
+}
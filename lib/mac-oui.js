@@ -0,0 +1,86 @@
+// ============================================================================
+// MAC ADDRESS / OUI RESOLUTION
+// Normalizes MAC notations, resolves the vendor from the bundled IEEE table
+// (registered names go through the vendor catalog, so "Rockwell Automation"
+// and "Allen-Bradley" agree) and recognizes randomized / locally administered
+// addresses.
+// ============================================================================
+import { OUI_VENDORS } from './oui-vendors.js'
+import { vendorFamily } from './vendor-catalog.js'
+
+// Longest assignment first: MA-S (36 bit), MA-M (28 bit), MA-L (24 bit)
+const PREFIX_LENGTHS = [9, 7, 6]
+
+// Accepts 00:1A:2B:3C:4D:5E, 00-1a-2b-3c-4d-5e, 001A.2B3C.4D5E, 001A2B3C4D5E and
+// unpadded octets (0:1A:2B:3C:4D:5E). Returns '' when it is not a 48-bit MAC
+export function normalizeMac(mac) {
+  const raw = String(mac || '').trim().toUpperCase()
+  if (!raw) return ''
+
+  let hex = ''
+  const octets = raw.split(/[:-]/)
+  if (octets.length === 6) {
+    if (!octets.every(o => /^[0-9A-F]{1,2}$/.test(o))) return ''
+    hex = octets.map(o => o.padStart(2, '0')).join('')
+  } else {
+    hex = raw.replace(/[.\s]/g, '')
+    if (!/^[0-9A-F]{12}$/.test(hex)) return ''
+  }
+
+  return hex.match(/../g).join(':')
+}
+
+// Address type from the first octet: bit 0 = group (multicast), bit 1 = locally administered
+export function classifyMac(mac) {
+  const normalized = normalizeMac(mac)
+  if (!normalized) return { valid: false, multicast: false, locallyAdministered: false, randomized: false }
+
+  const firstOctet = parseInt(normalized.slice(0, 2), 16)
+  const multicast = (firstOctet & 0x01) === 0x01
+  const locallyAdministered = (firstOctet & 0x02) === 0x02
+
+  return {
+    valid: true,
+    multicast,
+    locallyAdministered,
+    // Phones, laptops and VMs randomize into the locally administered range;
+    // real OT field devices ship with burned-in (universal) addresses
+    randomized: locallyAdministered && !multicast
+  }
+}
+
+// Resolve the registered vendor; null for unknown, invalid or locally administered MACs
+export function resolveMacVendor(mac, table = OUI_VENDORS) {
+  const normalized = normalizeMac(mac)
+  if (!normalized) return null
+
+  const kind = classifyMac(normalized)
+  if (kind.locallyAdministered || kind.multicast) return null
+
+  const hex = normalized.replace(/:/g, '')
+  for (const length of PREFIX_LENGTHS) {
+    const organization = table[hex.slice(0, length)]
+    if (organization) {
+      return {
+        oui: hex.slice(0, length),
+        organization,
+        vendor: vendorFamily(organization) || organization
+      }
+    }
+  }
+
+  return null
+}
+
+// Does the manufacturer recorded for an asset agree with the MAC vendor?
+// null = not comparable (no manufacturer or vendor unresolved)
+export function macVendorAgrees(manufacturer, macVendor) {
+  const value = String(manufacturer || '').trim().toLowerCase()
+  if (!macVendor || !value || value === 'unknown') return null
+
+  const family = vendorFamily(manufacturer)
+  if (family) return family === macVendor.vendor
+
+  const organization = macVendor.organization.toLowerCase()
+  return organization.includes(value) || value.includes(macVendor.vendor.toLowerCase())
+}
@@ -0,0 +1,186 @@
+// ============================================================================
+// MATCH RULES DOCUMENT
+// Engineer decisions that survive re-uploads. Applied before any automatic
+// matching strategy:
+//   pinned      - these two records are the same device
+//   forbidden   - these two records must never be paired
+//   tagRewrites - regex rewrites of tag_id (e.g. legacy CRU-0001 -> CDU-0001)
+//
+// {
+//   "version": 1,
+//   "pinned": [{ "engineering": { "tag_id": "DEV-LOA-001" }, "discovered": { "ip_address": "192.168.88.204" },
+//                "namespace": "gulf coast refinery", "note": "Confirmed on site" }],
+//   "forbidden": [{ "engineering": { "tag_id": "PLC-CDU-001" }, "discovered": { "mac_address": "00:1A:2B:3C:4D:01" } }],
+//   "tagRewrites": [{ "pattern": "^CRU-(\\d+)$", "replacement": "CDU-$1", "flags": "i", "source": "engineering" }]
+// }
+// ============================================================================
+import { parseIsaTag } from './isa-tag.js'
+import { normalizeMac } from './mac-oui.js'
+
+export const MATCH_RULES_VERSION = 1
+
+// Identifiers a rule may select records by, most specific first
+export const SELECTOR_FIELDS = ['tag_id', 'mac_address', 'ip_address', 'hostname']
+
+const REWRITE_SOURCES = ['engineering', 'otDiscovery', 'all']
+
+const normalizeSelectorValue = (field, value) => {
+  const v = String(value ?? '').trim()
+  if (field === 'tag_id') return v.toUpperCase()
+  if (field === 'hostname') return v.toLowerCase()
+  if (field === 'mac_address') return normalizeMac(v) || v.toUpperCase()
+  return v
+}
+
+export function emptyMatchRules() {
+  return { version: MATCH_RULES_VERSION, pinned: [], forbidden: [], tagRewrites: [] }
+}
+
+// Keep only known identifier fields, normalized; null when nothing is left
+function normalizeSelector(selector) {
+  if (!selector || typeof selector !== 'object') return null
+  const normalized = {}
+  SELECTOR_FIELDS.forEach(field => {
+    const value = normalizeSelectorValue(field, selector[field])
+    if (value) normalized[field] = value
+  })
+  return Object.keys(normalized).length > 0 ? normalized : null
+}
+
+function normalizePairRule(rule, type, index, errors) {
+  const engineering = normalizeSelector(rule?.engineering)
+  const discovered = normalizeSelector(rule?.discovered)
+  if (!engineering || !discovered) {
+    errors.push(`${type}[${index}]: needs an engineering and a discovered selector (${SELECTOR_FIELDS.join(', ')})`)
+    return null
+  }
+  const normalized = { engineering, discovered }
+  ;['namespace', 'note', 'confirmed_by', 'confirmed_at'].forEach(key => {
+    if (rule[key]) normalized[key] = String(rule[key]).trim()
+  })
+  return normalized
+}
+
+function normalizeRewriteRule(rule, index, errors) {
+  const pattern = String(rule?.pattern || '')
+  const flags = String(rule?.flags || '').replace(/[^imsu]/g, '')
+  const source = REWRITE_SOURCES.includes(rule?.source) ? rule.source : 'all'
+  if (!pattern) {
+    errors.push(`tagRewrites[${index}]: missing pattern`)
+    return null
+  }
+  try {
+    new RegExp(pattern, flags)
+  } catch (error) {
+    errors.push(`tagRewrites[${index}]: invalid pattern ${pattern} (${error.message})`)
+    return null
+  }
+  const normalized = { pattern, replacement: String(rule.replacement ?? ''), flags, source }
+  if (rule.note) normalized.note = String(rule.note).trim()
+  return normalized
+}
+
+const ruleKey = (rule) => JSON.stringify([rule.engineering, rule.discovered, rule.namespace || ''])
+
+// Combine documents in order, dropping duplicate rules
+export function mergeMatchRules(...documents) {
+  const merged = emptyMatchRules()
+  const seen = { pinned: new Set(), forbidden: new Set(), tagRewrites: new Set() }
+  documents.filter(Boolean).forEach(doc => {
+    ;['pinned', 'forbidden'].forEach(type => {
+      (doc[type] || []).forEach(rule => {
+        const key = ruleKey(rule)
+        if (seen[type].has(key)) return
+        seen[type].add(key)
+        merged[type].push(rule)
+      })
+    })
+    ;(doc.tagRewrites || []).forEach(rule => {
+      const key = JSON.stringify([rule.pattern, rule.flags, rule.source])
+      if (seen.tagRewrites.has(key)) return
+      seen.tagRewrites.add(key)
+      merged.tagRewrites.push(rule)
+    })
+  })
+  return merged
+}
+
+// Accepts a document object, JSON text, or the dataSources form [{ filename, content }]
+export function parseMatchRules(input) {
+  const errors = []
+  const entries = Array.isArray(input) ? input : input ? [{ filename: 'matchRules', content: input }] : []
+
+  const documents = entries.map(({ filename, content }) => {
+    let doc = content
+    if (typeof content === 'string') {
+      try {
+        doc = JSON.parse(content)
+      } catch (error) {
+        errors.push(`${filename}: not valid JSON (${error.message})`)
+        return null
+      }
+    }
+    if (!doc || typeof doc !== 'object') {
+      errors.push(`${filename}: expected a match rules object`)
+      return null
+    }
+    if (doc.version && doc.version > MATCH_RULES_VERSION) {
+      errors.push(`${filename}: version ${doc.version} is newer than supported version ${MATCH_RULES_VERSION}`)
+    }
+
+    const localErrors = []
+    const normalized = {
+      version: MATCH_RULES_VERSION,
+      pinned: (doc.pinned || []).map((r, i) => normalizePairRule(r, 'pinned', i, localErrors)).filter(Boolean),
+      forbidden: (doc.forbidden || []).map((r, i) => normalizePairRule(r, 'forbidden', i, localErrors)).filter(Boolean),
+      tagRewrites: (doc.tagRewrites || []).map((r, i) => normalizeRewriteRule(r, i, localErrors)).filter(Boolean)
+    }
+    errors.push(...localErrors.map(e => `${filename}: ${e}`))
+    return normalized
+  })
+
+  return { rules: mergeMatchRules(...documents), errors }
+}
+
+// Does a row carry every identifier the selector names?
+export function rowMatchesSelector(row, selector) {
+  return Object.entries(selector).every(([field, value]) => normalizeSelectorValue(field, row[field]) === value)
+}
+
+// Selector for a record, using its most specific identifier
+// (engineering: tag first; discovered: IP first since most scans carry no tag)
+export function selectorFromRow(row, sourceType = 'engineering') {
+  const order = sourceType === 'engineering'
+    ? ['tag_id', 'ip_address', 'hostname', 'mac_address']
+    : ['ip_address', 'mac_address', 'hostname', 'tag_id']
+  const field = order.find(f => normalizeSelectorValue(f, row?.[f]))
+  return field ? { [field]: normalizeSelectorValue(field, row[field]) } : null
+}
+
+// Rule for a reviewed engineering/discovered pair, or null when either side has no identifier
+export function ruleFromPair(engineering, discovered, extra = {}) {
+  const engSelector = selectorFromRow(engineering, 'engineering')
+  const discSelector = selectorFromRow(discovered, 'otDiscovery')
+  if (!engSelector || !discSelector) return null
+  return { engineering: engSelector, discovered: discSelector, ...extra }
+}
+
+// Rewrite tag_id in place (keeps tag_id_original); returns the number of rows changed
+export function applyTagRewrites(rows, rules, sourceType) {
+  const rewrites = (rules?.tagRewrites || [])
+    .filter(rule => rule.source === 'all' || rule.source === sourceType)
+    .map(rule => ({ ...rule, regex: new RegExp(rule.pattern, rule.flags) }))
+  if (rewrites.length === 0) return 0
+
+  let changed = 0
+  rows.forEach(row => {
+    if (!row.tag_id) return
+    const rewritten = rewrites.reduce((tag, { regex, replacement }) => tag.replace(regex, replacement), row.tag_id).toUpperCase()
+    if (rewritten === row.tag_id) return
+    row.tag_id_original = row.tag_id
+    row.tag_id = rewritten
+    row.isa_tag = parseIsaTag(rewritten)?.key || ''
+    changed++
+  })
+  return changed
+}
@@ -0,0 +1,3053 @@
+// ============================================================================
+// IEEE OUI VENDOR TABLE (offline)
+// Generated by tools/update-oui.mjs - regenerate from the IEEE registry CSVs
+// (oui.csv, mam.csv, oui36.csv) with `npm run update:oui -- <files>`.
+// Keys are the assigned prefix in upper-case hex without separators:
+// 6 digits (MA-L), 7 digits (MA-M) or 9 digits (MA-S).
+// ============================================================================
+export const OUI_VENDORS = {
+  '00000A': 'OMRON TATEISI ELECTRONICS CO.',
+  '00000C': 'Cisco Systems, Inc',
+  '000023': 'ABB INDUSTRIAL SYSTEMS AB',
+  '000054': 'Schneider Electric',
+  '000064': 'Yokogawa Digital Computer Corporation',
+  '000068': 'ROSEMOUNT CONTROLS',
+  '00006C': 'Schneider Electric',
+  '000097': 'Dell EMC',
+  '0000BC': 'Rockwell Automation',
+  '000105': 'Beckhoff Automation GmbH',
+  '000123': 'Schneider Electric Japan Holdings Ltd.',
+  '000142': 'Cisco Systems, Inc',
+  '000143': 'Cisco Systems, Inc',
+  '000144': 'Dell EMC',
+  '000163': 'Cisco Systems, Inc',
+  '000164': 'Cisco Systems, Inc',
+  '000196': 'Cisco Systems, Inc',
+  '000197': 'Cisco Systems, Inc',
+  '0001C7': 'Cisco Systems, Inc',
+  '0001C9': 'Cisco Systems, Inc',
+  '0001E3': 'Siemens AG',
+  '0001FC': 'Keyence Corporation',
+  '000216': 'Cisco Systems, Inc',
+  '000217': 'Cisco Systems, Inc',
+  '00022C': 'ABB Bomem, Inc.',
+  '00023D': 'Cisco Systems, Inc',
+  '00024A': 'Cisco Systems, Inc',
+  '00024B': 'Cisco Systems, Inc',
+  '00027D': 'Cisco Systems, Inc',
+  '00027E': 'Cisco Systems, Inc',
+  '0002A2': 'Hilscher GmbH',
+  '0002B9': 'Cisco Systems, Inc',
+  '0002BA': 'Cisco Systems, Inc',
+  '0002FC': 'Cisco Systems, Inc',
+  '0002FD': 'Cisco Systems, Inc',
+  '00032C': 'ABB Switzerland Ltd',
+  '000331': 'Cisco Systems, Inc',
+  '000332': 'Cisco Systems, Inc',
+  '00036B': 'Cisco Systems, Inc',
+  '00036C': 'Cisco Systems, Inc',
+  '000374': 'Schneider Electric',
+  '00039F': 'Cisco Systems, Inc',
+  '0003A0': 'Cisco Systems, Inc',
+  '0003AD': 'Emerson Energy Systems AB',
+  '0003E3': 'Cisco Systems, Inc',
+  '0003E4': 'Cisco Systems, Inc',
+  '0003FD': 'Cisco Systems, Inc',
+  '0003FE': 'Cisco Systems, Inc',
+  '0003FF': 'Microsoft Corporation',
+  '000417': 'Schneider Electric',
+  '000427': 'Cisco Systems, Inc',
+  '000428': 'Cisco Systems, Inc',
+  '00044D': 'Cisco Systems, Inc',
+  '00044E': 'Cisco Systems, Inc',
+  '00046D': 'Cisco Systems, Inc',
+  '00046E': 'Cisco Systems, Inc',
+  '00049A': 'Cisco Systems, Inc',
+  '00049B': 'Cisco Systems, Inc',
+  '0004C0': 'Cisco Systems, Inc',
+  '0004C1': 'Cisco Systems, Inc',
+  '0004DD': 'Cisco Systems, Inc',
+  '0004DE': 'Cisco Systems, Inc',
+  '000500': 'Cisco Systems, Inc',
+  '000501': 'Cisco Systems, Inc',
+  '000519': 'Siemens Building Technologies AG,',
+  '000521': 'Schneider Electric',
+  '000531': 'Cisco Systems, Inc',
+  '000532': 'Cisco Systems, Inc',
+  '00055E': 'Cisco Systems, Inc',
+  '00055F': 'Cisco Systems, Inc',
+  '000569': 'VMware, Inc.',
+  '000573': 'Cisco Systems, Inc',
+  '000574': 'Cisco Systems, Inc',
+  '000585': 'Juniper Networks',
+  '00059A': 'Cisco Systems, Inc',
+  '00059B': 'Cisco Systems, Inc',
+  '00059D': 'Daniel Computing Systems, Inc.',
+  '0005DC': 'Cisco Systems, Inc',
+  '0005DD': 'Cisco Systems, Inc',
+  '0005E4': 'Red Lion Controls Inc.',
+  '000603': 'Baker Hughes Inc.',
+  '000613': 'Kawasaki Microelectronics Incorporated',
+  '000628': 'Cisco Systems, Inc',
+  '00062A': 'Cisco Systems, Inc',
+  '00064A': 'Honeywell Co., Ltd. (KOREA)',
+  '000652': 'Cisco Systems, Inc',
+  '000653': 'Cisco Systems, Inc',
+  '00065B': 'Dell Inc.',
+  '00067C': 'Cisco Systems, Inc',
+  '0006C1': 'Cisco Systems, Inc',
+  '0006D6': 'Cisco Systems, Inc',
+  '0006D7': 'Cisco Systems, Inc',
+  '0006F6': 'Cisco Systems, Inc',
+  '00070D': 'Cisco Systems, Inc',
+  '00070E': 'Cisco Systems, Inc',
+  '000746': 'TURCK, Inc.',
+  '00074F': 'Cisco Systems, Inc',
+  '000750': 'Cisco Systems, Inc',
+  '00075E': 'Ametek Power Instruments',
+  '00077C': 'Westermo Network Technologies AB',
+  '00077D': 'Cisco Systems, Inc',
+  '000784': 'Cisco Systems, Inc',
+  '000785': 'Cisco Systems, Inc',
+  '0007AF': 'Red Lion Controls, LP',
+  '0007B3': 'Cisco Systems, Inc',
+  '0007B4': 'Cisco Systems, Inc',
+  '0007EB': 'Cisco Systems, Inc',
+  '0007EC': 'Cisco Systems, Inc',
+  '000820': 'Cisco Systems, Inc',
+  '000821': 'Cisco Systems, Inc',
+  '00082F': 'Cisco Systems, Inc',
+  '000830': 'Cisco Systems, Inc',
+  '000831': 'Cisco Systems, Inc',
+  '000832': 'Cisco Systems, Inc',
+  '000874': 'Dell Inc.',
+  '00087C': 'Cisco Systems, Inc',
+  '00087D': 'Cisco Systems, Inc',
+  '0008A3': 'Cisco Systems, Inc',
+  '0008A4': 'Cisco Systems, Inc',
+  '0008C2': 'Cisco Systems, Inc',
+  '0008E2': 'Cisco Systems, Inc',
+  '0008E3': 'Cisco Systems, Inc',
+  '00090F': 'Fortinet, Inc.',
+  '000911': 'Cisco Systems, Inc',
+  '000912': 'Cisco Systems, Inc',
+  '000943': 'Cisco Systems, Inc',
+  '000944': 'Cisco Systems, Inc',
+  '00097B': 'Cisco Systems, Inc',
+  '00097C': 'Cisco Systems, Inc',
+  '0009B6': 'Cisco Systems, Inc',
+  '0009B7': 'Cisco Systems, Inc',
+  '0009E8': 'Cisco Systems, Inc',
+  '0009E9': 'Cisco Systems, Inc',
+  '0009F5': 'Emerson Network Power Co.,Ltd',
+  '000A13': 'Honeywell Video Systems',
+  '000A41': 'Cisco Systems, Inc',
+  '000A42': 'Cisco Systems, Inc',
+  '000A66': 'MITSUBISHI ELECTRIC SYSTEM & SERVICE CO.,LTD.',
+  '000A8A': 'Cisco Systems, Inc',
+  '000A8B': 'Cisco Systems, Inc',
+  '000AAE': 'Rosemount Process Analytical',
+  '000AB7': 'Cisco Systems, Inc',
+  '000AB8': 'Cisco Systems, Inc',
+  '000AF3': 'Cisco Systems, Inc',
+  '000AF4': 'Cisco Systems, Inc',
+  '000B23': 'Siemens Home & Office Comm. Devices',
+  '000B45': 'Cisco Systems, Inc',
+  '000B46': 'Cisco Systems, Inc',
+  '000B5F': 'Cisco Systems, Inc',
+  '000B60': 'Cisco Systems, Inc',
+  '000B85': 'Cisco Systems, Inc',
+  '000BA3': 'Siemens AG',
+  '000BAB': 'Advantech Technology (CHINA) Co., Ltd.',
+  '000BBE': 'Cisco Systems, Inc',
+  '000BBF': 'Cisco Systems, Inc',
+  '000BDB': 'Dell Inc.',
+  '000BFC': 'Cisco Systems, Inc',
+  '000BFD': 'Cisco Systems, Inc',
+  '000C02': 'ABB Oy',
+  '000C29': 'VMware, Inc.',
+  '000C30': 'Cisco Systems, Inc',
+  '000C31': 'Cisco Systems, Inc',
+  '000C41': 'Cisco-Linksys, LLC',
+  '000C62': 'ABB AB, Cewe-Control',
+  '000C81': 'Schneider Electric (Australia)',
+  '000C85': 'Cisco Systems, Inc',
+  '000C86': 'Cisco Systems, Inc',
+  '000CCE': 'Cisco Systems, Inc',
+  '000CCF': 'Cisco Systems, Inc',
+  '000CDE': 'ABB AG',
+  '000CE6': 'Fortinet, Inc.',
+  '000D04': 'Foxboro Eckardt Development GmbH',
+  '000D28': 'Cisco Systems, Inc',
+  '000D29': 'Cisco Systems, Inc',
+  '000D3A': 'Microsoft Corp.',
+  '000D41': 'Siemens AG ICM MP UC RD IT KLF1',
+  '000D56': 'Dell Inc.',
+  '000D65': 'Cisco Systems, Inc',
+  '000D66': 'Cisco Systems, Inc',
+  '000D81': 'Pepperl+Fuchs GmbH',
+  '000D8D': 'Prosoft Technology, Inc',
+  '000DBC': 'Cisco Systems, Inc',
+  '000DBD': 'Cisco Systems, Inc',
+  '000DEC': 'Cisco Systems, Inc',
+  '000DED': 'Cisco Systems, Inc',
+  '000E02': 'Advantech AMT Inc.',
+  '000E08': 'Cisco-Linksys, LLC',
+  '000E38': 'Cisco Systems, Inc',
+  '000E39': 'Cisco Systems, Inc',
+  '000E83': 'Cisco Systems, Inc',
+  '000E84': 'Cisco Systems, Inc',
+  '000E8C': 'Siemens AG',
+  '000ED6': 'Cisco Systems, Inc',
+  '000ED7': 'Cisco Systems, Inc',
+  '000F1F': 'Dell Inc.',
+  '000F23': 'Cisco Systems, Inc',
+  '000F24': 'Cisco Systems, Inc',
+  '000F34': 'Cisco Systems, Inc',
+  '000F35': 'Cisco Systems, Inc',
+  '000F66': 'Cisco-Linksys, LLC',
+  '000F88': 'AMETEK, Inc.',
+  '000F8F': 'Cisco Systems, Inc',
+  '000F90': 'Cisco Systems, Inc',
+  '000FBB': 'Nokia Siemens Networks GmbH & Co. KG.',
+  '000FF7': 'Cisco Systems, Inc',
+  '000FF8': 'Cisco Systems, Inc',
+  '001007': 'Cisco Systems, Inc',
+  '00100B': 'Cisco Systems, Inc',
+  '00100D': 'Cisco Systems, Inc',
+  '001011': 'Cisco Systems, Inc',
+  '001014': 'Cisco Systems, Inc',
+  '00101F': 'Cisco Systems, Inc',
+  '001029': 'Cisco Systems, Inc',
+  '00102F': 'Cisco Systems, Inc',
+  '001054': 'Cisco Systems, Inc',
+  '001079': 'Cisco Systems, Inc',
+  '00107B': 'Cisco Systems, Inc',
+  '0010A6': 'Cisco Systems, Inc',
+  '0010C9': 'MITSUBISHI ELECTRONICS LOGISTIC SUPPORT CO.',
+  '0010DB': 'Juniper Networks',
+  '0010F6': 'Cisco Systems, Inc',
+  '0010FF': 'Cisco Systems, Inc',
+  '001100': 'Schneider Electric',
+  '001106': 'Siemens NV (Belgium)',
+  '001112': 'Honeywell CMSS',
+  '001120': 'Cisco Systems, Inc',
+  '001121': 'Cisco Systems, Inc',
+  '001133': 'Siemens AG Austria',
+  '001143': 'Dell Inc.',
+  '00115C': 'Cisco Systems, Inc',
+  '00115D': 'Cisco Systems, Inc',
+  '001192': 'Cisco Systems, Inc',
+  '001193': 'Cisco Systems, Inc',
+  '0011B4': 'Westermo Network Technologies AB',
+  '0011BB': 'Cisco Systems, Inc',
+  '0011BC': 'Cisco Systems, Inc',
+  '001200': 'Cisco Systems, Inc',
+  '001201': 'Cisco Systems, Inc',
+  '00120A': 'Emerson Climate Technologies GmbH',
+  '001217': 'Cisco-Linksys, LLC',
+  '00121E': 'Juniper Networks',
+  '00123F': 'Dell Inc.',
+  '001243': 'Cisco Systems, Inc',
+  '001244': 'Cisco Systems, Inc',
+  '001248': 'Dell EMC',
+  '00125A': 'Microsoft Corporation',
+  '00127F': 'Cisco Systems, Inc',
+  '001280': 'Cisco Systems, Inc',
+  '001293': 'ABB Switzerland Ltd.',
+  '0012D9': 'Cisco Systems, Inc',
+  '0012DA': 'Cisco Systems, Inc',
+  '0012F0': 'Intel Corporate',
+  '001302': 'Intel Corporate',
+  '001310': 'Cisco-Linksys, LLC',
+  '001319': 'Cisco Systems, Inc',
+  '00131A': 'Cisco Systems, Inc',
+  '001320': 'Intel Corporate',
+  '001324': 'Schneider Electric Ultra Terminal',
+  '001347': 'Red Lion Controls, LP',
+  '00135F': 'Cisco Systems, Inc',
+  '001360': 'Cisco Systems, Inc',
+  '001372': 'Dell Inc.',
+  '00137F': 'Cisco Systems, Inc',
+  '001380': 'Cisco Systems, Inc',
+  '001386': 'ABB Inc/Totalflow',
+  '0013A3': 'Siemens Home & Office Comm. Devices',
+  '0013C3': 'Cisco Systems, Inc',
+  '0013C4': 'Cisco Systems, Inc',
+  '0013CE': 'Intel Corporate',
+  '0013E8': 'Intel Corporate',
+  '00141B': 'Cisco Systems, Inc',
+  '00141C': 'Cisco Systems, Inc',
+  '001422': 'Dell Inc.',
+  '001453': 'ADVANTECH TECHNOLOGIES CO.,LTD',
+  '00145A': 'Westermo Neratec AG',
+  '001469': 'Cisco Systems, Inc',
+  '00146A': 'Cisco Systems, Inc',
+  '0014A8': 'Cisco Systems, Inc',
+  '0014A9': 'Cisco Systems, Inc',
+  '0014BF': 'Cisco-Linksys, LLC',
+  '0014F1': 'Cisco Systems, Inc',
+  '0014F2': 'Cisco Systems, Inc',
+  '0014F6': 'Juniper Networks',
+  '001500': 'Intel Corporate',
+  '001517': 'Intel Corporate',
+  '00152B': 'Cisco Systems, Inc',
+  '00152C': 'Cisco Systems, Inc',
+  '001530': 'Dell EMC',
+  '00155D': 'Microsoft Corporation',
+  '001562': 'Cisco Systems, Inc',
+  '001563': 'Cisco Systems, Inc',
+  '0015C5': 'Dell Inc.',
+  '0015C6': 'Cisco Systems, Inc',
+  '0015C7': 'Cisco Systems, Inc',
+  '0015F9': 'Cisco Systems, Inc',
+  '0015FA': 'Cisco Systems, Inc',
+  '001646': 'Cisco Systems, Inc',
+  '001647': 'Cisco Systems, Inc',
+  '00166F': 'Intel Corporate',
+  '001676': 'Intel Corporate',
+  '00169C': 'Cisco Systems, Inc',
+  '00169D': 'Cisco Systems, Inc',
+  '0016B6': 'Cisco-Linksys, LLC',
+  '0016C7': 'Cisco Systems, Inc',
+  '0016C8': 'Cisco Systems, Inc',
+  '0016EA': 'Intel Corporate',
+  '0016EB': 'Intel Corporate',
+  '0016F0': 'Dell',
+  '00170E': 'Cisco Systems, Inc',
+  '00170F': 'Cisco Systems, Inc',
+  '00173B': 'Cisco Systems, Inc',
+  '001755': 'GE Security',
+  '001759': 'Cisco Systems, Inc',
+  '00175A': 'Cisco Systems, Inc',
+  '001794': 'Cisco Systems, Inc',
+  '001795': 'Cisco Systems, Inc',
+  '0017CB': 'Juniper Networks',
+  '0017DF': 'Cisco Systems, Inc',
+  '0017E0': 'Cisco Systems, Inc',
+  '0017FA': 'Microsoft Corporation',
+  '00180A': 'Cisco Meraki',
+  '001818': 'Cisco Systems, Inc',
+  '001819': 'Cisco Systems, Inc',
+  '001839': 'Cisco-Linksys, LLC',
+  '001865': 'Siemens Healthcare Diagnostics Manufacturing Ltd',
+  '001868': 'Cisco SPVTG',
+  '001873': 'Cisco Systems, Inc',
+  '001874': 'Cisco Systems, Inc',
+  '00188B': 'Dell Inc.',
+  '0018B9': 'Cisco Systems, Inc',
+  '0018BA': 'Cisco Systems, Inc',
+  '0018D1': 'Siemens Home & Office Comm. Devices',
+  '0018DE': 'Intel Corporate',
+  '0018F8': 'Cisco-Linksys, LLC',
+  '001906': 'Cisco Systems, Inc',
+  '001907': 'Cisco Systems, Inc',
+  '001928': 'Siemens AG, Transportation Systems',
+  '00192F': 'Cisco Systems, Inc',
+  '001930': 'Cisco Systems, Inc',
+  '001943': 'Belden',
+  '001947': 'Cisco SPVTG',
+  '001955': 'Cisco Systems, Inc',
+  '001956': 'Cisco Systems, Inc',
+  '0019A9': 'Cisco Systems, Inc',
+  '0019AA': 'Cisco Systems, Inc',
+  '0019B9': 'Dell Inc.',
+  '0019D1': 'Intel Corporate',
+  '0019D2': 'Intel Corporate',
+  '0019E2': 'Juniper Networks',
+  '0019E7': 'Cisco Systems, Inc',
+  '0019E8': 'Cisco Systems, Inc',
+  '0019F2': 'Teradyne K.K.',
+  '001A2F': 'Cisco Systems, Inc',
+  '001A30': 'Cisco Systems, Inc',
+  '001A6C': 'Cisco Systems, Inc',
+  '001A6D': 'Cisco Systems, Inc',
+  '001A70': 'Cisco-Linksys, LLC',
+  '001A7C': 'Hirschmann Multimedia B.V.',
+  '001AA0': 'Dell Inc.',
+  '001AA1': 'Cisco Systems, Inc',
+  '001AA2': 'Cisco Systems, Inc',
+  '001AE2': 'Cisco Systems, Inc',
+  '001AE3': 'Cisco Systems, Inc',
+  '001B0C': 'Cisco Systems, Inc',
+  '001B0D': 'Cisco Systems, Inc',
+  '001B17': 'Palo Alto Networks',
+  '001B1B': 'Siemens AG,',
+  '001B21': 'Intel Corporate',
+  '001B2A': 'Cisco Systems, Inc',
+  '001B2B': 'Cisco Systems, Inc',
+  '001B45': 'ABB AS, Division Automation Products',
+  '001B53': 'Cisco Systems, Inc',
+  '001B54': 'Cisco Systems, Inc',
+  '001B67': 'Cisco Systems Inc',
+  '001B77': 'Intel Corporate',
+  '001B8F': 'Cisco Systems, Inc',
+  '001B90': 'Cisco Systems, Inc',
+  '001BC0': 'Juniper Networks',
+  '001BC5006': 'TRIAX-HIRSCHMANN Multi-Media GmbH',
+  '001BC504E': 'Mitsubishi Electric India PVT. LTD',
+  '001BC5070': 'Siemens Industries, Inc, Retail & Commercial Systems',
+  '001BD4': 'Cisco Systems, Inc',
+  '001BD5': 'Cisco Systems, Inc',
+  '001BD7': 'Cisco SPVTG',
+  '001C01': 'ABB Oy Drives',
+  '001C06': 'Siemens Numerical Control Ltd., Nanjing',
+  '001C0E': 'Cisco Systems, Inc',
+  '001C0F': 'Cisco Systems, Inc',
+  '001C10': 'Cisco-Linksys, LLC',
+  '001C14': 'VMware, Inc.',
+  '001C23': 'Dell Inc.',
+  '001C57': 'Cisco Systems, Inc',
+  '001C58': 'Cisco Systems, Inc',
+  '001CB0': 'Cisco Systems, Inc',
+  '001CB1': 'Cisco Systems, Inc',
+  '001CBF': 'Intel Corporate',
+  '001CC0': 'Intel Corporate',
+  '001CD3': 'ZP Engineering SEL',
+  '001CF6': 'Cisco Systems, Inc',
+  '001CF9': 'Cisco Systems, Inc',
+  '001D09': 'Dell Inc.',
+  '001D40': 'Intel – GE Care Innovations LLC',
+  '001D44': 'Krohne',
+  '001D45': 'Cisco Systems, Inc',
+  '001D46': 'Cisco Systems, Inc',
+  '001D70': 'Cisco Systems, Inc',
+  '001D71': 'Cisco Systems, Inc',
+  '001D7E': 'Cisco-Linksys, LLC',
+  '001D9C': 'Rockwell Automation',
+  '001DA1': 'Cisco Systems, Inc',
+  '001DA2': 'Cisco Systems, Inc',
+  '001DB5': 'Juniper Networks',
+  '001DD8': 'Microsoft Corporation',
+  '001DE0': 'Intel Corporate',
+  '001DE1': 'Intel Corporate',
+  '001DE5': 'Cisco Systems, Inc',
+  '001DE6': 'Cisco Systems, Inc',
+  '001E13': 'Cisco Systems, Inc',
+  '001E14': 'Cisco Systems, Inc',
+  '001E1E': 'Honeywell Life Safety',
+  '001E49': 'Cisco Systems, Inc',
+  '001E4A': 'Cisco Systems, Inc',
+  '001E4F': 'Dell Inc.',
+  '001E64': 'Intel Corporate',
+  '001E65': 'Intel Corporate',
+  '001E67': 'Intel Corporate',
+  '001E6B': 'Cisco SPVTG',
+  '001E76': 'Thermo Fisher Scientific',
+  '001E79': 'Cisco Systems, Inc',
+  '001E7A': 'Cisco Systems, Inc',
+  '001EBD': 'Cisco Systems, Inc',
+  '001EBE': 'Cisco Systems, Inc',
+  '001EC9': 'Dell Inc.',
+  '001ED9': 'Mitsubishi Precision Co.,LTd.',
+  '001EE5': 'Cisco-Linksys, LLC',
+  '001EF2': 'Micro Motion Inc',
+  '001EF6': 'Cisco Systems, Inc',
+  '001EF7': 'Cisco Systems, Inc',
+  '001F12': 'Juniper Networks',
+  '001F26': 'Cisco Systems, Inc',
+  '001F27': 'Cisco Systems, Inc',
+  '001F3B': 'Intel Corporate',
+  '001F3C': 'Intel Corporate',
+  '001F44': 'GE Transportation Systems',
+  '001F55': 'Honeywell Security (China) Co., Ltd.',
+  '001F6C': 'Cisco Systems, Inc',
+  '001F6D': 'Cisco Systems, Inc',
+  '001F9D': 'Cisco Systems, Inc',
+  '001F9E': 'Cisco Systems, Inc',
+  '001FC9': 'Cisco Systems, Inc',
+  '001FCA': 'Cisco Systems, Inc',
+  '001FF8': 'Siemens AG, Sector Industry, Drive Technologies, Motion Control Systems',
+  '002004': 'YAMATAKE-HONEYWELL CO., LTD.',
+  '00203D': 'Honeywell Environmental & Combustion Controls',
+  '002096': 'Invensys',
+  '0020B5': 'YASKAWA ELECTRIC CORPORATION',
+  '00211B': 'Cisco Systems, Inc',
+  '00211C': 'Cisco Systems, Inc',
+  '002129': 'Cisco-Linksys, LLC',
+  '002155': 'Cisco Systems, Inc',
+  '002156': 'Cisco Systems, Inc',
+  '002159': 'Juniper Networks',
+  '00215C': 'Intel Corporate',
+  '00215D': 'Intel Corporate',
+  '00216A': 'Intel Corporate',
+  '00216B': 'Intel Corporate',
+  '002170': 'Dell Inc.',
+  '00219B': 'Dell Inc.',
+  '0021A0': 'Cisco Systems, Inc',
+  '0021A1': 'Cisco Systems, Inc',
+  '0021BE': 'Cisco SPVTG',
+  '0021C1': 'ABB Oy / Medium Voltage Products',
+  '0021D7': 'Cisco Systems, Inc',
+  '0021D8': 'Cisco Systems, Inc',
+  '002209': 'Omron Healthcare Co., Ltd',
+  '00220C': 'Cisco Systems, Inc',
+  '00220D': 'Cisco Systems, Inc',
+  '002219': 'Dell Inc.',
+  '00223A': 'Cisco SPVTG',
+  '002248': 'Microsoft Corporation',
+  '002255': 'Cisco Systems, Inc',
+  '002256': 'Cisco Systems, Inc',
+  '00226A': 'Honeywell',
+  '00226B': 'Cisco-Linksys, LLC',
+  '002283': 'Juniper Networks',
+  '002290': 'Cisco Systems, Inc',
+  '002291': 'Cisco Systems, Inc',
+  '0022BD': 'Cisco Systems, Inc',
+  '0022BE': 'Cisco Systems, Inc',
+  '0022CE': 'Cisco SPVTG',
+  '0022E5': 'Fisher-Rosemount Systems Inc.',
+  '0022FA': 'Intel Corporate',
+  '0022FB': 'Intel Corporate',
+  '002304': 'Cisco Systems, Inc',
+  '002305': 'Cisco Systems, Inc',
+  '002314': 'Intel Corporate',
+  '002315': 'Intel Corporate',
+  '002333': 'Cisco Systems, Inc',
+  '002334': 'Cisco Systems, Inc',
+  '00235D': 'Cisco Systems, Inc',
+  '00235E': 'Cisco Systems, Inc',
+  '002369': 'Cisco-Linksys, LLC',
+  '00239C': 'Juniper Networks',
+  '0023AB': 'Cisco Systems, Inc',
+  '0023AC': 'Cisco Systems, Inc',
+  '0023AE': 'Dell Inc.',
+  '0023B6': 'SECURITE COMMUNICATIONS / HONEYWELL',
+  '0023BE': 'Cisco SPVTG',
+  '0023EA': 'Cisco Systems, Inc',
+  '0023EB': 'Cisco Systems, Inc',
+  '002413': 'Cisco Systems, Inc',
+  '002414': 'Cisco Systems, Inc',
+  '00243D': 'Emerson Appliance Motors and Controls',
+  '002450': 'Cisco Systems, Inc',
+  '002451': 'Cisco Systems, Inc',
+  '002459': 'ABB Automation products GmbH',
+  '002497': 'Cisco Systems, Inc',
+  '002498': 'Cisco Systems, Inc',
+  '0024C3': 'Cisco Systems, Inc',
+  '0024C4': 'Cisco Systems, Inc',
+  '0024D6': 'Intel Corporate',
+  '0024D7': 'Intel Corporate',
+  '0024DC': 'Juniper Networks',
+  '0024E8': 'Dell Inc.',
+  '0024F7': 'Cisco Systems, Inc',
+  '0024F9': 'Cisco Systems, Inc',
+  '00252E': 'Cisco SPVTG',
+  '002545': 'Cisco Systems, Inc',
+  '002546': 'Cisco Systems, Inc',
+  '002564': 'Dell Inc.',
+  '002583': 'Cisco Systems, Inc',
+  '002584': 'Cisco Systems, Inc',
+  '00259C': 'Cisco-Linksys, LLC',
+  '0025AE': 'Microsoft Corporation',
+  '0025B4': 'Cisco Systems, Inc',
+  '0025B5': 'Cisco Systems, Inc',
+  '0025BD': 'Italdata Ingegneria dell\'Idea S.p.A.',
+  '00260A': 'Cisco Systems, Inc',
+  '00260B': 'Cisco Systems, Inc',
+  '002616': 'Rosemount Inc.',
+  '002651': 'Cisco Systems, Inc',
+  '002652': 'Cisco Systems, Inc',
+  '002688': 'Juniper Networks',
+  '002692': 'Mitsubishi Electric Corporation',
+  '002698': 'Cisco Systems, Inc',
+  '002699': 'Cisco Systems, Inc',
+  '0026B9': 'Dell Inc.',
+  '0026C6': 'Intel Corporate',
+  '0026C7': 'Intel Corporate',
+  '0026CA': 'Cisco Systems, Inc',
+  '0026CB': 'Cisco Systems, Inc',
+  '0026D1': 'S Squared Innovations Inc.',
+  '00270C': 'Cisco Systems, Inc',
+  '00270D': 'Cisco Systems, Inc',
+  '00270E': 'Intel Corporate',
+  '002710': 'Intel Corporate',
+  '002790': 'Cisco Systems, Inc',
+  '0027E3': 'Cisco Systems, Inc',
+  '0028F8': 'Intel Corporate',
+  '0029C2': 'Cisco Systems, Inc',
+  '002A10': 'Cisco Systems, Inc',
+  '002A6A': 'Cisco Systems, Inc',
+  '002CC8': 'Cisco Systems, Inc',
+  '002F5C': 'Cisco Systems, Inc',
+  '003005': 'Fujitsu Siemens Computers',
+  '003019': 'Cisco Systems, Inc',
+  '003024': 'Cisco Systems, Inc',
+  '00302F': 'GE Aviation System',
+  '003040': 'Cisco Systems, Inc',
+  '003071': 'Cisco Systems, Inc',
+  '003078': 'Cisco Systems, Inc',
+  '00307B': 'Cisco Systems, Inc',
+  '003080': 'Cisco Systems, Inc',
+  '003085': 'Cisco Systems, Inc',
+  '003087': 'VEGA GRIESHABER KG',
+  '003094': 'Cisco Systems, Inc',
+  '003096': 'Cisco Systems, Inc',
+  '0030A3': 'Cisco Systems, Inc',
+  '0030A7': 'SCHWEITZER ENGINEERING',
+  '0030AF': 'Honeywell GmbH',
+  '0030B6': 'Cisco Systems, Inc',
+  '0030DE': 'WAGO Kontakttechnik GmbH',
+  '0030F2': 'Cisco Systems, Inc',
+  '003146': 'Juniper Networks',
+  '003217': 'Cisco Systems, Inc',
+  '00351A': 'Cisco Systems, Inc',
+  '0038DF': 'Cisco Systems, Inc',
+  '003A7D': 'Cisco Systems, Inc',
+  '003A98': 'Cisco Systems, Inc',
+  '003A99': 'Cisco Systems, Inc',
+  '003A9A': 'Cisco Systems, Inc',
+  '003A9B': 'Cisco Systems, Inc',
+  '003A9C': 'Cisco Systems, Inc',
+  '003C10': 'Cisco Systems, Inc',
+  '004003': 'Emerson Process Management Power & Water Solutions, Inc.',
+  '00400B': 'Cisco Systems, Inc',
+  '004043': 'Nokia Siemens Networks GmbH & Co. KG.',
+  '004084': 'Honeywell',
+  '00408C': 'Axis Communications AB',
+  '004096': 'Cisco Systems, Inc',
+  '0041D2': 'Cisco Systems, Inc',
+  '004238': 'Intel Corporate',
+  '00425A': 'Cisco Systems, Inc',
+  '004268': 'Cisco Systems, Inc',
+  '00451D': 'Cisco Systems, Inc',
+  '004E01': 'Dell Inc.',
+  '005007': 'SIEMENS TELECOMMUNICATION SYSTEMS LIMITED',
+  '00500B': 'Cisco Systems, Inc',
+  '00500F': 'Cisco Systems, Inc',
+  '005014': 'Cisco Systems, Inc',
+  '00501E': 'Grass Valley, A Belden Brand',
+  '00502A': 'Cisco Systems, Inc',
+  '00503E': 'Cisco Systems, Inc',
+  '005050': 'Cisco Systems, Inc',
+  '005053': 'Cisco Systems, Inc',
+  '005054': 'Cisco Systems, Inc',
+  '005056': 'VMware, Inc.',
+  '00505B': 'KAWASAKI LSI U.S.A., INC.',
+  '005073': 'Cisco Systems, Inc',
+  '005080': 'Cisco Systems, Inc',
+  '0050A2': 'Cisco Systems, Inc',
+  '0050A7': 'Cisco Systems, Inc',
+  '0050BD': 'Cisco Systems, Inc',
+  '0050D1': 'Cisco Systems, Inc',
+  '0050E2': 'Cisco Systems, Inc',
+  '0050F0': 'Cisco Systems, Inc',
+  '0050F2': 'MICROSOFT CORP.',
+  '00562B': 'Cisco Systems, Inc',
+  '0057D2': 'Cisco Systems, Inc',
+  '00596C': 'Cisco Systems, Inc',
+  '0059DC': 'Cisco Systems, Inc',
+  '005D73': 'Cisco Systems, Inc',
+  '005F86': 'Cisco Systems, Inc',
+  '006009': 'Cisco Systems, Inc',
+  '00602F': 'Cisco Systems, Inc',
+  '00603E': 'Cisco Systems, Inc',
+  '006041': 'Yokogawa Digital Computer Corporation',
+  '006047': 'Cisco Systems, Inc',
+  '006048': 'Dell EMC',
+  '00605C': 'Cisco Systems, Inc',
+  '00606A': 'MITSUBISHI WIRELESS COMMUNICATIONS. INC.',
+  '006070': 'Cisco Systems, Inc',
+  '006083': 'Cisco Systems, Inc',
+  '0060C8': 'KUKA WELDING SYSTEMS & ROBOTS',
+  '0060DA': 'Red Lion Controls, LP',
+  '0062EC': 'Cisco Systems, Inc',
+  '006440': 'Cisco Systems, Inc',
+  '006BF1': 'Cisco Systems, Inc',
+  '006CBC': 'Cisco Systems, Inc',
+  '007278': 'Cisco Systems, Inc',
+  '0072EE': 'Intel Corporate',
+  '007686': 'Cisco Systems, Inc',
+  '00778D': 'Cisco Systems, Inc',
+  '007888': 'Cisco Systems, Inc',
+  '007E95': 'Cisco Systems, Inc',
+  '008063': 'Hirschmann Automation and Control GmbH',
+  '008067': 'SQUARE D COMPANY',
+  '008074': 'FISHER CONTROLS',
+  '0080A7': 'Honeywell International Inc',
+  '0080F4': 'TELEMECANIQUE ELECTRIQUE',
+  '0081C4': 'Cisco Systems, Inc',
+  '00841E': 'Cisco Meraki',
+  '00869C': 'Palo Alto Networks',
+  '008731': 'Cisco Systems, Inc',
+  '008764': 'Cisco Systems, Inc',
+  '008A96': 'Cisco Systems, Inc',
+  '008DF45': 'Schneider Electric',
+  '008E73': 'Cisco Systems, Inc',
+  '00900C': 'Cisco Systems, Inc',
+  '00900F': 'KAWASAKI HEAVY INDUSTRIES, LTD',
+  '009021': 'Cisco Systems, Inc',
+  '00902B': 'Cisco Systems, Inc',
+  '009030': 'HONEYWELL-DATING',
+  '009040': 'Siemens Network Convergence LLC',
+  '00904F': 'ABB POWER T&D COMPANY, INC.',
+  '00905F': 'Cisco Systems, Inc',
+  '009069': 'Juniper Networks',
+  '00906D': 'Cisco Systems, Inc',
+  '00906F': 'Cisco Systems, Inc',
+  '009086': 'Cisco Systems, Inc',
+  '009092': 'Cisco Systems, Inc',
+  '0090A6': 'Cisco Systems, Inc',
+  '0090AB': 'Cisco Systems, Inc',
+  '0090B1': 'Cisco Systems, Inc',
+  '0090BF': 'Cisco Systems, Inc',
+  '0090D9': 'Cisco Systems, Inc',
+  '0090DF': 'MITSUBISHI CHEMICAL AMERICA, INC.',
+  '0090E8': 'MOXA TECHNOLOGIES CORP., LTD.',
+  '0090F2': 'Cisco Systems, Inc',
+  '00919E': 'Intel Corporate',
+  '009337': 'Intel Corporate',
+  '009AD2': 'Cisco Systems, Inc',
+  '009E1E': 'Cisco Systems, Inc',
+  '00A003': 'Siemens Switzerland Ltd., I B T HVP',
+  '00A005': 'DANIEL INSTRUMENTS, LTD.',
+  '00A01D': 'Red Lion Controls, LP',
+  '00A045': 'Phoenix Contact GmbH & Co. KG',
+  '00A0DB': 'FISHER & PAYKEL PRODUCTION',
+  '00A0F4': 'GE',
+  '00A289': 'Cisco Systems, Inc',
+  '00A2EE': 'Cisco Systems, Inc',
+  '00A38E': 'Cisco Systems, Inc',
+  '00A3D1': 'Cisco Systems, Inc',
+  '00A554': 'Intel Corporate',
+  '00A5BF': 'Cisco Systems, Inc',
+  '00A6CA': 'Cisco Systems, Inc',
+  '00A742': 'Cisco Systems, Inc',
+  '00AA6E': 'Cisco Systems, Inc',
+  '00AF1F': 'Cisco Systems, Inc',
+  '00B009': 'Grass Valley, A Belden Brand',
+  '00B04A': 'Cisco Systems, Inc',
+  '00B064': 'Cisco Systems, Inc',
+  '00B08E': 'Cisco Systems, Inc',
+  '00B0C2': 'Cisco Systems, Inc',
+  '00B0D0': 'Dell Inc.',
+  '00B0E1': 'Cisco Systems, Inc',
+  '00B1E3': 'Cisco Systems, Inc',
+  '00B670': 'Cisco Systems, Inc',
+  '00B771': 'Cisco Systems, Inc',
+  '00B8B3': 'Cisco Systems, Inc',
+  '00BB60': 'Intel Corporate',
+  '00BC60': 'Cisco Systems, Inc',
+  '00BE43': 'Dell Inc.',
+  '00BE75': 'Cisco Systems, Inc',
+  '00BF77': 'Cisco Systems, Inc',
+  '00C04F': 'Dell Inc.',
+  '00C0BE': 'ALCATEL - SEL',
+  '00C0E4': 'SIEMENS BUILDING',
+  '00C164': 'Cisco Systems, Inc',
+  '00C1B1': 'Cisco Systems, Inc',
+  '00C2C6': 'Intel Corporate',
+  '00C52C': 'Juniper Networks',
+  '00C88B': 'Cisco Systems, Inc',
+  '00CAE5': 'Cisco Systems, Inc',
+  '00CC34': 'Juniper Networks',
+  '00CCFC': 'Cisco Systems, Inc',
+  '00D006': 'Cisco Systems, Inc',
+  '00D024': 'Cognex Corporation',
+  '00D026': 'HIRSCHMANN AUSTRIA GMBH',
+  '00D058': 'Cisco Systems, Inc',
+  '00D063': 'Cisco Systems, Inc',
+  '00D079': 'Cisco Systems, Inc',
+  '00D08E': 'Grass Valley, A Belden Brand',
+  '00D090': 'Cisco Systems, Inc',
+  '00D097': 'Cisco Systems, Inc',
+  '00D0BA': 'Cisco Systems, Inc',
+  '00D0BB': 'Cisco Systems, Inc',
+  '00D0BC': 'Cisco Systems, Inc',
+  '00D0C0': 'Cisco Systems, Inc',
+  '00D0C9': 'ADVANTECH CO., LTD.',
+  '00D0D3': 'Cisco Systems, Inc',
+  '00D0E4': 'Cisco Systems, Inc',
+  '00D0FF': 'Cisco Systems, Inc',
+  '00D49E': 'Intel Corporate',
+  '00D632': 'GE Energy',
+  '00D6FE': 'Cisco Systems, Inc',
+  '00D76D': 'Intel Corporate',
+  '00D78F': 'Cisco Systems, Inc',
+  '00DA27': 'Palo Alto Networks',
+  '00DA55': 'Cisco Systems, Inc',
+  '00DBDF': 'Intel Corporate',
+  '00DEFB': 'Cisco Systems, Inc',
+  '00DF1D': 'Cisco Systems, Inc',
+  '00E014': 'Cisco Systems, Inc',
+  '00E01E': 'Cisco Systems, Inc',
+  '00E034': 'Cisco Systems, Inc',
+  '00E046': 'BENTLY NEVADA CORP.',
+  '00E04F': 'Cisco Systems, Inc',
+  '00E086': 'Emerson Network Power, Avocent Division',
+  '00E08F': 'Cisco Systems, Inc',
+  '00E0A3': 'Cisco Systems, Inc',
+  '00E0B0': 'Cisco Systems, Inc',
+  '00E0E4': 'FANUC ROBOTICS NORTH AMERICA, Inc.',
+  '00E0F7': 'Cisco Systems, Inc',
+  '00E0F9': 'Cisco Systems, Inc',
+  '00E0FE': 'Cisco Systems, Inc',
+  '00E16D': 'Cisco Systems, Inc',
+  '00E18C': 'Intel Corporate',
+  '00EABD': 'Cisco Systems, Inc',
+  '00EBD5': 'Cisco Systems, Inc',
+  '00EEAB': 'Cisco Systems, Inc',
+  '00F28B': 'Cisco Systems, Inc',
+  '00F663': 'Cisco Systems, Inc',
+  '00F82C': 'Cisco Systems, Inc',
+  '00FCBA': 'Cisco Systems, Inc',
+  '00FD22': 'Cisco Systems, Inc',
+  '00FEC8': 'Cisco Systems, Inc',
+  '0401A1': 'Fortinet, Inc.',
+  '041C6C': 'Intel Corporate',
+  '042728': 'Microsoft Corporation',
+  '042AE2': 'Cisco Systems, Inc',
+  '0430FA': 'Cisco Systems, Inc',
+  '0433C2': 'Intel Corporate',
+  '04472A': 'Palo Alto Networks',
+  '0456E5': 'Intel Corporate',
+  '045C6C': 'Juniper Networks',
+  '045FB9': 'Cisco Systems, Inc',
+  '046273': 'Cisco Systems, Inc',
+  '0464FA': 'Dell Inc.',
+  '04698F': 'Juniper Networks',
+  '046C59': 'Intel Corporate',
+  '046C9D': 'Cisco Systems, Inc',
+  '0476B0': 'Cisco Systems, Inc',
+  '04A6C8': 'Intel Corporate',
+  '04A741': 'Cisco Systems, Inc',
+  '04BD97': 'Cisco Systems, Inc',
+  '04BF1B': 'Dell Inc.',
+  '04C5A4': 'Cisco Systems, Inc',
+  '04CF4B': 'Intel Corporate',
+  '04D3B0': 'Intel Corporate',
+  '04D590': 'Fortinet, Inc.',
+  '04DAD2': 'Cisco Systems, Inc',
+  '04E387': 'Cisco Systems, Inc',
+  '04E8B9': 'Intel Corporate',
+  '04EA56': 'Intel Corporate',
+  '04EB40': 'Cisco Systems, Inc',
+  '04ECD8': 'Intel Corporate',
+  '04ED33': 'Intel Corporate',
+  '04F0EE': 'Intel Corporate',
+  '04FE7F': 'Cisco Systems, Inc',
+  '080006': 'SIEMENS AG',
+  '080019': 'GENERAL ELECTRIC CORPORATION',
+  '08001B': 'Dell EMC',
+  '080070': 'Mitsubishi Precision Co.,LTd.',
+  '080342': 'Palo Alto Networks',
+  '0805E2': 'Juniper Networks',
+  '080FE5': 'Cisco Systems, Inc',
+  '081196': 'Intel Corporate',
+  '081735': 'Cisco Systems, Inc',
+  '081DC4': 'Thermo Fisher Scientific Messtechnik GmbH',
+  '081FF3': 'Cisco Systems, Inc',
+  '08306B': 'Palo Alto Networks',
+  '08357D': 'Microsoft Corporation',
+  '0845D1': 'Cisco Systems, Inc',
+  '084FA9': 'Cisco Systems, Inc',
+  '084FF9': 'Cisco Systems, Inc',
+  '085B0E': 'Fortinet, Inc.',
+  '085BD6': 'Intel Corporate',
+  '086195': 'Rockwell Automation',
+  '08638A': 'Cisco Systems, Inc',
+  '08661F': 'Palo Alto Networks',
+  '086A0B': 'Cisco Meraki',
+  '086AC5': 'Intel Corporate',
+  '08711C': 'Cisco Meraki',
+  '087190': 'Intel Corporate',
+  '087671': 'Juniper Networks',
+  '087B87': 'Cisco Systems, Inc',
+  '088039': 'Cisco SPVTG',
+  '0881F4': 'Juniper Networks',
+  '088E90': 'Intel Corporate',
+  '089204': 'Dell Inc.',
+  '0896AD': 'Cisco Systems, Inc',
+  '089707': 'Cisco Systems, Inc',
+  '089DF4': 'Intel Corporate',
+  '08B258': 'Juniper Networks',
+  '08B4D2': 'Intel Corporate',
+  '08CC68': 'Cisco Systems, Inc',
+  '08CCA7': 'Cisco Systems, Inc',
+  '08D01E': 'Juniper Networks',
+  '08D09F': 'Cisco Systems, Inc',
+  '08D23E': 'Intel Corporate',
+  '08D40C': 'Intel Corporate',
+  '08EB21': 'Intel Corporate',
+  '08ECF5': 'Cisco Systems, Inc',
+  '08F1B3': 'Cisco Meraki',
+  '08F3FB': 'Cisco Systems, Inc',
+  '08F4F0': 'Cisco Systems, Inc',
+  '0C0535': 'Juniper Systems',
+  '0C1167': 'Cisco Systems, Inc',
+  '0C1B7B': 'Microsoft Corporation',
+  '0C2369': 'Honeywell SPS',
+  '0C2643': 'Cisco Systems, Inc',
+  '0C2724': 'Cisco Systems, Inc',
+  '0C29EF': 'Dell Inc.',
+  '0C3526': 'Microsoft Corporation',
+  '0C413E': 'Microsoft Corporation',
+  '0C5415': 'Intel Corporate',
+  '0C599C': 'Juniper Networks',
+  '0C6803': 'Cisco Systems, Inc',
+  '0C75BD': 'Cisco Systems, Inc',
+  '0C7A15': 'Intel Corporate',
+  '0C7BC8': 'Cisco Meraki',
+  '0C8126': 'Juniper Networks',
+  '0C8525': 'Cisco Systems, Inc',
+  '0C8610': 'Juniper Networks',
+  '0C8BFD': 'Intel Corporate',
+  '0C8DDB': 'Cisco Meraki',
+  '0C9192': 'Intel Corporate',
+  '0C9A3C': 'Intel Corporate',
+  '0CAE39': 'Intel Corporate',
+  '0CAF31': 'Cisco Systems, Inc',
+  '0CC98A': 'Intel Corporate',
+  '0CD0F8': 'Cisco Systems, Inc',
+  '0CD292': 'Intel Corporate',
+  '0CD5D3': 'Cisco Systems, Inc',
+  '0CD996': 'Cisco Systems, Inc',
+  '0CDD24': 'Intel Corporate',
+  '0CE725': 'Microsoft Corporation',
+  '0CF5A4': 'Cisco Systems, Inc',
+  '1002B5': 'Intel Corporate',
+  '1005CA': 'Cisco Systems, Inc',
+  '1006ED': 'Cisco Systems, Inc',
+  '100BA9': 'Intel Corporate',
+  '100E7E': 'Juniper Networks',
+  '102E00': 'Intel Corporate',
+  '102F6B': 'Microsoft Corporation',
+  '1039E9': 'Juniper Networks',
+  '103A5D': 'Emerson',
+  '103D1C': 'Intel Corporate',
+  '104A7D': 'Intel Corporate',
+  '104B46': 'Mitsubishi Electric Corporation',
+  '105107': 'Intel Corporate',
+  '105725': 'Cisco Systems, Inc',
+  '105F49': 'Cisco SPVTG',
+  '105FAD': 'Intel Corporate',
+  '106530': 'Dell Inc.',
+  '107A2A': 'Microsoft Corporation',
+  '107D1A': 'Dell Inc.',
+  '108CCF': 'Cisco Systems, Inc',
+  '1091D1': 'Intel Corporate',
+  '1096C6': 'Cisco Systems, Inc',
+  '109819': 'Dell Inc.',
+  '109836': 'Dell Inc.',
+  '109ABA': 'Intel Corporate',
+  '10A51D': 'Intel Corporate',
+  '10A829': 'Cisco Systems, Inc',
+  '10A879': 'Intel Corporate',
+  '10B3C6': 'Cisco Systems, Inc',
+  '10B3D5': 'Cisco Systems, Inc',
+  '10B3D6': 'Cisco Systems, Inc',
+  '10BD18': 'Cisco Systems, Inc',
+  '10C735': 'Microsoft Corporation',
+  '10D657': 'Siemens Industrial Automation Products Ltd., Chengdu',
+  '10DFFC': 'Siemens AG',
+  '10E376': 'Cisco Systems, Inc',
+  '10E676': 'Cisco Systems, Inc',
+  '10EA59': 'Cisco SPVTG',
+  '10F005': 'Intel Corporate',
+  '10F311': 'Cisco Systems, Inc',
+  '10F60A': 'Intel Corporate',
+  '10F920': 'Cisco Systems, Inc',
+  '14169D': 'Cisco Systems, Inc',
+  '141877': 'Dell Inc.',
+  '1418C3': 'Intel Corporate',
+  '141923': 'Cisco Systems, Inc',
+  '143EC2': 'Intel Corporate',
+  '144146': 'Honeywell (China) Co., LTD',
+  '144F8A': 'Intel Corporate',
+  '144FD79': 'Emerson Network Power (India) Pvt. Ltd.',
+  '14755B': 'Intel Corporate',
+  '148473': 'Cisco Systems, Inc',
+  '14857F': 'Intel Corporate',
+  '149A10': 'Microsoft Corporation',
+  '149ECF': 'Dell Inc.',
+  '149F43': 'Cisco Meraki',
+  '14A2A0': 'Cisco Systems, Inc',
+  '14ABC5': 'Intel Corporate',
+  '14B31F': 'Dell Inc.',
+  '14B3A1': 'Juniper Networks',
+  '14BC68': 'Cisco Systems, Inc',
+  '14CB65': 'Microsoft Corporation',
+  '14E22A': 'Cisco Systems, Inc',
+  '14F6D8': 'Intel Corporate',
+  '14FEB5': 'Dell Inc.',
+  '180373': 'Dell Inc.',
+  '181DEA': 'Intel Corporate',
+  '182649': 'Intel Corporate',
+  '182AD3': 'Juniper Networks',
+  '18339D': 'Cisco Systems, Inc',
+  '183DA2': 'Intel Corporate',
+  '184C08': 'Rockwell Automation',
+  '18550F': 'Cisco SPVTG',
+  '185680': 'Intel Corporate',
+  '185933': 'Cisco SPVTG',
+  '1859F5': 'Cisco Systems, Inc',
+  '185A58': 'Dell Inc.',
+  '185E0F': 'Intel Corporate',
+  '1866DA': 'Dell Inc.',
+  '188090': 'Cisco Systems, Inc',
+  '188B45': 'Cisco Systems, Inc',
+  '188B9D': 'Cisco Systems, Inc',
+  '189341': 'Intel Corporate',
+  '189C5D': 'Cisco Systems, Inc',
+  '18A99B': 'Dell Inc.',
+  '18AEBB': 'Siemens Convergence Creators GmbH&Co.KG',
+  '18CC18': 'Intel Corporate',
+  '18DBF2': 'Dell Inc.',
+  '18E728': 'Cisco Systems, Inc',
+  '18EF63': 'Cisco Systems, Inc',
+  '18F935': 'Cisco Systems, Inc',
+  '18FB7B': 'Dell Inc.',
+  '18FF0F': 'Intel Corporate',
+  '1C17D3': 'Cisco Systems, Inc',
+  '1C1ADF': 'Microsoft Corporation',
+  '1C1BB5': 'Intel Corporate',
+  '1C1D86': 'Cisco Systems, Inc',
+  '1C2226': 'Cisco Systems, Inc',
+  '1C4024': 'Dell Inc.',
+  '1C4D70': 'Intel Corporate',
+  '1C6A7A': 'Cisco Systems, Inc',
+  '1C721D': 'Dell Inc.',
+  '1C84A6': 'Cisco Systems, Inc',
+  '1C9957': 'Intel Corporate',
+  '1C9C8C': 'Juniper Networks',
+  '1CA0EF2': 'Schneider-Electric(China)Co.Ltd,Shenzhen Branch',
+  '1CAA07': 'Cisco Systems, Inc',
+  '1CC10C': 'Intel Corporate',
+  '1CCF82': 'Palo Alto Networks',
+  '1CD11A': 'Fortinet, Inc.',
+  '1CD1E0': 'Cisco Systems, Inc',
+  '1CD21E': 'Juniper Networks',
+  '1CDEA7': 'Cisco Systems, Inc',
+  '1CDF0F': 'Cisco Systems, Inc',
+  '1CE587': 'Cisco Meraki',
+  '1CE6C7': 'Cisco Systems, Inc',
+  '1CE85D': 'Cisco Systems, Inc',
+  '1CFC17': 'Cisco Systems, Inc',
+  '20040F': 'Dell Inc.',
+  '200A0DD': 'Bently & EL Co. Ltd.',
+  '200BC5': 'Cisco Systems, Inc',
+  '201642': 'Microsoft Corporation',
+  '2016B9': 'Intel Corporate',
+  '201BC9': 'Juniper Networks',
+  '201E88': 'Intel Corporate',
+  '203706': 'Cisco Systems, Inc',
+  '203A07': 'Cisco Systems, Inc',
+  '203A43': 'Intel Corporate',
+  '20443A': 'Schneider Electric Asia Pacific Ltd',
+  '204747': 'Dell Inc.',
+  '204C9E': 'Cisco Systems, Inc',
+  '204E71': 'Juniper Networks',
+  '206274': 'Microsoft Corporation',
+  '207918': 'Intel Corporate',
+  '208756': 'SIEMENS AG',
+  '208810': 'Dell Inc.',
+  '209339': 'Juniper Networks',
+  '20A8B9': 'SIEMENS AG',
+  '20A99B': 'Microsoft Corporation',
+  '20AA4B': 'Cisco-Linksys, LLC',
+  '20B37FE': 'Kawasaki Thermal Engineering Co.,Ltd.',
+  '20BBC0': 'Cisco Systems, Inc',
+  '20BD1D': 'Intel Corporate',
+  '20C19B': 'Intel Corporate',
+  '20CC27': 'Cisco Systems, Inc',
+  '20CFAE': 'Cisco Systems, Inc',
+  '20D80B': 'Juniper Networks',
+  '20DBEA': 'Cisco Systems, Inc',
+  '20E791': 'Siemens Healthcare Diagnostics, Inc',
+  '20ED47': 'Juniper Networks',
+  '20F120': 'Cisco Systems, Inc',
+  '2401C7': 'Cisco Systems, Inc',
+  '240462': 'Siemens Energy Global GmbH & Co.KG - GT PRM',
+  '240B0A': 'Palo Alto Networks',
+  '24161B': 'Cisco Systems, Inc',
+  '24169D': 'Cisco Systems, Inc',
+  '242A04': 'Cisco Systems, Inc',
+  '2436DA': 'Cisco Systems, Inc',
+  '24374C': 'Cisco SPVTG',
+  '24418C': 'Intel Corporate',
+  '2453ED': 'Dell Inc.',
+  '245D92': 'Juniper Networks',
+  '246C84': 'Cisco Systems, Inc',
+  '246E96': 'Dell Inc.',
+  '247121': 'Cisco Systems, Inc',
+  '247152': 'Dell Inc.',
+  '24767D': 'Cisco SPVTG',
+  '247703': 'Intel Corporate',
+  '247E12': 'Cisco Systems, Inc',
+  '24813B': 'Cisco Systems, Inc',
+  '2486252': 'Emerson Automation FCP Kft.',
+  '24B657': 'Cisco Systems, Inc',
+  '24B6FD': 'Dell Inc.',
+  '24BA23': 'Cisco Systems, Inc',
+  '24D5E4': 'Cisco Systems, Inc',
+  '24D79C': 'Cisco Systems, Inc',
+  '24DB94': 'Juniper Networks',
+  '24E9B3': 'Cisco Systems, Inc',
+  '24EB16': 'Intel Corporate',
+  '24EDFD': 'Siemens Canada Limited',
+  '24EE9A': 'Intel Corporate',
+  '24FC4E': 'Juniper Networks',
+  '2800AF': 'Dell Inc.',
+  '280C50': 'Intel Corporate',
+  '2811A8': 'Intel Corporate',
+  '2816A8': 'Microsoft Corporation',
+  '2816AD': 'Intel Corporate',
+  '281878': 'Microsoft Corporation',
+  '282986': 'APC by Schneider Electric',
+  '2834A2': 'Cisco Systems, Inc',
+  '285261': 'Cisco Systems, Inc',
+  '286336': 'Siemens AG',
+  '286B35': 'Intel Corporate',
+  '286B5C': 'Cisco Systems, Inc',
+  '286F7F': 'Cisco Systems, Inc',
+  '287FCF': 'Intel Corporate',
+  '2887AF': 'Advantech Technology (CHINA) Co., Ltd.',
+  '288A1C': 'Juniper Networks',
+  '289200': 'Intel Corporate',
+  '2893FE': 'Cisco Systems, Inc',
+  '28940F': 'Cisco Systems, Inc',
+  '289529': 'Intel Corporate',
+  '28A06B': 'Intel Corporate',
+  '28A24B': 'Juniper Networks',
+  '28A44A': 'Intel Corporate',
+  '28AC9E': 'Cisco Systems, Inc',
+  '28AFFD': 'Cisco Systems, Inc',
+  '28B2BD': 'Intel Corporate',
+  '28B591': 'Cisco Systems, Inc',
+  '28B829': 'Juniper Networks',
+  '28C0DA': 'Juniper Networks',
+  '28C5D2': 'Intel Corporate',
+  '28C63F': 'Intel Corporate',
+  '28C7CE': 'Cisco Systems, Inc',
+  '28CDC1': 'Raspberry Pi Trading Ltd',
+  '28D0EA': 'Intel Corporate',
+  '28DFEB': 'Intel Corporate',
+  '28E98E': 'Mitsubishi Electric Corporation',
+  '28EA0B': 'Microsoft Corporation',
+  '28F10E': 'Dell Inc.',
+  '28F5370': 'Valeo Siemens eAutomotive Norway',
+  '28F537A': 'Honeywell Safety Products USA, Inc',
+  '2C01B5': 'Cisco Systems, Inc',
+  '2C0BE9': 'Cisco Systems, Inc',
+  '2C0DA7': 'Intel Corporate',
+  '2C1A05': 'Cisco Systems, Inc',
+  '2C2131': 'Juniper Networks',
+  '2C2172': 'Juniper Networks',
+  '2C2997': 'Microsoft Corporation',
+  '2C3124': 'Cisco Systems, Inc',
+  '2C3311': 'Cisco Systems, Inc',
+  '2C3358': 'Intel Corporate',
+  '2C36F8': 'Cisco Systems, Inc',
+  '2C3ECF': 'Cisco Systems, Inc',
+  '2C3F0B': 'Cisco Meraki',
+  '2C3F38': 'Cisco Systems, Inc',
+  '2C4C15': 'Juniper Networks',
+  '2C4F52': 'Cisco Systems, Inc',
+  '2C542D': 'Cisco Systems, Inc',
+  '2C5491': 'Microsoft Corporation',
+  '2C5741': 'Cisco Systems, Inc',
+  '2C5A0F': 'Cisco Systems, Inc',
+  '2C658D': 'Cisco Systems, Inc',
+  '2C6A6FB': 'Schneider Electric Korea',
+  '2C6BF5': 'Juniper Networks',
+  '2C6DC1': 'Intel Corporate',
+  '2C6E85': 'Intel Corporate',
+  '2C73A0': 'Cisco Systems, Inc',
+  '2C7BA0': 'Intel Corporate',
+  '2C86D2': 'Cisco Systems, Inc',
+  '2C8DB1': 'Intel Corporate',
+  '2CABA4': 'Cisco SPVTG',
+  '2CABEB': 'Cisco Systems, Inc',
+  '2CCF67': 'Raspberry Pi (Trading) Ltd',
+  '2CD02D': 'Cisco Systems, Inc',
+  '2CDB07': 'Intel Corporate',
+  '2CE38E': 'Cisco Systems, Inc',
+  '2CEA7F': 'Dell Inc.',
+  '2CEAFC': 'Intel Corporate',
+  '2CF814': 'Cisco Systems, Inc',
+  '2CF89B': 'Cisco Systems, Inc',
+  '3001AF': 'Cisco Systems, Inc',
+  '300505': 'Intel Corporate',
+  '3009F9C': 'Honeywell',
+  '300D43': 'Microsoft Mobile Oy',
+  '301389': 'Siemens AG, Automations & Drives,',
+  '302432': 'Intel Corporate',
+  '302F1E': 'SIEMENS AG',
+  '3037A6': 'Cisco Systems, Inc',
+  '303A64': 'Intel Corporate',
+  '303B49': 'Cisco Meraki',
+  '303EA7': 'Intel Corporate',
+  '3059B7': 'Microsoft',
+  '3063EA': 'Juniper Networks',
+  '307C5E': 'Juniper Networks',
+  '30894A': 'Intel Corporate',
+  '308BB2': 'Cisco Systems, Inc',
+  '30B64F': 'Juniper Networks',
+  '30B851': 'Siemens AG',
+  '30BE3B': 'Mitsubishi Electric Corporation',
+  '30CB36': 'Belden Singapore Pte. Ltd.',
+  '30D042': 'Dell Inc.',
+  '30E37A': 'Intel Corporate',
+  '30E3A4': 'Intel Corporate',
+  '30E4DB': 'Cisco Systems, Inc',
+  '30F6EF': 'Intel Corporate',
+  '30F70D': 'Cisco Systems, Inc',
+  '30FEFA': 'Cisco Systems, Inc',
+  '340286': 'Intel Corporate',
+  '341343': 'GE Lighting',
+  '3413E8': 'Intel Corporate',
+  '3417EB': 'Dell Inc.',
+  '341B2D': 'Cisco Systems, Inc',
+  '342865': 'Juniper Networks',
+  '342EB7': 'Intel Corporate',
+  '34415D': 'Intel Corporate',
+  '3448ED': 'Dell Inc.',
+  '3454EF': 'Cisco Systems, Inc',
+  '3456FE': 'Cisco Meraki',
+  '34588A': 'Cisco Systems, Inc',
+  '345DA8': 'Cisco Systems, Inc',
+  '346288': 'Cisco Systems, Inc',
+  '346F90': 'Cisco Systems, Inc',
+  '347069': 'Cisco Systems, Inc',
+  '34732D': 'Cisco Systems, Inc',
+  '34735A': 'Dell Inc.',
+  '347DF6': 'Intel Corporate',
+  '348818': 'Cisco Systems, Inc',
+  '34936F': 'Juniper Networks',
+  '34A84E': 'Cisco Systems, Inc',
+  '34B883': 'Cisco Systems, Inc',
+  '34BDC8': 'Cisco Systems, Inc',
+  '34BDFA': 'Cisco SPVTG',
+  '34C0F9': 'Rockwell Automation',
+  '34C3FD': 'Cisco Systems, Inc',
+  '34C93D': 'Intel Corporate',
+  '34CFF6': 'Intel Corporate',
+  '34DBFD': 'Cisco Systems, Inc',
+  '34DE1A': 'Intel Corporate',
+  '34E12D': 'Intel Corporate',
+  '34E5EC': 'Palo Alto Networks',
+  '34E6AD': 'Intel Corporate',
+  '34E6D7': 'Dell Inc.',
+  '34ED1B': 'Cisco Systems, Inc',
+  '34F39A': 'Intel Corporate',
+  '34F64B': 'Intel Corporate',
+  '34F8E7': 'Cisco Systems, Inc',
+  '34FD70': 'Intel Corporate',
+  '380025': 'Intel Corporate',
+  '380E4D': 'Cisco Systems, Inc',
+  '381428': 'Dell Inc.',
+  '381868': 'Intel Corporate',
+  '381C1A': 'Cisco Systems, Inc',
+  '382056': 'Cisco Systems, Inc',
+  '38256B': 'Microsoft Mobile Oy',
+  '3833C5': 'Microsoft Corporation',
+  '384B24': 'SIEMENS AG',
+  '384F49': 'Juniper Networks',
+  '38563D': 'Microsoft Corporation',
+  '385F66': 'Cisco SPVTG',
+  '386893': 'Intel Corporate',
+  '386DED': 'Juniper Networks',
+  '387A0E': 'Intel Corporate',
+  '388479': 'Cisco Meraki',
+  '3887D5': 'Intel Corporate',
+  '3890A5': 'Cisco Systems, Inc',
+  '3891B7': 'Cisco Systems, Inc',
+  '38AA09': 'Cisco Systems, Inc',
+  '38B14E6': 'Universal Robots A/S',
+  '38BAF8': 'Intel Corporate',
+  '38C0EA': 'Fortinet, Inc.',
+  '38C85C': 'Cisco SPVTG',
+  '38DEAD': 'Intel Corporate',
+  '38E08E': 'Mitsubishi Electric Corporation',
+  '38ED18': 'Cisco Systems, Inc',
+  '38F20D': 'Juniper Networks',
+  '38F23E': 'Microsoft Mobile Oy',
+  '38FC98': 'Intel Corporate',
+  '38FDF8': 'Cisco Systems, Inc',
+  '38FDFE3': 'Siemens AG, DI PA AE',
+  '38FF59': 'Dell Inc.',
+  '3C08CD': 'Juniper Networks',
+  '3C08F6': 'Cisco Systems, Inc',
+  '3C0E23': 'Cisco Systems, Inc',
+  '3C13CC': 'Cisco Systems, Inc',
+  '3C219C': 'Intel Corporate',
+  '3C24F09': 'Siemens AG - Siemens Deutschland Mobility',
+  '3C25F8': 'Dell Inc.',
+  '3C26E4': 'Cisco Systems, Inc',
+  '3C2C30': 'Dell Inc.',
+  '3C410E': 'Cisco Systems, Inc',
+  '3C510E': 'Cisco Systems, Inc',
+  '3C5731': 'Cisco Systems, Inc',
+  '3C58C2': 'Intel Corporate',
+  '3C5EC3': 'Cisco Systems, Inc',
+  '3C6104': 'Juniper Networks',
+  '3C6AA7': 'Intel Corporate',
+  '3C8375': 'Microsoft Corporation',
+  '3C8AB0': 'Juniper Networks',
+  '3C8B7F': 'Cisco Systems, Inc',
+  '3C8C93': 'Juniper Networks',
+  '3C94D5': 'Juniper Networks',
+  '3C9C0F': 'Intel Corporate',
+  '3CA9F4': 'Intel Corporate',
+  '3CB9A6': 'Belden Deutschland GmbH',
+  '3CCE73': 'Cisco Systems, Inc',
+  '3CDF1E': 'Cisco Systems, Inc',
+  '3CE9F7': 'Intel Corporate',
+  '3CF011': 'Intel Corporate',
+  '3CF7D1': 'OMRON Corporation',
+  '3CF862': 'Intel Corporate',
+  '3CFA06': 'Microsoft Corporation',
+  '3CFA30': 'Palo Alto Networks',
+  '3CFDFE': 'Intel Corporate',
+  '3CFEAC': 'Cisco Systems, Inc',
+  '3CFFE4': 'Siemens AG',
+  '40017A': 'Cisco Systems, Inc',
+  '4006D5': 'Cisco Systems, Inc',
+  '401277': 'Microsoft Corporation',
+  '401482': 'Cisco Systems, Inc',
+  '401C83': 'Intel Corporate',
+  '4025C2': 'Intel Corporate',
+  '4027A8': 'Cisco Meraki',
+  '4036B7': 'Juniper Networks',
+  '404101': 'Rockwell Automation',
+  '404244': 'Cisco Systems, Inc',
+  '405539': 'Cisco Systems, Inc',
+  '405CFD': 'Dell Inc.',
+  '407183': 'Juniper Networks',
+  '4074E0': 'Intel Corporate',
+  '407F5F': 'Juniper Networks',
+  '408E2C': 'Microsoft Corporation',
+  '408F9D': 'Juniper Networks',
+  '409EA4': 'Juniper Networks',
+  '40A3CC': 'Intel Corporate',
+  '40A677': 'Juniper Networks',
+  '40A6B7': 'Intel Corporate',
+  '40A6E8': 'Cisco Systems, Inc',
+  '40B4F0': 'Juniper Networks',
+  '40B5C1': 'Cisco Systems, Inc',
+  '40BA09': 'Dell Inc.',
+  '40C73C': 'Intel Corporate',
+  '40CE24': 'Cisco Systems, Inc',
+  '40D133': 'Intel Corporate',
+  '40DEAD': 'Juniper Networks',
+  '40EC99': 'Intel Corporate',
+  '40ECBD': 'Intel Corporate',
+  '40ECF8': 'Siemens AG',
+  '40F078': 'Cisco Systems, Inc',
+  '40F49F': 'Cisco Systems, Inc',
+  '40F4EC': 'Cisco Systems, Inc',
+  '44032C': 'Intel Corporate',
+  '4403A7': 'Cisco Systems, Inc',
+  '441622': 'Microsoft Corporation',
+  '441A5C': 'Cisco Systems, Inc',
+  '442B03': 'Cisco Systems, Inc',
+  '4438E8': 'Intel Corporate',
+  '444988': 'Intel Corporate',
+  '444B5D': 'GE Healthcare',
+  '445829': 'Cisco SPVTG',
+  '44643C': 'Cisco Systems, Inc',
+  '448500': 'Intel Corporate',
+  '4486C1': 'Siemens Low Voltage & Products',
+  '448816': 'Cisco Systems, Inc',
+  '448DD5': 'Cisco Systems, Inc',
+  '44A3BB': 'Intel Corporate',
+  '44A842': 'Dell Inc.',
+  '44AA50': 'Juniper Networks',
+  '44ADD9': 'Cisco Systems, Inc',
+  '44AE25': 'Cisco Systems, Inc',
+  '44AF28': 'Intel Corporate',
+  '44B6BE': 'Cisco Systems, Inc',
+  '44C20C': 'Cisco Systems, Inc',
+  '44CC6E': 'Rockwell Automation',
+  '44D3CA': 'Cisco Systems, Inc',
+  '44E08E': 'Cisco SPVTG',
+  '44E4D9': 'Cisco Systems, Inc',
+  '44E517': 'Intel Corporate',
+  '44ECCE': 'Juniper Networks',
+  '44F477': 'Juniper Networks',
+  '4800B3': 'Cisco Systems, Inc',
+  '481BA4': 'Cisco Systems, Inc',
+  '481D70': 'Cisco SPVTG',
+  '482E72': 'Cisco Systems, Inc',
+  '483A02': 'Fortinet, Inc.',
+  '4840D5': 'Intel Corporate',
+  '484487': 'Cisco SPVTG',
+  '484520': 'Intel Corporate',
+  '484D7E': 'Dell Inc.',
+  '485073': 'Microsoft Corporation',
+  '4851B7': 'Intel Corporate',
+  '4851C5': 'Intel Corporate',
+  '485A0D': 'Juniper Networks',
+  '48684A': 'Intel Corporate',
+  '487310': 'Juniper Networks',
+  '487410': 'Cisco Systems, Inc',
+  '487B2F': 'Microsoft Corporation',
+  '488002': 'Cisco Systems, Inc',
+  '4886E8': 'Microsoft Corporation',
+  '4889E7': 'Intel Corporate',
+  '488B0A': 'Cisco Systems, Inc',
+  '4890F0': 'Dell Inc.',
+  '4891D5': 'Cisco Systems, Inc',
+  '48A170': 'Cisco Systems, Inc',
+  '48A472': 'Intel Corporate',
+  '48AD9A': 'Intel Corporate',
+  '48E150': 'Intel Corporate',
+  '48F17F': 'Intel Corporate',
+  '48F8B3': 'Cisco-Linksys, LLC',
+  '4C0082': 'Cisco Systems, Inc',
+  '4C01F7': 'Cisco Systems, Inc',
+  '4C034F': 'Intel Corporate',
+  '4C0BBE': 'Microsoft',
+  '4C0F3E': 'Intel Corporate',
+  '4C16FC': 'Juniper Networks',
+  '4C1D96': 'Intel Corporate',
+  '4C3488': 'Intel Corporate',
+  '4C3BDF': 'Microsoft Corporation',
+  '4C421E': 'Cisco Systems, Inc',
+  '4C445B': 'Intel Corporate',
+  '4C496C': 'Intel Corporate',
+  '4C4AB4': 'Juniper Networks',
+  '4C4E35': 'Cisco Systems, Inc',
+  '4C5D3C': 'Cisco Systems, Inc',
+  '4C5F70': 'Intel Corporate',
+  '4C6D58': 'Juniper Networks',
+  '4C710C': 'Cisco Systems, Inc',
+  '4C710D': 'Cisco Systems, Inc',
+  '4C734F': 'Juniper Networks',
+  '4C74A76': 'ABB LV Installation Materials Co., Ltd. Beijing',
+  '4C7625': 'Dell Inc.',
+  '4C776D': 'Cisco Systems, Inc',
+  '4C77CB': 'Intel Corporate',
+  '4C796E': 'Intel Corporate',
+  '4C79BA': 'Intel Corporate',
+  '4C7A88': 'Cisco Systems, Inc',
+  '4C8093': 'Intel Corporate',
+  '4C83DE': 'Cisco SPVTG',
+  '4C9614': 'Juniper Networks',
+  '4CA64D': 'Cisco Systems, Inc',
+  '4CA954': 'Intel Corporate',
+  '4CB04A': 'Intel Corporate',
+  '4CBC48': 'Cisco Systems, Inc',
+  '4CBCB4': 'ABB SpA - DIN Rail',
+  '4CC5D9': 'Dell Inc.',
+  '4CC8A1': 'Cisco Meraki',
+  '4CD0F9': 'Cisco Systems, Inc',
+  '4CD717': 'Dell Inc.',
+  '4CD98F': 'Dell Inc.',
+  '4CE175': 'Cisco Systems, Inc',
+  '4CE176': 'Cisco Systems, Inc',
+  '4CE705': 'Siemens Industrial Automation Products Ltd., Chengdu',
+  '4CEB42': 'Intel Corporate',
+  '4CEC0F': 'Cisco Systems, Inc',
+  '500084': 'Siemens Canada',
+  '5000E0': 'Cisco Systems, Inc',
+  '500604': 'Cisco Systems, Inc',
+  '5006AB': 'Cisco Systems, Inc',
+  '500B88': 'Moxa.Inc',
+  '500F80': 'Cisco Systems, Inc',
+  '5017FF': 'Cisco Systems, Inc',
+  '501AC5': 'Microsoft',
+  '501CB0': 'Cisco Systems, Inc',
+  '501CBF': 'Cisco Systems, Inc',
+  '50284A': 'Intel Corporate',
+  '502DA2': 'Intel Corporate',
+  '502F9B': 'Intel Corporate',
+  '502FA8': 'Cisco Systems, Inc',
+  '5031AD': 'ABB Global Industries and Services Private Limited',
+  '503955': 'Cisco SPVTG',
+  '503DE5': 'Cisco Systems, Inc',
+  '504921': 'Cisco Systems, Inc',
+  '5057A8': 'Cisco Systems, Inc',
+  '505C88': 'Cisco Systems, Inc',
+  '5061BF': 'Cisco Systems, Inc',
+  '5067AE': 'Cisco Systems, Inc',
+  '507164': 'Cisco Systems, Inc',
+  '5076AF': 'Intel Corporate',
+  '507C6F': 'Intel Corporate',
+  '508492': 'Intel Corporate',
+  '508789': 'Cisco Systems, Inc',
+  '509A4C': 'Dell Inc.',
+  '50A0308': 'GE Medical System China Co. Ltd.',
+  '50BA84': 'Cisco Systems, Inc',
+  '50C58D': 'Juniper Networks',
+  '50C709': 'Juniper Networks',
+  '50E085': 'Intel Corporate',
+  '50E0F9': 'GE Vernova',
+  '50EB71': 'Intel Corporate',
+  '50F722': 'Cisco Systems, Inc',
+  '50FF997': 'Honeywell International',
+  '5414F3': 'Intel Corporate',
+  '541E56': 'Juniper Networks',
+  '543631': 'Intel Corporate',
+  '544810': 'Dell Inc.',
+  '544A00': 'Cisco Systems, Inc',
+  '544B8C': 'Juniper Networks',
+  '544C8A': 'Microsoft Corporation',
+  '5451DE': 'Cisco Systems, Inc',
+  '546CEB': 'Intel Corporate',
+  '5475D0': 'Cisco Systems, Inc',
+  '54781A': 'Cisco Systems, Inc',
+  '547C69': 'Cisco Systems, Inc',
+  '547FEE': 'Cisco Systems, Inc',
+  '5486BC': 'Cisco Systems, Inc',
+  '5488DE': 'Cisco Systems, Inc',
+  '548ABA': 'Cisco Systems, Inc',
+  '548D5A': 'Intel Corporate',
+  '549F35': 'Dell Inc.',
+  '549FC6': 'Cisco Systems, Inc',
+  '54A274': 'Cisco Systems, Inc',
+  '54BF64': 'Dell Inc.',
+  '54D46F': 'Cisco SPVTG',
+  '54E032': 'Juniper Networks',
+  '54E4ED': 'Intel Corporate',
+  '54F876': 'ABB AG',
+  '5800BB': 'Juniper Networks',
+  '580A20': 'Cisco Systems, Inc',
+  '581CF8': 'Intel Corporate',
+  '5835D9': 'Cisco Systems, Inc',
+  '58493B': 'Palo Alto Networks',
+  '58528A': 'Mitsubishi Electric Corporation',
+  '58569F': 'Cisco Systems, Inc',
+  '586C25': 'Intel Corporate',
+  '586D67': 'Intel Corporate',
+  '586D8F': 'Cisco-Linksys, LLC',
+  '58769C': 'Palo Alto Networks',
+  '587961': 'Microsoft Corporation',
+  '5882A8': 'Microsoft',
+  '588670': 'Juniper Networks',
+  '588A5A': 'Dell Inc.',
+  '588B1C': 'Cisco Systems, Inc',
+  '588D09': 'Cisco Systems, Inc',
+  '588D39': 'MITSUBISHI ELECTRIC AUTOMATION (CHINA) LTD.',
+  '5891CF': 'Intel Corporate',
+  '58946B': 'Intel Corporate',
+  '58961D': 'Intel Corporate',
+  '58971E': 'Cisco Systems, Inc',
+  '5897BD': 'Cisco Systems, Inc',
+  '58A023': 'Intel Corporate',
+  '58A839': 'Intel Corporate',
+  '58AC78': 'Cisco Systems, Inc',
+  '58BC27': 'Cisco Systems, Inc',
+  '58BFEA': 'Cisco Systems, Inc',
+  '58CE2A': 'Intel Corporate',
+  '58DF59': 'Cisco Systems, Inc',
+  '58E434': 'Juniper Networks',
+  '58F39C': 'Cisco Systems, Inc',
+  '58FB84': 'Intel Corporate',
+  '58FCC8': 'Honeywell',
+  '5C0610': 'Cisco Meraki',
+  '5C2167': 'Rockwell Automation',
+  '5C260A': 'Dell Inc.',
+  '5C3192': 'Cisco Systems, Inc',
+  '5C3977': 'Juniper Networks',
+  '5C3E06': 'Cisco Systems, Inc',
+  '5C4527': 'Juniper Networks',
+  '5C5015': 'Cisco Systems, Inc',
+  '5C514F': 'Intel Corporate',
+  '5C58E6': 'Palo Alto Networks',
+  '5C5AC7': 'Cisco Systems, Inc',
+  '5C5C75C': 'Siemens Sensors & Communication Ltd.',
+  '5C5EAB': 'Juniper Networks',
+  '5C5F67': 'Intel Corporate',
+  '5C63B0': 'Fortinet, Inc.',
+  '5C64F1': 'Cisco Systems, Inc',
+  '5C6783': 'Intel Corporate',
+  '5C710D': 'Cisco Systems, Inc',
+  '5C80B6': 'Intel Corporate',
+  '5C838F': 'Cisco Systems, Inc',
+  '5C879C': 'Intel Corporate',
+  '5C8816': 'Rockwell Automation',
+  '5CA48A': 'Cisco Systems, Inc',
+  '5CA62D': 'Cisco Systems, Inc',
+  '5CB12E': 'Cisco Systems, Inc',
+  '5CB26D': 'Intel Corporate',
+  '5CB47E': 'Intel Corporate',
+  '5CBA37': 'Microsoft Corporation',
+  '5CC5D4': 'Intel Corporate',
+  '5CCA1A': 'Microsoft Mobile Oy',
+  '5CCD5B': 'Intel Corporate',
+  '5CD2E4': 'Intel Corporate',
+  '5CE0C5': 'Intel Corporate',
+  '5CE176': 'Cisco Systems, Inc',
+  '5CE42A': 'Intel Corporate',
+  '5CF9DD': 'Dell Inc.',
+  '5CFC66': 'Cisco Systems, Inc',
+  '60152B': 'Palo Alto Networks',
+  '601895': 'Dell Inc.',
+  '6026AA': 'Cisco Systems, Inc',
+  '602AD0': 'Cisco SPVTG',
+  '6036DD': 'Intel Corporate',
+  '60391F': 'ABB Ltd',
+  '60452E': 'Intel Corporate',
+  '6045BD': 'Microsoft',
+  '605718': 'Intel Corporate',
+  '605B30': 'Dell Inc.',
+  '60629A': 'Juniper Networks',
+  '606720': 'Intel Corporate',
+  '606C66': 'Intel Corporate',
+  '60735C': 'Cisco Systems, Inc',
+  '607EDD': 'Microsoft Mobile Oy',
+  '60893C': 'Thermo Fisher Scientific P.O.A.',
+  '60A5E2': 'Intel Corporate',
+  '60A954': 'Cisco Systems, Inc',
+  '60B9C0': 'Cisco Systems, Inc',
+  '60C78D': 'Juniper Networks',
+  '60D178': 'Cisco Systems, Inc',
+  '60DD8E': 'Intel Corporate',
+  '60E32B': 'Intel Corporate',
+  '60F262': 'Intel Corporate',
+  '60F677': 'Intel Corporate',
+  '64006A': 'Dell Inc.',
+  '6400F1': 'Cisco Systems, Inc',
+  '640864': 'Cisco Systems, Inc',
+  '641225': 'Cisco Systems, Inc',
+  '64168D': 'Cisco Systems, Inc',
+  '6431399': 'Honeywell Analytics Ltd',
+  '6432A8': 'Intel Corporate',
+  '6433B57': 'ABB Electrification Smart Power (ELSP)',
+  '643AEA': 'Cisco Systems, Inc',
+  '64497D': 'Intel Corporate',
+  '644A7D': 'Intel Corporate',
+  '644C36': 'Intel Corporate',
+  '6457BA': 'Intel Corporate',
+  '645D86': 'Intel Corporate',
+  '646038': 'Hirschmann Automation and Control GmbH',
+  '64649B': 'Juniper Networks',
+  '646EE0': 'Intel Corporate',
+  '6479F0': 'Intel Corporate',
+  '647CE8': 'Palo Alto Networks',
+  '648099': 'Intel Corporate',
+  '648788': 'Juniper Networks',
+  '648F3E': 'Cisco Systems, Inc',
+  '649EF3': 'Cisco Systems, Inc',
+  '64A0E7': 'Cisco Systems, Inc',
+  '64AC2B': 'Juniper Networks',
+  '64AE0C': 'Cisco Systems, Inc',
+  '64B94E': 'Dell Technologies',
+  '64BC58': 'Intel Corporate',
+  '64C3D6': 'Juniper Networks',
+  '64D4DA': 'Intel Corporate',
+  '64D69A': 'Intel Corporate',
+  '64D814': 'Cisco Systems, Inc',
+  '64D989': 'Cisco Systems, Inc',
+  '64DE6D': 'Intel Corporate',
+  '64E950': 'Cisco Systems, Inc',
+  '64F69D': 'Cisco Systems, Inc',
+  '680489': 'Cisco Systems, Inc',
+  '6805CA': 'Intel Corporate',
+  '680715': 'Intel Corporate',
+  '681729': 'Intel Corporate',
+  '681C52': 'Cisco Systems, Inc',
+  '681FD8': 'Siemens Industry, Inc.',
+  '68228E': 'Juniper Networks',
+  '682C7B': 'Cisco Systems, Inc',
+  '683421': 'Intel Corporate',
+  '683A1E': 'Cisco Meraki',
+  '683B78': 'Cisco Systems, Inc',
+  '683E02': 'SIEMENS AG, Digital Factory, Motion Control System',
+  '683E26': 'Intel Corporate',
+  '6847C5': 'Intel Corporate',
+  '684992': 'Cisco Meraki',
+  '684F64': 'Dell Inc.',
+  '68545A': 'Intel Corporate',
+  '685D43': 'Intel Corporate',
+  '686CE6': 'Microsoft Corporation',
+  '687161': 'Cisco Systems, Inc',
+  '687909': 'Cisco Systems, Inc',
+  '687912E': 'Ametek Solidstate Controls',
+  '687A64': 'Intel Corporate',
+  '687DB4': 'Cisco Systems, Inc',
+  '687F74': 'Cisco-Linksys, LLC',
+  '6886A7': 'Cisco Systems, Inc',
+  '6887C6': 'Cisco Systems, Inc',
+  '6899CD': 'Cisco Systems, Inc',
+  '689CE2': 'Cisco Systems, Inc',
+  '689E0B': 'Cisco Systems, Inc',
+  '68BC0C': 'Cisco Systems, Inc',
+  '68BDAB': 'Cisco Systems, Inc',
+  '68C6AC': 'Intel Corporate',
+  '68C8EB': 'Rockwell Automation',
+  '68CAE4': 'Cisco Systems, Inc',
+  '68CCAE': 'Fortinet, Inc.',
+  '68D972': 'Cisco Systems, Inc',
+  '68E59E': 'Cisco Systems, Inc',
+  '68ECC5': 'Intel Corporate',
+  '68ED57': 'Juniper Networks',
+  '68EE96': 'Cisco SPVTG',
+  '68EFBD': 'Cisco Systems, Inc',
+  '68F38E': 'Juniper Networks',
+  '68F7D8': 'Microsoft Corporation',
+  '68F90F': 'Intel Corporate',
+  '6C0309': 'Cisco Systems, Inc',
+  '6C03B5': 'Cisco Systems, Inc',
+  '6C13D5': 'Cisco Systems, Inc',
+  '6C1544': 'Microsoft Corporation',
+  '6C2056': 'Cisco Systems, Inc',
+  '6C2483': 'Microsoft Mobile Oy',
+  '6C2779': 'Microsoft Mobile Oy',
+  '6C27C89': 'Mitsubishi Electric Europe B.V UK Branch',
+  '6C2995': 'Intel Corporate',
+  '6C29D2': 'Cisco Systems, Inc',
+  '6C2B59': 'Dell Inc.',
+  '6C2F80': 'Intel Corporate',
+  '6C310E': 'Cisco Systems, Inc',
+  '6C3C8C': 'Dell Inc.',
+  '6C410E': 'Cisco Systems, Inc',
+  '6C416A': 'Cisco Systems, Inc',
+  '6C4CE2': 'Intel Corporate',
+  '6C4EF6': 'Cisco Systems, Inc',
+  '6C4FA1': 'Cisco Systems, Inc',
+  '6C504D': 'Cisco Systems, Inc',
+  '6C5D3A': 'Microsoft Corporation',
+  '6C5E3B': 'Cisco Systems, Inc',
+  '6C62FE': 'Juniper Networks',
+  '6C6A77': 'Intel Corporate',
+  '6C6CD3': 'Cisco Systems, Inc',
+  '6C710D': 'Cisco Systems, Inc',
+  '6C78C1': 'Juniper Networks',
+  '6C7DB7': 'Cisco Meraki',
+  '6C7F0C': 'Cisco Meraki',
+  '6C8814': 'Intel Corporate',
+  '6C8BD3': 'Cisco Systems, Inc',
+  '6C8D77': 'Cisco Systems, Inc',
+  '6C8FB5': 'Microsoft Mobile Oy',
+  '6C9466': 'Intel Corporate',
+  '6C9989': 'Cisco Systems, Inc',
+  '6C9CED': 'Cisco Systems, Inc',
+  '6CA100': 'Intel Corporate',
+  '6CAB05': 'Cisco Systems, Inc',
+  '6CB2AE': 'Cisco Systems, Inc',
+  '6CC3B2': 'Cisco Meraki',
+  '6CD6E3': 'Cisco Systems, Inc',
+  '6CDD30': 'Cisco Systems, Inc',
+  '6CDEA9': 'Cisco Meraki',
+  '6CEFBD': 'Cisco Meraki',
+  '6CF6DA': 'Intel Corporate',
+  '6CFA89': 'Cisco Systems, Inc',
+  '6CFE54': 'Intel Corporate',
+  '7001B5': 'Cisco Systems, Inc',
+  '700810': 'Intel Corporate',
+  '700B4F': 'Cisco Systems, Inc',
+  '700F6A': 'Cisco Systems, Inc',
+  '70105C': 'Cisco Systems, Inc',
+  '7015FB': 'Intel Corporate',
+  '7018A7': 'Cisco Systems, Inc',
+  '701AB8': 'Intel Corporate',
+  '701CE7': 'Intel Corporate',
+  '701F53': 'Cisco Systems, Inc',
+  '703217': 'Intel Corporate',
+  '703509': 'Cisco Systems, Inc',
+  '703811': 'Siemens Mobility Limited',
+  '704CA5': 'Fortinet, Inc.',
+  '70617B': 'Cisco Systems, Inc',
+  '70695A': 'Cisco Systems, Inc',
+  '706BB9': 'Cisco Systems, Inc',
+  '706D15': 'Cisco Systems, Inc',
+  '706E6D': 'Cisco Systems, Inc',
+  '70708B': 'Cisco Systems, Inc',
+  '7079B3': 'Cisco Systems, Inc',
+  '707DB9': 'Cisco Systems, Inc',
+  '708105': 'Cisco Systems, Inc',
+  '709CD1': 'Intel Corporate',
+  '70A04B': 'Intel Corporate',
+  '70A6CC': 'Intel Corporate',
+  '70A8A5': 'Microsoft Corporation',
+  '70A8D3': 'Intel Corporate',
+  '70A983': 'Cisco Systems, Inc',
+  '70B317': 'Cisco Systems, Inc',
+  '70B3D5080': 'ABB',
+  '70B3D50AD': 'Vega-Absolute',
+  '70B3D5153': 'Schneider Electric Motion USA',
+  '70B3D520C': 'Siemens Healthcare Diagnostics',
+  '70B3D52E4': 'Schneider Electric Motion USA',
+  '70B3D52EA': 'Schneider Electric Motion',
+  '70B3D533D': 'Schneider Electric Motion USA',
+  '70B3D53FE': 'Siemens Industry Software Inc.',
+  '70B3D54AC': 'Microsoft Research',
+  '70B3D552B': 'GE Aviation Cheltenham',
+  '70B3D5562': 'JD Squared, Inc.',
+  '70B3D55A7': 'ABB S.p.A.',
+  '70B3D56DE': 'Ametek Solidstate Controls',
+  '70B3D56E0': 'ABB SPA - DMPC',
+  '70B3D5797': 'Mitsubishi Electric India Pvt. Ltd.',
+  '70B3D57CC': 'MITSUBISHI HEAVY INDUSTRIES THERMAL SYSTEMS, LTD.',
+  '70B3D57D1': 'Schneider Electric Motion USA',
+  '70B3D5838': 'Tofino',
+  '70B3D5839': 'Rockwell Collins Canada',
+  '70B3D5892': 'ABB',
+  '70B3D58D7': 'Schneider Electric Motion USA',
+  '70B3D594C': 'Honeywell/Intelligrated',
+  '70B3D59A7': 'Honeywell',
+  '70B3D59C0': 'Schneider Displaytechnik GmbH',
+  '70B3D5A37': 'MITSUBISHI HEAVY INDUSTRIES THERMAL SYSTEMS, LTD.',
+  '70B3D5ACC': 'Schneider Electric Motion USA',
+  '70B3D5B0A': 'Mitsubishi Electric India Pvt. Ltd.',
+  '70B3D5C0F': 'Honeywell Safety Products USA, Inc',
+  '70B3D5C47': 'ABB',
+  '70B3D5C87': 'Siemens AG',
+  '70B3D5CCA': 'SIEMENS AS',
+  '70B3D5D69': 'Thermo Fisher Scientific',
+  '70B3D5D96': 'Thermo Fisher Scientific Inc.',
+  '70B3D5E40': 'Siemens Mobility GmbH - MO TI SPA',
+  '70B3D5F37': 'Mitsubishi Electric Micro-Computer Application Software Co.,Ltd.',
+  '70B3D5F4D': 'Honeywell',
+  '70B3D5F70': 'Honeywell',
+  '70B3D5F76': 'Thermo Fisher Scientific',
+  '70B3D5FEE': 'Kawasaki Robot Service,Ltd.',
+  '70B5E8': 'Dell Inc.',
+  '70BC10': 'Microsoft Corporation',
+  '70BC48': 'Cisco Systems, Inc',
+  '70BD96': 'Cisco Systems, Inc',
+  '70C288': 'Intel Corporate',
+  '70C9C6': 'Cisco Systems, Inc',
+  '70CA9B': 'Cisco Systems, Inc',
+  '70CD0D': 'Intel Corporate',
+  '70CF49': 'Intel Corporate',
+  '70D379': 'Cisco Systems, Inc',
+  '70D823': 'Intel Corporate',
+  '70D8C2': 'Intel Corporate',
+  '70DA48': 'Cisco Systems, Inc',
+  '70DB98': 'Cisco Systems, Inc',
+  '70DF2F': 'Cisco Systems, Inc',
+  '70E422': 'Cisco Systems, Inc',
+  '70EA1A': 'Cisco Systems, Inc',
+  '70F096': 'Cisco Systems, Inc',
+  '70F35A': 'Cisco Systems, Inc',
+  '70F8AE': 'Microsoft Corporation',
+  '7404F1': 'Intel Corporate',
+  '740BB0': 'Hirschmann Automation and Control GmbH',
+  '7411B2': 'Cisco Systems, Inc',
+  '7413EA': 'Intel Corporate',
+  '7426AC': 'Cisco Systems, Inc',
+  '742972': 'Juniper Networks',
+  '743AF4': 'Intel Corporate',
+  '74547D': 'Cisco SPVTG',
+  '7470FD': 'Intel Corporate',
+  '74761F': 'Microsoft Corporation',
+  '747827': 'Dell Inc.',
+  '7478A6': 'Fortinet, Inc.',
+  '74860B': 'Cisco Systems, Inc',
+  '74867A': 'Dell Inc.',
+  '7486E2': 'Dell Inc.',
+  '7488BB': 'Cisco Systems, Inc',
+  '748FC2': 'Cisco Systems, Inc',
+  '7495A7': 'Keyence Corporation',
+  '74A02F': 'Cisco Systems, Inc',
+  '74A2E6': 'Cisco Systems, Inc',
+  '74AD98': 'Cisco Systems, Inc',
+  '74BC6B': 'Intel Corporate',
+  '74C412': 'Microsoft Corporation',
+  '74D809': 'Microsoft Corporation',
+  '74D83E': 'Intel Corporate',
+  '74E28C': 'Microsoft Corporation',
+  '74E2E7': 'Cisco Systems, Inc',
+  '74E50B': 'Intel Corporate',
+  '74E5F9': 'Intel Corporate',
+  '74E6E2': 'Dell Inc.',
+  '74E798': 'Juniper Networks',
+  '74F661': 'Schneider Electric Fire & Security Oy',
+  '74FC45': 'SIEMENS AG',
+  '74FE48': 'ADVANTECH CO., LTD.',
+  '7802B1': 'Cisco Systems, Inc',
+  '780CB8': 'Intel Corporate',
+  '780CF0': 'Cisco Systems, Inc',
+  '780F81': 'Cisco Meraki',
+  '78119D': 'Cisco Systems, Inc',
+  '7818EC': 'Fortinet, Inc.',
+  '7819F7': 'Juniper Networks',
+  '7824BE': 'Cisco Systems, Inc',
+  '782B46': 'Intel Corporate',
+  '782BCB': 'Dell Inc.',
+  '7845C4': 'Dell Inc.',
+  '784F9B': 'Juniper Networks',
+  '78507C': 'Juniper Networks',
+  '785EE82': 'Vega-Absolute',
+  '7864A0': 'Cisco Systems, Inc',
+  '786D94': 'Palo Alto Networks',
+  '786DEB': 'GE Lighting',
+  '78725D': 'Cisco Systems, Inc',
+  '787462': 'Intel Corporate',
+  '788517': 'Cisco Systems, Inc',
+  '78862E': 'Microsoft Corporation',
+  '78929C': 'Intel Corporate',
+  '789F87': 'Siemens AG I IA PP PRM',
+  '78AB60': 'ABB Australia',
+  '78AC44': 'Dell Inc.',
+  '78AF08': 'Intel Corporate',
+  '78BAF9': 'Cisco Systems, Inc',
+  '78BC1A': 'Cisco Systems, Inc',
+  '78DA6E': 'Cisco Systems, Inc',
+  '78F1C6': 'Cisco Systems, Inc',
+  '78FE3D': 'Juniper Networks',
+  '78FF57': 'Intel Corporate',
+  '7C0ECE': 'Cisco Systems, Inc',
+  '7C1E52': 'Microsoft',
+  '7C210D': 'Cisco Systems, Inc',
+  '7C210E': 'Cisco Systems, Inc',
+  '7C214A': 'Intel Corporate',
+  '7C2586': 'Juniper Networks',
+  '7C2A31': 'Intel Corporate',
+  '7C310E': 'Cisco Systems, Inc',
+  '7C5079': 'Intel Corporate',
+  '7C5CF8': 'Intel Corporate',
+  '7C62E7': 'Cisco Systems, Inc',
+  '7C67A2': 'Intel Corporate',
+  '7C69F6': 'Cisco Systems, Inc',
+  '7C6D12': 'Microsoft Corporation',
+  '7C70BC1': 'XD-GE Automation CO.,LTD',
+  '7C70DB': 'Intel Corporate',
+  '7C7635': 'Intel Corporate',
+  '7C7A91': 'Intel Corporate',
+  '7C8767': 'Cisco Systems, Inc',
+  '7C89C1': 'Palo Alto Networks',
+  '7C95F3': 'Cisco Systems, Inc',
+  '7CAD4F': 'Cisco Systems, Inc',
+  '7CAD74': 'Cisco Systems, Inc',
+  '7CB0C2': 'Intel Corporate',
+  '7CB21B': 'Cisco SPVTG',
+  '7CB27D': 'Intel Corporate',
+  '7CB353': 'Cisco Systems, Inc',
+  '7CB566': 'Intel Corporate',
+  '7CC025': 'Palo Alto Networks',
+  '7CC0AA': 'Microsoft Corporation',
+  '7CC790': 'Palo Alto Networks',
+  '7CC95A': 'Dell EMC',
+  '7CCCB8': 'Intel Corporate',
+  '7CE2CA': 'Juniper Networks',
+  '7CED8D': 'Microsoft',
+  '7CF880': 'Cisco Systems, Inc',
+  '80000B': 'Intel Corporate',
+  '801316': 'Intel Corporate',
+  '8013BE': 'Juniper Networks',
+  '801844': 'Dell Inc.',
+  '801934': 'Intel Corporate',
+  '80248F': 'Cisco Systems, Inc',
+  '80276C': 'Cisco Systems, Inc',
+  '802DBF': 'Cisco Systems, Inc',
+  '803253': 'Intel Corporate',
+  '8038FB': 'Intel Corporate',
+  '803B2A': 'ABB Xiamen Low Voltage Equipment Co.,Ltd.',
+  '80433F': 'Juniper Networks',
+  '8045DD': 'Intel Corporate',
+  '805A70': 'Fortinet, Inc.',
+  '806132': 'Cisco Systems, Inc',
+  '806A00': 'Cisco Systems, Inc',
+  '80711F': 'Juniper Networks',
+  '807A7F': 'ABB Genway Xiamen Electrical Equipment CO., LTD',
+  '807FF8': 'Juniper Networks',
+  '80802C': 'Fortinet, Inc.',
+  '808489': 'Intel Corporate',
+  '8086F2': 'Intel Corporate',
+  '809B20': 'Intel Corporate',
+  '80A5797': 'Siemens Energy Global GmbH & Co. KG',
+  '80ACAC': 'Juniper Networks',
+  '80B5C6': 'OMRON Corporation',
+  '80B655': 'Intel Corporate',
+  '80C01E': 'Intel Corporate',
+  '80C5E6': 'Microsoft Corporation',
+  '80DB17': 'Juniper Networks',
+  '80E01D': 'Cisco Systems, Inc',
+  '80E4BA': 'Intel Corporate',
+  '80E86F': 'Cisco Systems, Inc',
+  '840328': 'Juniper Networks',
+  '84083A': 'Intel Corporate',
+  '840C6D': 'Cisco Systems, Inc',
+  '84144D': 'Intel Corporate',
+  '841888': 'Juniper Networks',
+  '841B77': 'Intel Corporate',
+  '842B2B': 'Dell Inc.',
+  '84398F': 'Fortinet, Inc.',
+  '843A4B': 'Intel Corporate',
+  '843DC6': 'Cisco Systems, Inc',
+  '845234': 'Juniper Networks',
+  '845733': 'Microsoft Corporation',
+  '845A3E': 'Cisco Systems, Inc',
+  '845C31': 'Dell Inc.',
+  '845CF3': 'Intel Corporate',
+  '8463D6': 'Microsoft Corporation',
+  '84683E': 'Intel Corporate',
+  '8478AC': 'Cisco Systems, Inc',
+  '847B57': 'Intel Corporate',
+  '847BEB': 'Dell Inc.',
+  '847CEE': 'Cisco Systems, Inc',
+  '847D7E': 'Cisco Systems, Inc',
+  '84802D': 'Cisco Systems, Inc',
+  '848A8D': 'Cisco Systems, Inc',
+  '848DC7': 'Cisco SPVTG',
+  '848F69': 'Dell Inc.',
+  '849265': 'Intel Corporate',
+  '84A6C8': 'Intel Corporate',
+  '84B1E2': 'Microsoft Corporation',
+  '84B261': 'Cisco Systems, Inc',
+  '84B517': 'Cisco Systems, Inc',
+  '84B59C': 'Juniper Networks',
+  '84B802': 'Cisco Systems, Inc',
+  '84C1C1': 'Juniper Networks',
+  '84C5A6': 'Intel Corporate',
+  '84D1C1': 'Intel Corporate',
+  '84D412': 'Palo Alto Networks',
+  '84DD84': 'Cisco Systems, Inc',
+  '84EBEF': 'Cisco Systems, Inc',
+  '84EF18': 'Intel Corporate',
+  '84F147': 'Cisco Systems, Inc',
+  '84FDD1': 'Intel Corporate',
+  '84FFC2': 'Cisco Systems, Inc',
+  '880AA3': 'Juniper Networks',
+  '881544': 'Cisco Meraki',
+  '881DFC': 'Cisco Systems, Inc',
+  '8828FB': 'Juniper Networks',
+  '883037': 'Juniper Networks',
+  '883F99': 'Siemens AG',
+  '8843E1': 'Cisco Systems, Inc',
+  '884B39': 'Siemens AG, Healthcare Sector',
+  '884F59': 'Cisco Systems, Inc',
+  '88532E': 'Intel Corporate',
+  '885A92': 'Cisco Systems, Inc',
+  '886FD4': 'Dell Inc.',
+  '887556': 'Cisco Systems, Inc',
+  '887873': 'Intel Corporate',
+  '887ABC': 'Cisco Systems, Inc',
+  '889009': 'Juniper Networks',
+  '88908D': 'Cisco Systems, Inc',
+  '889CAD': 'Cisco Systems, Inc',
+  '88A25E': 'Juniper Networks',
+  '88A29E': 'Raspberry Pi (Trading) Ltd',
+  '88A9A72': 'Honeywell spol. s.r.o. HTS CZ o.z.',
+  '88B111': 'Intel Corporate',
+  '88D82E': 'Intel Corporate',
+  '88D98F': 'Juniper Networks',
+  '88E0F3': 'Juniper Networks',
+  '88E64B': 'Juniper Networks',
+  '88F031': 'Cisco Systems, Inc',
+  '88F077': 'Cisco Systems, Inc',
+  '88F4DA': 'Intel Corporate',
+  '88FC5D': 'Cisco Systems, Inc',
+  '8C04BA': 'Dell Inc.',
+  '8C142A': 'Cisco Systems, Inc',
+  '8C1759': 'Intel Corporate',
+  '8C1D96': 'Intel Corporate',
+  '8C1E80': 'Cisco Systems, Inc',
+  '8C1F64066': 'Siemens Energy Global GmbH & Co. KG',
+  '8C1F6410B': 'Red Lion Europe GmbH',
+  '8C1F6432A': 'ABB',
+  '8C1F6434A': 'Raspberry Pi (Trading) Ltd',
+  '8C1F6437B': 'MITSUBISHI ELECTRIC INDIA PVT. LTD.',
+  '8C1F64397': 'Intel Corporate',
+  '8C1F643BA': 'MITSUBISHI ELECTRIC INDIA PVT. LTD.',
+  '8C1F643F7': 'Mitsubishi Electric India Pvt. Ltd.',
+  '8C1F6440E': 'Baker Hughes EMEA',
+  '8C1F6449C': 'Red Lion Europe GmbH',
+  '8C1F6454A': 'Belden India Private Limited',
+  '8C1F64611': 'Siemens Industry Software Inc.',
+  '8C1F64696': 'Emerson Rosemount Analytical',
+  '8C1F646D0': 'ABB',
+  '8C1F64718': 'ABB',
+  '8C1F647FC': 'Mitsubishi Electric Klimat Transportation Systems S.p.A.',
+  '8C1F64852': 'ABB',
+  '8C1F64951': 'MITSUBISHI ELECTRIC INDIA PVT. LTD.',
+  '8C1F64983': 'Baker Hughes EMEA',
+  '8C1F649B2': 'Emerson Rosemount Analytical',
+  '8C1F64A89': 'Mitsubishi Electric India Pvt. Ltd.',
+  '8C1F64AFD': 'Universal Robots A/S',
+  '8C1F64B24': 'ABB',
+  '8C1F64B25': 'Thermo Fisher Scientific (Asheville) LLC',
+  '8C1F64CF3': 'ABB S.p.A.',
+  '8C1F64D01': 'Emerson Rosemount Analytical',
+  '8C1F64D21': 'AMETEK CTS GMBH',
+  '8C1F64D81': 'Mitsubishi Electric India Pvt. Ltd.',
+  '8C1F64D92': 'Mitsubishi Electric India Pvt. Ltd.',
+  '8C1F64D9D': 'MITSUBISHI HEAVY INDUSTRIES THERMAL SYSTEMS, LTD.',
+  '8C1F64E05': 'Mitsubishi Electric System & Service Co., Ltd.',
+  '8C1F64F74': 'GE AVIC Civil Avionics Systems Company Limited',
+  '8C1F64FB1': 'ABB',
+  '8C1F64FF2': 'MITSUBISHI ELECTRIC INDIA PVT. LTD.',
+  '8C367A': 'Palo Alto Networks',
+  '8C44A5': 'Cisco Systems, Inc',
+  '8C47BE': 'Dell Inc.',
+  '8C554A': 'Intel Corporate',
+  '8C604F': 'Cisco Systems, Inc',
+  '8C705A': 'Intel Corporate',
+  '8C8442': 'Cisco Systems, Inc',
+  '8C8881': 'Cisco Meraki',
+  '8C8D28': 'Intel Corporate',
+  '8C941F': 'Cisco Systems, Inc',
+  '8C9461': 'Cisco Systems, Inc',
+  '8CA982': 'Intel Corporate',
+  '8CB50E': 'Cisco Systems, Inc',
+  '8CB64F': 'Cisco Systems, Inc',
+  '8CB87E': 'Intel Corporate',
+  '8CC661': 'Current, powered by GE',
+  '8CC681': 'Intel Corporate',
+  '8CCF09': 'Dell EMC',
+  '8CE9EE': 'Intel Corporate',
+  '8CE9FF': 'Dell Inc.',
+  '8CEC4B': 'Dell Inc.',
+  '8CF319': 'Siemens Industrial Automation Products Ltd., Chengdu',
+  '8CF8C5': 'Intel Corporate',
+  '9009DF': 'Intel Corporate',
+  '901057': 'Intel Corporate',
+  '9020D7': 'Microsoft Corporation',
+  '902E1C': 'Intel Corporate',
+  '9047C2': 'Intel Corporate',
+  '9049FA': 'Intel Corporate',
+  '905671': 'Cisco Systems, Inc',
+  '9061AE': 'Intel Corporate',
+  '906584': 'Intel Corporate',
+  '906AEB': 'Microsoft Corporation',
+  '906CAC': 'Fortinet, Inc.',
+  '9077EE': 'Cisco Systems, Inc',
+  '907841': 'Intel Corporate',
+  '90837A': 'General Electric Water & Process Technologies',
+  '908855': 'Cisco Systems, Inc',
+  '908A80': 'Cisco Systems, Inc',
+  '908D6E': 'Dell Inc.',
+  '90B021': 'Intel Corporate',
+  '90B11C': 'Dell Inc.',
+  '90B176': 'Intel Corporate',
+  '90CCDF': 'Intel Corporate',
+  '90DAF9': 'Siemens Rail Automation SAU',
+  '90E2BA': 'Intel Corporate',
+  '90E95E': 'Cisco Systems, Inc',
+  '90EB50': 'Cisco Systems, Inc',
+  '940D4B': 'Cisco Systems, Inc',
+  '94105A': 'Dell Inc.',
+  '94270E': 'Intel Corporate',
+  '942E17': 'Schneider Electric Canada Inc',
+  '9433D8': 'Cisco Systems, Inc',
+  '94390E': 'Intel Corporate',
+  '944667': 'Cisco Systems, Inc',
+  '9453FF': 'Intel Corporate',
+  '945641': 'Palo Alto Networks',
+  '945907': 'Shanghai HITE-BELDEN Network Technology Co., Ltd.',
+  '94659C': 'Intel Corporate',
+  '94677E': 'Belden India Private Limited',
+  '949AA9': 'Microsoft Corporation',
+  '94A4B5': 'Mitsubishi Electric Corporation',
+  '94AEE3': 'Belden Hirschmann industries (Suzhou) Limited',
+  '94AEF0': 'Cisco Systems, Inc',
+  '94B609': 'Intel Corporate',
+  '94B86D': 'Intel Corporate',
+  '94BF94': 'Juniper Networks',
+  '94CA0F': 'Honeywell Analytics',
+  '94D469': 'Cisco Systems, Inc',
+  '94E23C': 'Intel Corporate',
+  '94E6F7': 'Intel Corporate',
+  '94E70B': 'Intel Corporate',
+  '94F392': 'Fortinet, Inc.',
+  '94F7AD': 'Juniper Networks',
+  '94FC87': 'Hirschmann Automation and Control GmbH',
+  '94FF3C': 'Fortinet, Inc.',
+  '9803A0': 'ABB n.v. Power Quality Products',
+  '981888': 'Cisco Meraki',
+  '982CBC': 'Intel Corporate',
+  '983B8F': 'Intel Corporate',
+  '9840BB': 'Dell Inc.',
+  '9843FA': 'Intel Corporate',
+  '984925': 'Juniper Networks',
+  '984FEE': 'Intel Corporate',
+  '98541B': 'Intel Corporate',
+  '98597A': 'Intel Corporate',
+  '985F41': 'Intel Corporate',
+  '985FD3': 'Microsoft Corporation',
+  '986DC8': 'TOSHIBA MITSUBISHI-ELECTRIC INDUSTRIAL SYSTEMS CORPORATION',
+  '987A14': 'Microsoft Corporation',
+  '98868B': 'Juniper Networks',
+  '988D46': 'Intel Corporate',
+  '989096': 'Dell Inc.',
+  '98A2C0': 'Cisco Systems, Inc',
+  '98AF65': 'Intel Corporate',
+  '98BD80': 'Intel Corporate',
+  '98D7E1': 'Cisco Systems, Inc',
+  '98E743': 'Dell Inc.',
+  '98F04C': 'Cisco Systems, Inc',
+  '98FC11': 'Cisco-Linksys, LLC',
+  '98FE3E': 'Intel Corporate',
+  '98FE54': 'Raspberry Pi (Trading) Ltd',
+  '9C098B': 'Cisco Systems, Inc',
+  '9C0E51': 'Schneider Electric',
+  '9C2976': 'Intel Corporate',
+  '9C3818': 'Cisco Systems, Inc',
+  '9C4DC2': 'Cisco Systems, Inc',
+  '9C4E20': 'Cisco Systems, Inc',
+  '9C4E36': 'Intel Corporate',
+  '9C5416': 'Cisco Systems, Inc',
+  '9C57AD': 'Cisco Systems, Inc',
+  '9C5A80': 'Juniper Networks',
+  '9C65EB': 'Intel Corporate',
+  '9C6697': 'Cisco Systems, Inc',
+  '9C67D6': 'Intel Corporate',
+  '9C6C15': 'Microsoft Corporation',
+  '9C8ACB': 'Juniper Networks',
+  '9C971B': 'Intel Corporate',
+  '9CA9B8': 'Cisco Systems, Inc',
+  '9CAA1B': 'Microsoft Corporation',
+  '9CAFCA': 'Cisco Systems, Inc',
+  '9CB150': 'Intel Corporate',
+  '9CC893': 'Juniper Networks',
+  '9CCC83': 'Juniper Networks',
+  '9CD57D': 'Cisco Systems, Inc',
+  '9CDA3E': 'Intel Corporate',
+  '9CE176': 'Cisco Systems, Inc',
+  '9CE330': 'Cisco Meraki',
+  '9CF9A1': 'Juniper Networks',
+  '9CFCE8': 'Intel Corporate',
+  'A002A5': 'Intel Corporate',
+  'A00F37': 'Cisco Systems, Inc',
+  'A0239F': 'Cisco Systems, Inc',
+  'A02605': 'Belden Hirschmann industries (Suzhou) Limited',
+  'A02919': 'Dell Inc.',
+  'A02942': 'Intel Corporate',
+  'A0334F': 'Cisco Systems, Inc',
+  'A0369F': 'Intel Corporate',
+  'A03D6E': 'Cisco Systems, Inc',
+  'A03D6F': 'Cisco Systems, Inc',
+  'A04A5E': 'Microsoft Corporation',
+  'A04E8D': 'Cisco Meraki',
+  'A04F52': 'Intel Corporate',
+  'A0510B': 'Intel Corporate',
+  'A0554F': 'Cisco Systems, Inc',
+  'A05911': 'Cisco Meraki',
+  'A05950': 'Intel Corporate',
+  'A08069': 'Intel Corporate',
+  'A08527': 'Intel Corporate',
+  'A085FC': 'Microsoft Corporation',
+  'A08869': 'Intel Corporate',
+  'A088B4': 'Intel Corporate',
+  'A09351': 'Cisco Systems, Inc',
+  'A0A47F': 'Cisco Systems, Inc',
+  'A0A4C5': 'Intel Corporate',
+  'A0A8CD': 'Intel Corporate',
+  'A0AFBD': 'Intel Corporate',
+  'A0B086': 'Hirschmann Automation and Control GmbH',
+  'A0B339': 'Intel Corporate',
+  'A0B439': 'Cisco Systems, Inc',
+  'A0BC6F': 'Cisco Systems, Inc',
+  'A0C589': 'Intel Corporate',
+  'A0C7D2': 'Cisco Systems, Inc',
+  'A0CF5B': 'Cisco Systems, Inc',
+  'A0D365': 'Intel Corporate',
+  'A0D37A': 'Intel Corporate',
+  'A0E0AF': 'Cisco Systems, Inc',
+  'A0E70B': 'Intel Corporate',
+  'A0ECF9': 'Cisco Systems, Inc',
+  'A0F217': 'GE Medical System(China) Co., Ltd.',
+  'A0F261': 'Palo Alto Networks',
+  'A0F849': 'Cisco Systems, Inc',
+  'A4004E': 'Cisco Systems, Inc',
+  'A402B9': 'Intel Corporate',
+  'A40CC3': 'Cisco Systems, Inc',
+  'A410B6': 'Cisco Systems, Inc',
+  'A411BB': 'Cisco Systems, Inc',
+  'A41875': 'Cisco Systems, Inc',
+  'A41F72': 'Dell Inc.',
+  'A426CA': 'Intel Corporate',
+  'A427A5': 'Palo Alto Networks',
+  'A434D9': 'Intel Corporate',
+  'A4423B': 'Intel Corporate',
+  'A44C11': 'Cisco Systems, Inc',
+  'A44CC8': 'Dell Inc.',
+  'A44E31': 'Intel Corporate',
+  'A4515E': 'Juniper Networks',
+  'A4516F': 'Microsoft Mobile Oy',
+  'A4530E': 'Cisco Systems, Inc',
+  'A45630': 'Cisco Systems, Inc',
+  'A4580FB': 'ABB AB PGHV',
+  'A46BB6': 'Intel Corporate',
+  'A46C2A': 'Cisco Systems, Inc',
+  'A47806': 'Cisco Systems, Inc',
+  'A47F1B': 'Juniper Networks',
+  'A48873': 'Cisco Systems, Inc',
+  'A4934C': 'Cisco Systems, Inc',
+  'A49700': 'Cisco Systems, Inc',
+  'A49BCD': 'Cisco Systems, Inc',
+  'A4A24A': 'Cisco SPVTG',
+  'A4A584': 'Cisco Systems, Inc',
+  'A4B1C1': 'Intel Corporate',
+  'A4B239': 'Cisco Systems, Inc',
+  'A4B439': 'Cisco Systems, Inc',
+  'A4BADB': 'Dell Inc.',
+  'A4BB6D': 'Dell Inc.',
+  'A4BF01': 'Intel Corporate',
+  'A4C3F0': 'Intel Corporate',
+  'A4C494': 'Intel Corporate',
+  'A4DA220': 'General Electric Company',
+  'A4DCD5': 'Cisco Systems, Inc',
+  'A4E11A': 'Juniper Networks',
+  'A4F933': 'Intel Corporate',
+  'A80C0D': 'Cisco Systems, Inc',
+  'A83CA5': 'Dell Inc.',
+  'A8469D': 'Cisco Meraki',
+  'A84FB1': 'Cisco Systems, Inc',
+  'A8584E': 'PK VEGA',
+  'A8595F': 'Intel Corporate',
+  'A864F1': 'Intel Corporate',
+  'A86D04': 'Siemens AG',
+  'A86DAA': 'Intel Corporate',
+  'A8724D': 'Intel Corporate',
+  'A8741D': 'Phoenix Contact GmbH & Co. KG',
+  'A87EEA': 'Intel Corporate',
+  'A88C3E': 'Microsoft Corporation',
+  'A89969': 'Dell Inc.',
+  'A89D21': 'Cisco Systems, Inc',
+  'A8B1D4': 'Cisco Systems, Inc',
+  'A8B456': 'Cisco Systems, Inc',
+  'A8D0E5': 'Juniper Networks',
+  'AC05C7': 'Intel Corporate',
+  'AC1203': 'Intel Corporate',
+  'AC16DE': 'Intel Corporate',
+  'AC17C8': 'Cisco Meraki',
+  'AC198E': 'Intel Corporate',
+  'AC1A3D': 'Dell Inc.',
+  'AC2AA1': 'Cisco Systems, Inc',
+  'AC2B6E': 'Intel Corporate',
+  'AC3A67': 'Cisco Systems, Inc',
+  'AC3DCB': 'Intel Corporate',
+  'AC45EF': 'Intel Corporate',
+  'AC4A56': 'Cisco Systems, Inc',
+  'AC4A67': 'Cisco Systems, Inc',
+  'AC4BC8': 'Juniper Networks',
+  'AC5AFC': 'Intel Corporate',
+  'AC6417': 'Siemens AG',
+  'AC675D': 'Intel Corporate',
+  'AC69CF': 'Cisco Meraki',
+  'AC712E': 'Fortinet, Inc.',
+  'AC7289': 'Intel Corporate',
+  'AC74B1': 'Intel Corporate',
+  'AC7713': 'Honeywell Safety Products (Shanghai) Co.,Ltd',
+  'AC78D1': 'Juniper Networks',
+  'AC7A56': 'Cisco Systems, Inc',
+  'AC7BA1': 'Intel Corporate',
+  'AC7E8A': 'Cisco Systems, Inc',
+  'AC8247': 'Intel Corporate',
+  'AC8EBD': 'Microsoft Corporation',
+  'AC91A1': 'Dell Inc.',
+  'ACA016': 'Cisco Systems, Inc',
+  'ACA09D': 'Juniper Networks',
+  'ACB181': 'Belden Mooresville',
+  'ACB480': 'Dell Inc.',
+  'ACBCD9': 'Cisco Systems, Inc',
+  'ACBDF7': 'Cisco Meraki',
+  'ACC3E5': 'Cisco Meraki',
+  'ACCC8E': 'Axis Communications AB',
+  'ACD31D': 'Cisco Meraki',
+  'ACD364': 'ABB SPA, ABB SACE DIV.',
+  'ACED5C': 'Intel Corporate',
+  'ACF2C5': 'Cisco Systems, Inc',
+  'ACF5E6': 'Cisco Systems, Inc',
+  'ACFDCE': 'Intel Corporate',
+  'B000B4': 'Cisco Systems, Inc',
+  'B01BFC': 'Cisco Systems, Inc',
+  'B02680': 'Cisco Systems, Inc',
+  'B02B64': 'Cisco Systems, Inc',
+  'B033A6': 'Juniper Networks',
+  'B0359F': 'Intel Corporate',
+  'B03CDC': 'Intel Corporate',
+  'B047E9': 'Intel Corporate',
+  'B0495F': 'OMRON HEALTHCARE Co., Ltd.',
+  'B04F13': 'Dell Inc.',
+  'B05B1F': 'THERMO FISHER SCIENTIFIC S.P.A.',
+  'B06088': 'Intel Corporate',
+  'B07B25': 'Dell Inc.',
+  'B07D47': 'Cisco Systems, Inc',
+  'B07D64': 'Intel Corporate',
+  'B083FE': 'Dell Inc.',
+  'B08BCF': 'Cisco Systems, Inc',
+  'B08BD0': 'Cisco Systems, Inc',
+  'B08D57': 'Cisco Systems, Inc',
+  'B0907E': 'Cisco Systems, Inc',
+  'B0A460': 'Intel Corporate',
+  'B0A651': 'Cisco Systems, Inc',
+  'B0A86E': 'Juniper Networks',
+  'B0AA77': 'Cisco Systems, Inc',
+  'B0C53C': 'Cisco Systems, Inc',
+  'B0C69A': 'Juniper Networks',
+  'B0DCEF': 'Intel Corporate',
+  'B0EB7F': 'Juniper Networks',
+  'B0FAEB': 'Cisco Systems, Inc',
+  'B40216': 'Cisco Systems, Inc',
+  'B40C25': 'Palo Alto Networks',
+  'B40EDE': 'Intel Corporate',
+  'B41489': 'Cisco Systems, Inc',
+  'B41678': 'Juniper Networks',
+  'B42802': 'Intel Corporate',
+  'B437D17': 'GE Power Management',
+  'B44506': 'Dell Inc.',
+  'B44C90': 'Cisco Systems, Inc',
+  'B4622E': 'Zhong Ge Smart Technology Co., Ltd.',
+  'B46921': 'Intel Corporate',
+  'B46BFC': 'Intel Corporate',
+  'B46D83': 'Intel Corporate',
+  'B48351': 'Intel Corporate',
+  'B48A5F': 'Juniper Networks',
+  'B49691': 'Intel Corporate',
+  'B4A4E3': 'Cisco Systems, Inc',
+  'B4A8B9': 'Cisco Systems, Inc',
+  'B4AE2B': 'Microsoft',
+  'B4B15A': 'Siemens AG Energy Management Division',
+  'B4B2E9': 'Fortinet, Inc.',
+  'B4B676': 'Intel Corporate',
+  'B4CADD': 'Cisco Systems, Inc',
+  'B4D5BD': 'Intel Corporate',
+  'B4DE31': 'Cisco Systems, Inc',
+  'B4DF91': 'Cisco Meraki',
+  'B4E10F': 'Dell Inc.',
+  'B4E1C4': 'Microsoft Mobile Oy',
+  'B4E9B0': 'Cisco Systems, Inc',
+  'B4E9B8': 'Dell Inc.',
+  'B4F95D': 'Juniper Networks',
+  'B80305': 'Intel Corporate',
+  'B80756': 'Cisco Meraki',
+  'B808CF': 'Intel Corporate',
+  'B8114B': 'Cisco Systems, Inc',
+  'B827EB': 'Raspberry Pi Foundation',
+  'B82A72': 'Dell Inc.',
+  'B831B5': 'Microsoft Corporation',
+  'B83861': 'Cisco Systems, Inc',
+  'B84FD5': 'Microsoft Corporation',
+  'B857D6': 'Cisco Systems, Inc',
+  'B85C5C': 'Microsoft Corporation',
+  'B861FC': 'Juniper Networks',
+  'B8621F': 'Cisco Systems, Inc',
+  'B87AC9': 'Siemens Ltd.',
+  'B88198': 'Intel Corporate',
+  'B88584': 'Dell Inc.',
+  'B88A60': 'Intel Corporate',
+  'B89A2A': 'Intel Corporate',
+  'B89BE4': 'ABB Power Systems Power Generation',
+  'B8A377': 'Cisco Systems, Inc',
+  'B8A44F': 'Axis Communications AB',
+  'B8AB61': 'Cisco Meraki',
+  'B8AC6F': 'Dell Inc.',
+  'B8B4C9': 'Cisco Meraki',
+  'B8B81E': 'Intel Corporate',
+  'B8BA66': 'Microsoft Corporation',
+  'B8BEBF': 'Cisco Systems, Inc',
+  'B8BF83': 'Intel Corporate',
+  'B8C253': 'Juniper Networks',
+  'B8C924': 'Cisco Systems, Inc',
+  'B8CA3A': 'Dell Inc.',
+  'B8CB29': 'Dell Inc.',
+  'B8F015': 'Juniper Networks',
+  'B8F775': 'Intel Corporate',
+  'B8FE90': 'Cisco Systems, Inc',
+  'BC0358': 'Intel Corporate',
+  'BC091B': 'Intel Corporate',
+  'BC0F64': 'Intel Corporate',
+  'BC0FFE': 'Juniper Networks',
+  'BC1665': 'Cisco Systems, Inc',
+  'BC16F5': 'Cisco Systems, Inc',
+  'BC17B8': 'Intel Corporate',
+  'BC26C7': 'Cisco Systems, Inc',
+  'BC2CE6': 'Cisco Systems, Inc',
+  'BC305B': 'Dell Inc.',
+  'BC3340': 'Cisco Meraki',
+  'BC3898': 'Intel Corporate',
+  'BC4A56': 'Cisco Systems, Inc',
+  'BC542F': 'Intel Corporate',
+  'BC5A56': 'Cisco Systems, Inc',
+  'BC671C': 'Cisco Systems, Inc',
+  'BC6EE2': 'Intel Corporate',
+  'BC7737': 'Intel Corporate',
+  'BC8385': 'Microsoft Corporation',
+  'BC8D1F': 'Cisco Systems, Inc',
+  'BCA8A6': 'Intel Corporate',
+  'BCABF5': 'Cisco Systems, Inc',
+  'BCB1D3': 'Cisco Meraki',
+  'BCB30E': 'Cisco Systems, Inc',
+  'BCC493': 'Cisco Systems, Inc',
+  'BCC810': 'Cisco SPVTG',
+  'BCCD99': 'Intel Corporate',
+  'BCD165': 'Cisco SPVTG',
+  'BCD22C': 'Intel Corporate',
+  'BCD295': 'Cisco Systems, Inc',
+  'BCDB09': 'Cisco Meraki',
+  'BCE712': 'Cisco Systems, Inc',
+  'BCF105': 'Intel Corporate',
+  'BCF171': 'Intel Corporate',
+  'BCF1F2': 'Cisco Systems, Inc',
+  'BCF499': 'Rockwell Automation',
+  'BCFAEB': 'Cisco Systems, Inc',
+  'C00380': 'Juniper Networks',
+  'C014FE': 'Cisco Systems, Inc',
+  'C01944': 'Juniper Networks',
+  'C0255C': 'Cisco Systems, Inc',
+  'C025A5': 'Dell Inc.',
+  'C02C17': 'Cisco Systems, Inc',
+  'C0335E': 'Microsoft',
+  'C035C5': 'Prosoft Systems LTD',
+  'C03C59': 'Intel Corporate',
+  'C03EBA': 'Dell Inc.',
+  'C042D0': 'Juniper Networks',
+  'C0470E': 'Dell Inc.',
+  'C0582E': 'Cisco Systems, Inc',
+  'C0626B': 'Cisco Systems, Inc',
+  'C064E4': 'Cisco Systems, Inc',
+  'C067AF': 'Cisco Systems, Inc',
+  'C07BBC': 'Cisco Systems, Inc',
+  'C08B2A': 'Cisco Systems, Inc',
+  'C08C60': 'Cisco Systems, Inc',
+  'C0A5E8': 'Intel Corporate',
+  'C0A810': 'Intel Corporate',
+  'C0B6F9': 'Intel Corporate',
+  'C0B883': 'Intel Corporate',
+  'C0BFA7': 'Juniper Networks',
+  'C0C1C0': 'Cisco-Linksys, LLC',
+  'C0C687': 'Cisco SPVTG',
+  'C0D6D5': 'Microsoft Corporation',
+  'C0DFED': 'Juniper Networks',
+  'C0F87F': 'Cisco Systems, Inc',
+  'C400AD': 'Advantech Technology (CHINA) Co., Ltd.',
+  'C403A8': 'Intel Corporate',
+  'C409B7': 'Juniper Networks',
+  'C40ACB': 'Cisco Systems, Inc',
+  'C40F08': 'Intel Corporate',
+  'C4143C': 'Cisco Systems, Inc',
+  'C414A2': 'Cisco Meraki',
+  'C418FC': 'Cisco Systems, Inc',
+  'C42360': 'Intel Corporate',
+  'C42456': 'Palo Alto Networks',
+  'C43D1A': 'Intel Corporate',
+  'C444A0': 'Cisco Systems, Inc',
+  'C44606': 'Cisco Systems, Inc',
+  'C4474E': 'Intel Corporate',
+  'C44B31': 'Cisco Systems, Inc',
+  'C44D84': 'Cisco Systems, Inc',
+  'C45AB1': 'Dell Inc.',
+  'C461C7': 'Microsoft Corporation',
+  'C46413': 'Cisco Systems, Inc',
+  'C46E33': 'Zhong Ge Smart Technology Co., Ltd.',
+  'C471FE': 'Cisco Systems, Inc',
+  'C47295': 'Cisco Systems, Inc',
+  'C475AB': 'Intel Corporate',
+  'C47D4F': 'Cisco Systems, Inc',
+  'C47EE0': 'Cisco Systems, Inc',
+  'C48508': 'Intel Corporate',
+  'C48BA3': 'Cisco Meraki',
+  'C49DED': 'Microsoft Corporation',
+  'C4AA43': 'Cisco Systems, Inc',
+  'C4AB4D': 'Cisco Systems, Inc',
+  'C4B16B': 'Advantech Czech',
+  'C4B239': 'Cisco Systems, Inc',
+  'C4B36A': 'Cisco Systems, Inc',
+  'C4B512': 'General Electric Digital Energy',
+  'C4B9CD': 'Cisco Systems, Inc',
+  'C4BDE5': 'Intel Corporate',
+  'C4C00A': 'Microsoft Corporation',
+  'C4C603': 'Cisco Systems, Inc',
+  'C4CB76': 'Microsoft Corporation',
+  'C4CBE1': 'Dell Inc.',
+  'C4D0E3': 'Intel Corporate',
+  'C4D666': 'Cisco Meraki',
+  'C4D6D3': 'Dell Inc.',
+  'C4D987': 'Intel Corporate',
+  'C4EFDA': 'Honeywell',
+  'C4F7D5': 'Cisco Systems, Inc',
+  'C4FF99': 'Intel Corporate',
+  'C80084': 'Cisco Systems, Inc',
+  'C809A8': 'Intel Corporate',
+  'C81337': 'Juniper Networks',
+  'C8154E': 'Intel Corporate',
+  'C81F66': 'Dell Inc.',
+  'C82158': 'Intel Corporate',
+  'C828E5': 'Cisco Systems, Inc',
+  'C829C8': 'Palo Alto Networks',
+  'C8348E': 'Intel Corporate',
+  'C834E5': 'Cisco Systems, Inc',
+  'C83F26': 'Microsoft Corporation',
+  'C84709': 'Cisco Systems, Inc',
+  'C84BD6': 'Dell Inc.',
+  'C84C75': 'Cisco Systems, Inc',
+  'C858B3': 'Intel Corporate',
+  'C858C0': 'Intel Corporate',
+  'C85EA9': 'Intel Corporate',
+  'C8608F': 'Cisco Systems, Inc',
+  'C86340': 'Cisco Meraki',
+  'C86E08': 'Intel Corporate',
+  'C878F7': 'Cisco Systems, Inc',
+  'C88234': 'Cisco Systems, Inc',
+  'C884A1': 'Cisco Systems, Inc',
+  'C88A9A': 'Intel Corporate',
+  'C895CE': 'Intel Corporate',
+  'C89665': 'Microsoft Corporation',
+  'C89C1D': 'Cisco Systems, Inc',
+  'C8B29B': 'Intel Corporate',
+  'C8B373': 'Cisco-Linksys, LLC',
+  'C8CB9E': 'Intel Corporate',
+  'C8D719': 'Cisco-Linksys, LLC',
+  'C8D995': 'Juniper Networks',
+  'C8E265': 'Intel Corporate',
+  'C8E7F0': 'Juniper Networks',
+  'C8F733': 'Intel Corporate',
+  'C8F750': 'Dell Inc.',
+  'C8F9F9': 'Cisco Systems, Inc',
+  'C8FB26': 'Cisco SPVTG',
+  'C8FE6A': 'Juniper Networks',
+  'CC03D9': 'Cisco Meraki',
+  'CC0DCB': 'Microsoft Corporation',
+  'CC0DEC': 'Cisco SPVTG',
+  'CC1531': 'Intel Corporate',
+  'CC167E': 'Cisco Systems, Inc',
+  'CC22376': 'Siemens AG Austria',
+  'CC2F71': 'Intel Corporate',
+  'CC36CF': 'Cisco Systems, Inc',
+  'CC38D0': 'Palo Alto Networks',
+  'CC3D82': 'Intel Corporate',
+  'CC46D6': 'Cisco Systems, Inc',
+  'CC483A': 'Dell Inc.',
+  'CC5A53': 'Cisco Systems, Inc',
+  'CC5EA5': 'Palo Alto Networks',
+  'CC60C8': 'Microsoft Corporation',
+  'CC6A33': 'Cisco Systems, Inc',
+  'CC6E2A': 'Cisco Meraki',
+  'CC70ED': 'Cisco Systems, Inc',
+  'CC7645': 'Microsoft Corporation',
+  'CC79D7': 'Cisco Systems, Inc',
+  'CC7F75': 'Cisco Systems, Inc',
+  'CC7F76': 'Cisco Systems, Inc',
+  'CC827F': 'Advantech Technology (CHINA) Co., Ltd.',
+  'CC8E71': 'Cisco Systems, Inc',
+  'CC9070': 'Cisco Systems, Inc',
+  'CC96E5': 'Dell Inc.',
+  'CC9891': 'Cisco Systems, Inc',
+  'CC9C3E': 'Cisco Meraki',
+  'CCAA00': 'Microsoft Corporation',
+  'CCB0B3': 'Microsoft Corporation',
+  'CCB6C8': 'Cisco Systems, Inc',
+  'CCC5E5': 'Dell Inc.',
+  'CCCCEA': 'Phoenix Contact GmbH & Co. KG',
+  'CCD31E9': 'Siemens AG, MO MLT BG',
+  'CCD342': 'Cisco Systems, Inc',
+  'CCD539': 'Cisco Systems, Inc',
+  'CCD8C1': 'Cisco Systems, Inc',
+  'CCD9AC': 'Intel Corporate',
+  'CCDB93': 'Cisco Systems, Inc',
+  'CCE17F': 'Juniper Networks',
+  'CCE194': 'Juniper Networks',
+  'CCEA27': 'GE Appliances',
+  'CCED4D': 'Cisco Systems, Inc',
+  'CCEF48': 'Cisco Systems, Inc',
+  'CCF9E4': 'Intel Corporate',
+  'D00674': 'Siemens Industrial Automation Products Ltd., Chengdu',
+  'D007CA': 'Juniper Networks',
+  'D009C8': 'Cisco Systems, Inc',
+  'D00AAB': 'Yokogawa Digital Computer Corporation',
+  'D01411A': 'ABB EVI SPA',
+  'D02C39': 'Cisco Systems, Inc',
+  'D03C1F': 'Intel Corporate',
+  'D0431E': 'Dell Inc.',
+  'D0460C': 'Dell Inc.',
+  'D048A1': 'Juniper Networks',
+  'D05533': 'Palo Alto Networks',
+  'D0574C': 'Cisco Systems, Inc',
+  'D0577B': 'Intel Corporate',
+  'D0577E': 'Intel Corporate',
+  'D06578': 'Intel Corporate',
+  'D067E5': 'Dell Inc.',
+  'D072DC': 'Cisco Systems, Inc',
+  'D07E35': 'Intel Corporate',
+  'D081C5': 'Juniper Networks',
+  'D08543': 'Cisco Systems, Inc',
+  'D08E79': 'Dell Inc.',
+  'D0929E': 'Microsoft Corporation',
+  'D09466': 'Dell Inc.',
+  'D0A5A6': 'Cisco Systems, Inc',
+  'D0ABD5': 'Intel Corporate',
+  'D0C1B5': 'Dell Inc.',
+  'D0C282': 'Cisco Systems, Inc',
+  'D0C637': 'Intel Corporate',
+  'D0C789': 'Cisco Systems, Inc',
+  'D0D0FD': 'Cisco Systems, Inc',
+  'D0D94F7': 'Mitsubishi Electric US, Inc.',
+  'D0DA249': 'Teradyne Robotics A/S',
+  'D0DC2C': 'Cisco Systems, Inc',
+  'D0DD49': 'Juniper Networks',
+  'D0E042': 'Cisco Systems, Inc',
+  'D0EB1A': 'Siemens AG',
+  'D0EC35': 'Cisco Systems, Inc',
+  'D404FF': 'Juniper Networks',
+  'D41D71': 'Palo Alto Networks',
+  'D4258B': 'Intel Corporate',
+  'D42B6F': 'Cisco Systems, Inc',
+  'D42C44': 'Cisco Systems, Inc',
+  'D43B04': 'Intel Corporate',
+  'D4548B': 'Intel Corporate',
+  'D45A3F': 'Juniper Networks',
+  'D46624': 'Cisco Systems, Inc',
+  'D46A35': 'Cisco Systems, Inc',
+  'D46D50': 'Cisco Systems, Inc',
+  'D46D6D': 'Intel Corporate',
+  'D476A0': 'Fortinet, Inc.',
+  'D47798': 'Cisco Systems, Inc',
+  'D4789B': 'Cisco Systems, Inc',
+  'D47C443': 'OMRON SENTECH CO., LTD.',
+  'D47F35': 'Cisco Systems, Inc',
+  'D481D7': 'Dell Inc.',
+  'D48CB5': 'Cisco Systems, Inc',
+  'D48F33': 'Microsoft Corporation',
+  'D494A9': 'Intel Corporate',
+  'D4996C': 'Juniper Networks',
+  'D49CF4': 'Palo Alto Networks',
+  'D4A02A': 'Cisco Systems, Inc',
+  'D4A2CD': 'Dell Inc.',
+  'D4AB61': 'Intel Corporate',
+  'D4AD71': 'Cisco Systems, Inc',
+  'D4ADBD': 'Cisco Systems, Inc',
+  'D4AE52': 'Dell Inc.',
+  'D4B4C0': 'Fortinet, Inc.',
+  'D4BED7': 'Dell Inc.',
+  'D4BED9': 'Dell Inc.',
+  'D4C93C': 'Cisco Systems, Inc',
+  'D4D252': 'Intel Corporate',
+  'D4D748': 'Cisco Systems, Inc',
+  'D4D853': 'Intel Corporate',
+  'D4E880': 'Cisco Systems, Inc',
+  'D4E98A': 'Intel Corporate',
+  'D4EB68': 'Cisco Systems, Inc',
+  'D4F32D': 'Intel Corporate',
+  'D4F4BE': 'Palo Alto Networks',
+  'D4F527': 'SIEMENS AG',
+  'D806D1': 'Honeywell Fire System (Shanghai) Co,. Ltd.',
+  'D818D3': 'Juniper Networks',
+  'D824BD': 'Cisco Systems, Inc',
+  'D828C9': 'General Electric Consumer and Industrial',
+  'D83ADD': 'Raspberry Pi Trading Ltd',
+  'D83BBF': 'Intel Corporate',
+  'D8539A': 'Juniper Networks',
+  'D853AD': 'Cisco Meraki',
+  'D862CA': 'Cisco Systems, Inc',
+  'D867D9': 'Cisco Systems, Inc',
+  'D89341': 'General Electric Global Research',
+  'D89EF3': 'Dell Inc.',
+  'D8B122': 'Juniper Networks',
+  'D8B190': 'Cisco Systems, Inc',
+  'D8BF42': 'Intel Corporate',
+  'D8D090': 'Dell Inc.',
+  'D8E2DF': 'Microsoft Corporation',
+  'D8F2CA': 'Intel Corporate',
+  'D8F883': 'Intel Corporate',
+  'D8FC93': 'Intel Corporate',
+  'DC0539': 'Cisco Systems, Inc',
+  'DC0575': 'SIEMENS ENERGY AUTOMATION',
+  'DC0B09': 'Cisco Systems, Inc',
+  'DC0E96': 'Palo Alto Networks',
+  'DC15DB': 'Ge Ruili Intelligent Technology ( Beijing ) Co., Ltd.',
+  'DC1BA1': 'Intel Corporate',
+  'DC2148': 'Intel Corporate',
+  'DC215C': 'Intel Corporate',
+  'DC2FFA': 'GE Lighting',
+  'DC3752': 'GE',
+  'DC38E1': 'Juniper Networks',
+  'DC3979': 'Cisco Systems, Inc',
+  'DC41A9': 'Intel Corporate',
+  'DC4546': 'Intel Corporate',
+  'DC4628': 'Intel Corporate',
+  'DC5360': 'Intel Corporate',
+  'DC7196': 'Intel Corporate',
+  'DC774C': 'Cisco Systems, Inc',
+  'DC7B94': 'Cisco Systems, Inc',
+  'DC8B28': 'Intel Corporate',
+  'DC8C37': 'Cisco Systems, Inc',
+  'DC9009': 'Intel Corporate',
+  'DC97BA': 'Intel Corporate',
+  'DC9840': 'Microsoft Corporation',
+  'DCA5F4': 'Cisco Systems, Inc',
+  'DCA632': 'Raspberry Pi Trading Ltd',
+  'DCA971': 'Intel Corporate',
+  'DCB3B4': 'Honeywell Environmental & Combustion Controls (Tianjin) Co., Ltd.',
+  'DCB4C4': 'Microsoft XCG',
+  'DCCEC1': 'Cisco Systems, Inc',
+  'DCD83B': 'Cisco Systems, Inc',
+  'DCEB94': 'Cisco Systems, Inc',
+  'DCF401': 'Dell Inc.',
+  'DCF719': 'Cisco Systems, Inc',
+  'DCFB48': 'Intel Corporate',
+  'E002A5': 'ABB Robotics',
+  'E00EDA': 'Cisco Systems, Inc',
+  'E023FF': 'Fortinet, Inc.',
+  'E02A66': 'Cisco Systems, Inc',
+  'E02BE9': 'Intel Corporate',
+  'E02E0B': 'Intel Corporate',
+  'E02F6D': 'Cisco Systems, Inc',
+  'E030F9': 'Juniper Networks',
+  'E03AAA': 'Intel Corporate',
+  'E0553D': 'Cisco Meraki',
+  'E05FB9': 'Cisco Systems, Inc',
+  'E069BA': 'Cisco Systems, Inc',
+  'E07256': 'Intel Corporate',
+  'E0899D': 'Cisco Systems, Inc',
+  'E08C3C': 'Cisco Systems, Inc',
+  'E08F4C': 'Intel Corporate',
+  'E09467': 'Intel Corporate',
+  'E09D31': 'Intel Corporate',
+  'E0ACF1': 'Cisco Systems, Inc',
+  'E0C264': 'Intel Corporate',
+  'E0C932': 'Intel Corporate',
+  'E0CBBC': 'Cisco Meraki',
+  'E0D045': 'Intel Corporate',
+  'E0D173': 'Cisco Systems, Inc',
+  'E0D3B4': 'Cisco Meraki',
+  'E0D464': 'Intel Corporate',
+  'E0D491': 'Cisco Systems, Inc',
+  'E0D4E8': 'Intel Corporate',
+  'E0D55D': 'Intel Corporate',
+  'E0D848': 'Dell Inc.',
+  'E0DB55': 'Dell Inc.',
+  'E0DCA0': 'Siemens Industrial Automation Products Ltd., Chengdu',
+  'E0E258': 'Intel Corporate',
+  'E0F62D': 'Juniper Networks',
+  'E4029B': 'Intel Corporate',
+  'E40D36': 'Intel Corporate',
+  'E4135C': 'Cisco Systems, Inc',
+  'E41F7B': 'Cisco Systems, Inc',
+  'E41FD5': 'Intel Corporate',
+  'E4233C': 'Juniper Networks',
+  'E42AAC': 'Microsoft Corporation',
+  'E4379F': 'Cisco Systems, Inc',
+  'E4387E': 'Cisco Systems, Inc',
+  'E442A6': 'Intel Corporate',
+  'E4434B': 'Dell Inc.',
+  'E448C7': 'Cisco SPVTG',
+  'E44AE0': 'Intel Corporate',
+  'E44E2D': 'Cisco Systems, Inc',
+  'E454E8': 'Dell Inc.',
+  'E455A8': 'Cisco Meraki',
+  'E45D37': 'Juniper Networks',
+  'E45E37': 'Intel Corporate',
+  'E45ECC': 'Juniper Networks',
+  'E45F01': 'Raspberry Pi Trading Ltd',
+  'E46017': 'Intel Corporate',
+  'E462C4': 'Cisco Systems, Inc',
+  'E470B8': 'Intel Corporate',
+  'E4793F': 'Juniper Networks',
+  'E489CA': 'Cisco Systems, Inc',
+  'E48EBB': 'Rockwell Automation',
+  'E49069': 'Rockwell Automation',
+  'E498D1': 'Microsoft Mobile Oy',
+  'E4A41C': 'Cisco Systems, Inc',
+  'E4A471': 'Intel Corporate',
+  'E4A749': 'Palo Alto Networks',
+  'E4A7A0': 'Intel Corporate',
+  'E4AA5D': 'Cisco Systems, Inc',
+  'E4B318': 'Intel Corporate',
+  'E4B97A': 'Dell Inc.',
+  'E4C722': 'Cisco Systems, Inc',
+  'E4C767': 'Intel Corporate',
+  'E4D3F1': 'Cisco Systems, Inc',
+  'E4F004': 'Dell Inc.',
+  'E4F27C': 'Juniper Networks',
+  'E4F58E': 'Schneider Electric USA',
+  'E4F89C': 'Intel Corporate',
+  'E4FADE': 'Microsoft Corporation',
+  'E4FAFD': 'Intel Corporate',
+  'E4FB1E': 'Microsoft Corporation',
+  'E4FC82': 'Juniper Networks',
+  'E4FD45': 'Intel Corporate',
+  'E80462': 'Cisco Systems, Inc',
+  'E80AB9': 'Cisco Systems, Inc',
+  'E81CBA': 'Fortinet, Inc.',
+  'E824A6': 'Juniper Networks',
+  'E82725': 'Axis Communications AB',
+  'E82AEA': 'Intel Corporate',
+  'E84040': 'Cisco Systems, Inc',
+  'E85C0A': 'Cisco Systems, Inc',
+  'E862BE': 'Intel Corporate',
+  'E86549': 'Cisco Systems, Inc',
+  'E8655F': 'Dell Inc.',
+  'E879A3': 'Cisco Systems, Inc',
+  'E884A5': 'Intel Corporate',
+  'E8986D': 'Palo Alto Networks',
+  'E8A245': 'Juniper Networks',
+  'E8A55A': 'Juniper Networks',
+  'E8A72F': 'Microsoft Corporation',
+  'E8B0C5': 'Intel Corporate',
+  'E8B1FC': 'Intel Corporate',
+  'E8B265': 'Dell Inc.',
+  'E8B5D0': 'Dell Inc.',
+  'E8B6C2': 'Juniper Networks',
+  'E8B748': 'Cisco Systems, Inc',
+  'E8BA70': 'Cisco Systems, Inc',
+  'E8BCE4': 'Cisco Systems, Inc',
+  'E8BFB8': 'Intel Corporate',
+  'E8BFE1': 'Intel Corporate',
+  'E8C829': 'Intel Corporate',
+  'E8CF83': 'Dell Inc.',
+  'E8D322': 'Cisco Systems, Inc',
+  'E8DC6C': 'Cisco Systems, Inc',
+  'E8EB34': 'Cisco Systems, Inc',
+  'E8EDD6': 'Fortinet, Inc.',
+  'E8EDF3': 'Cisco Systems, Inc',
+  'E8EF22': 'Siemens Numerical Control Ltd., Nanjing',
+  'E8F408': 'Intel Corporate',
+  'E8F673': 'Microsoft Corporation',
+  'EC01D5': 'Cisco Systems, Inc',
+  'EC13DB': 'Juniper Networks',
+  'EC192E': 'Cisco Systems, Inc',
+  'EC1C5D': 'Siemens AG',
+  'EC1D8B': 'Cisco Systems, Inc',
+  'EC2A72': 'Dell Inc.',
+  'EC3091': 'Cisco Systems, Inc',
+  'EC3873': 'Juniper Networks',
+  'EC3EF7': 'Juniper Networks',
+  'EC4476': 'Cisco Systems, Inc',
+  'EC4684': 'Microsoft Corporation',
+  'EC4C8C': 'Intel Corporate',
+  'EC59E7': 'Microsoft Corporation',
+  'EC5C69': 'MITSUBISHI HEAVY INDUSTRIES MECHATRONICS SYSTEMS,LTD.',
+  'EC63D7': 'Intel Corporate',
+  'EC6881': 'Palo Alto Networks',
+  'EC74BA': 'Hirschmann Automation and Control GmbH',
+  'EC7C5C': 'Juniper Networks',
+  'EC8350': 'Microsoft Corporation',
+  'EC8E77': 'Intel Corporate',
+  'EC94D5': 'Juniper Networks',
+  'ECA1CC': 'Cisco Systems, Inc',
+  'ECA78D': 'Cisco Systems, Inc',
+  'ECBB78': 'Cisco Systems, Inc',
+  'ECBD1D': 'Cisco Systems, Inc',
+  'ECC018': 'Cisco Systems, Inc',
+  'ECC882': 'Cisco Systems, Inc',
+  'ECCE13': 'Cisco Systems, Inc',
+  'ECDD24': 'Cisco Systems, Inc',
+  'ECE1A9': 'Cisco Systems, Inc',
+  'ECE555': 'Hirschmann Automation',
+  'ECE7A7': 'Intel Corporate',
+  'ECED04': 'Intel Corporate',
+  'ECF33C': 'Intel Corporate',
+  'ECF40C': 'Cisco Systems, Inc',
+  'ECF4BB': 'Dell Inc.',
+  'F003BC': 'Cisco Systems, Inc',
+  'F01C2D': 'Juniper Networks',
+  'F01D2D': 'Cisco Systems, Inc',
+  'F01DBC': 'Microsoft Corporation',
+  'F01FAF': 'Dell Inc.',
+  'F020FF': 'Intel Corporate',
+  'F02572': 'Cisco Systems, Inc',
+  'F02929': 'Cisco Systems, Inc',
+  'F040AF9': 'Raspberry Pi (Trading) Ltd',
+  'F040AFA': 'SIEMENS AG',
+  'F0421C': 'Intel Corporate',
+  'F04A02': 'Cisco Systems, Inc',
+  'F04B3A': 'Juniper Networks',
+  'F04DA2': 'Dell Inc.',
+  'F05494': 'Honeywell Connected Building',
+  'F057A6': 'Intel Corporate',
+  'F06E0B': 'Microsoft Corporation',
+  'F077C3': 'Intel Corporate',
+  'F07816': 'Cisco Systems, Inc',
+  'F07CC7': 'Juniper Networks',
+  'F07F06': 'Cisco Systems, Inc',
+  'F09E4A': 'Intel Corporate',
+  'F09E63': 'Cisco Systems, Inc',
+  'F0B2B9': 'Intel Corporate',
+  'F0B2E5': 'Cisco Systems, Inc',
+  'F0B61E': 'Intel Corporate',
+  'F0D32B': 'Juniper Networks',
+  'F0D415': 'Intel Corporate',
+  'F0D4E2': 'Dell Inc.',
+  'F0D5BF': 'Intel Corporate',
+  'F0D805': 'Cisco Systems, Inc',
+  'F0F755': 'Cisco Systems, Inc',
+  'F40270': 'Dell Inc.',
+  'F40669': 'Intel Corporate',
+  'F40F1B': 'Cisco Systems, Inc',
+  'F41FC2': 'Cisco Systems, Inc',
+  'F42679': 'Intel Corporate',
+  'F43392': 'Cisco Systems, Inc',
+  'F43BD8': 'Intel Corporate',
+  'F44637': 'Intel Corporate',
+  'F44B2A': 'Cisco SPVTG',
+  'F44E05': 'Cisco Systems, Inc',
+  'F44EE3': 'Intel Corporate',
+  'F45433': 'Rockwell Automation',
+  'F45BB4': 'Cisco Systems, Inc',
+  'F45FD4': 'Cisco SPVTG',
+  'F46AD7': 'Microsoft Corporation',
+  'F46D3F': 'Intel Corporate',
+  'F47470': 'Cisco Systems, Inc',
+  'F47B09': 'Intel Corporate',
+  'F47F35': 'Cisco Systems, Inc',
+  'F48974': 'Cisco Systems, Inc',
+  'F48C50': 'Intel Corporate',
+  'F48E38': 'Dell Inc.',
+  'F49634': 'Intel Corporate',
+  'F4A475': 'Intel Corporate',
+  'F4A739': 'Juniper Networks',
+  'F4ACC1': 'Cisco Systems, Inc',
+  'F4B301': 'Intel Corporate',
+  'F4B52F': 'Juniper Networks',
+  'F4B821': 'Cisco Systems, Inc',
+  'F4BD9E': 'Cisco Systems, Inc',
+  'F4BFA8': 'Juniper Networks',
+  'F4C88A': 'Intel Corporate',
+  'F4CC55': 'Juniper Networks',
+  'F4CE23': 'Intel Corporate',
+  'F4CFE2': 'Cisco Systems, Inc',
+  'F4D108': 'Intel Corporate',
+  'F4D58A': 'Palo Alto Networks',
+  'F4DBE6': 'Cisco Systems, Inc',
+  'F4EA67': 'Cisco Systems, Inc',
+  'F4EE08': 'Dell Inc.',
+  'F4EE31': 'Cisco Systems, Inc',
+  'F80278B': 'Rosemount Analytical',
+  'F80BCB': 'Cisco Systems, Inc',
+  'F80F6F': 'Cisco Systems, Inc',
+  'F814DD': 'Cisco Systems, Inc',
+  'F815E0': 'Siemens Canada',
+  'F81654': 'Intel Corporate',
+  'F81D78D': 'Tofino',
+  'F83441': 'Intel Corporate',
+  'F83918': 'Cisco Systems, Inc',
+  'F84F57': 'Cisco Systems, Inc',
+  'F85971': 'Intel Corporate',
+  'F85EA0': 'Intel Corporate',
+  'F8633F': 'Intel Corporate',
+  'F866F2': 'Cisco Systems, Inc',
+  'F868FF': 'Cisco Systems, Inc',
+  'F86BD9': 'Cisco Systems, Inc',
+  'F872EA': 'Cisco Systems, Inc',
+  'F87A41': 'Cisco Systems, Inc',
+  'F87B20': 'Cisco Systems, Inc',
+  'F894C2': 'Intel Corporate',
+  'F89E28': 'Cisco Meraki',
+  'F89E94': 'Intel Corporate',
+  'F8A5C5': 'Cisco Systems, Inc',
+  'F8A73A': 'Cisco Systems, Inc',
+  'F8AC65': 'Intel Corporate',
+  'F8B156': 'Dell Inc.',
+  'F8B54D': 'Intel Corporate',
+  'F8B7E2': 'Cisco Systems, Inc',
+  'F8BC12': 'Dell Inc.',
+  'F8C001': 'Juniper Networks',
+  'F8C116': 'Juniper Networks',
+  'F8C288': 'Cisco Systems, Inc',
+  'F8C650': 'Cisco Systems, Inc',
+  'F8CAB8': 'Dell Inc.',
+  'F8CF52': 'Intel Corporate',
+  'F8DB88': 'Dell Inc.',
+  'F8E4E3': 'Intel Corporate',
+  'F8E57E': 'Cisco Systems, Inc',
+  'F8E94F': 'Cisco Systems, Inc',
+  'F8F21E': 'Intel Corporate',
+  'F8FE5E': 'Intel Corporate',
+  'FC101A': 'Palo Alto Networks',
+  'FC2120': 'Cisco Systems, Inc',
+  'FC3342': 'Juniper Networks',
+  'FC4482': 'Intel Corporate',
+  'FC4CEA': 'Dell Inc.',
+  'FC589A': 'Cisco Systems, Inc',
+  'FC5B39': 'Cisco Systems, Inc',
+  'FC6D77': 'Intel Corporate',
+  'FC7288': 'Cisco Systems, Inc',
+  'FC7774': 'Intel Corporate',
+  'FC8C11': 'Microsoft Corporation',
+  'FC942E': 'Cisco Meraki',
+  'FC9643': 'Juniper Networks',
+  'FC9947': 'Cisco Systems, Inc',
+  'FC9E53': 'Intel Corporate',
+  'FCB3AA': 'Intel Corporate',
+  'FCB3BC': 'Intel Corporate',
+  'FCB97E': 'GE Appliances',
+  'FCF8AE': 'Intel Corporate',
+  'FCFBFB': 'Cisco Systems, Inc',
+  'FCFEC2': 'Invensys Controls UK Limited'
+}
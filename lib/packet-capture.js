@@ -0,0 +1,483 @@
+// ============================================================================
+// PASSIVE DISCOVERY FROM PACKET CAPTURES
+// Reads .pcap / .pcapng files taken from a SPAN port and extracts the assets
+// talking on the wire: IP, MAC and the ICS protocols they serve (Modbus/TCP,
+// EtherNet/IP, S7comm, DNP3, BACnet, OPC UA). EtherNet/IP ListIdentity and S7
+// SZL responses carry the device's vendor, model and firmware. Every
+// conversation is kept as a communication pair (client -> server, protocol).
+//
+//   analyzeCapture(bytes)       -> { assets, pairs, stats }
+//   expandCaptureSources(files) -> { files, communications }  (API requests)
+// ============================================================================
+import Papa from 'papaparse'
+import { DISCOVERY_COLUMNS } from './discovery-adapters.js'
+import { icsPort, inferFromPorts } from './ics-ports.js'
+
+export const CAPTURE_EXTENSIONS = ['.pcap', '.pcapng', '.cap']
+
+export const isCaptureFile = (filename) =>
+  CAPTURE_EXTENSIONS.some(ext => String(filename || '').toLowerCase().endsWith(ext))
+
+// Columns a capture adds to the canonical discovery columns
+const CAPTURE_COLUMNS = ['serial_number', 'cip_vendor_id', 'bacnet_instance', 'bacnet_vendor_id', 'dnp3_address', 'ics_client_of', 'first_seen', 'packets']
+
+// Reported like an adapter format on the ingested file
+export const CAPTURE_FORMAT = { id: 'pcap', name: 'Packet capture (PCAP / PCAPNG)', vendor: null, confidence: 100 }
+
+// Pairs returned per capture in API responses (busiest first)
+const MAX_PAIRS = 2000
+
+// ============================================================================
+// CAPTURE FILE FORMATS
+// pcap: 24-byte global header, then 16-byte record headers (µs or ns timestamps)
+// pcapng: blocks - section header, interface descriptions (link type, timestamp
+// resolution) and enhanced / simple / obsolete packet blocks
+// ============================================================================
+const PCAP_MAGIC = { 0xa1b2c3d4: 1e3, 0xa1b23c4d: 1e6 } // -> timestamp fraction units per ms
+const PCAPNG_SECTION = 0x0a0d0d0a
+const PCAPNG_BYTE_ORDER = 0x1a2b3c4d
+
+function* pcapPackets(view) {
+  let little = true
+  let unitsPerMs = PCAP_MAGIC[view.getUint32(0, true)]
+  if (!unitsPerMs) {
+    little = false
+    unitsPerMs = PCAP_MAGIC[view.getUint32(0, false)]
+  }
+  const linkType = view.getUint32(20, little) & 0xffff
+  let offset = 24
+  while (offset + 16 <= view.byteLength) {
+    const seconds = view.getUint32(offset, little)
+    const fraction = view.getUint32(offset + 4, little)
+    const length = view.getUint32(offset + 8, little)
+    const start = offset + 16
+    if (start + length > view.byteLength) break
+    yield { linkType, time: seconds * 1000 + fraction / unitsPerMs, start, end: start + length }
+    offset = start + length
+  }
+}
+
+// if_tsresol: high bit clear = 10^-n seconds, set = 2^-n seconds
+function interfaceUnitsPerMs(view, optionsStart, optionsEnd, little) {
+  let offset = optionsStart
+  while (offset + 4 <= optionsEnd) {
+    const code = view.getUint16(offset, little)
+    const length = view.getUint16(offset + 2, little)
+    if (code === 0) break
+    if (code === 9 && length >= 1) {
+      const resolution = view.getUint8(offset + 4)
+      const perSecond = resolution & 0x80 ? 2 ** (resolution & 0x7f) : 10 ** resolution
+      return perSecond / 1000
+    }
+    offset += 4 + Math.ceil(length / 4) * 4
+  }
+  return 1e3
+}
+
+function* pcapngPackets(view) {
+  let little = true
+  let interfaces = []
+  let offset = 0
+  while (offset + 12 <= view.byteLength) {
+    const type = view.getUint32(offset, little)
+    if (type === PCAPNG_SECTION) {
+      little = view.getUint32(offset + 8, true) === PCAPNG_BYTE_ORDER
+      interfaces = []
+    }
+    const blockLength = view.getUint32(offset + 4, little)
+    if (blockLength < 12 || offset + blockLength > view.byteLength) break
+    const body = offset + 8
+    const blockEnd = offset + blockLength - 4
+
+    if (type === 1) {
+      interfaces.push({ linkType: view.getUint16(body, little), unitsPerMs: interfaceUnitsPerMs(view, body + 8, blockEnd, little) })
+    } else if (type === 6 || type === 2) {
+      // Enhanced packet block; the obsolete packet block has a 16-bit interface id and drop count
+      const id = type === 6 ? view.getUint32(body, little) : view.getUint16(body, little)
+      const iface = interfaces[id] || { linkType: 1, unitsPerMs: 1e3 }
+      const stamp = view.getUint32(body + 4, little) * 2 ** 32 + view.getUint32(body + 8, little)
+      const length = view.getUint32(body + 12, little)
+      const start = body + 20
+      yield { linkType: iface.linkType, time: stamp / iface.unitsPerMs, start, end: Math.min(start + length, blockEnd) }
+    } else if (type === 3) {
+      // Simple packet block: interface 0, no timestamp
+      const start = body + 4
+      const length = view.getUint32(body, little)
+      yield { linkType: interfaces[0]?.linkType ?? 1, time: null, start, end: Math.min(start + length, blockEnd) }
+    }
+    offset += blockLength
+  }
+}
+
+function* capturePackets(view) {
+  if (view.byteLength < 24) throw new Error('file too short for a packet capture')
+  if (view.getUint32(0, false) === PCAPNG_SECTION) {
+    yield* pcapngPackets(view)
+  } else if (PCAP_MAGIC[view.getUint32(0, true)] || PCAP_MAGIC[view.getUint32(0, false)]) {
+    yield* pcapPackets(view)
+  } else {
+    throw new Error('not a pcap or pcapng file')
+  }
+}
+
+// ============================================================================
+// LINK / NETWORK / TRANSPORT LAYERS
+// ============================================================================
+const LINK_ETHERNET = 1
+const LINK_RAW = [12, 101]
+const LINK_SLL = 113
+const LINK_SLL2 = 276
+
+const macAt = (view, offset) =>
+  Array.from({ length: 6 }, (_, i) => view.getUint8(offset + i).toString(16).padStart(2, '0')).join(':').toUpperCase()
+
+const ipAt = (view, offset) => [0, 1, 2, 3].map(i => view.getUint8(offset + i)).join('.')
+
+// -> { srcMac, etherType, offset } or null for link types that are not read
+function linkLayer(view, { linkType, start }) {
+  if (linkType === LINK_ETHERNET) {
+    let etherType = view.getUint16(start + 12)
+    let offset = start + 14
+    // 802.1Q / 802.1ad VLAN tags
+    while (etherType === 0x8100 || etherType === 0x88a8) {
+      etherType = view.getUint16(offset + 2)
+      offset += 4
+    }
+    return { srcMac: macAt(view, start + 6), etherType, offset }
+  }
+  if (linkType === LINK_SLL) {
+    return { srcMac: view.getUint16(start + 4) === 6 ? macAt(view, start + 6) : '', etherType: view.getUint16(start + 14), offset: start + 16 }
+  }
+  if (linkType === LINK_SLL2) {
+    return { srcMac: view.getUint8(start + 11) === 6 ? macAt(view, start + 12) : '', etherType: view.getUint16(start), offset: start + 20 }
+  }
+  if (LINK_RAW.includes(linkType)) return { srcMac: '', etherType: 0x0800, offset: start }
+  return null
+}
+
+// Addresses that are not a single device
+const isUnicastIp = (ip) => {
+  const [a, , , d] = ip.split('.').map(Number)
+  return a !== 0 && a !== 127 && a < 224 && d !== 255
+}
+
+// ============================================================================
+// ICS PROTOCOL DISSECTORS - each validates its header, and identity responses
+// (EtherNet/IP ListIdentity, S7 SZL, BACnet I-Am) return what the device says
+// about itself
+// ============================================================================
+const asciiAt = (view, offset, length) =>
+  Array.from({ length }, (_, i) => view.getUint8(offset + i)).map(c => String.fromCharCode(c)).join('').replace(/\0/g, '').trim()
+
+// CIP device profiles (Identity object attribute 2)
+const CIP_DEVICE_TYPES = { 0x02: 'AC Drive', 0x07: 'Discrete I/O', 0x0c: 'Communications Adapter', 0x0e: 'PLC', 0x18: 'HMI' }
+const CIP_VENDORS = { 1: 'Rockwell Automation' }
+
+// EtherNet/IP encapsulation; command 0x63 = ListIdentity, whose reply carries a CIP Identity item.
+// Scanners often send the (empty) request from port 44818 too, so the message says who is the device
+function dissectEnip(view, offset, end) {
+  if (end - offset < 24) return null
+  const command = view.getUint16(offset, true)
+  if (![0x04, 0x63, 0x64, 0x65, 0x66, 0x6f, 0x70].includes(command)) return null
+  const length = view.getUint16(offset + 2, true)
+  if (command !== 0x63) return { protocol: 'EtherNet/IP' }
+  if (length === 0) return { protocol: 'EtherNet/IP', server: false }
+
+  const item = offset + 24 + 2
+  if (view.getUint16(item, true) !== 0x0c) return { protocol: 'EtherNet/IP' }
+  const data = item + 4 + 2 + 16 // type id, length, encapsulation version, socket address
+  const vendorId = view.getUint16(data, true)
+  const deviceType = view.getUint16(data + 2, true)
+  const nameLength = view.getUint8(data + 14)
+  return {
+    protocol: 'EtherNet/IP',
+    server: true,
+    identity: {
+      manufacturer: CIP_VENDORS[vendorId] || '',
+      cip_vendor_id: vendorId,
+      device_type: CIP_DEVICE_TYPES[deviceType] || '',
+      model: asciiAt(view, data + 15, nameLength),
+      firmware_version: `${view.getUint8(data + 6)}.${view.getUint8(data + 7)}`,
+      serial_number: view.getUint32(data + 10, true).toString(16).toUpperCase().padStart(8, '0')
+    }
+  }
+}
+
+// TPKT + COTP + S7 header (0x32). Userdata responses (ROSCTR 7) reading SZL 0x0011
+// (module identification) or 0x001C (component identification) identify the CPU
+function dissectS7(view, offset, end) {
+  if (end - offset < 8 || view.getUint8(offset) !== 0x03) return null
+  const s7 = offset + 4 + 1 + view.getUint8(offset + 4)
+  if (s7 + 10 > end || view.getUint8(s7) !== 0x32) return { protocol: 'S7comm' }
+  const rosctr = view.getUint8(s7 + 1)
+  const paramLength = view.getUint16(s7 + 6)
+  const data = s7 + (rosctr === 2 || rosctr === 3 ? 12 : 10) + paramLength
+  if (rosctr !== 7 || data + 12 > end || view.getUint8(data) !== 0xff) return { protocol: 'S7comm' }
+
+  const szlId = view.getUint16(data + 4) & 0x0fff
+  const recordLength = view.getUint16(data + 8)
+  const count = view.getUint16(data + 10)
+  const identity = { manufacturer: 'Siemens', device_type: 'PLC' }
+  for (let i = 0, record = data + 12; i < count && record + recordLength <= end; i++, record += recordLength) {
+    const index = view.getUint16(record)
+    if (szlId === 0x011 && index === 0x0001) identity.model = asciiAt(view, record + 2, 20)
+    if (szlId === 0x011 && index === 0x0007) {
+      // Firmware: 'V' then major in Ausbg, minor.patch in Ausbe
+      identity.firmware_version = `V${view.getUint8(record + 25)}.${view.getUint8(record + 26)}.${view.getUint8(record + 27)}`
+    }
+    if (szlId === 0x01c && index === 0x0007) identity.model_name = asciiAt(view, record + 2, 32)
+    if (szlId === 0x01c && index === 0x0005) identity.serial_number = asciiAt(view, record + 2, 24)
+  }
+  return { protocol: 'S7comm', identity }
+}
+
+// Modbus/TCP MBAP header: protocol id 0, length covering unit id + PDU
+function dissectModbus(view, offset, end) {
+  if (end - offset < 8 || view.getUint16(offset + 2) !== 0) return null
+  return view.getUint16(offset + 4) === end - offset - 6 ? { protocol: 'Modbus TCP' } : null
+}
+
+// DNP3 link layer: 0x0564 start bytes, then length, control, destination and source (little-endian)
+function dissectDnp3(view, offset, end) {
+  if (end - offset < 10 || view.getUint16(offset) !== 0x0564) return null
+  return { protocol: 'DNP3', source: view.getUint16(offset + 6, true) }
+}
+
+// BACnet/IP: BVLC (0x81), NPDU, then an APDU. I-Am (unconfirmed service 0) names the
+// device instance and vendor; ACKs come from devices, confirmed requests from clients
+function dissectBacnet(view, offset, end) {
+  if (end - offset < 6 || view.getUint8(offset) !== 0x81) return null
+  // Forwarded-NPDU carries the original sender's address (6 bytes) first
+  let npdu = offset + 4 + (view.getUint8(offset + 1) === 0x04 ? 6 : 0)
+  if (view.getUint8(npdu) !== 0x01) return { protocol: 'BACnet/IP' }
+  const control = view.getUint8(npdu + 1)
+  if (control & 0x80) return { protocol: 'BACnet/IP' }
+  npdu += 2
+  if (control & 0x20) npdu += 3 + view.getUint8(npdu + 2)
+  if (control & 0x08) npdu += 3 + view.getUint8(npdu + 2)
+  if (control & 0x20) npdu += 1
+  if (npdu + 2 > end) return { protocol: 'BACnet/IP' }
+
+  const pduType = view.getUint8(npdu) >> 4
+  if (pduType === 1 && view.getUint8(npdu + 1) === 0x00 && view.getUint8(npdu + 2) === 0xc4) {
+    const objectId = view.getUint32(npdu + 3)
+    // Vendor id: the 4th application tag (unsigned, 1 or 2 bytes) after max-APDU and segmentation
+    let tag = npdu + 7
+    for (let skip = 0; skip < 2 && tag < end; skip++) tag += 1 + (view.getUint8(tag) & 0x07)
+    const vendorLength = tag < end ? view.getUint8(tag) & 0x07 : 0
+    const vendorId = vendorLength === 1 ? view.getUint8(tag + 1) : vendorLength === 2 ? view.getUint16(tag + 1) : null
+    return {
+      protocol: 'BACnet/IP',
+      server: true,
+      identity: { bacnet_instance: objectId & 0x3fffff, ...(vendorId !== null && { bacnet_vendor_id: vendorId }) }
+    }
+  }
+  return { protocol: 'BACnet/IP', server: [2, 3, 5].includes(pduType) }
+}
+
+// OPC UA binary: 3-letter message type and chunk type (F / C / A)
+function dissectOpcUa(view, offset, end) {
+  if (end - offset < 8) return null
+  const type = asciiAt(view, offset, 3)
+  return ['HEL', 'ACK', 'OPN', 'MSG', 'CLO', 'ERR'].includes(type) && 'FCA'.includes(String.fromCharCode(view.getUint8(offset + 3)))
+    ? { protocol: 'OPC UA' }
+    : null
+}
+
+const DISSECTORS = {
+  502: dissectModbus,
+  44818: dissectEnip,
+  102: dissectS7,
+  20000: dissectDnp3,
+  47808: dissectBacnet,
+  4840: dissectOpcUa
+}
+
+// ============================================================================
+// CAPTURE ANALYSIS
+// ============================================================================
+// bytes: Uint8Array / ArrayBuffer / Node Buffer
+export function analyzeCapture(bytes) {
+  const buffer = bytes instanceof ArrayBuffer ? new Uint8Array(bytes) : bytes
+  const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+  const hosts = new Map()
+  const arp = new Map()
+  const ipsByMac = new Map()
+  const pairs = new Map()
+  const stats = { packets: 0, ipv4: 0, malformed: 0, unsupportedLinks: new Set(), start: null, end: null }
+
+  const host = (ip) => {
+    if (!hosts.has(ip)) hosts.set(ip, { ip, macs: new Map(), protocols: new Set(), serverPorts: new Map(), clientProtocols: new Set(), identity: {}, first: null, last: null, packets: 0 })
+    return hosts.get(ip)
+  }
+  const seen = (entry, time) => {
+    if (time === null) return
+    entry.first = entry.first === null ? time : Math.min(entry.first, time)
+    entry.last = entry.last === null ? time : Math.max(entry.last, time)
+  }
+
+  for (const packet of capturePackets(view)) {
+    stats.packets++
+    if (packet.time !== null) {
+      stats.start = stats.start === null ? packet.time : Math.min(stats.start, packet.time)
+      stats.end = stats.end === null ? packet.time : Math.max(stats.end, packet.time)
+    }
+    try {
+      const link = linkLayer(view, packet)
+      if (!link) {
+        stats.unsupportedLinks.add(packet.linkType)
+        continue
+      }
+
+      // ARP replies and requests announce the sender's IP / MAC binding
+      if (link.etherType === 0x0806 && view.getUint16(link.offset + 2) === 0x0800) {
+        const ip = ipAt(view, link.offset + 14)
+        if (isUnicastIp(ip)) arp.set(ip, macAt(view, link.offset + 8))
+        continue
+      }
+      if (link.etherType !== 0x0800 || (view.getUint8(link.offset) >> 4) !== 4) continue
+
+      stats.ipv4++
+      const ip = link.offset
+      const headerLength = (view.getUint8(ip) & 0x0f) * 4
+      const totalLength = view.getUint16(ip + 2)
+      const end = Math.min(ip + totalLength, packet.end)
+      const transport = view.getUint8(ip + 9)
+      const src = ipAt(view, ip + 12)
+      const dst = ipAt(view, ip + 16)
+      if (!isUnicastIp(src)) continue
+
+      const sender = host(src)
+      sender.packets++
+      seen(sender, packet.time)
+      if (link.srcMac) {
+        sender.macs.set(link.srcMac, (sender.macs.get(link.srcMac) || 0) + 1)
+        if (!ipsByMac.has(link.srcMac)) ipsByMac.set(link.srcMac, new Set())
+        ipsByMac.get(link.srcMac).add(src)
+      }
+
+      // Non-first fragments carry no transport header
+      if ((view.getUint16(ip + 6) & 0x1fff) !== 0 || (transport !== 6 && transport !== 17)) continue
+      const l4 = ip + headerLength
+      const proto = transport === 6 ? 'tcp' : 'udp'
+      const sport = view.getUint16(l4)
+      const dport = view.getUint16(l4 + 2)
+      const payload = transport === 6 ? l4 + (view.getUint8(l4 + 12) >> 4) * 4 : l4 + 8
+      const synAck = transport === 6 && (view.getUint8(l4 + 13) & 0x12) === 0x12
+      const syn = transport === 6 && (view.getUint8(l4 + 13) & 0x12) === 0x02
+
+      // The ICS port's side serves; otherwise the SYN's target, otherwise the lower port
+      const fromServer = icsPort(sport, proto) && !icsPort(dport, proto) ? true
+        : icsPort(dport, proto) && !icsPort(sport, proto) ? false
+          : syn ? false
+            : synAck ? true
+              : sport < dport
+      const serverPort = fromServer ? sport : dport
+      const dissect = DISSECTORS[serverPort]
+      const dissected = dissect && payload < end ? dissect(view, payload, end) : null
+      const ics = icsPort(serverPort, proto)
+      // BACnet peers both use 47808 (and ListIdentity may too); the message type tells who is the device
+      const senderServes = dissected?.server ?? fromServer
+
+      if (dissected || (ics && synAck)) {
+        const protocol = dissected?.protocol || ics.protocol
+        if (senderServes) {
+          sender.protocols.add(protocol)
+          sender.serverPorts.set(`${serverPort}/${proto}`, { port: serverPort, transport: proto })
+          if (dissected?.identity) Object.assign(sender.identity, dissected.identity)
+          if (dissected?.source !== undefined) sender.identity.dnp3_address = dissected.source
+        } else if (isUnicastIp(dst)) {
+          sender.clientProtocols.add(protocol)
+        }
+      }
+
+      if (!isUnicastIp(dst)) continue
+      const [client, server] = senderServes ? [dst, src] : [src, dst]
+      const protocol = dissected?.protocol || ics?.protocol || `${proto}/${serverPort}`
+      const key = `${client}>${server}|${protocol}`
+      if (!pairs.has(key)) pairs.set(key, { client, server, protocol, port: serverPort, packets: 0, bytes: 0, first: null, last: null })
+      const pair = pairs.get(key)
+      pair.packets++
+      pair.bytes += totalLength
+      seen(pair, packet.time)
+    } catch (error) {
+      if (!(error instanceof RangeError)) throw error
+      stats.malformed++
+    }
+  }
+
+  const iso = (time) => (time === null ? '' : new Date(time).toISOString())
+  const assets = [...hosts.values()].map(entry => {
+    // A MAC that sources several IPs is a router forwarding their traffic, not the device
+    const [frameMac] = [...entry.macs.entries()].sort((a, b) => b[1] - a[1])[0] || []
+    const mac = arp.get(entry.ip) || (frameMac && ipsByMac.get(frameMac).size === 1 ? frameMac : '')
+    const { protocols, deviceType } = inferFromPorts([...entry.serverPorts.values()])
+    const { model_name: modelName, bacnet_vendor_id: bacnetVendor, ...identity } = entry.identity
+    return {
+      ip_address: entry.ip,
+      mac_address: mac,
+      manufacturer: identity.manufacturer || '',
+      model: [identity.model, modelName].filter(Boolean).join(' / '),
+      firmware_version: identity.firmware_version || '',
+      // Device profile it reports > its ICS service > polling PLCs makes it an HMI / engineering workstation
+      device_type: identity.device_type || deviceType || (entry.clientProtocols.size > 0 ? 'HMI' : ''),
+      protocol: [...new Set([...entry.protocols, ...protocols])].join('; '),
+      open_ports: [...entry.serverPorts.values()].sort((a, b) => a.port - b.port).map(p => `${p.port}/${p.transport}`).join('; '),
+      serial_number: identity.serial_number || '',
+      cip_vendor_id: identity.cip_vendor_id ?? '',
+      bacnet_instance: identity.bacnet_instance ?? '',
+      bacnet_vendor_id: bacnetVendor ?? '',
+      dnp3_address: identity.dnp3_address ?? '',
+      ics_client_of: [...entry.clientProtocols].join('; '),
+      first_seen: iso(entry.first),
+      last_seen: iso(entry.last),
+      packets: entry.packets
+    }
+  })
+
+  return {
+    assets,
+    pairs: [...pairs.values()]
+      .map(({ first, last, ...pair }) => ({ ...pair, first_seen: iso(first), last_seen: iso(last) }))
+      .sort((a, b) => b.packets - a.packets),
+    stats: {
+      packets: stats.packets,
+      ipv4Packets: stats.ipv4,
+      malformedPackets: stats.malformed,
+      unsupportedLinkTypes: [...stats.unsupportedLinks],
+      start: iso(stats.start),
+      end: iso(stats.end),
+      hosts: assets.length,
+      icsHosts: assets.filter(asset => asset.protocol).length,
+      identified: assets.filter(asset => asset.model || asset.firmware_version).length
+    }
+  }
+}
+
+// Discovery rows as CSV in the canonical discovery columns, for the otDiscovery flow
+function assetsToCsv(assets) {
+  const columns = [...DISCOVERY_COLUMNS, ...CAPTURE_COLUMNS]
+  const rows = assets.map(asset => ({ ...asset, discovery_method: 'Passive capture (PCAP)', source_format: 'pcap' }))
+  return Papa.unparse({ fields: columns, data: rows.map(row => columns.map(column => row[column] ?? '')) })
+}
+
+// API requests send a capture as { filename: 'span.pcapng', content: <base64>, namespace? }. Each becomes
+// one discovery CSV entry; its communication pairs are returned alongside, tagged with the capture's namespace.
+// A capture that cannot be read is the client's input, so the error carries status 400
+export function expandCaptureSources(files = []) {
+  const communications = { captures: [], pairs: [] }
+  const expanded = files.map(file => {
+    if (!isCaptureFile(file.filename)) return file
+    let analysis
+    try {
+      analysis = analyzeCapture(Buffer.from(String(file.content || ''), 'base64'))
+    } catch (error) {
+      throw Object.assign(new Error(`Could not read packet capture ${file.filename}: ${error.message}`), { status: 400 })
+    }
+    console.log(`[PCAP] ${file.filename}: ${analysis.stats.packets} packets, ${analysis.stats.hosts} hosts (${analysis.stats.icsHosts} ICS), ${analysis.pairs.length} communication pairs`)
+    communications.captures.push({ filename: file.filename, ...analysis.stats, pairs: analysis.pairs.length })
+    communications.pairs.push(...analysis.pairs.slice(0, MAX_PAIRS).map(pair => ({ ...pair, source: file.filename, namespace: file.namespace || '' })))
+    return { ...file, content: assetsToCsv(analysis.assets), format: CAPTURE_FORMAT }
+  })
+  return { files: expanded, communications }
+}
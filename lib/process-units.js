@@ -0,0 +1,111 @@
+// ============================================================================
+// PROCESS UNIT RESOLUTION
+// Maps the unit names plants actually use ("Hydrocracking Unit (HCU)", "NHT-2",
+// "Delayed Coker", "Truck Loading Rack") to the refinery unit types the
+// equipment templates are written for. Aliases are matched on the whole name,
+// then on an abbreviation in parentheses, then as whole words inside it - so
+// "Hydrotreater" never falls into the Hydrocracker template and "Location 4"
+// is not a catalytic cracker.
+//
+//   resolveProcessUnit(name, units)   -> { unitType, matchedBy, alias }
+//   resolveProcessUnits(names, units) -> [{ unit, unitType, matchedBy, alias }]
+// ============================================================================
+
+// unitType = key of the equipment template. Aliases are compared lowercase with
+// punctuation collapsed to spaces; abbreviations are listed like any other alias
+export const REFINERY_UNIT_ALIASES = [
+  {
+    unitType: 'Crude Distillation',
+    aliases: ['crude distillation', 'crude distillation unit', 'cdu', 'crude unit', 'atmospheric distillation', 'adu',
+      'vacuum distillation', 'vdu', 'crude vacuum unit', 'topping unit', 'distillation']
+  },
+  {
+    unitType: 'Hydrocracker',
+    aliases: ['hydrocracker', 'hydrocracking', 'hydrocracking unit', 'hcu', 'hydrocracker unit', 'mild hydrocracker', 'mhc']
+  },
+  {
+    unitType: 'FCC',
+    aliases: ['fcc', 'fccu', 'rfcc', 'fluid catalytic cracking', 'fluid catalytic cracker', 'fluid catalytic cracking unit',
+      'catalytic cracker', 'cat cracker', 'resid fcc']
+  },
+  {
+    unitType: 'Hydrotreater',
+    aliases: ['hydrotreater', 'hydrotreating', 'hydrotreater unit', 'hdt', 'hds', 'hydrodesulfurization', 'nht', 'dht', 'kht',
+      'naphtha hydrotreater', 'diesel hydrotreater', 'kerosene hydrotreater', 'gas oil hydrotreater']
+  },
+  {
+    unitType: 'Reformer',
+    aliases: ['reformer', 'reformer unit', 'reforming', 'catalytic reformer', 'naphtha reformer', 'platformer', 'ccr platformer']
+  },
+  {
+    unitType: 'Alkylation',
+    aliases: ['alkylation', 'alkylation unit', 'alky', 'alky unit', 'hf alkylation', 'sulfuric acid alkylation', 'saau']
+  },
+  {
+    unitType: 'Coker',
+    aliases: ['coker', 'coker unit', 'delayed coker', 'delayed coking', 'coking', 'dcu', 'fluid coker', 'flexicoker']
+  },
+  {
+    unitType: 'Isomerization',
+    aliases: ['isomerization', 'isomerisation', 'isomerization unit', 'isom', 'isom unit', 'penex', 'c5 c6 isomerization']
+  },
+  {
+    unitType: 'Tank Farm',
+    aliases: ['tank farm', 'tankage', 'storage', 'tank storage', 'crude storage', 'product storage', 'offsites']
+  },
+  {
+    unitType: 'Loading',
+    aliases: ['loading', 'loading rack', 'truck loading', 'rail loading', 'railcar loading', 'marine loading',
+      'marine terminal', 'terminal', 'jetty', 'dock', 'blending and loading']
+  },
+  {
+    unitType: 'Utilities',
+    aliases: ['utilities', 'utility', 'steam', 'steam plant', 'boiler', 'boilers', 'power', 'power plant', 'cogen',
+      'cogeneration', 'cooling water', 'cooling tower', 'water treatment', 'instrument air']
+  },
+  {
+    unitType: 'Control Room',
+    aliases: ['control room', 'central control room', 'main control room', 'rack room', 'control building', 'server room']
+  }
+]
+
+const UNASSIGNED = { unitType: 'Unknown', matchedBy: null, alias: null }
+
+const normalizeUnitName = (value) => String(value ?? '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()
+
+// Every alias as { alias, unitType, pattern }, longest first so "delayed coker" wins over "coker"
+const buildAliasIndex = (units) => units
+  .flatMap(({ unitType, aliases = [] }) => [unitType, ...aliases].map(alias => ({ alias: normalizeUnitName(alias), unitType })))
+  .filter(entry => entry.alias)
+  .sort((a, b) => b.alias.length - a.alias.length)
+  .map(entry => ({ ...entry, pattern: new RegExp(`(^| )${entry.alias}( |$)`) }))
+
+const indexes = new WeakMap()
+const aliasIndex = (units) => {
+  if (!indexes.has(units)) indexes.set(units, buildAliasIndex(units))
+  return indexes.get(units)
+}
+
+// matchedBy: 'name' (the whole name is an alias), 'abbreviation' (the part in parentheses,
+// "Hydrocracking Unit (HCU)"), 'words' (an alias inside the name, "CDU-2 Vacuum Section") or null
+export function resolveProcessUnit(name, units = REFINERY_UNIT_ALIASES) {
+  const text = normalizeUnitName(name)
+  if (!text) return UNASSIGNED
+  const index = aliasIndex(units)
+
+  const exact = index.find(entry => entry.alias === text)
+  if (exact) return { unitType: exact.unitType, matchedBy: 'name', alias: exact.alias }
+
+  const abbreviation = normalizeUnitName(String(name).match(/\(([^)]+)\)/)?.[1])
+  const byAbbreviation = abbreviation && index.find(entry => entry.alias === abbreviation)
+  if (byAbbreviation) return { unitType: byAbbreviation.unitType, matchedBy: 'abbreviation', alias: byAbbreviation.alias }
+
+  const inside = index.find(entry => entry.pattern.test(text))
+  if (inside) return { unitType: inside.unitType, matchedBy: 'words', alias: inside.alias }
+
+  return UNASSIGNED
+}
+
+export function resolveProcessUnits(names = [], units = REFINERY_UNIT_ALIASES) {
+  return names.map(unit => ({ unit, ...resolveProcessUnit(unit, units) }))
+}
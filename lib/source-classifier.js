@@ -0,0 +1,110 @@
+// ============================================================================
+// DATA SOURCE CLASSIFIER
+// Ranks what kind of export a file is from its headers AND a sample of its
+// values (IP / MAC patterns, CVE IDs, work-order and ticket IDs, ISA tags,
+// date columns), so a `zone` or `asset_tag` column alone no longer decides.
+//
+//   classifySource(headers, rows) -> [{ type, confidence, reasons }]  (best first)
+// ============================================================================
+import { parseIsaTag } from './isa-tag.js'
+import { normalizeHeader } from './column-profiles.js'
+
+export const SOURCE_TYPE_LABELS = {
+  engineering: 'Engineering Baseline',
+  otDiscovery: 'OT Discovery',
+  vulnerability: 'Security & Vulnerability',
+  maintenance: 'Maintenance & Reliability',
+  network: 'Network Segmentation',
+  incident: 'Incidents & Tickets',
+  // Set by Zeek log detection (lib/zeek-logs.js), never by header scoring
+  flows: 'Network Flows (Zeek)',
+  other: 'Other'
+}
+
+export const SOURCE_TYPES = Object.keys(SOURCE_TYPE_LABELS)
+
+// Rows sampled for value patterns
+const SAMPLE_ROWS = 50
+
+// Header keywords per type with their weight. A keyword matches a whole header
+// or a whole `_`-separated part of it (`work_order` matches `work_order_id`, `case` does not match `showcase`)
+const HEADER_SIGNALS = {
+  engineering: { tag_id: 3, tag: 3, tagid: 3, loop: 2, loop_id: 2, 'p&id': 2, pid: 2, instrument_type: 2, installation_date: 1, criticality: 1, expected_ip: 1, asset_tag: 1, description: 1, plant: 0.5, unit: 0.5, location: 0.5 },
+  // Baselines document IPs and hostnames too, so on their own they say little
+  otDiscovery: { mac: 2, mac_address: 2, last_seen: 2, discovery_method: 3, firmware: 1, firmware_version: 1, protocol: 1, confidence_level: 1, is_managed: 1, hostname: 0.5, ip: 0.5, ip_address: 0.5 },
+  vulnerability: { cve: 3, cve_id: 3, cvss: 3, vulnerability: 2, vulnerabilities: 1, exploit: 2, patch: 2, patch_available: 2, severity: 1 },
+  maintenance: { work_order: 3, work_order_id: 3, wo: 2, maintenance: 2, pm: 1, due_date: 1, assigned_to: 1, last_completed: 1, priority: 0.5 },
+  network: { vlan: 2, firewall: 2, acl: 2, policy: 2, policy_status: 2, access_zone: 2, switch_port: 2, zone: 1, segment: 1, expected_zone: 2, actual_zone: 2 },
+  incident: { incident: 3, incident_id: 3, ticket: 3, servicenow: 2, case: 1, alert_id: 2, opened_at: 2, state: 0.5, priority: 0.5, owner: 0.5 }
+}
+
+// Value patterns: [type, pattern, weight when most sampled values of a column match, reason]
+const VALUE_SIGNALS = [
+  ['otDiscovery', /^([0-9a-f]{2}[:-]){5}[0-9a-f]{2}$|^[0-9a-f]{4}\.[0-9a-f]{4}\.[0-9a-f]{4}$/i, 3, 'MAC addresses'],
+  ['otDiscovery', /^\d{1,3}(\.\d{1,3}){3}$/, 0.5, 'IP addresses'],
+  ['engineering', /^[A-Z]{2,6}-[A-Z0-9]{2,6}-\d{2,5}[A-Z]?$/i, 1, 'asset tags'],
+  ['vulnerability', /^CVE-\d{4}-\d{4,}$/i, 4, 'CVE IDs'],
+  ['maintenance', /^(WO|PM|CM|MWO)[-_]?\d{3,}$/i, 4, 'work-order IDs'],
+  ['incident', /^(INC|CHG|RITM|TKT|SIR|CASE)[-_]?\d[\d-]{2,}$/i, 4, 'incident / ticket IDs']
+]
+
+const DATE_VALUE = /^\d{4}-\d{2}-\d{2}([T\s]\d{2}:\d{2}(:\d{2})?)?|^\d{1,2}\/\d{1,2}\/\d{2,4}$/
+
+// Types whose records are events in time; a file of date columns leans towards these
+const TEMPORAL_TYPES = ['otDiscovery', 'maintenance', 'incident', 'vulnerability']
+
+const headerHas = (header, keyword) =>
+  header === keyword || header.startsWith(`${keyword}_`) || header.endsWith(`_${keyword}`) || header.includes(`_${keyword}_`)
+
+// Share of a column's non-empty sampled values matching a test
+function columnShare(rows, column, test) {
+  const values = rows.map(row => String(row[column] ?? '').trim()).filter(Boolean)
+  if (values.length === 0) return 0
+  return values.filter(test).length / values.length
+}
+
+export function classifySource(headers, rows = []) {
+  const columns = headers.filter(Boolean)
+  const normalized = columns.map(normalizeHeader)
+  const sample = rows.slice(0, SAMPLE_ROWS)
+  const scores = {}
+  const reasons = {}
+  const add = (type, weight, reason) => {
+    scores[type] = (scores[type] || 0) + weight
+    reasons[type] = [...(reasons[type] || []), reason]
+  }
+
+  Object.entries(HEADER_SIGNALS).forEach(([type, keywords]) => {
+    normalized.forEach((header, index) => {
+      // Strongest keyword for this header only, so tag_id does not also count as tag
+      const weight = Math.max(0, ...Object.entries(keywords).filter(([kw]) => headerHas(header, kw)).map(([, w]) => w))
+      if (weight > 0) add(type, weight, `column ${columns[index]}`)
+    })
+  })
+
+  if (sample.length > 0) {
+    columns.forEach(column => {
+      VALUE_SIGNALS.forEach(([type, pattern, weight, label]) => {
+        const share = columnShare(sample, column, v => pattern.test(v))
+        if (share >= 0.5) add(type, weight * share, `${label} in ${column}`)
+      })
+      // Tag-like values: several ISA 5.1 instrument tags point at an engineering baseline
+      const isaShare = columnShare(sample, column, v => Boolean(parseIsaTag(v)))
+      if (isaShare >= 0.3) add('engineering', 2 * isaShare, `ISA instrument tags in ${column}`)
+    })
+
+    const dateColumns = columns.filter(column => columnShare(sample, column, v => DATE_VALUE.test(v)) >= 0.8)
+    if (dateColumns.length > 0) {
+      TEMPORAL_TYPES.forEach(type => {
+        if (scores[type]) add(type, 0.5 * Math.min(dateColumns.length, 2), `date columns (${dateColumns.join(', ')})`)
+      })
+    }
+  }
+
+  const total = Object.values(scores).reduce((sum, score) => sum + score, 0)
+  if (total === 0) return [{ type: 'other', confidence: 100, reasons: ['no recognizable columns or values'] }]
+
+  return Object.entries(scores)
+    .map(([type, score]) => ({ type, confidence: Math.round((score / total) * 100), reasons: reasons[type] }))
+    .sort((a, b) => b.confidence - a.confidence)
+}
@@ -0,0 +1,118 @@
+// ============================================================================
+// SURVIVORSHIP RULES
+// Decide which source's value survives into the canonical asset, field by
+// field, and keep the provenance of the winner and of every losing value.
+//
+// Strategies (the priority list always breaks ties):
+//   source_priority - first source in `priority` with a value
+//   most_recent     - value from the row with the latest last_seen
+//   most_complete   - the longest / most specific value ("Rockwell Automation" over "AB")
+// ============================================================================
+
+export const SURVIVORSHIP_STRATEGIES = ['source_priority', 'most_recent', 'most_complete']
+
+const ENGINEERING_FIRST = ['engineering', 'otDiscovery']
+const DISCOVERY_FIRST = ['otDiscovery', 'engineering']
+
+// Engineering owns design attributes; discovery owns what is observed on the wire
+export const DEFAULT_SURVIVORSHIP = {
+  tag_id: { strategy: 'source_priority', priority: ENGINEERING_FIRST },
+  ip_address: { strategy: 'source_priority', priority: DISCOVERY_FIRST },
+  hostname: { strategy: 'source_priority', priority: DISCOVERY_FIRST },
+  mac_address: { strategy: 'source_priority', priority: DISCOVERY_FIRST },
+  plant: { strategy: 'source_priority', priority: ENGINEERING_FIRST },
+  unit: { strategy: 'source_priority', priority: ENGINEERING_FIRST },
+  device_type: { strategy: 'source_priority', priority: ENGINEERING_FIRST },
+  manufacturer: { strategy: 'source_priority', priority: ENGINEERING_FIRST },
+  model: { strategy: 'source_priority', priority: ENGINEERING_FIRST },
+  last_seen: { strategy: 'most_recent', priority: DISCOVERY_FIRST }
+}
+
+const isBlank = (value) => {
+  const v = String(value ?? '').trim().toLowerCase()
+  return v === '' || v === 'unknown' || v === 'n/a' || v === 'none'
+}
+
+const sameValue = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase()
+
+const timestampOf = (row) => {
+  const time = Date.parse(row.last_seen || row.last_updated || row.updated_at || '')
+  return Number.isNaN(time) ? -Infinity : time
+}
+
+// Overrides from a request ({ unit: { strategy: 'most_complete' } }) merged over the defaults.
+// Unknown fields or strategies are reported and ignored
+export function resolveSurvivorshipRules(overrides = {}) {
+  const rules = { ...DEFAULT_SURVIVORSHIP }
+  const errors = []
+  Object.entries(overrides || {}).forEach(([field, rule]) => {
+    if (!rules[field]) {
+      errors.push(`${field}: no survivorship rule for this field`)
+      return
+    }
+    const strategy = rule?.strategy || rules[field].strategy
+    if (!SURVIVORSHIP_STRATEGIES.includes(strategy)) {
+      errors.push(`${field}: unknown strategy ${strategy} (use ${SURVIVORSHIP_STRATEGIES.join(', ')})`)
+      return
+    }
+    const priority = Array.isArray(rule?.priority) && rule.priority.length > 0 ? rule.priority : rules[field].priority
+    rules[field] = { strategy, priority }
+  })
+  return { rules, errors }
+}
+
+const describeSource = (candidate) => {
+  // _source is "<sourceType>:<filename>"
+  const [, ...file] = String(candidate.row._source || '').split(':')
+  return {
+    source: candidate.source,
+    file: file.join(':') || null,
+    row: candidate.row._row ?? null
+  }
+}
+
+// rowsBySource: { engineering: row, otDiscovery: row } (missing sources allowed)
+// Returns { values, provenance } where provenance[field] = { value, rule, source, file, row, losing[] }
+export function applySurvivorship(rowsBySource, rules = DEFAULT_SURVIVORSHIP) {
+  const values = {}
+  const provenance = {}
+
+  Object.entries(rules).forEach(([field, { strategy, priority }]) => {
+    const rank = (source) => {
+      const index = priority.indexOf(source)
+      return index === -1 ? priority.length : index
+    }
+    const candidates = Object.entries(rowsBySource)
+      .filter(([, row]) => row && !isBlank(row[field]))
+      .map(([source, row]) => ({ source, row, value: row[field] }))
+      .sort((a, b) => {
+        if (strategy === 'most_recent') {
+          const diff = timestampOf(b.row) - timestampOf(a.row)
+          if (diff !== 0 && !Number.isNaN(diff)) return diff
+        } else if (strategy === 'most_complete') {
+          const diff = String(b.value).trim().length - String(a.value).trim().length
+          if (diff !== 0) return diff
+        }
+        return rank(a.source) - rank(b.source)
+      })
+
+    if (candidates.length === 0) {
+      values[field] = ''
+      return
+    }
+
+    const [winner, ...others] = candidates
+    values[field] = winner.value
+    provenance[field] = {
+      value: winner.value,
+      rule: strategy,
+      ...describeSource(winner),
+      // Values that were not chosen; agreeing values are not conflicts
+      losing: others
+        .filter(candidate => !sameValue(candidate.value, winner.value))
+        .map(candidate => ({ value: candidate.value, ...describeSource(candidate) }))
+    }
+  })
+
+  return { values, provenance }
+}
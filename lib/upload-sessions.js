@@ -0,0 +1,349 @@
+// ============================================================================
+// CHUNKED UPLOAD SESSIONS
+// Enterprise uploads (25k-200k rows per file) do not fit in one JSON request
+// body. The browser gzips each file, slices it into parts and posts the parts
+// one by one under an upload session; the analysis is then started with just
+// the session ID and reads the files back from the session.
+// Results too large for one response are stored the same way and fetched in pages.
+//
+//   createUploadSession(files)          -> { sessionId, files: [{ fileId, parts }], expiresAt }
+//   storeUploadPart(sessionId, part)    -> { fileId, received, parts, complete }
+//   uploadSessionStatus(sessionId)      -> { sessionId, files: [{ fileId, received, parts }], complete }
+//   readUploadSession(sessionId)        -> dataSources, as the analysis request would carry them (parts are then deleted)
+//   storeResultPages(lists, pageSize)   -> { resultId, pageSize, fields: { [field]: { total, pages } } }
+//   readResultPage(resultId, field, n)  -> { field, page, pages, items }
+//
+// Serverless instances do not share a disk, so parts go to an S3 bucket (or any
+// S3-compatible store) when UPLOAD_S3_BUCKET is set. Without it they stay on local
+// disk (UPLOAD_SESSION_DIR, default <tmp>/canonizer-uploads) - enough for a single
+// server or local development.
+// ============================================================================
+import { mkdir, readFile, writeFile, readdir, rm, stat } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { dirname, join, sep } from 'node:path'
+import { gzipSync, gunzipSync } from 'node:zlib'
+import crypto from 'node:crypto'
+
+// Largest part accepted (gzip bytes): as base64 in a JSON body it stays under serverless body limits (4.5 MB)
+export const MAX_PART_SIZE = 3 * 1024 * 1024
+export const SESSION_TTL_MS = 60 * 60 * 1000
+
+// Largest file after gunzip - a gzip bomb fails here instead of exhausting the function's memory
+export const MAX_FILE_SIZE = 256 * 1024 * 1024
+
+// Request slots a session file can go to, as in the analysis request's dataSources
+export const UPLOAD_SLOTS = ['engineering', 'otDiscovery', 'security', 'other', 'matchRules']
+
+// Per-file request fields kept next to the content (namespace, profile, type override, sheets, decoded charset)
+const FILE_FIELDS = ['namespace', 'mappingProfile', 'columnMapping', 'sourceType', 'sheets', 'charset']
+
+// 'text' files come back as UTF-8 text, 'base64' ones (workbooks, captures) as base64 like a direct request
+const ENCODINGS = ['text', 'base64']
+
+const MAX_FILES = 100
+const MAX_PARTS = 512
+
+const SESSION_ID = /^[0-9a-f-]{36}$/
+const RESULT_FIELD = /^[A-Za-z]+(\.[A-Za-z]+)*$/
+
+const partKey = (sessionId, fileId, index) => `${sessionId}/${fileId}.${String(index).padStart(4, '0')}.gz`
+const manifestKey = (sessionId) => `${sessionId}/manifest.json`
+const resultsKey = (resultId) => `${resultId}/results.json`
+const resultPageKey = (resultId, field, page) => `${resultId}/results/${field}.${String(page).padStart(4, '0')}.json.gz`
+
+const uploadError = (status, message) => Object.assign(new Error(message), { status })
+
+// ============================================================================
+// STORAGE - put / get / list / remove by key ("<sessionId>/<name>")
+// ============================================================================
+function diskStore() {
+  const root = process.env.UPLOAD_SESSION_DIR || join(tmpdir(), 'canonizer-uploads')
+  const path = (key) => join(root, ...key.split('/'))
+  return {
+    async put(key, bytes) {
+      await mkdir(dirname(path(key)), { recursive: true })
+      await writeFile(path(key), bytes)
+    },
+    async get(key) {
+      return readFile(path(key)).catch(error => {
+        if (error.code === 'ENOENT') return null
+        throw error
+      })
+    },
+    // [{ key, modified }] under a key prefix ending in '/' ('' = everything)
+    async list(prefix) {
+      const dir = path(prefix.replace(/\/$/, ''))
+      const names = await readdir(dir, { recursive: true }).catch(() => [])
+      const entries = await Promise.all(names.map(async name => {
+        const info = await stat(join(dir, name)).catch(() => null)
+        return info?.isFile() ? { key: `${prefix}${name.split(sep).join('/')}`, modified: info.mtimeMs } : null
+      }))
+      return entries.filter(Boolean)
+    },
+    async remove(prefix) {
+      await rm(path(prefix.replace(/\/$/, '')), { recursive: true, force: true })
+    }
+  }
+}
+
+// @aws-sdk/client-s3 is only loaded when a bucket is configured. Credentials come from
+// UPLOAD_S3_ACCESS_KEY_ID / UPLOAD_S3_SECRET_ACCESS_KEY (hosts such as Netlify reserve the
+// AWS_* names), otherwise from the SDK's default chain
+async function s3Store(bucket) {
+  const { S3Client, PutObjectCommand, GetObjectCommand, ListObjectsV2Command, DeleteObjectsCommand } = await import('@aws-sdk/client-s3')
+  const endpoint = process.env.UPLOAD_S3_ENDPOINT
+  const client = new S3Client({
+    region: process.env.UPLOAD_S3_REGION || process.env.AWS_REGION || 'us-east-1',
+    ...(endpoint ? { endpoint, forcePathStyle: true } : {}),
+    ...(process.env.UPLOAD_S3_ACCESS_KEY_ID
+      ? { credentials: { accessKeyId: process.env.UPLOAD_S3_ACCESS_KEY_ID, secretAccessKey: process.env.UPLOAD_S3_SECRET_ACCESS_KEY } }
+      : {})
+  })
+  const root = process.env.UPLOAD_S3_PREFIX ?? 'canonizer-uploads/'
+  const list = async (prefix) => {
+    const entries = []
+    let ContinuationToken
+    do {
+      const page = await client.send(new ListObjectsV2Command({ Bucket: bucket, Prefix: root + prefix, ContinuationToken }))
+      ;(page.Contents || []).forEach(object => entries.push({ key: object.Key.slice(root.length), modified: object.LastModified?.getTime() || 0 }))
+      ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined
+    } while (ContinuationToken)
+    return entries
+  }
+  return {
+    async put(key, bytes) {
+      await client.send(new PutObjectCommand({ Bucket: bucket, Key: root + key, Body: bytes }))
+    },
+    async get(key) {
+      try {
+        const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: root + key }))
+        return Buffer.from(await object.Body.transformToByteArray())
+      } catch (error) {
+        if (error.name === 'NoSuchKey') return null
+        throw error
+      }
+    },
+    list,
+    async remove(prefix) {
+      const keys = (await list(prefix)).map(entry => ({ Key: root + entry.key }))
+      // DeleteObjects takes at most 1000 keys per request
+      for (let i = 0; i < keys.length; i += 1000) {
+        await client.send(new DeleteObjectsCommand({ Bucket: bucket, Delete: { Objects: keys.slice(i, i + 1000), Quiet: true } }))
+      }
+    }
+  }
+}
+
+let storePromise = null
+const sessionStore = () => {
+  if (!storePromise) {
+    const bucket = process.env.UPLOAD_S3_BUCKET
+    if (!bucket && (process.env.VERCEL || process.env.NETLIFY)) {
+      console.warn('[UPLOAD] UPLOAD_S3_BUCKET is not set: upload sessions use this instance\'s local disk, which other instances cannot read')
+    }
+    storePromise = bucket ? s3Store(bucket) : Promise.resolve(diskStore())
+  }
+  return storePromise
+}
+
+const readJson = async (key) => {
+  const bytes = await (await sessionStore()).get(key)
+  return bytes ? JSON.parse(bytes.toString('utf8')) : null
+}
+
+const writeJson = async (key, value) => (await sessionStore()).put(key, Buffer.from(JSON.stringify(value, null, 2)))
+
+async function readManifest(sessionId) {
+  if (!SESSION_ID.test(String(sessionId || ''))) throw uploadError(400, 'Invalid upload session ID')
+  let manifest
+  try {
+    manifest = await readJson(manifestKey(sessionId))
+  } catch (error) {
+    throw uploadError(404, `Upload session ${sessionId} could not be read (${error.code || error.message})`)
+  }
+  if (!manifest) throw uploadError(404, `Upload session ${sessionId} not found or expired`)
+  if (Date.parse(manifest.expiresAt) < Date.now()) {
+    await (await sessionStore()).remove(`${sessionId}/`)
+    throw uploadError(404, `Upload session ${sessionId} expired`)
+  }
+  return manifest
+}
+
+// Sessions and stored results untouched for longer than the TTL are removed whenever a new session starts
+// (on S3, a bucket lifecycle rule on the prefix is the backstop for sessions nobody comes back to)
+export async function purgeExpiredSessions() {
+  const store = await sessionStore()
+  const newest = new Map()
+  ;(await store.list('')).forEach(({ key, modified }) => {
+    const sessionId = key.split('/')[0]
+    if (SESSION_ID.test(sessionId)) newest.set(sessionId, Math.max(newest.get(sessionId) || 0, modified))
+  })
+  let removed = 0
+  for (const [sessionId, modified] of newest) {
+    if (Date.now() - modified > SESSION_TTL_MS) {
+      await store.remove(`${sessionId}/`)
+      removed++
+    }
+  }
+  if (removed > 0) console.log(`[UPLOAD] Removed ${removed} expired upload sessions`)
+  return removed
+}
+
+// files: [{ slot, filename, parts, size?, encoding?, namespace?, mappingProfile?, sourceType?, sheets? }]
+export async function createUploadSession(files = []) {
+  if (!Array.isArray(files) || files.length === 0) throw uploadError(400, 'An upload session needs at least one file')
+  if (files.length > MAX_FILES) throw uploadError(413, `At most ${MAX_FILES} files per upload session`)
+  files.forEach((file, i) => {
+    if (!UPLOAD_SLOTS.includes(file.slot)) throw uploadError(400, `File ${i + 1}: slot must be one of ${UPLOAD_SLOTS.join(', ')}`)
+    if (!file.filename) throw uploadError(400, `File ${i + 1}: filename is required`)
+    if (!Number.isInteger(file.parts) || file.parts < 1 || file.parts > MAX_PARTS) {
+      throw uploadError(400, `${file.filename}: parts must be between 1 and ${MAX_PARTS}`)
+    }
+    if (file.encoding && !ENCODINGS.includes(file.encoding)) throw uploadError(400, `${file.filename}: encoding must be text or base64`)
+  })
+
+  await purgeExpiredSessions()
+  const sessionId = crypto.randomUUID()
+  const manifest = {
+    sessionId,
+    createdAt: new Date().toISOString(),
+    expiresAt: new Date(Date.now() + SESSION_TTL_MS).toISOString(),
+    files: files.map((file, i) => ({
+      fileId: `f${i}`,
+      slot: file.slot,
+      filename: String(file.filename),
+      parts: file.parts,
+      size: Number(file.size) || null,
+      encoding: file.encoding || 'text',
+      ...Object.fromEntries(FILE_FIELDS.filter(field => file[field] !== undefined).map(field => [field, file[field]]))
+    }))
+  }
+  await writeJson(manifestKey(sessionId), manifest)
+  console.log(`[UPLOAD] Session ${sessionId}: ${files.length} files, ${files.reduce((sum, f) => sum + f.parts, 0)} parts`)
+
+  return {
+    sessionId,
+    expiresAt: manifest.expiresAt,
+    maxPartSize: MAX_PART_SIZE,
+    files: manifest.files.map(({ fileId, filename, slot, parts }) => ({ fileId, filename, slot, parts }))
+  }
+}
+
+// Part indexes received per file ID, from one listing of the session
+const receivedParts = async (sessionId) => {
+  const received = new Map()
+  ;(await (await sessionStore()).list(`${sessionId}/`)).forEach(({ key }) => {
+    const match = key.match(/\/(f\d+)\.\d{4}\.gz$/)
+    if (match) received.set(match[1], (received.get(match[1]) || 0) + 1)
+  })
+  return received
+}
+
+// part: { fileId, index (0-based), data: base64 of the gzip bytes, sha256?: hex of those bytes }
+export async function storeUploadPart(sessionId, { fileId, index, data, sha256 } = {}) {
+  const manifest = await readManifest(sessionId)
+  const file = manifest.files.find(entry => entry.fileId === fileId)
+  if (!file) throw uploadError(400, `Unknown file ${fileId} in upload session ${sessionId}`)
+  if (!Number.isInteger(index) || index < 0 || index >= file.parts) {
+    throw uploadError(400, `${file.filename}: part index must be between 0 and ${file.parts - 1}`)
+  }
+  if (typeof data !== 'string' || data.length === 0) throw uploadError(400, `${file.filename}: part ${index} has no data`)
+
+  const bytes = Buffer.from(data, 'base64')
+  if (bytes.length > MAX_PART_SIZE) throw uploadError(413, `${file.filename}: part ${index} is larger than ${MAX_PART_SIZE} bytes`)
+  if (sha256 && crypto.createHash('sha256').update(bytes).digest('hex') !== String(sha256).toLowerCase()) {
+    throw uploadError(422, `${file.filename}: part ${index} is corrupted (checksum mismatch), send it again`)
+  }
+  // Re-sending a part overwrites it, so a failed request can simply be retried
+  await (await sessionStore()).put(partKey(sessionId, fileId, index), bytes)
+
+  const received = (await receivedParts(sessionId)).get(fileId) || 0
+  return { fileId, index, received, parts: file.parts, complete: received === file.parts }
+}
+
+export async function uploadSessionStatus(sessionId) {
+  const manifest = await readManifest(sessionId)
+  const received = await receivedParts(sessionId)
+  const files = manifest.files.map(({ fileId, filename, slot, parts }) => ({ fileId, filename, slot, parts, received: received.get(fileId) || 0 }))
+  return {
+    sessionId,
+    expiresAt: manifest.expiresAt,
+    files,
+    complete: files.every(file => file.received === file.parts)
+  }
+}
+
+// Every file reassembled and gunzipped: { engineering: [{ filename, content, namespace, ... }], otDiscovery: [...], ... }.
+// The session is deleted once every file has been read
+export async function readUploadSession(sessionId) {
+  const status = await uploadSessionStatus(sessionId)
+  const missing = status.files.filter(file => file.received < file.parts)
+  if (missing.length > 0) {
+    throw uploadError(409, `Upload session ${sessionId} is incomplete: ${missing.map(f => `${f.filename} (${f.received}/${f.parts} parts)`).join(', ')}`)
+  }
+  const store = await sessionStore()
+  const manifest = await readManifest(sessionId)
+  const dataSources = Object.fromEntries(UPLOAD_SLOTS.map(slot => [slot, []]))
+  for (const file of manifest.files) {
+    const parts = []
+    for (let index = 0; index < file.parts; index++) {
+      const part = await store.get(partKey(sessionId, file.fileId, index))
+      if (!part) throw uploadError(409, `${file.filename}: part ${index + 1} of ${file.parts} is missing from upload session ${sessionId}`)
+      parts.push(part)
+    }
+    let bytes
+    try {
+      bytes = gunzipSync(Buffer.concat(parts), { maxOutputLength: MAX_FILE_SIZE })
+    } catch (error) {
+      if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+        throw uploadError(413, `${file.filename}: larger than ${MAX_FILE_SIZE / 1024 / 1024} MB after decompression`)
+      }
+      throw uploadError(422, `${file.filename}: could not decompress the uploaded parts (${error.message})`)
+    }
+    const fields = Object.fromEntries(FILE_FIELDS.filter(field => file[field] !== undefined).map(field => [field, file[field]]))
+    dataSources[file.slot].push({
+      filename: file.filename,
+      ...fields,
+      content: file.encoding === 'base64' ? bytes.toString('base64') : bytes.toString('utf8')
+    })
+    console.log(`[UPLOAD] ${file.filename}: ${file.parts} parts, ${bytes.length.toLocaleString()} bytes after gunzip`)
+  }
+  await store.remove(`${sessionId}/`)
+  return dataSources
+}
+
+// ============================================================================
+// PAGED RESULTS
+// lists: { 'assets': [...], 'classificationVerification.verifiedPassive': [...] } - every list but its
+// first page is stored; the caller keeps page 0 in the response
+// ============================================================================
+export async function storeResultPages(lists, pageSize) {
+  const store = await sessionStore()
+  const resultId = crypto.randomUUID()
+  const fields = {}
+  for (const [field, items] of Object.entries(lists)) {
+    const pages = Math.max(1, Math.ceil(items.length / pageSize))
+    for (let page = 1; page < pages; page++) {
+      await store.put(resultPageKey(resultId, field, page), gzipSync(JSON.stringify(items.slice(page * pageSize, (page + 1) * pageSize))))
+    }
+    fields[field] = { total: items.length, pages }
+  }
+  const expiresAt = new Date(Date.now() + SESSION_TTL_MS).toISOString()
+  await writeJson(resultsKey(resultId), { resultId, expiresAt, pageSize, fields })
+  return { resultId, expiresAt, pageSize, fields }
+}
+
+export async function readResultPage(resultId, field, page) {
+  if (!SESSION_ID.test(String(resultId || ''))) throw uploadError(400, 'Invalid result ID')
+  const manifest = await readJson(resultsKey(resultId))
+  if (!manifest || Date.parse(manifest.expiresAt) < Date.now()) throw uploadError(404, `Result ${resultId} not found or expired`)
+  const index = Number(page)
+  const info = RESULT_FIELD.test(String(field || '')) && Object.hasOwn(manifest.fields, field) ? manifest.fields[field] : null
+  if (!info) throw uploadError(400, `Unknown result field ${field}`)
+  if (!Number.isInteger(index) || index < 1 || index >= info.pages) {
+    throw uploadError(400, `${field}: page must be between 1 and ${info.pages - 1} (page 0 is in the analysis response)`)
+  }
+  const bytes = await (await sessionStore()).get(resultPageKey(resultId, field, index))
+  if (!bytes) throw uploadError(404, `${field}: page ${index} of result ${resultId} is missing`)
+  return { field, page: index, pages: info.pages, items: JSON.parse(gunzipSync(bytes).toString('utf8')) }
+}
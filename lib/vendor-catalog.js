@@ -0,0 +1,286 @@
+// ============================================================================
+// VENDOR CATALOG
+// One vendor / model vocabulary for every analyzer. Engineering lists write
+// "Allen-Bradley", CMMS exports "Rockwell", OUI tables "Rockwell Automation"
+// and OEM columns "ABB 800xA" - all of them resolve to the company that owns
+// the brand, so matching and the distributions count a vendor once. Product
+// family patterns recognize the line a model belongs to (S7-1516 -> SIMATIC S7)
+// and give it a canonical model name (S7 1500, S71500 -> S7-1500).
+//
+//   normalizeVendorModel(manufacturer, model) -> { manufacturer, brand, family, model, known, inferred }
+//   vendorFamily(name)                        -> owning company, or null when not in the catalog
+//   vendorAliasSummary(records)               -> [{ value, manufacturer, brand, family, count }]
+//   unresolvedVendors(records)                -> [{ value, count, sources }]
+// ============================================================================
+import { isPlaceholder } from './ingest-validation.js'
+
+// Bumped whenever the vendors or product families below change
+export const VENDOR_CATALOG_REVISION = '2026.10'
+
+// vendor = owning company (what the distributions report). brands = names it sells under,
+// recorded on the asset as manufacturer_brand. Aliases match whole words, case-insensitive;
+// when several match, the longest wins ("Thermo Fisher" is not Emerson's Fisher)
+export const VENDORS = [
+  { vendor: 'Rockwell Automation', aliases: ['rockwell', 'rockwell software'], brands: [{ brand: 'Allen-Bradley', aliases: ['allen-bradley', 'allen bradley'] }] },
+  { vendor: 'Siemens', aliases: ['siemens', 'siemens ag', 'siemens energy'] },
+  {
+    vendor: 'Schneider Electric',
+    aliases: ['schneider', 'invensys'],
+    brands: [
+      { brand: 'Modicon', aliases: ['modicon'] },
+      { brand: 'Telemecanique', aliases: ['telemecanique'] },
+      { brand: 'Square D', aliases: ['square d'] },
+      { brand: 'Foxboro', aliases: ['foxboro'] },
+      { brand: 'Triconex', aliases: ['triconex'] }
+    ]
+  },
+  { vendor: 'Honeywell', aliases: ['honeywell', 'honeywell process solutions'] },
+  {
+    vendor: 'Emerson',
+    aliases: ['emerson', 'emerson process management', 'emerson automation solutions', 'fisher-rosemount'],
+    brands: [
+      { brand: 'Rosemount', aliases: ['rosemount'] },
+      { brand: 'Fisher', aliases: ['fisher', 'fisher controls'] },
+      { brand: 'Micro Motion', aliases: ['micro motion'] },
+      { brand: 'Daniel', aliases: ['daniel measurement'] }
+    ]
+  },
+  { vendor: 'ABB', aliases: ['abb', 'asea brown boveri'] },
+  { vendor: 'Yokogawa', aliases: ['yokogawa'] },
+  { vendor: 'GE', aliases: ['ge', 'general electric', 'ge vernova', 'ge digital'] },
+  { vendor: 'Baker Hughes', aliases: ['baker hughes'], brands: [{ brand: 'Bently Nevada', aliases: ['bently nevada', 'bently'] }, { brand: 'Masoneilan', aliases: ['masoneilan'] }] },
+  { vendor: 'Endress+Hauser', aliases: ['endress+hauser', 'endress hauser', 'endress + hauser', 'e+h'] },
+  { vendor: 'Krohne', aliases: ['krohne'] },
+  { vendor: 'VEGA', aliases: ['vega grieshaber'] },
+  { vendor: 'AMETEK', aliases: ['ametek'], brands: [{ brand: 'Magnetrol', aliases: ['magnetrol'] }] },
+  { vendor: 'Schweitzer Engineering Laboratories', aliases: ['sel', 'schweitzer'] },
+  { vendor: 'Mitsubishi Electric', aliases: ['mitsubishi'] },
+  { vendor: 'Omron', aliases: ['omron'] },
+  { vendor: 'Beckhoff', aliases: ['beckhoff'] },
+  { vendor: 'Phoenix Contact', aliases: ['phoenix contact'] },
+  { vendor: 'WAGO', aliases: ['wago'] },
+  { vendor: 'Belden', aliases: ['belden'], brands: [{ brand: 'Hirschmann', aliases: ['hirschmann'] }, { brand: 'Tofino', aliases: ['tofino'] }] },
+  { vendor: 'Moxa', aliases: ['moxa'] },
+  { vendor: 'Cisco', aliases: ['cisco', 'cisco systems'] },
+  { vendor: 'Fortinet', aliases: ['fortinet'] },
+  { vendor: 'Palo Alto Networks', aliases: ['palo alto'] },
+  { vendor: 'Dell', aliases: ['dell', 'dell technologies', 'dell emc'] },
+  { vendor: 'VMware', aliases: ['vmware'] },
+  { vendor: 'Microsoft', aliases: ['microsoft'] },
+  { vendor: 'AVEVA', aliases: ['aveva'], brands: [{ brand: 'Wonderware', aliases: ['wonderware'] }, { brand: 'OSIsoft', aliases: ['osisoft'] }] },
+  { vendor: 'FANUC', aliases: ['fanuc'] },
+  { vendor: 'KUKA', aliases: ['kuka'] },
+  { vendor: 'Yaskawa', aliases: ['yaskawa'], brands: [{ brand: 'Motoman', aliases: ['motoman'] }] },
+  { vendor: 'Kawasaki', aliases: ['kawasaki', 'kawasaki robotics'] },
+  { vendor: 'Teradyne', aliases: ['teradyne'], brands: [{ brand: 'Universal Robots', aliases: ['universal robots'] }, { brand: 'Mobile Industrial Robots', aliases: ['mobile industrial robots', 'mobile industrial'] }] },
+  { vendor: 'Cognex', aliases: ['cognex'] },
+  { vendor: 'Keyence', aliases: ['keyence'] },
+  { vendor: 'Thermo Fisher Scientific', aliases: ['thermo fisher', 'thermo scientific'] }
+]
+
+// Product families, checked in order against the model and then the manufacturer text
+// ("ABB 800xA" in an OEM column). vendor must agree with the recorded manufacturer when
+// that resolves; needsVendor families are too generic to identify a blank manufacturer.
+// model(match) rewrites the matched part of the model text to its canonical form
+export const PRODUCT_FAMILIES = [
+  // Siemens
+  { vendor: 'Siemens', family: 'SIMATIC S7', pattern: /\bS7[-\s]?(1[25]\d{2}|[234]\d{2})(?!\d)/i, model: (m) => `S7-${m[1]}` },
+  { vendor: 'Siemens', family: 'SIMATIC S7', pattern: /\b6ES7[-\s]?\d{3}/i },
+  { vendor: 'Siemens', family: 'SIMATIC PCS 7', pattern: /\bPCS[-\s]?7\b/i, model: () => 'PCS 7' },
+  { vendor: 'Siemens', family: 'SIMATIC WinCC', pattern: /\bWinCC\b/i },
+  { vendor: 'Siemens', family: 'SCALANCE', pattern: /\bSCALANCE\b/i },
+  { vendor: 'Siemens', family: 'SITRANS', pattern: /\bSITRANS\b/i },
+  { vendor: 'Siemens', family: 'SINAMICS', pattern: /\bSINAMICS\b/i },
+  // Rockwell Automation (GuardLogix catalog numbers are ControlLogix ones with an S suffix)
+  { vendor: 'Rockwell Automation', family: 'GuardLogix', pattern: /\bGuardLogix\b|\b1756-L\d+S\b/i },
+  { vendor: 'Rockwell Automation', family: 'ControlLogix', pattern: /\bControlLogix\b|\b1756-L\d/i },
+  { vendor: 'Rockwell Automation', family: 'CompactLogix', pattern: /\bCompactLogix\b|\b(1769|5069)-L\d/i },
+  { vendor: 'Rockwell Automation', family: 'MicroLogix', pattern: /\bMicroLogix\b|\b176[1-6]-L/i },
+  { vendor: 'Rockwell Automation', family: 'PLC-5', pattern: /\bPLC[-\s]?5\b|\b1785-L/i },
+  { vendor: 'Rockwell Automation', family: 'SLC 500', pattern: /\bSLC[-\s]?500\b|\b1747-L/i },
+  { vendor: 'Rockwell Automation', family: 'PanelView', pattern: /\bPanelView\b|\b2711[PR]?-/i },
+  { vendor: 'Rockwell Automation', family: 'FactoryTalk', pattern: /\bFactoryTalk\b/i },
+  { vendor: 'Rockwell Automation', family: 'Stratix', pattern: /\bStratix\b|\b1783-/i },
+  { vendor: 'Rockwell Automation', family: 'PowerFlex', pattern: /\bPowerFlex\b/i },
+  // Schneider Electric
+  { vendor: 'Schneider Electric', family: 'Modicon', pattern: /\b(?:Modicon\s*)?(M580|M340|M221|M241|M251|M262|Quantum|Premium|Momentum)\b/i, model: (m) => `Modicon ${/^m\d/i.test(m[1]) ? m[1].toUpperCase() : m[1][0].toUpperCase() + m[1].slice(1).toLowerCase()}`, needsVendor: true },
+  { vendor: 'Schneider Electric', family: 'Triconex', pattern: /\bTri(conex|con|dent)\b/i },
+  { vendor: 'Schneider Electric', family: 'Foxboro DCS', pattern: /\bFoxboro\b|\bI\/A\s?Series\b/i },
+  // Honeywell
+  { vendor: 'Honeywell', family: 'Experion PKS', pattern: /\bExperion\b/i },
+  { vendor: 'Honeywell', family: 'Safety Manager', pattern: /\bSafety\s?Manager\b|\bFSC\b/i, needsVendor: true },
+  { vendor: 'Honeywell', family: 'ControlEdge', pattern: /\bControlEdge\b/i },
+  { vendor: 'Honeywell', family: 'TDC 3000', pattern: /\bTDC\s?[23]000\b/i },
+  // Emerson
+  { vendor: 'Emerson', family: 'DeltaV', pattern: /\bDelta\s?V\b/i, model: () => 'DeltaV' },
+  { vendor: 'Emerson', family: 'Ovation', pattern: /\bOvation\b/i },
+  { vendor: 'Emerson', family: 'ROC800', pattern: /\bROC\s?8\d{2}L?\b/i },
+  { vendor: 'Emerson', family: 'FloBoss', pattern: /\bFloBoss\b/i },
+  { vendor: 'Emerson', family: 'FIELDVUE', pattern: /\bFIELDVUE\b|\bDVC\s?\d{4}\b/i },
+  { vendor: 'Emerson', family: 'Rosemount transmitters', pattern: /\b(2051|3051|3095|3144|5300|5400)[A-Z]{0,2}\b/i, needsVendor: true },
+  // ABB
+  { vendor: 'ABB', family: 'System 800xA', pattern: /\b800\s?xA\b/i, model: () => 'System 800xA' },
+  { vendor: 'ABB', family: 'AC 800M', pattern: /\bAC\s?800M\b/i, model: () => 'AC 800M' },
+  { vendor: 'ABB', family: 'Freelance', pattern: /\bFreelance\b/i },
+  { vendor: 'ABB', family: 'Symphony Plus', pattern: /\bSymphony\s?(Plus|\+)/i },
+  { vendor: 'ABB', family: 'ACS drives', pattern: /\bACS\s?(\d{3,4})\b/i, model: (m) => `ACS${m[1]}`, needsVendor: true },
+  { vendor: 'ABB', family: 'IRB robots', pattern: /\bIRB\s?(\d{3,4})\b/i, model: (m) => `IRB ${m[1]}` },
+  // Yokogawa
+  { vendor: 'Yokogawa', family: 'CENTUM', pattern: /\bCENTUM\b/i },
+  { vendor: 'Yokogawa', family: 'ProSafe-RS', pattern: /\bProSafe[-\s]?RS\b/i, model: () => 'ProSafe-RS' },
+  { vendor: 'Yokogawa', family: 'STARDOM', pattern: /\bSTARDOM\b/i },
+  { vendor: 'Yokogawa', family: 'DPharp', pattern: /\bEJ[AX](\d{3}[A-Z]?)?\b/i },
+  // GE
+  { vendor: 'GE', family: 'Mark VI', pattern: /\bMark\s?VIe?\b/i },
+  { vendor: 'GE', family: 'Proficy', pattern: /\biFIX\b|\bCIMPLICITY\b|\bProficy\b/i },
+  // Baker Hughes
+  { vendor: 'Baker Hughes', family: 'Bently Nevada 3500', pattern: /\b3500\/\d{2}\b|\bBently\s?Nevada\s?3500\b/i },
+  // Network and security
+  { vendor: 'Cisco', family: 'Industrial Ethernet', pattern: /\bIE[-\s]?(\d{4})\b/i, model: (m) => `IE-${m[1]}`, needsVendor: true },
+  { vendor: 'Cisco', family: 'Catalyst', pattern: /\bCatalyst\b/i },
+  { vendor: 'Cisco', family: 'ASA / Firepower', pattern: /\bASA\s?\d{4}|\bFirepower\b/i },
+  { vendor: 'Moxa', family: 'EDS switches', pattern: /\bEDS[-\s]?\d{3}/i, needsVendor: true },
+  { vendor: 'Moxa', family: 'NPort', pattern: /\bNPort\b/i },
+  { vendor: 'Fortinet', family: 'FortiGate', pattern: /\bFortiGate\b/i },
+  // Robotics, vision and software
+  { vendor: 'FANUC', family: 'R-30i controllers', pattern: /\bR-(J3|\d{2})i[A-C]?\b/i },
+  { vendor: 'KUKA', family: 'KR C controllers', pattern: /\bKR\s?C(\d)\b/i, model: (m) => `KR C${m[1]}` },
+  { vendor: 'KUKA', family: 'KR robots', pattern: /\bKR\s?(\d{1,4})\b/i, model: (m) => `KR ${m[1]}`, needsVendor: true },
+  { vendor: 'Teradyne', family: 'UR robots', pattern: /\bUR(\d{1,2}e?)\b/i, model: (m) => `UR${m[1].toLowerCase()}`, needsVendor: true },
+  { vendor: 'Teradyne', family: 'MiR robots', pattern: /\bMiR\s?(\d{3,4})\b/i, model: (m) => `MiR${m[1]}`, needsVendor: true },
+  { vendor: 'Cognex', family: 'In-Sight', pattern: /\bIn-?Sight\b/i },
+  { vendor: 'Mitsubishi Electric', family: 'MELSEC', pattern: /\bMELSEC\b|\bQ\s?Series\b|\biQ-[RF]\b/i, needsVendor: true },
+  { vendor: 'AVEVA', family: 'InTouch', pattern: /\bInTouch\b/i },
+  { vendor: 'AVEVA', family: 'PI System', pattern: /\bPI\s?(Server|System|Historian)\b/i }
+]
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+// Word boundaries that also hold next to '+' and '-' ("Endress+Hauser", "E+H")
+const aliasPattern = (alias) =>
+  new RegExp(`(?<![a-z0-9])${escapeRegex(alias).replace(/[-\s]+/g, '[-\\s]?')}(?![a-z0-9])`, 'i')
+
+// Every alias as { pattern, prefix, vendor, brand }, longest first; the vendor name is an alias of itself.
+// prefix matches the alias at the start of a model ("Siemens S7-1516")
+const ALIASES = VENDORS.flatMap(({ vendor, aliases = [], brands = [] }) => [
+  ...[vendor, ...aliases].map(alias => ({ alias, vendor, brand: vendor })),
+  ...brands.flatMap(({ brand, aliases: brandAliases = [] }) => [brand, ...brandAliases].map(alias => ({ alias, vendor, brand })))
+]).sort((a, b) => b.alias.length - a.alias.length).map(entry => {
+  const pattern = aliasPattern(entry.alias)
+  return { ...entry, pattern, prefix: new RegExp(`^${pattern.source}[\\s:/-]+(?=\\S)`, 'i') }
+})
+
+// Manufacturer values that name no vendor at all
+const UNNAMED = /^(generic|legacy|custom|other|various|misc)$/i
+const isUnnamed = (value) => isPlaceholder(value) || UNNAMED.test(value)
+
+const cleanText = (value) => String(value ?? '').replace(/\s+/g, ' ').trim()
+
+// Resolved names and models repeat across rows; results are cached, and the caches
+// reset when they grow past a few hundred thousand distinct values
+const MAX_CACHE = 200000
+const vendorCache = new Map()
+const modelCache = new Map()
+
+const cached = (cache, key, compute) => {
+  if (cache.has(key)) return cache.get(key)
+  if (cache.size >= MAX_CACHE) cache.clear()
+  const value = compute()
+  cache.set(key, value)
+  return value
+}
+
+// { vendor, brand } for a manufacturer / OUI organization name, or null
+function lookupVendor(name) {
+  const value = cleanText(name)
+  if (isUnnamed(value)) return null
+  return cached(vendorCache, value, () => {
+    const entry = ALIASES.find(a => a.pattern.test(value))
+    if (!entry) return null
+    // "Schneider Foxboro": the company matched, but the brand is the more specific name
+    const brand = ALIASES.find(a => a.vendor === entry.vendor && a.brand !== a.vendor && a.pattern.test(value))
+    return { vendor: entry.vendor, brand: (brand || entry).brand }
+  })
+}
+
+// Owning company for a manufacturer or OUI organization name, or null when unknown
+export function vendorFamily(name) {
+  return lookupVendor(name)?.vendor || null
+}
+
+// First product family whose pattern matches the text and whose vendor fits
+function lookupFamily(text, vendor) {
+  if (!text) return null
+  for (const entry of PRODUCT_FAMILIES) {
+    if (vendor ? entry.vendor !== vendor : entry.needsVendor) continue
+    const match = text.match(entry.pattern)
+    if (match) return { entry, match }
+  }
+  return null
+}
+
+const stripVendorPrefix = (model, vendor) => {
+  const alias = ALIASES.find(a => a.vendor === vendor && a.prefix.test(model))
+  return alias ? model.replace(alias.prefix, '') : model
+}
+
+// Canonical manufacturer (owning company), brand, product family and model.
+// - the family comes from the model first, then from the manufacturer text ("ABB 800xA")
+// - a blank or generic manufacturer is filled in from a family the model identifies on
+//   its own; one outside the catalog is kept as written unless its own text names a family
+// known = the vendor resolved from the catalog; inferred = only through a product family
+export function normalizeVendorModel(manufacturer, model) {
+  const rawManufacturer = cleanText(manufacturer)
+  const rawModel = cleanText(model)
+  return cached(modelCache, `${rawManufacturer}\u0001${rawModel}`, () => {
+    const resolved = lookupVendor(rawManufacturer)
+    const unnamed = isUnnamed(rawManufacturer)
+    const modelText = isPlaceholder(rawModel) ? '' : rawModel
+    const fromModel = resolved || unnamed ? lookupFamily(modelText, resolved?.vendor) : null
+    const found = fromModel || (unnamed ? null : lookupFamily(rawManufacturer, resolved?.vendor))
+    const vendor = resolved?.vendor || found?.entry.vendor || null
+
+    let canonicalModel = vendor && modelText ? stripVendorPrefix(modelText, vendor) : rawModel
+    if (fromModel?.entry.model) canonicalModel = canonicalModel.replace(fromModel.entry.pattern, (...match) => fromModel.entry.model(match))
+
+    return {
+      manufacturer: vendor || rawManufacturer,
+      brand: resolved?.brand || vendor || '',
+      family: found?.entry.family || '',
+      model: canonicalModel,
+      known: Boolean(vendor),
+      inferred: Boolean(vendor) && !resolved
+    }
+  })
+}
+
+// Raw manufacturer values the catalog rewrote, with what they became
+export function vendorAliasSummary(records) {
+  const groups = new Map()
+  records.forEach(record => {
+    const value = record.manufacturer_original
+    if (value === undefined) return
+    const key = `${value}\u0001${record.manufacturer}\u0001${record.product_family || ''}`
+    if (!groups.has(key)) {
+      groups.set(key, { value, manufacturer: record.manufacturer, brand: record.manufacturer_brand || '', family: record.product_family || '', count: 0 })
+    }
+    groups.get(key).count++
+  })
+  return [...groups.values()].sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+}
+
+// Manufacturer values the catalog does not know - candidates for a new catalog entry
+export function unresolvedVendors(records) {
+  const groups = new Map()
+  records.forEach(record => {
+    const value = cleanText(record.manufacturer)
+    if (isUnnamed(value) || vendorFamily(value)) return
+    if (!groups.has(value)) groups.set(value, { value, count: 0, sources: new Set() })
+    const group = groups.get(value)
+    group.count++
+    if (record._source) group.sources.add(record._source)
+  })
+  return [...groups.values()]
+    .map(group => ({ ...group, sources: [...group.sources] }))
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+}
@@ -0,0 +1,152 @@
+// ============================================================================
+// EXCEL WORKBOOK INGESTION
+// Turns .xlsx / .xlsm / .xls sheets into the same CSV text the canonizer
+// already ingests, so every sheet goes through normalizeDataset unchanged.
+// - merged cells are unmerged (the top-left value fills the whole range)
+// - title / banner rows above the header row are skipped
+// - a group header merged across sub-headers ("Network" over "IP" | "MAC")
+//   yields the sub-header names
+// - blank and duplicate header cells get unique names
+// ============================================================================
+import * as XLSX from 'xlsx'
+import Papa from 'papaparse'
+
+export const WORKBOOK_EXTENSIONS = ['.xlsx', '.xlsm', '.xls']
+
+// Rows scanned for the header row
+const HEADER_SCAN_ROWS = 20
+
+export const isWorkbookFile = (filename) =>
+  WORKBOOK_EXTENSIONS.some(ext => String(filename || '').toLowerCase().endsWith(ext))
+
+// data: ArrayBuffer / Uint8Array (browser, Buffer) or base64 text (API requests)
+export function readWorkbook(data) {
+  return XLSX.read(data, { type: typeof data === 'string' ? 'base64' : 'array', cellDates: true })
+}
+
+// Copy each merged range's top-left cell into every cell of the range (safe to repeat).
+// Returns the cells ("row:col") that belonged to a merge spanning several columns
+function unmergeCells(sheet) {
+  const spanned = new Set()
+  ;(sheet['!merges'] || []).forEach(({ s, e }) => {
+    if (e.c > s.c) {
+      for (let r = s.r; r <= e.r; r++) {
+        for (let c = s.c; c <= e.c; c++) spanned.add(`${r}:${c}`)
+      }
+    }
+    const source = sheet[XLSX.utils.encode_cell(s)]
+    if (!source) return
+    for (let r = s.r; r <= e.r; r++) {
+      for (let c = s.c; c <= e.c; c++) {
+        if (r !== s.r || c !== s.c) sheet[XLSX.utils.encode_cell({ r, c })] = { ...source }
+      }
+    }
+  })
+  return spanned
+}
+
+const cellText = (value) => String(value ?? '').trim()
+
+// First row that looks like a header: filled across most of the table's width with
+// distinct, non-numeric labels. Runs of one value (an unmerged group header) count once,
+// so a title merged across the table fails. -1 when no row qualifies (not a table)
+function findHeaderRow(rows) {
+  const width = Math.max(0, ...rows.slice(0, HEADER_SCAN_ROWS * 2).map(row => row.filter(v => cellText(v)).length))
+  const minimum = Math.max(2, Math.ceil(width * 0.6))
+  return rows.slice(0, HEADER_SCAN_ROWS).findIndex(row => {
+    const filled = row.map(cellText).filter(Boolean)
+    const labels = filled.filter((v, i) => v !== filled[i - 1])
+    return filled.length >= minimum && labels.length >= 2 &&
+      new Set(labels).size >= labels.length * 0.8 &&
+      labels.filter(v => Number.isNaN(Number(v))).length >= labels.length * 0.8
+  })
+}
+
+// Sub-header row: text only under header cells that were merged across columns
+function isSubHeaderRow(row, headerSheetRow, spanned) {
+  const filled = row.map((v, c) => [cellText(v), c]).filter(([v]) => v)
+  return filled.length > 0 &&
+    filled.every(([v, c]) => spanned.has(`${headerSheetRow}:${c}`) && Number.isNaN(Number(v)))
+}
+
+// Sub-header names where present, group names elsewhere. A sub-name repeated under a
+// later group ("IP" under "NIC A" and "NIC B") is prefixed with that group: IP, NIC B IP
+function combineHeaders(groupRow, subRow) {
+  const subs = subRow.map(cellText)
+  return groupRow.map((group, c) => {
+    const sub = subs[c]
+    if (!sub) return cellText(group)
+    return subs.indexOf(sub) < c && cellText(group) ? `${cellText(group)} ${sub}` : sub
+  })
+}
+
+function uniqueHeaders(row) {
+  const seen = {}
+  return row.map((value, i) => {
+    const name = cellText(value) || `column_${i + 1}`
+    seen[name] = (seen[name] || 0) + 1
+    return seen[name] === 1 ? name : `${name}_${seen[name]}`
+  })
+}
+
+// { headers, records, headerRow } for one sheet; headerRow is 1-based
+export function sheetRecords(workbook, sheetName) {
+  const empty = { headers: [], records: [], headerRow: 0 }
+  const sheet = workbook.Sheets[sheetName]
+  if (!sheet || !sheet['!ref']) return empty
+  const spanned = unmergeCells(sheet)
+  const firstRow = XLSX.utils.decode_range(sheet['!ref']).s.r
+
+  // Blank rows kept so indexes line up with sheet rows; dropped from the data below
+  const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: '', blankrows: true, dateNF: 'yyyy-mm-dd' })
+  const headerIndex = findHeaderRow(rows)
+  if (headerIndex === -1) return empty
+
+  const hasSubHeader = rows[headerIndex + 1] && isSubHeaderRow(rows[headerIndex + 1], firstRow + headerIndex, spanned)
+  const headers = uniqueHeaders(hasSubHeader ? combineHeaders(rows[headerIndex], rows[headerIndex + 1]) : rows[headerIndex])
+  const records = rows.slice(headerIndex + (hasSubHeader ? 2 : 1))
+    .filter(row => row.some(v => cellText(v)))
+    .map(row => Object.fromEntries(headers.map((header, i) => [header, cellText(row[i])])))
+
+  return { headers, records, headerRow: firstRow + headerIndex + 1 }
+}
+
+// Sheet list for picking: [{ name, headers, rows, headerRow }]
+export function describeSheets(workbook) {
+  return workbook.SheetNames.map(name => {
+    const { headers, records, headerRow } = sheetRecords(workbook, name)
+    return { name, headers, rows: records.length, headerRow }
+  })
+}
+
+export function sheetToCsv(workbook, sheetName) {
+  const { headers, records } = sheetRecords(workbook, sheetName)
+  return Papa.unparse({ fields: headers, data: records.map(record => headers.map(h => record[h])) })
+}
+
+// File name each sheet travels under, e.g. "Asset Register.xlsx [Instruments]"
+export const sheetFilename = (filename, sheetName) => `${filename} [${sheetName}]`
+
+// API requests may send a workbook as { filename: 'x.xlsx', content: <base64>, sheets: ['Sheet1'] }.
+// Each selected sheet (all sheets with data when none are named) becomes its own CSV entry.
+// A workbook that cannot be read is the client's input, so the error carries status 400
+export function expandWorkbookSources(files = []) {
+  return files.flatMap(file => {
+    if (!isWorkbookFile(file.filename)) return [file]
+    let workbook
+    try {
+      workbook = readWorkbook(file.content)
+    } catch (error) {
+      throw Object.assign(new Error(`Could not read workbook ${file.filename}: ${error.message}`), { status: 400 })
+    }
+    const sheets = Array.isArray(file.sheets) && file.sheets.length > 0
+      ? file.sheets.filter(name => workbook.SheetNames.includes(name))
+      : describeSheets(workbook).filter(sheet => sheet.rows > 0).map(sheet => sheet.name)
+    return sheets.map(sheetName => ({
+      ...file,
+      filename: sheetFilename(file.filename, sheetName),
+      content: sheetToCsv(workbook, sheetName),
+      sheet: sheetName
+    }))
+  })
+}
@@ -0,0 +1,214 @@
+// ============================================================================
+// ZEEK LOGS
+// Reads Zeek (Bro) connection and ICS protocol logs - conn.log, modbus.log,
+// dnp3.log and s7comm.log (ICSNPP) - in Zeek's TSV format (#fields header)
+// or as JSON lines, and turns them into communication pairs shaped like the
+// ones lib/packet-capture.js observes, so both feed the same graph.
+//
+//   detectZeekLog(content, filename)                 -> format | null
+//   zeekLogPairs(content, filename, detected?)       -> { format, records, unreadable, pairs }
+//
+// JSON lines that do not parse are skipped and listed in `unreadable` ({ row, reason },
+// 1-based line numbers) for the ingest validation report instead of being logged one by one.
+// ============================================================================
+import { icsPort } from './ics-ports.js'
+
+// Logs read, with the fields that identify each one in JSON lines
+export const ZEEK_LOGS = {
+  conn: { name: 'Zeek conn.log', protocol: null, signature: ['proto', 'conn_state', 'history', 'orig_bytes', 'resp_bytes', 'orig_pkts'] },
+  modbus: { name: 'Zeek modbus.log', protocol: 'Modbus TCP', signature: ['func', 'exception'] },
+  dnp3: { name: 'Zeek dnp3.log', protocol: 'DNP3', signature: ['fc_request', 'fc_reply', 'iin'] },
+  s7comm: { name: 'Zeek s7comm.log', protocol: 'S7comm', signature: ['rosctr', 'rosctr_code', 'rosctr_name', 'function_code', 'function_name', 'pdu_reference'] }
+}
+
+// Source type the classifier and the API route these files to
+export const FLOW_SOURCE_TYPE = 'flows'
+
+// conn.log `service` values -> protocol names used everywhere else
+const SERVICE_PROTOCOLS = {
+  modbus: 'Modbus TCP',
+  dnp3: 'DNP3',
+  dnp3_tcp: 'DNP3',
+  dnp3_udp: 'DNP3',
+  s7comm: 'S7comm',
+  enip: 'EtherNet/IP',
+  cip: 'EtherNet/IP',
+  bacnet: 'BACnet/IP',
+  opcua: 'OPC UA',
+  opcua_binary: 'OPC UA'
+}
+
+// Function names that change a controller's state (writes, operate, program download, stop)
+const WRITE_FUNCTION = /WRITE|OPERATE|SELECT|DOWNLOAD|PLC_STOP|PLC_CONTROL|RESTART|DELETE|MASK_WRITE|FREEZE/i
+
+const flatten = (record, prefix = '') => Object.fromEntries(
+  Object.entries(record).flatMap(([key, value]) =>
+    value && typeof value === 'object' && !Array.isArray(value)
+      ? Object.entries(flatten(value, `${prefix}${key}.`))
+      : [[`${prefix}${key}`, value]])
+)
+
+// Zeek TSV: #separator / #fields / #unset_field header lines, then tab-separated rows
+function parseTsv(content) {
+  const meta = { separator: '\t', unset: '-', empty: '(empty)', path: null, fields: null }
+  const records = []
+  for (const line of content.split(/\r?\n/)) {
+    if (!line) continue
+    if (line.startsWith('#')) {
+      const [directive, ...rest] = line.slice(1).split(line.startsWith('#separator') ? ' ' : meta.separator)
+      const value = rest.join(meta.separator)
+      if (directive === 'separator') meta.separator = value.replace(/\\x([0-9a-f]{2})/gi, (m, hex) => String.fromCharCode(parseInt(hex, 16)))
+      if (directive === 'unset_field') meta.unset = value
+      if (directive === 'empty_field') meta.empty = value
+      if (directive === 'path') meta.path = value
+      if (directive === 'fields') meta.fields = rest
+      continue
+    }
+    if (!meta.fields) continue
+    const values = line.split(meta.separator)
+    records.push(Object.fromEntries(meta.fields.map((field, i) => {
+      const value = values[i]
+      return [field, value === undefined || value === meta.unset || value === meta.empty ? null : value]
+    })))
+  }
+  return { path: meta.path, records, unreadable: [] }
+}
+
+// JSON lines (Zeek's LogAscii::use_json) or a JSON array of records; `id: { orig_h }` is flattened to `id.orig_h`
+function parseJsonLines(content) {
+  const text = content.trim()
+  if (text.startsWith('[')) {
+    try {
+      return { path: null, records: JSON.parse(text).map(record => flatten(record)), unreadable: [] }
+    } catch (error) {
+      return { path: null, records: [], unreadable: [{ row: 1, reason: `Not a JSON array: ${error.message}` }] }
+    }
+  }
+  const records = []
+  const unreadable = []
+  content.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim().startsWith('{')) return
+    try {
+      records.push(flatten(JSON.parse(line)))
+    } catch (error) {
+      unreadable.push({ row: index + 1, reason: `Unreadable JSON line: ${error.message}` })
+    }
+  })
+  return { path: null, records, unreadable }
+}
+
+const parseZeekLog = (content) =>
+  /^\s*#(separator|fields|path)/.test(content) ? parseTsv(content) : parseJsonLines(content)
+
+// Log type from the #path header, else the record fields, else the filename (conn.log, modbus.2025-11-10.log)
+function logType(path, records, filename) {
+  if (ZEEK_LOGS[path]) return { path, confidence: 100 }
+  const fields = new Set(records.slice(0, 20).flatMap(record => Object.keys(record)))
+  if (!fields.has('id.orig_h') && !fields.has('source_h')) return null
+  const scored = Object.entries(ZEEK_LOGS)
+    .map(([type, { signature }]) => [type, signature.filter(field => fields.has(field)).length / Math.min(signature.length, 3)])
+    .sort((a, b) => b[1] - a[1])
+  if (scored[0][1] >= 0.6) return { path: scored[0][0], confidence: Math.min(100, Math.round(scored[0][1] * 100)) }
+  const named = Object.keys(ZEEK_LOGS).find(type => new RegExp(`(^|[/_-])${type}[._]`, 'i').test(filename || ''))
+  return named ? { path: named, confidence: 70 } : null
+}
+
+// Which Zeek log a file is; { id, name, sourceType, path, confidence } like a discovery adapter's format.
+// When the whole file had to be parsed (a JSON array, or a small file) the result rides along as
+// parsed, so zeekLogPairs does not parse it again
+export function detectZeekLog(content, filename) {
+  if (typeof content !== 'string' || !content.trim()) return null
+  // A JSON array only parses whole; TSV and JSON lines are detected from their first lines
+  const head = content.trimStart().startsWith('[') ? content : content.slice(0, 64 * 1024)
+  const whole = head.length === content.length
+  const parsed = parseZeekLog(whole ? content : head.slice(0, head.lastIndexOf('\n') + 1))
+  const type = logType(parsed.path, parsed.records, filename)
+  if (!type) return null
+  return {
+    id: `zeek-${type.path}`,
+    name: ZEEK_LOGS[type.path].name,
+    vendor: 'Zeek',
+    sourceType: FLOW_SOURCE_TYPE,
+    path: type.path,
+    confidence: type.confidence,
+    ...(whole ? { parsed } : {})
+  }
+}
+
+// Zeek times are epoch seconds (floats) or ISO 8601 when the log is written with JSON::TS_ISO8601
+const epochMs = (value) => {
+  if (value === null || value === undefined || value === '') return null
+  const number = Number(value)
+  if (Number.isFinite(number)) return number * 1000
+  const parsed = Date.parse(value)
+  return Number.isNaN(parsed) ? null : parsed
+}
+const iso = (ms) => ms === null ? '' : new Date(ms).toISOString()
+const count = (value) => Number(value) || 0
+
+// ICSNPP logs name the endpoints source_h / destination_h next to (or instead of) id.orig_h / id.resp_h
+const endpoints = (record) => ({
+  client: record['id.orig_h'] || record.source_h,
+  server: record['id.resp_h'] || record.destination_h,
+  port: Number(record['id.resp_p'] || record.destination_p) || null
+})
+
+const protocolFunction = (record, type) => {
+  if (type === 'modbus') return record.func
+  if (type === 'dnp3') return record.fc_request
+  if (type === 's7comm') return record.function_name || record.function_code || record.rosctr_name || record.rosctr
+  return null
+}
+
+// One pair per client, server, protocol and port. conn.log gives packets and bytes,
+// protocol logs count messages and list the function codes used.
+// detected is detectZeekLog's result when the caller already has it
+export function zeekLogPairs(content, filename, detected = detectZeekLog(content, filename)) {
+  if (!detected) return null
+  const { parsed, ...format } = detected
+  const { records, unreadable } = parsed ?? parseZeekLog(content)
+  const type = format.path
+  const pairs = new Map()
+
+  records.forEach(record => {
+    const { client, server, port } = endpoints(record)
+    if (!client || !server) return
+    const service = String(record.service || '').split(',').map(s => SERVICE_PROTOCOLS[s.trim().toLowerCase()]).find(Boolean)
+    const protocol = ZEEK_LOGS[type].protocol || service || icsPort(port, record.proto)?.protocol ||
+      (record.service ? String(record.service).toUpperCase() : `${String(record.proto || 'ip').toUpperCase()}/${port ?? ''}`)
+    const key = `${client}|${server}|${protocol}|${port}`
+    if (!pairs.has(key)) {
+      pairs.set(key, { client, server, protocol, port, packets: 0, bytes: 0, messages: 0, functions: new Set(), first: null, last: null })
+    }
+    const pair = pairs.get(key)
+    const start = epochMs(record.ts)
+    const end = start === null ? null : start + count(record.duration) * 1000
+    if (start !== null) {
+      pair.first = pair.first === null ? start : Math.min(pair.first, start)
+      pair.last = pair.last === null ? end : Math.max(pair.last, end)
+    }
+    if (type === 'conn') {
+      pair.packets += count(record.orig_pkts) + count(record.resp_pkts)
+      pair.bytes += count(record.orig_ip_bytes) + count(record.resp_ip_bytes) || count(record.orig_bytes) + count(record.resp_bytes)
+    } else {
+      pair.messages++
+      const name = protocolFunction(record, type)
+      if (name) pair.functions.add(String(name))
+    }
+  })
+
+  return {
+    format,
+    records: records.length,
+    unreadable,
+    pairs: [...pairs.values()]
+      .map(({ first, last, functions, ...pair }) => ({
+        ...pair,
+        functions: [...functions],
+        writes: [...functions].some(name => WRITE_FUNCTION.test(name)),
+        first_seen: iso(first),
+        last_seen: iso(last)
+      }))
+      .sort((a, b) => (b.packets + b.messages) - (a.packets + a.messages))
+  }
+}
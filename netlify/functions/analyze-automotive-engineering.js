@@ -1,6 +1,8 @@
 import dayjs from 'dayjs'
 import { createHash } from 'crypto'
 import Papa from 'papaparse'
+import { resolveDeviceTaxonomy, withControlLevels, lookupDeviceType, deviceControlLevel } from '../../lib/device-taxonomy.js'
+import { normalizeVendorModel } from '../../lib/vendor-catalog.js'
 
 const parseCsv = (csvString) => {
   const { data, errors } = Papa.parse(csvString, { header: true, skipEmptyLines: true })
@@ -89,16 +91,17 @@ export const handler = async (event) => {
       }
     }
 
-    // Automotive Control System Hierarchy
-    const automotiveControlHierarchy = {
-      'Safety PLC': { level: 'Safety_Level', asilLevel: 'ASIL-D', iso26262: true },
-      'Robot Controller': { level: 'Control_Level', asilLevel: 'ASIL-C', iso26262: true },
-      'Vision System': { level: 'Field_Level', asilLevel: 'ASIL-B', iso26262: true },
-      'Quality System': { level: 'Control_Level', asilLevel: 'ASIL-A', iso26262: true },
-      'PLC': { level: 'Field_Level', asilLevel: 'QM', iso26262: false },
-      'HMI': { level: 'Supervisory_Level', asilLevel: 'QM', iso26262: false },
-      'SCADA': { level: 'Supervisory_Level', asilLevel: 'QM', iso26262: false }
-    }
+    // Automotive Control System Hierarchy; control levels come from the shared device taxonomy
+    const { taxonomy: deviceTaxonomy } = resolveDeviceTaxonomy(body.deviceTaxonomy)
+    const automotiveControlHierarchy = withControlLevels({
+      'Safety PLC': { asilLevel: 'ASIL-D', iso26262: true },
+      'Robot Controller': { asilLevel: 'ASIL-C', iso26262: true },
+      'Vision System': { asilLevel: 'ASIL-B', iso26262: true },
+      'Quality System': { asilLevel: 'ASIL-A', iso26262: true },
+      'PLC': { asilLevel: 'QM', iso26262: false },
+      'HMI': { asilLevel: 'QM', iso26262: false },
+      'SCADA': { asilLevel: 'QM', iso26262: false }
+    }, deviceTaxonomy)
 
     // Combine all engineering data sources
     const allAssets = []
@@ -205,8 +208,10 @@ export const handler = async (event) => {
     // Generate unified engineering baseline
     const unifiedBaseline = allAssets.map(asset => {
       const unitInfo = automotiveProcessUnits[asset.unit] || {}
+      const vendor = normalizeVendorModel(asset.manufacturer || asset.oem, asset.model)
+      // Types without automotive attributes still get their control level from the taxonomy
       const controlInfo = automotiveControlHierarchy[asset.instrument_type] || { 
-        level: 'Unknown', 
+        level: deviceControlLevel(lookupDeviceType(asset.instrument_type || asset.device_type, deviceTaxonomy)) || 'Unknown', 
         asilLevel: 'QM', 
         iso26262: false 
       }
@@ -217,8 +222,8 @@ export const handler = async (event) => {
         unit: asset.unit || 'Unknown',
         instrument_type: asset.instrument_type || asset.device_type || 'Unknown',
         criticality: asset.criticality || 'Medium',
-        manufacturer: asset.manufacturer || asset.oem || 'Unknown',
-        model: asset.model || 'Unknown',
+        manufacturer: vendor.manufacturer || 'Unknown',
+        model: vendor.model || 'Unknown',
         location: asset.location || 'Unknown',
         description: asset.description || `${asset.instrument_type} for ${asset.unit}`,
         installation_date: asset.installation_date || dayjs().subtract(Math.random() * 24, 'month').toISOString(),
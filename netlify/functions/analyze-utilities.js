@@ -1,20 +1,13 @@
 import dayjs from 'dayjs'
 import { createHash } from 'crypto'
+import { readCsv } from '../../lib/csv-reader.js'
+import { resolveDeviceTaxonomy, withControlLevels } from '../../lib/device-taxonomy.js'
+import { resolveEquipmentTemplates, gradePlantCompleteness } from '../../lib/equipment-templates.js'
 
 const monthsAgo = (m) => dayjs().subtract(m, 'month')
 
-const parseCsv = (csv) => {
-  const lines = csv.trim().split('\n')
-  const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, ''))
-  return lines.slice(1).map(line => {
-    const values = line.split(',').map(v => v.trim().replace(/"/g, ''))
-    const obj = {}
-    headers.forEach((header, i) => {
-      obj[header] = values[i] || ''
-    })
-    return obj
-  })
-}
+// Delimiter, quoting, encoding, header line and locale are sniffed (lib/csv-reader.js)
+const parseCsv = (csv) => readCsv(csv).rows
 
 // Utilities Industry-Specific Canonizer with NERC CIP, FERC Compliance
 export const handler = async (event) => {
@@ -115,19 +108,26 @@ export const handler = async (event) => {
       }
     }
 
-    // Utilities Control System Hierarchy with NERC CIP compliance
-    const utilitiesControlHierarchy = {
-      'SCADA': { level: 'Supervisory_Level', nercCip: 'CIP-002', fercRegulated: true, gridStability: true },
-      'RTU': { level: 'Field_Level', nercCip: 'CIP-002', fercRegulated: true, gridStability: true },
-      'IED': { level: 'Field_Level', nercCip: 'CIP-002', fercRegulated: true, protectionSystems: true },
-      'HMI': { level: 'Supervisory_Level', nercCip: 'CIP-002', fercRegulated: true, gridStability: true },
-      'Protection Relay': { level: 'Field_Level', nercCip: 'CIP-002', fercRegulated: true, protectionSystems: true },
-      'Grid Controller': { level: 'Control_Level', nercCip: 'CIP-002', fercRegulated: true, gridStability: true },
-      'EMS': { level: 'Supervisory_Level', nercCip: 'CIP-002', fercRegulated: true, gridStability: true },
-      'DMS': { level: 'Supervisory_Level', nercCip: 'CIP-002', fercRegulated: true, loadManagement: true },
-      'Environmental Monitor': { level: 'Field_Level', nercCip: 'CIP-002', fercRegulated: false, environmentalMonitoring: true },
-      'Arc Flash Monitor': { level: 'Field_Level', nercCip: 'CIP-002', fercRegulated: true, arcFlashProtection: true }
-    }
+    // Utilities Control System Hierarchy with NERC CIP compliance; control levels come from the shared device taxonomy
+    const { taxonomy: deviceTaxonomy } = resolveDeviceTaxonomy(body.deviceTaxonomy)
+    const utilitiesControlHierarchy = withControlLevels({
+      'SCADA': { nercCip: 'CIP-002', fercRegulated: true, gridStability: true },
+      'RTU': { nercCip: 'CIP-002', fercRegulated: true, gridStability: true },
+      'IED': { nercCip: 'CIP-002', fercRegulated: true, protectionSystems: true },
+      'HMI': { nercCip: 'CIP-002', fercRegulated: true, gridStability: true },
+      'Protection Relay': { nercCip: 'CIP-002', fercRegulated: true, protectionSystems: true },
+      'Grid Controller': { nercCip: 'CIP-002', fercRegulated: true, gridStability: true },
+      'EMS': { nercCip: 'CIP-002', fercRegulated: true, gridStability: true },
+      'DMS': { nercCip: 'CIP-002', fercRegulated: true, loadManagement: true },
+      'Environmental Monitor': { nercCip: 'CIP-002', fercRegulated: false, environmentalMonitoring: true },
+      'Arc Flash Monitor': { nercCip: 'CIP-002', fercRegulated: true, arcFlashProtection: true }
+    }, deviceTaxonomy)
+
+    // The engineering list graded against equipment templates (lib/equipment-templates.js) when the
+    // request brings template documents - typically learned from reference plants with npm run learn:templates
+    const { templates: equipmentTemplates, errors: templateErrors, invalid: invalidTemplates } = resolveEquipmentTemplates(body.equipmentTemplates, deviceTaxonomy)
+    if (invalidTemplates.length > 0) return resp(400, { error: `Invalid equipment template document: ${invalidTemplates.join(', ')}`, errors: templateErrors })
+    const plantCompleteness = body.equipmentTemplates ? gradePlantCompleteness(eng, equipmentTemplates, deviceTaxonomy) : null
 
     // Generate utilities-specific canonical assets
     const canonicalAssets = generateUtilitiesAssets(eng, cmms, net, hist, utilitiesProcessUnits, utilitiesControlHierarchy, threshold)
@@ -247,6 +247,8 @@ export const handler = async (event) => {
       crownJewels,
       processUnits: utilitiesProcessUnits,
       controlHierarchy: utilitiesControlHierarchy,
+      plantCompleteness,
+      equipmentTemplates: { revision: equipmentTemplates.revision, sources: equipmentTemplates.sources, errors: templateErrors },
       standards: ['NERC CIP', 'IEC 61850', 'IEEE 1815', 'IEEE 1584'],
       governance: ['FERC', 'NERC Reliability', 'NFPA 70E'],
       evidenceHash,
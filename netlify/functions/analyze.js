@@ -1,6 +1,7 @@
 import Papa from 'papaparse'
 import dayjs from 'dayjs'
 import crypto from 'node:crypto'
+import { resolveDeviceTaxonomy, lookupDeviceType, deviceControlLevel, deviceTypesByControlLevel, unmappedDeviceTypes } from '../../lib/device-taxonomy.js'
 
 const parseCsv = (text) => Papa.parse(text || '', { header: true, skipEmptyLines: true }).data
 const sha256 = (s) => crypto.createHash('sha256').update(s).digest('hex')
@@ -222,25 +223,29 @@ export const handler = async (event) => {
       }
     }
 
-    // Control System Hierarchy (OT Standards)
+    // Control System Hierarchy (OT Standards). The device types at each level come from
+    // the shared taxonomy (lib/device-taxonomy.js) plus any extension sent as deviceTaxonomy
+    const { taxonomy: deviceTaxonomy, errors: taxonomyErrors } = resolveDeviceTaxonomy(body.deviceTaxonomy)
+    const taxonomyLevels = deviceTypesByControlLevel(deviceTaxonomy)
+    const controlLevelOf = (instrumentType) => deviceControlLevel(lookupDeviceType(instrumentType, deviceTaxonomy)) || 'Unknown'
     const controlSystemHierarchy = {
       'Field_Level': {
-        devices: ['Smart_Transmitter', 'Control_Valve', 'VFD', 'Tank_Gauging'],
+        devices: taxonomyLevels.Field_Level,
         standards: ['ISA/IEC 62443-3-3', 'IEC 61511'],
         criticality: 'High'
       },
       'Control_Level': {
-        devices: ['Field_PLC', 'DCS_Controller', 'Safety_PLC'],
+        devices: taxonomyLevels.Control_Level,
         standards: ['ISA/IEC 62443-2-1', 'IEC 61511'],
         criticality: 'Critical'
       },
       'Supervisory_Level': {
-        devices: ['HMI_Station', 'Historian_Server'],
+        devices: taxonomyLevels.Supervisory_Level,
         standards: ['ISA/IEC 62443-2-1', 'NIST CSF'],
         criticality: 'High'
       },
       'Safety_Level': {
-        devices: ['Safety_System', 'Fire_Gas_System'],
+        devices: taxonomyLevels.Safety_Level,
         standards: ['IEC 61511', 'ISA/IEC 62443-3-3'],
         criticality: 'Critical'
       }
@@ -265,13 +270,10 @@ export const handler = async (event) => {
       }
       
       // Control System Level
-      if (asset.instrument_type) {
-        Object.entries(controlSystemHierarchy).forEach(([level, config]) => {
-          if (config.devices.includes(asset.instrument_type)) {
-            if (config.criticality === 'Critical') riskScore += 25
-            else if (config.criticality === 'High') riskScore += 15
-          }
-        })
+      const levelConfig = controlSystemHierarchy[controlLevelOf(asset.instrument_type)]
+      if (levelConfig) {
+        if (levelConfig.criticality === 'Critical') riskScore += 25
+        else if (levelConfig.criticality === 'High') riskScore += 15
       }
       
       // Network Visibility
@@ -320,12 +322,7 @@ export const handler = async (event) => {
       const securityLevel = assessSecurityLevel(engAsset)
       
       // Determine control system level
-      let controlLevel = 'Unknown'
-      Object.entries(controlSystemHierarchy).forEach(([level, config]) => {
-        if (config.devices.includes(engAsset.instrument_type)) {
-          controlLevel = level
-        }
-      })
+      const controlLevel = controlLevelOf(engAsset.instrument_type)
       
       // Safety Instrumented System assessment
       const isSIS = engAsset.instrument_type && (
@@ -552,6 +549,12 @@ export const handler = async (event) => {
       sisAssets,
       processUnits: refineryProcessUnits,
       controlHierarchy: controlSystemHierarchy,
+      // instrument_type values the device taxonomy could not place
+      deviceTaxonomy: {
+        revision: deviceTaxonomy.revision,
+        errors: taxonomyErrors,
+        unmapped: unmappedDeviceTypes(eng, deviceTaxonomy, 'instrument_type')
+      },
       otDiscoveryAnalysis,
       evidenceHash,
       timestamp: dayjs().toISOString()
@@ -0,0 +1,34 @@
+import { createUploadSession, storeUploadPart, uploadSessionStatus, readResultPage } from '../../lib/upload-sessions.js'
+
+// Chunked upload sessions and paged analysis results on Netlify - same protocol as api/upload-session.js.
+// Functions do not share a disk: set UPLOAD_S3_BUCKET so every instance reads the same parts
+export const handler = async (event) => {
+  try {
+    const body = event.body
+      ? JSON.parse(event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString('utf8') : event.body)
+      : {}
+    if (event.httpMethod === 'POST') return resp(201, await createUploadSession(body.files))
+    if (event.httpMethod === 'PUT') {
+      const { sessionId, ...part } = body
+      return resp(200, await storeUploadPart(sessionId, part))
+    }
+    if (event.httpMethod === 'GET') {
+      const { sessionId, resultId, field, page } = event.queryStringParameters || {}
+      if (resultId) return resp(200, await readResultPage(resultId, field, page))
+      return resp(200, await uploadSessionStatus(sessionId))
+    }
+    return resp(405, { error: 'POST, PUT or GET only' })
+  } catch (error) {
+    if (!error.status) console.error('[UPLOAD] Error:', error)
+    return resp(error.status || 500, { error: error.message })
+  }
+}
+
+const resp = (code, body) => ({
+  statusCode: code,
+  headers: {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*'
+  },
+  body: JSON.stringify(body)
+})
@@ -1,17 +1,190 @@
 import React, { useState } from 'react'
-import Papa from 'papaparse'
 import './styles.css'
+import { mergeMatchRules, ruleFromPair } from '../lib/match-rules.js'
+import { DEFAULT_SURVIVORSHIP, SURVIVORSHIP_STRATEGIES } from '../lib/survivorship.js'
+import { BUILTIN_PROFILES, AUTO_APPLY_THRESHOLD, resolveMappingProfiles, suggestProfiles, profileTemplate } from '../lib/column-profiles.js'
+import { classifySource, SOURCE_TYPES, SOURCE_TYPE_LABELS } from '../lib/source-classifier.js'
+import { WORKBOOK_EXTENSIONS, isWorkbookFile, readWorkbook, describeSheets, sheetRecords, sheetToCsv, sheetFilename } from '../lib/workbook.js'
+import { adaptDiscoveryExport, DISCOVERY_COLUMNS } from '../lib/discovery-adapters.js'
+import { CAPTURE_EXTENSIONS, CAPTURE_FORMAT, isCaptureFile, analyzeCapture } from '../lib/packet-capture.js'
+import { detectZeekLog } from '../lib/zeek-logs.js'
+import { ISSUE_KINDS, DEFAULT_MAX_ERROR_RATE } from '../lib/ingest-validation.js'
+import { decodeText, readCsv } from '../lib/csv-reader.js'
+import { resolveDeviceTaxonomy } from '../lib/device-taxonomy.js'
+import { EQUIPMENT_TEMPLATE_VERSION, CRITICALITY_LEVELS, resolveEquipmentTemplates, templateDocument, learnEquipmentTemplates } from '../lib/equipment-templates.js'
+
+// Decoded with the sniffed encoding (UTF-8, UTF-16 or Windows-1252; BOM removed)
+// instead of assuming UTF-8, so European exports keep their umlauts
+const readFileDecoded = async (file) => decodeText(new Uint8Array(await file.arrayBuffer()))
+
+const readFileText = async (file) => (await readFileDecoded(file)).text
+
+const DATA_FILE_TYPES = ['.csv', ...WORKBOOK_EXTENSIONS].join(',')
+// Discovery tools also export JSON (Nozomi, Armis, Dragos, Masscan) and XML (Nmap)
+const DISCOVERY_FILE_TYPES = [DATA_FILE_TYPES, '.json', '.xml'].join(',')
+// ...and the OT slot takes SPAN-port packet captures for passive discovery
+const OT_FILE_TYPES = [DISCOVERY_FILE_TYPES, ...CAPTURE_EXTENSIONS].join(',')
+// Additional data also takes Zeek logs (conn.log, modbus.log, ...) for the communication graph
+const ADDITIONAL_FILE_TYPES = [DISCOVERY_FILE_TYPES, '.log'].join(',')
+
+// Base64 in slices so large buffers don't overflow the call stack
+const bytesToBase64 = (bytes) => {
+  let binary = ''
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+  }
+  return btoa(binary)
+}
+
+// Captures are binary: sent base64-encoded
+const readFileBase64 = async (file) => bytesToBase64(new Uint8Array(await file.arrayBuffer()))
+
+// ============================================================================
+// CSV DOWNLOADS
+// Hostnames, tags and vendors come from uploaded exports: a text cell starting with
+// = + - @ (or tab / CR) gets a leading ' so spreadsheet apps show it instead of running it
+// ============================================================================
+const csvCell = (value) => {
+  const text = String(value ?? '')
+  const safe = typeof value !== 'number' && /^[=+\-@\t\r]/.test(text) ? `'${text}` : text
+  return `"${safe.replace(/"/g, '""')}"`
+}
+
+// Saved as <name>_<YYYY-MM-DD>.csv
+function downloadCsv(name, headers, rows) {
+  const csv = [headers, ...rows].map(r => r.map(csvCell).join(',')).join('\n')
+  const blob = new Blob([csv], { type: 'text/csv' })
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = `${name}_${new Date().toISOString().split('T')[0]}.csv`
+  a.click()
+  URL.revokeObjectURL(url)
+}
+
+// ============================================================================
+// CHUNKED UPLOAD (api/upload-session.js)
+// Requests above DIRECT_UPLOAD_LIMIT would hit the host's body-size limit, so each
+// file is gzipped, sliced into parts and uploaded under a session; the analysis
+// request then carries only the session ID
+// ============================================================================
+const DIRECT_UPLOAD_LIMIT = 3 * 1024 * 1024
+const UPLOAD_PART_SIZE = 2 * 1024 * 1024  // gzip bytes per part (the server accepts up to 3 MB)
+const PART_ATTEMPTS = 3
+
+// Gzipped into a Blob, which the browser may keep on disk - parts are read back one at a time
+const gzipText = (text) =>
+  new Response(new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'))).blob()
+
+const sha256Hex = async (bytes) =>
+  Array.from(new Uint8Array(await crypto.subtle.digest('SHA-256', bytes)), b => b.toString(16).padStart(2, '0')).join('')
+
+const sessionRequest = async (method, body) => {
+  const resp = await fetch('/api/upload-session', {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  })
+  const data = await resp.json().catch(() => ({ error: 'Unknown error' }))
+  if (!resp.ok) throw new Error(`${resp.status} - ${data.error}`)
+  return data
+}
 
-const readFileText = (file) => new Promise((resolve, reject) => {
-  const r = new FileReader()
-  r.onload = () => resolve(r.result)
-  r.onerror = reject
-  r.readAsText(file)
-})
+// entries: [{ slot, filename, content, ...fields }] -> session ID once every part is stored.
+// onProgress({ [fileId]: { filename, slot, sent, parts, bytes } }) after each part
+async function uploadInParts(entries, onProgress) {
+  const compressed = []
+  for (const { content, ...entry } of entries) {
+    compressed.push({ ...entry, gzip: await gzipText(content) })
+  }
+  const session = await sessionRequest('POST', {
+    files: compressed.map(({ gzip, ...entry }) => ({ ...entry, encoding: 'text', size: gzip.size, parts: Math.max(1, Math.ceil(gzip.size / UPLOAD_PART_SIZE)) }))
+  })
+  const progress = Object.fromEntries(session.files.map((file, i) =>
+    [file.fileId, { filename: file.filename, slot: file.slot, sent: 0, parts: file.parts, bytes: compressed[i].gzip.size }]))
+  onProgress({ ...progress })
+
+  for (const [i, file] of session.files.entries()) {
+    const { gzip } = compressed[i]
+    for (let index = 0; index < file.parts; index++) {
+      const slice = new Uint8Array(await gzip.slice(index * UPLOAD_PART_SIZE, (index + 1) * UPLOAD_PART_SIZE).arrayBuffer())
+      const part = { sessionId: session.sessionId, fileId: file.fileId, index, data: bytesToBase64(slice), sha256: await sha256Hex(slice) }
+      for (let attempt = 1; ; attempt++) {
+        try {
+          await sessionRequest('PUT', part)
+          break
+        } catch (err) {
+          if (attempt >= PART_ATTEMPTS) throw new Error(`Uploading ${file.filename} (part ${index + 1}/${file.parts}) failed: ${err.message}`)
+          console.warn(`Retrying ${file.filename} part ${index + 1}: ${err.message}`)
+        }
+      }
+      progress[file.fileId] = { ...progress[file.fileId], sent: index + 1 }
+      onProgress({ ...progress })
+    }
+  }
+  return session.sessionId
+}
+
+// A response over the host's size limit carries the first page of its long lists and a
+// resultPages index ({ resultId, fields: { 'classificationVerification.verified': { total, pages } } });
+// the remaining pages are fetched here and appended in place
+async function loadResultPages(data) {
+  const { resultId, fields } = data.resultPages || {}
+  if (!resultId) return data
+  for (const [field, { pages }] of Object.entries(fields)) {
+    const path = field.split('.')
+    const key = path.pop()
+    const parent = path.reduce((value, name) => value?.[name], data)
+    for (let page = 1; page < pages; page++) {
+      const resp = await fetch(`/api/upload-session?resultId=${resultId}&field=${encodeURIComponent(field)}&page=${page}`)
+      const pageData = await resp.json().catch(() => ({ error: 'Unknown error' }))
+      if (!resp.ok) throw new Error(`Loading ${field} (page ${page + 1}/${pages}) failed: ${resp.status} - ${pageData.error}`)
+      parent[key].push(...pageData.items)
+    }
+  }
+  delete data.resultPages
+  return data
+}
+
+// Header row and the first rows only - enough to suggest a mapping profile and classify
+// the file without reading all of it. Workbooks are read whole (zip) and also list their sheets;
+// JSON and XML are read whole too. A native discovery-tool or scanner export previews as its adapted rows,
+// a packet capture as the assets it passively discovered, a Zeek log by its log type only
+const readFilePreview = async (file) => {
+  if (isCaptureFile(file.name)) {
+    const { assets, stats } = analyzeCapture(new Uint8Array(await file.arrayBuffer()))
+    return {
+      headers: DISCOVERY_COLUMNS.filter(column => assets.some(asset => asset[column])),
+      rows: assets.slice(0, 50),
+      format: { ...CAPTURE_FORMAT, name: `${CAPTURE_FORMAT.name} - ${stats.hosts} hosts` }
+    }
+  }
+  if (isWorkbookFile(file.name)) {
+    const workbook = readWorkbook(new Uint8Array(await file.arrayBuffer()))
+    const sheets = describeSheets(workbook).map(sheet => ({ ...sheet, selected: sheet.rows > 0 }))
+    const first = sheets.find(sheet => sheet.selected)
+    const { headers, records } = first ? sheetRecords(workbook, first.name) : { headers: [], records: [] }
+    return { headers, rows: records.slice(0, 50), sheets }
+  }
+  const text = await readFileText(/\.(json|xml)$/i.test(file.name) ? file : file.slice(0, 64 * 1024))
+  const adapted = adaptDiscoveryExport(text)
+  if (adapted) {
+    return { headers: adapted.headers, rows: adapted.rows.slice(0, 50), format: adapted.format }
+  }
+  const zeekLog = detectZeekLog(text, file.name)
+  if (zeekLog) {
+    // The preview keeps the format only, not the whole parsed log
+    const format = { ...zeekLog }
+    delete format.parsed
+    return { headers: [], rows: [], format }
+  }
+  const { headers, rows } = readCsv(text, { preview: 50 })
+  return { headers, rows }
+}
 
 // FLEXIBLE Multi-File Upload Component
-function MultiFileUpload({ label, description, files, setFiles, accept = ".csv" }) {
-  const MAX_FILE_SIZE = 1024 * 1024 // 1 MB per file (allows 12,000 asset refinery on Vercel Pro)
+function MultiFileUpload({ label, description, files, setFiles, accept = DATA_FILE_TYPES, namespaces = {}, setNamespace, onFilesAdded, profiles, profileSourceType, fileProfiles = {}, setFileProfile, fileHeaders = {}, classifications = {}, sourceTypes = {}, setSourceType, sheets = {}, toggleSheet, formats = {} }) {
+  const MAX_FILE_SIZE = 200 * 1024 * 1024 // 200 MB per file - large uploads go up in gzipped parts (api/upload-session.js)
   
   const formatFileSize = (bytes) => {
     if (bytes < 1024) return bytes + ' B'
@@ -28,11 +201,12 @@ function MultiFileUpload({ label, description, files, setFiles, accept = ".csv"
     
     if (oversizedFiles.length > 0) {
       const fileNames = oversizedFiles.map(f => `${f.name} (${formatFileSize(f.size)})`).join('\n')
-      alert(`⚠️ The following files are too large for hosted demos:\n\n${fileNames}\n\nMaximum file size: ${formatFileSize(MAX_FILE_SIZE)}\n\nPlease use the Demo or Medium datasets instead.\n\nEnterprise datasets (25K assets) only work locally - run "npm run dev" on your machine.`)
+      alert(`⚠️ The following files are too large to upload from the browser:\n\n${fileNames}\n\nMaximum file size: ${formatFileSize(MAX_FILE_SIZE)}\n\nSplit the export (per plant or per unit) and upload the parts as separate files.`)
     }
     
     if (validFiles.length > 0) {
       setFiles([...files, ...validFiles])
+      if (onFilesAdded) onFilesAdded(validFiles)
     }
   }
 
@@ -55,13 +229,73 @@ function MultiFileUpload({ label, description, files, setFiles, accept = ".csv"
       {files.length > 0 && (
         <div className="file-list">
           {files.map((file, idx) => (
-            <div key={idx} className="file-item">
+            <div key={idx} className="file-item" style={{ flexWrap: 'wrap' }}>
               <span className="file-name">
                 📄 {file.name} 
                 <span style={{ color: '#64748b', fontSize: '0.85rem', marginLeft: '0.5rem' }}>
                   ({formatFileSize(file.size)})
                 </span>
               </span>
+              {setNamespace && (
+                <input
+                  type="text"
+                  placeholder="Network namespace (plant)"
+                  title="IPs and hostnames only match within the same namespace. Leave blank to use the plant column."
+                  value={namespaces[file.name] || ''}
+                  onChange={(e) => setNamespace(file.name, e.target.value)}
+                  style={{ margin: '0 0.5rem', padding: '0.25rem 0.5rem', fontSize: '0.8rem', border: '1px solid #cbd5e1', borderRadius: '0.25rem', width: '11rem' }}
+                />
+              )}
+              {setSourceType && (
+                <select
+                  value={sourceTypes[file.name] || ''}
+                  onChange={(e) => setSourceType(file.name, e.target.value)}
+                  title={classifications[file.name] ? `Detected from columns and values: ${classifications[file.name][0].reasons.slice(0, 4).join(', ')}` : 'Data source type'}
+                  style={{ marginRight: '0.5rem', padding: '0.25rem', fontSize: '0.8rem', border: '1px solid #cbd5e1', borderRadius: '0.25rem', maxWidth: '13rem' }}
+                >
+                  <option value="">
+                    {classifications[file.name]
+                      ? `Detected: ${SOURCE_TYPE_LABELS[classifications[file.name][0].type]} (${classifications[file.name][0].confidence}%)`
+                      : 'Detect type automatically'}
+                  </option>
+                  {SOURCE_TYPES.map(type => {
+                    const confidence = classifications[file.name]?.find(r => r.type === type)?.confidence
+                    return (
+                      <option key={type} value={type}>{SOURCE_TYPE_LABELS[type]}{confidence ? ` (${confidence}%)` : ''}</option>
+                    )
+                  })}
+                </select>
+              )}
+              {setFileProfile && formats[file.name] && (
+                <span
+                  title="Native export format, read by its adapter instead of a column-mapping profile"
+                  style={{ marginRight: '0.5rem', padding: '0.25rem 0.5rem', fontSize: '0.8rem', background: '#eff6ff', color: '#1d4ed8', borderRadius: '0.25rem' }}
+                >
+                  {formats[file.name].name}
+                </span>
+              )}
+              {setFileProfile && !formats[file.name] && (() => {
+                const [suggestion] = suggestProfiles(fileHeaders[file.name] || [], profiles, profileSourceType)
+                const autoLabel = !suggestion
+                  ? 'Auto (standard column names)'
+                  : suggestion.score >= AUTO_APPLY_THRESHOLD
+                    ? `Auto: ${suggestion.name} (${Math.round(suggestion.score * 100)}%)`
+                    : `Auto (suggested: ${suggestion.name}, ${Math.round(suggestion.score * 100)}%)`
+                return (
+                  <select
+                    value={fileProfiles[file.name] || ''}
+                    onChange={(e) => setFileProfile(file.name, e.target.value)}
+                    title="Column-mapping profile: maps this export's headers onto tag_id, ip_address, hostname, ..."
+                    style={{ marginRight: '0.5rem', padding: '0.25rem', fontSize: '0.8rem', border: '1px solid #cbd5e1', borderRadius: '0.25rem', maxWidth: '13rem' }}
+                  >
+                    <option value="">{autoLabel}</option>
+                    <option value="none">Standard column names only</option>
+                    {profiles.map(p => (
+                      <option key={p.id} value={p.id}>{p.name}</option>
+                    ))}
+                  </select>
+                )
+              })()}
               <button 
                 type="button"
                 className="remove-file-btn"
@@ -69,6 +303,22 @@ function MultiFileUpload({ label, description, files, setFiles, accept = ".csv"
               >
                 ✕
               </button>
+              {toggleSheet && sheets[file.name] && (
+                <div style={{ flexBasis: '100%', display: 'flex', flexWrap: 'wrap', gap: '0.25rem 1rem', marginTop: '0.5rem', fontSize: '0.8rem', color: '#475569' }}>
+                  <span>Sheets:</span>
+                  {sheets[file.name].map(sheet => (
+                    <label key={sheet.name} title={sheet.headerRow > 1 ? `Header found on row ${sheet.headerRow}; rows above it are skipped` : undefined} style={{ display: 'flex', alignItems: 'center', gap: '0.25rem', color: sheet.rows > 0 ? '#334155' : '#94a3b8' }}>
+                      <input
+                        type="checkbox"
+                        checked={sheet.selected}
+                        disabled={sheet.rows === 0}
+                        onChange={() => toggleSheet(file.name, sheet.name)}
+                      />
+                      {sheet.name} ({sheet.rows.toLocaleString()} rows{sheet.headerRow > 1 ? `, header row ${sheet.headerRow}` : ''})
+                    </label>
+                  ))}
+                </div>
+              )}
             </div>
           ))}
         </div>
@@ -93,22 +343,269 @@ function MultiFileUpload({ label, description, files, setFiles, accept = ".csv"
   )
 }
 
+// Ingest validation report (lib/ingest-validation.js) - one CSV row per issue, for fixing the source exports
+function downloadValidationReport(validation) {
+  const headers = ['file', 'source_type', 'row', 'issue', 'level', 'column', 'value', 'detail']
+  const rows = (validation?.files || []).flatMap(file => [
+    ...Object.entries(ISSUE_KINDS).flatMap(([kind, { level, label }]) => file[kind].map(issue => [
+      file.filename,
+      file.sourceType,
+      issue.row,
+      label,
+      kind === 'duplicates' && !issue.sameFile ? 'warning' : level,
+      issue.column || (kind === 'duplicates' ? 'key' : ''),
+      issue.value ?? issue.key ?? '',
+      kind === 'rejected' ? issue.reason
+        : kind === 'coerced' ? `used ${issue.coercedTo}`
+          : kind === 'duplicates' ? `duplicate of ${issue.kept_file} row ${issue.kept_row}${issue.namespace ? ` (${issue.namespace})` : ''}`
+            : ''
+    ])),
+    ...file.unknownColumns.map(column => [file.filename, file.sourceType, '', 'Unknown column', 'info', column, '', 'not read by the canonizer; kept as an extra field'])
+  ])
+  
+  downloadCsv('canonizer_validation', headers, rows)
+}
+
+// How a CSV differed from plain UTF-8, comma-delimited, header-on-line-1 (lib/csv-reader.js settings)
+const csvSettingNotes = (csv) => csv ? [
+  csv.delimiter !== 'comma' && `${csv.delimiter}-delimited`,
+  csv.quoteChar !== '"' && `quoted with ${csv.quoteChar}`,
+  (csv.encoding !== 'utf-8' || csv.bom) && `${csv.encoding}${csv.bom ? ' with BOM' : ''}`,
+  csv.headerLine > 1 && `header on line ${csv.headerLine}`,
+  csv.decimalCommaColumns.length > 0 && `decimal comma: ${csv.decimalCommaColumns.join(', ')}`,
+  csv.dayFirstDateColumns.length > 0 && `day-first dates: ${csv.dayFirstDateColumns.join(', ')}`,
+  ...csv.warnings
+].filter(Boolean) : []
+
+// Per-file validation counts with the CSV download
+function ValidationReport({ validation }) {
+  const { totals, files } = validation
+  return (
+    <div style={{ marginTop: '1rem' }}>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', flexWrap: 'wrap', gap: '0.5rem', marginBottom: '0.5rem' }}>
+        <div style={{ fontSize: '0.85rem', fontWeight: '600', color: '#0f172a' }}>
+          🧪 Ingest validation: {totals.errorRows.toLocaleString()} of {totals.rows.toLocaleString()} rows with errors ({totals.errorRate}%)
+          {validation.strict && <span style={{ fontWeight: 'normal', color: '#64748b' }}> • strict, limit {validation.maxErrorRate}% per file</span>}
+        </div>
+        <button
+          onClick={() => downloadValidationReport(validation)}
+          style={{ padding: '0.25rem 0.75rem', background: 'white', border: '1px solid #cbd5e1', borderRadius: '0.25rem', fontSize: '0.75rem', cursor: 'pointer' }}
+        >
+          ⬇️ Download validation report (CSV)
+        </button>
+      </div>
+      <div style={{ display: 'grid', gap: '0.35rem' }}>
+        {files.map(file => {
+          const issues = Object.entries(ISSUE_KINDS).filter(([kind]) => file.counts[kind] > 0)
+          return (
+            <div key={`${file.sourceType}-${file.filename}`} style={{ padding: '0.5rem 0.75rem', background: file.failed ? '#fef2f2' : 'white', border: '1px solid #e2e8f0', borderRadius: '0.375rem', fontSize: '0.8rem', color: '#475569' }}>
+              📄 <strong>{file.filename}</strong> - {file.accepted.toLocaleString()} of {file.rows.toLocaleString()} rows accepted
+              {file.errorRows > 0 && <span style={{ color: file.failed ? '#b91c1c' : '#b45309' }}> • {file.errorRate}% rows with errors</span>}
+              {issues.length === 0 && file.unknownColumns.length === 0 && <span style={{ color: '#15803d' }}> • no issues</span>}
+              {issues.map(([kind, { level, label }]) => (
+                <span key={kind} style={{ marginLeft: '0.5rem', color: level === 'error' ? '#b91c1c' : '#b45309' }}>
+                  • {label}: {file.counts[kind].toLocaleString()}
+                  {file[kind][0]?.row && ` (row ${file[kind].slice(0, 3).map(issue => issue.row).join(', ')}${file.counts[kind] > 3 ? ', …' : ''})`}
+                </span>
+              ))}
+              {file.unknownColumns.length > 0 && (
+                <span style={{ marginLeft: '0.5rem', color: '#64748b' }}>• Unknown columns: {file.unknownColumns.join(', ')}</span>
+              )}
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
+
+// Review queue cards per page (the API returns up to 250 candidates)
+const CANDIDATE_PAGE_SIZE = 25
+
 // Flexible Oil & Gas Canonizer with Multi-Upload Support
 export default function FlexibleOilGasCanonizer() {
   // Multi-file state for each data source type
   const [engineeringFiles, setEngineeringFiles] = useState([])
   const [otToolFiles, setOtToolFiles] = useState([])
   const [otherFiles, setOtherFiles] = useState([])
+  const [matchRulesFiles, setMatchRulesFiles] = useState([])
+  const [profileFiles, setProfileFiles] = useState([])
+  const [taxonomyFiles, setTaxonomyFiles] = useState([])
+  const [taxonomyDocuments, setTaxonomyDocuments] = useState([])  // uploaded taxonomy extensions as { filename, content }
+  const [templateFiles, setTemplateFiles] = useState([])
+  const [templateDocuments, setTemplateDocuments] = useState([])  // uploaded template files as { filename, content }
+  const [referenceFiles, setReferenceFiles] = useState([])
+  const [referenceRecords, setReferenceRecords] = useState([])  // rows of the reference baselines, re-learned when the taxonomy changes
+  const [learnedTemplates, setLearnedTemplates] = useState(null)  // { document, warnings } learned from the reference baselines
+  const [templateEdits, setTemplateEdits] = useState({})  // unit type -> device type -> { min, typical, max, criticality } or null (dropped)
+  const [templateMeta, setTemplateMeta] = useState({ name: 'Site templates', revision: '1' })
+  const [templateUnit, setTemplateUnit] = useState('Crude Distillation')
+  const [showTemplateEditor, setShowTemplateEditor] = useState(false)
+  const [customProfiles, setCustomProfiles] = useState([])
+  const [fileProfiles, setFileProfiles] = useState({})
+  const [fileHeaders, setFileHeaders] = useState({})
+  const [fileClassifications, setFileClassifications] = useState({})
+  const [fileSourceTypes, setFileSourceTypes] = useState({})
+  const [workbookSheets, setWorkbookSheets] = useState({})
+  const [fileFormats, setFileFormats] = useState({})
   
   const [threshold, setThreshold] = useState(18)
   const [loading, setLoading] = useState(false)
+  const [uploadProgress, setUploadProgress] = useState(null)  // per-file parts sent during a chunked upload
   const [loadingSample, setLoadingSample] = useState(false)
   const [result, setResult] = useState(null)
   const [error, setError] = useState(null)
   const [selectedPlant, setSelectedPlant] = useState('all')
+  const [candidateDecisions, setCandidateDecisions] = useState({})
+  const [candidatePage, setCandidatePage] = useState(0)
+  const [reviewRules, setReviewRules] = useState(null)  // pinned / forbidden rules from Accept / Reject in earlier runs of this session
+  const [fileNamespaces, setFileNamespaces] = useState({})
+  const [survivorship, setSurvivorship] = useState(DEFAULT_SURVIVORSHIP)
+  const [showSurvivorship, setShowSurvivorship] = useState(false)
+  const [resultsTab, setResultsTab] = useState('overview')
+  const [strictValidation, setStrictValidation] = useState(false)
+  const [maxErrorRate, setMaxErrorRate] = useState(DEFAULT_MAX_ERROR_RATE)
+  const [validationFailure, setValidationFailure] = useState(null)  // report of a run stopped by strict validation
+  
+  const setSurvivorshipRule = (field, changes) => {
+    setSurvivorship({ ...survivorship, [field]: { ...survivorship[field], ...changes } })
+  }
+  
+  const setFileNamespace = (filename, namespace) => {
+    setFileNamespaces({ ...fileNamespaces, [filename]: namespace })
+  }
+
+  // Column-mapping profiles: built-ins plus any uploaded profile files
+  const mappingProfiles = customProfiles.length > 0 ? resolveMappingProfiles(customProfiles).profiles : BUILTIN_PROFILES
+  
+  // Device vocabulary with the uploaded extensions, as the server resolves it - learning, template
+  // checks and the editor classify device types the same way the analysis will
+  const deviceTaxonomy = resolveDeviceTaxonomy(taxonomyDocuments).taxonomy
+  
+  // Equipment templates: built-ins + templates learned from reference plants + uploaded documents,
+  // with the editor's changes as one more document on top
+  const uploadedTemplates = [
+    ...(learnedTemplates ? [{ filename: 'reference baselines', content: learnedTemplates.document }] : []),
+    ...templateDocuments
+  ]
+  const baseTemplates = resolveEquipmentTemplates(uploadedTemplates, deviceTaxonomy).templates
+  const editedTemplateDocument = Object.keys(templateEdits).length > 0 ? {
+    version: EQUIPMENT_TEMPLATE_VERSION,
+    ...templateMeta,
+    units: Object.fromEntries(Object.entries(templateEdits).map(([unitType, expectedEquipment]) => [unitType, { expectedEquipment }]))
+  } : null
+  const templateSet = [...uploadedTemplates, ...(editedTemplateDocument ? [{ filename: 'template editor', content: editedTemplateDocument }] : [])]
+  const { templates: effectiveTemplates, errors: templateErrors } = resolveEquipmentTemplates(templateSet, deviceTaxonomy)
+  const editedUnit = baseTemplates.units[templateUnit] || { expectedEquipment: {} }
+  const editedTypes = [...new Set([...Object.keys(editedUnit.expectedEquipment), ...Object.keys(templateEdits[templateUnit] || {})])]
+  
+  const setTemplateSpec = (deviceType, changes) => {
+    const base = editedUnit.expectedEquipment[deviceType] || { min: 0, typical: 0, max: 0 }
+    const current = templateEdits[templateUnit]?.[deviceType] || { min: base.min, typical: base.typical, max: base.max, criticality: base.criticality }
+    setTemplateEdits({ ...templateEdits, [templateUnit]: { ...templateEdits[templateUnit], [deviceType]: changes && { ...current, ...changes } } })
+  }
+  
+  const restoreTemplateSpec = (deviceType) => {
+    const unitEdits = { ...templateEdits[templateUnit] }
+    delete unitEdits[deviceType]
+    const edits = { ...templateEdits, [templateUnit]: unitEdits }
+    if (Object.keys(unitEdits).length === 0) delete edits[templateUnit]
+    setTemplateEdits(edits)
+  }
+  
+  // Trusted baselines (engineering CSVs of reference plants) -> learned min / typical / max per unit type
+  const learnTemplates = (files, records, taxonomy) => {
+    setLearnedTemplates(files.length > 0
+      ? learnEquipmentTemplates(records, { taxonomy, name: `Learned from ${files.map(file => file.name).join(', ')}`, revision: new Date().toISOString().split('T')[0] })
+      : null)
+  }
+  
+  const updateReferenceFiles = async (files) => {
+    setReferenceFiles(files)
+    const records = (await Promise.all(files.map(async (file) => {
+      const { text, encoding } = await readFileDecoded(file)
+      return readCsv(text, { encoding }).rows
+    }))).flat()
+    setReferenceRecords(records)
+    learnTemplates(files, records, deviceTaxonomy)
+  }
+  
+  const updateTaxonomyFiles = async (files) => {
+    setTaxonomyFiles(files)
+    const documents = await Promise.all(files.map(async (file) => ({ filename: file.name, content: await readFileText(file) })))
+    setTaxonomyDocuments(documents)
+    learnTemplates(referenceFiles, referenceRecords, resolveDeviceTaxonomy(documents).taxonomy)
+  }
+  
+  const updateTemplateFiles = async (files) => {
+    setTemplateFiles(files)
+    setTemplateDocuments(await Promise.all(files.map(async (file) => ({ filename: file.name, content: await readFileText(file) }))))
+  }
+  
+  const setFileProfile = (filename, profileId) => {
+    setFileProfiles({ ...fileProfiles, [filename]: profileId })
+  }
+  
+  const setFileSourceType = (filename, sourceType) => {
+    setFileSourceTypes({ ...fileSourceTypes, [filename]: sourceType })
+  }
+  
+  const toggleSheet = (filename, sheetName) => {
+    setWorkbookSheets({
+      ...workbookSheets,
+      [filename]: workbookSheets[filename].map(sheet => sheet.name === sheetName ? { ...sheet, selected: !sheet.selected } : sheet)
+    })
+  }
+  
+  // One upload entry per CSV file, or per selected sheet of a workbook (converted to CSV); captures go as base64
+  const readUploadEntries = async (file) => {
+    if (isCaptureFile(file.name)) {
+      return [{ filename: file.name, content: await readFileBase64(file) }]
+    }
+    if (!isWorkbookFile(file.name)) {
+      const { text, encoding } = await readFileDecoded(file)
+      return [{ filename: file.name, content: text, charset: encoding }]
+    }
+    const workbook = readWorkbook(new Uint8Array(await file.arrayBuffer()))
+    const sheets = workbookSheets[file.name] || describeSheets(workbook).map(sheet => ({ ...sheet, selected: sheet.rows > 0 }))
+    return sheets
+      .filter(sheet => sheet.selected)
+      .map(sheet => ({ filename: sheetFilename(file.name, sheet.name), content: sheetToCsv(workbook, sheet.name) }))
+  }
+  
+  // Headers for profile suggestions, a ranked type guess and (workbooks) the sheet list for each newly added file
+  const rememberFilePreviews = async (files) => {
+    const previews = await Promise.all(files.map(async (file) => [file.name, await readFilePreview(file)]))
+    setWorkbookSheets(prev => ({
+      ...prev,
+      ...Object.fromEntries(previews.filter(([, { sheets }]) => sheets).map(([name, { sheets }]) => [name, sheets]))
+    }))
+    setFileHeaders(prev => ({ ...prev, ...Object.fromEntries(previews.map(([name, { headers }]) => [name, headers])) }))
+    setFileFormats(prev => ({ ...prev, ...Object.fromEntries(previews.map(([name, { format }]) => [name, format])) }))
+    setFileClassifications(prev => ({
+      ...prev,
+      ...Object.fromEntries(previews.map(([name, { headers, rows, format }]) => [name, format
+        ? [{ type: format.sourceType || 'otDiscovery', confidence: format.confidence, reasons: [`${format.name} format`] }]
+        : classifySource(headers, rows)]))
+    }))
+  }
+  
+  const updateProfileFiles = async (files) => {
+    setProfileFiles(files)
+    const documents = await Promise.all(files.map(async (file) => {
+      try {
+        return JSON.parse(await readFileText(file))
+      } catch (err) {
+        console.error(`Ignoring ${file.name}: ${err.message}`)
+        return null
+      }
+    }))
+    setCustomProfiles(documents.filter(Boolean).flatMap(doc => Array.isArray(doc) ? doc : doc.profiles || [doc]))
+  }
 
   const analyze = async () => {
     setError(null)
+    setValidationFailure(null)
     const totalFiles = engineeringFiles.length + otToolFiles.length + otherFiles.length
     
     if (totalFiles === 0) {
@@ -121,57 +618,118 @@ export default function FlexibleOilGasCanonizer() {
       // Read all files and group by type
       const payload = { 
         thresholdMonths: Number(threshold),
+        survivorship,
+        mappingProfiles: customProfiles,
+        validation: { strict: strictValidation, maxErrorRate: Number(maxErrorRate) },
         dataSources: {
           engineering: [],
           otDiscovery: [],
-          other: []
+          other: [],
+          matchRules: []
         }
       }
 
       // Process engineering files
       for (const file of engineeringFiles) {
-        const text = await readFileText(file)
-        payload.dataSources.engineering.push({
-          filename: file.name,
-          content: text  // Send raw CSV text, backend will parse it
-        })
+        for (const entry of await readUploadEntries(file)) {
+          payload.dataSources.engineering.push({
+            ...entry,  // Send raw CSV text (workbook sheets converted), backend will parse it
+            namespace: fileNamespaces[file.name] || undefined,
+            mappingProfile: fileProfiles[file.name] || undefined
+          })
+        }
       }
 
       // Process OT tool files (maps to otDiscovery in backend)
       for (const file of otToolFiles) {
-        const text = await readFileText(file)
-        payload.dataSources.otDiscovery.push({
-          filename: file.name,
-          content: text  // Send raw CSV text, backend will parse it
-        })
+        for (const entry of await readUploadEntries(file)) {
+          payload.dataSources.otDiscovery.push({
+            ...entry,  // Send raw CSV text (workbook sheets converted), backend will parse it
+            namespace: fileNamespaces[file.name] || undefined,
+            mappingProfile: fileProfiles[file.name] || undefined
+          })
+        }
       }
 
       // Process other files
       for (const file of otherFiles) {
+        for (const entry of await readUploadEntries(file)) {
+          payload.dataSources.other.push({
+            ...entry,  // Send raw CSV text (workbook sheets converted), backend will parse it
+            namespace: fileNamespaces[file.name] || undefined,
+            mappingProfile: fileProfiles[file.name] || undefined,
+            sourceType: fileSourceTypes[file.name] || undefined
+          })
+        }
+      }
+
+      // Match rules from earlier review sessions (JSON)
+      for (const file of matchRulesFiles) {
         const text = await readFileText(file)
-        payload.dataSources.other.push({
+        payload.dataSources.matchRules.push({
           filename: file.name,
-          content: text  // Send raw CSV text, backend will parse it
+          content: text
         })
       }
 
+      // Accept / Reject decisions made in this session go to the matcher as pinned / forbidden pairs
+      const sessionRules = mergeMatchRules(reviewRules, decidedMatchRules())
+      if (sessionRules.pinned.length > 0 || sessionRules.forbidden.length > 0) {
+        payload.dataSources.matchRules.push({
+          filename: 'review queue decisions',
+          content: JSON.stringify(sessionRules)
+        })
+      }
+
+      // Device taxonomy extensions (JSON): site device types and spellings on top of the built-in vocabulary
+      if (taxonomyDocuments.length > 0) {
+        payload.deviceTaxonomy = taxonomyDocuments
+      }
+
+      // Equipment templates (JSON) and the template editor's changes, sizing completeness scoring to this plant
+      if (templateSet.length > 0) {
+        payload.equipmentTemplates = templateSet
+      }
+
+      // Too large for one request: upload gzipped parts first, then analyze by session ID
+      let body = JSON.stringify(payload)
+      if (body.length > DIRECT_UPLOAD_LIMIT) {
+        if (typeof CompressionStream === 'undefined') {
+          throw new Error(`The upload is ${(body.length / 1024 / 1024).toFixed(1)} MB, over the ${DIRECT_UPLOAD_LIMIT / 1024 / 1024} MB single-request limit, and this browser cannot compress it into parts (no CompressionStream). Use a current Chrome, Edge, Firefox or Safari, or split the files.`)
+        }
+        const entries = Object.entries(payload.dataSources).flatMap(([slot, list]) => list.map(entry => ({ slot, ...entry })))
+        const settings = { ...payload }
+        delete settings.dataSources
+        const uploadSession = await uploadInParts(entries, setUploadProgress)
+        body = JSON.stringify({ ...settings, uploadSession })
+      }
+
       const resp = await fetch('/api/analyze-oil-gas-flexible', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
+        body
       })
 
       if (!resp.ok) {
         const errData = await resp.json().catch(() => ({ error: 'Unknown error' }))
+        if (errData.validation) {
+          setValidationFailure(errData.validation)
+          throw new Error(errData.error)
+        }
         throw new Error(`${resp.status} - ${JSON.stringify(errData)}`)
       }
 
-      const data = await resp.json()
+      const data = await loadResultPages(await resp.json())
+      setReviewRules(sessionRules)
+      setCandidateDecisions({})
+      setCandidatePage(0)
+      setResultsTab('overview')
       setResult(data)
     } catch (e) {
       setError(`Canonization failed: ${e.message}`)
     } finally {
       setLoading(false)
+      setUploadProgress(null)
     }
   }
 
@@ -215,6 +773,7 @@ export default function FlexibleOilGasCanonizer() {
       setEngineeringFiles(engineeringLoaded)
       setOtToolFiles(otLoaded)
       setOtherFiles(otherLoaded)
+      await rememberFilePreviews([...engineeringLoaded, ...otLoaded, ...otherLoaded])
     } catch (err) {
       console.error(err)
       setError(`Failed to load sample dataset: ${err.message}`)
@@ -223,6 +782,73 @@ export default function FlexibleOilGasCanonizer() {
     }
   }
 
+  // Accept / Reject decisions from the review queue as pinned / forbidden rules
+  const decidedMatchRules = () => {
+    const confirmedAt = new Date().toISOString().split('T')[0]
+    const decided = { version: 1, pinned: [], forbidden: [], tagRewrites: [] }
+    ;(result?.candidateMatches || []).forEach(candidate => {
+      const decision = candidateDecisions[candidate.rank]
+      if (!decision) return
+      const rule = ruleFromPair(candidate.engineering, candidate.discovered, {
+        note: `${decision === 'accepted' ? 'Accepted' : 'Rejected'} in review queue (${candidate.confidence}% confidence)`,
+        confirmed_at: confirmedAt
+      })
+      if (rule) decided[decision === 'accepted' ? 'pinned' : 'forbidden'].push(rule)
+    })
+    return decided
+  }
+    
+  // Rules document = rules sent with this run + Accept/Reject decisions from the review queue
+  const downloadMatchRules = () => {
+    const confirmedAt = new Date().toISOString().split('T')[0]
+    const doc = mergeMatchRules(result?.matchRules?.document, decidedMatchRules())
+    const blob = new Blob([JSON.stringify(doc, null, 2)], { type: 'application/json' })
+    const url = URL.createObjectURL(blob)
+    const a = document.createElement('a')
+    a.href = url
+    a.download = `canonizer_match_rules_${confirmedAt}.json`
+    a.click()
+    URL.revokeObjectURL(url)
+  }
+
+  // Templates in effect (built-ins + learned + uploads + editor changes) as one document to keep with the
+  // plant's files; learned = only the units learned from the reference baselines
+  const downloadEquipmentTemplates = (learned = false) => {
+    const doc = learned ? learnedTemplates.document : templateDocument(effectiveTemplates, templateMeta)
+    const blob = new Blob([JSON.stringify(doc, null, 2)], { type: 'application/json' })
+    const url = URL.createObjectURL(blob)
+    const a = document.createElement('a')
+    a.href = url
+    a.download = learned
+      ? `equipment_templates_learned_${learnedTemplates.document.revision}.json`
+      : `equipment_templates_${templateMeta.name.replace(/[^a-z0-9]+/gi, '_').toLowerCase()}_r${templateMeta.revision}.json`
+    a.click()
+    URL.revokeObjectURL(url)
+  }
+
+  // One row per disagreeing field, for correcting the engineering baseline
+  const downloadContradictions = () => {
+    const headers = ['tag_id', 'plant', 'unit', 'field', 'engineering_value', 'discovered_value', 'severity', 'likely_cause', 'match_type', 'match_confidence', 'engineering_file', 'engineering_row', 'discovered_file', 'discovered_row']
+    const rows = (result?.contradictions?.items || []).map(item => [
+      item.tag_id || '',
+      item.plant || '',
+      item.unit || '',
+      item.field,
+      item.engineering_value ?? '',
+      item.discovered_value ?? '',
+      item.severity,
+      item.likely_cause,
+      item.match_type || '',
+      item.match_confidence ?? '',
+      item.engineering_source?.file || '',
+      item.engineering_source?.row ?? '',
+      item.discovered_source?.file || '',
+      item.discovered_source?.row ?? ''
+    ])
+    
+    downloadCsv('canonizer_contradictions', headers, rows)
+  }
+
   const insights = result?.assuranceInsights || {}
   const maintenanceInsights = insights.maintenance
   const vulnerabilityInsights = insights.vulnerability
@@ -311,23 +937,249 @@ export default function FlexibleOilGasCanonizer() {
           description="Your asset data: P&IDs, asset registers, CMMS exports, spreadsheets"
           files={engineeringFiles}
           setFiles={setEngineeringFiles}
+          namespaces={fileNamespaces}
+          setNamespace={setFileNamespace}
+          onFilesAdded={rememberFilePreviews}
+          profiles={mappingProfiles}
+          profileSourceType="engineering"
+          fileProfiles={fileProfiles}
+          setFileProfile={setFileProfile}
+          fileHeaders={fileHeaders}
+          sheets={workbookSheets}
+          toggleSheet={toggleSheet}
         />
 
         <MultiFileUpload
           label="🔍 OT Tool Export"
-          description="Claroty, Nozomi, Armis, Tenable.ot - includes device discovery, vulnerabilities, and security posture"
+          description="Claroty, Nozomi, Armis, Dragos, Tenable OT, an Nmap / Masscan sweep or a SPAN-port capture (PCAP / PCAPNG) - native exports are recognized automatically"
           files={otToolFiles}
+          accept={OT_FILE_TYPES}
           setFiles={setOtToolFiles}
+          namespaces={fileNamespaces}
+          setNamespace={setFileNamespace}
+          onFilesAdded={rememberFilePreviews}
+          profiles={mappingProfiles}
+          profileSourceType="otDiscovery"
+          fileProfiles={fileProfiles}
+          setFileProfile={setFileProfile}
+          fileHeaders={fileHeaders}
+          sheets={workbookSheets}
+          toggleSheet={toggleSheet}
+          formats={fileFormats}
         />
 
         <MultiFileUpload
           label="📦 Additional Data (Optional)"
-          description="Supplemental data: compliance reports, manual inventories, or other asset sources"
+          description="Supplemental data: compliance reports, manual inventories, firewall zones, Zeek conn / Modbus / DNP3 / S7comm logs, or other asset sources"
           files={otherFiles}
           setFiles={setOtherFiles}
+          accept={ADDITIONAL_FILE_TYPES}
+          namespaces={fileNamespaces}
+          setNamespace={setFileNamespace}
+          onFilesAdded={rememberFilePreviews}
+          classifications={fileClassifications}
+          sourceTypes={fileSourceTypes}
+          setSourceType={setFileSourceType}
+          profiles={mappingProfiles}
+          fileProfiles={fileProfiles}
+          setFileProfile={setFileProfile}
+          fileHeaders={fileHeaders}
+          sheets={workbookSheets}
+          toggleSheet={toggleSheet}
+          formats={fileFormats}
+        />
+
+        <MultiFileUpload
+          label="📌 Match Rules (Optional)"
+          description="Rules file downloaded from an earlier run: pinned pairs, forbidden pairs and tag rewrites, applied before automatic matching"
+          files={matchRulesFiles}
+          setFiles={setMatchRulesFiles}
+          accept=".json"
+        />
+
+        <MultiFileUpload
+          label="🗂️ Column Mapping Profiles (Optional)"
+          description="Profile files mapping a client's export headers (ASSETNUM, Virtual Zone, ...) onto canonical fields; selectable per file above"
+          files={profileFiles}
+          setFiles={updateProfileFiles}
+          accept=".json"
+        />
+
+        <MultiFileUpload
+          label="🏷️ Device Taxonomy Extensions (Optional)"
+          description="Site device types and spellings (ATG, MOV, ...) with Purdue level and security tier, added to the built-in device vocabulary every analyzer uses"
+          files={taxonomyFiles}
+          setFiles={updateTaxonomyFiles}
+          accept=".json"
+        />
+
+        <MultiFileUpload
+          label="🧰 Equipment Templates (Optional)"
+          description="Template files with the expected min / typical / max equipment counts per process unit, sized to this plant's units; tune them below"
+          files={templateFiles}
+          setFiles={updateTemplateFiles}
+          accept=".json"
+        />
+
+        <MultiFileUpload
+          label="📐 Reference Plant Baselines (Optional)"
+          description="Engineering baselines of trusted plants (any industry) to learn min / typical / max equipment counts per unit from, scaled by a capacity column when present"
+          files={referenceFiles}
+          setFiles={updateReferenceFiles}
+          accept=".csv,.txt"
         />
       </div>
 
+      {/* ⚖️ Survivorship rules: which source wins per canonical field */}
+      <div style={{ marginBottom: '1.5rem' }}>
+        <button
+          type="button"
+          onClick={() => setShowSurvivorship(!showSurvivorship)}
+          style={{ background: 'transparent', border: 'none', color: '#2563eb', fontSize: '0.875rem', fontWeight: '600', cursor: 'pointer', padding: 0 }}
+        >
+          {showSurvivorship ? '▾' : '▸'} ⚖️ Survivorship rules (which source wins per field)
+        </button>
+        {showSurvivorship && (
+          <div style={{ marginTop: '0.75rem', padding: '1rem', background: '#f8fafc', border: '1px solid #e2e8f0', borderRadius: '0.5rem', display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(260px, 1fr))', gap: '0.75rem' }}>
+            {Object.entries(survivorship).map(([field, rule]) => (
+              <div key={field} style={{ fontSize: '0.8rem', color: '#334155' }}>
+                <div style={{ fontWeight: '600', marginBottom: '0.25rem' }}>{field}</div>
+                <select
+                  value={rule.strategy}
+                  onChange={(e) => setSurvivorshipRule(field, { strategy: e.target.value })}
+                  style={{ marginRight: '0.5rem', padding: '0.25rem', fontSize: '0.8rem' }}
+                >
+                  {SURVIVORSHIP_STRATEGIES.map(strategy => (
+                    <option key={strategy} value={strategy}>{strategy.replace(/_/g, ' ')}</option>
+                  ))}
+                </select>
+                <select
+                  value={rule.priority[0]}
+                  onChange={(e) => setSurvivorshipRule(field, { priority: e.target.value === 'engineering' ? ['engineering', 'otDiscovery'] : ['otDiscovery', 'engineering'] })}
+                  style={{ padding: '0.25rem', fontSize: '0.8rem' }}
+                >
+                  <option value="engineering">engineering first</option>
+                  <option value="otDiscovery">discovery first</option>
+                </select>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* 🧰 Equipment template editor: expected counts per unit type, sent with the run and downloadable */}
+      <div style={{ marginBottom: '1.5rem' }}>
+        <button
+          type="button"
+          onClick={() => setShowTemplateEditor(!showTemplateEditor)}
+          style={{ background: 'transparent', border: 'none', color: '#2563eb', fontSize: '0.875rem', fontWeight: '600', cursor: 'pointer', padding: 0 }}
+        >
+          {showTemplateEditor ? '▾' : '▸'} 🧰 Equipment templates ({effectiveTemplates.revision})
+        </button>
+        {showTemplateEditor && (
+          <div style={{ marginTop: '0.75rem', padding: '1rem', background: '#f8fafc', border: '1px solid #e2e8f0', borderRadius: '0.5rem', fontSize: '0.8rem', color: '#334155' }}>
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.75rem', alignItems: 'center', marginBottom: '0.75rem' }}>
+              <label>
+                Unit type{' '}
+                <select value={templateUnit} onChange={(e) => setTemplateUnit(e.target.value)} style={{ padding: '0.25rem', fontSize: '0.8rem' }}>
+                  {Object.keys(baseTemplates.units).filter(unitType => unitType !== 'Unknown').map(unitType => (
+                    <option key={unitType} value={unitType}>{unitType}{templateEdits[unitType] ? ' (edited)' : ''}</option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                Template name{' '}
+                <input value={templateMeta.name} onChange={(e) => setTemplateMeta({ ...templateMeta, name: e.target.value })} style={{ padding: '0.25rem', fontSize: '0.8rem', width: '10rem' }} />
+              </label>
+              <label>
+                Revision{' '}
+                <input value={templateMeta.revision} onChange={(e) => setTemplateMeta({ ...templateMeta, revision: e.target.value })} style={{ padding: '0.25rem', fontSize: '0.8rem', width: '4rem' }} />
+              </label>
+              <button type="button" onClick={() => downloadEquipmentTemplates()} style={{ padding: '0.25rem 0.75rem', fontSize: '0.8rem', background: '#0f172a', color: 'white', border: 'none', borderRadius: '0.25rem', cursor: 'pointer' }}>
+                ⬇ Download templates
+              </button>
+              {Object.keys(templateEdits).length > 0 && (
+                <button type="button" onClick={() => setTemplateEdits({})} style={{ padding: '0.25rem 0.75rem', fontSize: '0.8rem', background: 'white', border: '1px solid #cbd5e1', borderRadius: '0.25rem', cursor: 'pointer' }}>
+                  Discard edits
+                </button>
+              )}
+            </div>
+            {learnedTemplates && (
+              <div style={{ marginBottom: '0.75rem', padding: '0.5rem 0.75rem', background: 'white', border: '1px solid #e2e8f0', borderRadius: '0.375rem' }}>
+                📐 Learned {Object.keys(learnedTemplates.document.units).length} unit templates ({Object.keys(learnedTemplates.document.units).join(', ')}) from {learnedTemplates.document.learnedFrom.samples} reference units{' '}
+                <button type="button" onClick={() => downloadEquipmentTemplates(true)} style={{ fontSize: '0.75rem', background: 'transparent', border: 'none', color: '#2563eb', cursor: 'pointer' }}>
+                  ⬇ download learned templates
+                </button>
+                {learnedTemplates.warnings.length > 0 && (
+                  <ul style={{ margin: '0.25rem 0 0 0', paddingLeft: '1.25rem', color: '#92400e' }}>
+                    {learnedTemplates.warnings.map(message => <li key={message}>{message}</li>)}
+                  </ul>
+                )}
+              </div>
+            )}
+            {editedUnit.capacity && (
+              <div style={{ marginBottom: '0.5rem', color: '#64748b' }}>
+                Sized for {editedUnit.capacity.value.toLocaleString()} {editedUnit.capacity.unit || ''}
+              </div>
+            )}
+            <div style={{ display: 'grid', gridTemplateColumns: 'minmax(180px, 2fr) repeat(3, 5rem) 7rem 5rem', gap: '0.35rem 0.5rem', alignItems: 'center' }}>
+              <strong>Device type</strong><strong>Min</strong><strong>Typical</strong><strong>Max</strong><strong>Criticality</strong><span />
+              {editedTypes.map(deviceType => {
+                const edit = templateEdits[templateUnit]?.[deviceType]
+                const spec = { ...editedUnit.expectedEquipment[deviceType], ...edit }
+                if (edit === null) {
+                  return (
+                    <React.Fragment key={deviceType}>
+                      <span style={{ textDecoration: 'line-through', color: '#94a3b8' }}>{deviceType}</span>
+                      <span /><span /><span /><span />
+                      <button type="button" onClick={() => restoreTemplateSpec(deviceType)} style={{ fontSize: '0.75rem', background: 'transparent', border: 'none', color: '#2563eb', cursor: 'pointer' }}>restore</button>
+                    </React.Fragment>
+                  )
+                }
+                return (
+                  <React.Fragment key={deviceType}>
+                    <span style={{ fontWeight: edit ? '600' : '400' }}>{deviceType}</span>
+                    {['min', 'typical', 'max'].map(field => (
+                      <input
+                        key={field}
+                        type="number"
+                        min="0"
+                        value={spec[field] ?? ''}
+                        onChange={(e) => setTemplateSpec(deviceType, { [field]: e.target.value === '' ? '' : Number(e.target.value) })}
+                        style={{ padding: '0.2rem', fontSize: '0.8rem', width: '100%' }}
+                      />
+                    ))}
+                    <select value={spec.criticality || 'MEDIUM'} onChange={(e) => setTemplateSpec(deviceType, { criticality: e.target.value })} style={{ padding: '0.2rem', fontSize: '0.8rem' }}>
+                      {CRITICALITY_LEVELS.map(level => <option key={level} value={level}>{level}</option>)}
+                    </select>
+                    <button type="button" onClick={() => edit ? restoreTemplateSpec(deviceType) : setTemplateSpec(deviceType, null)} style={{ fontSize: '0.75rem', background: 'transparent', border: 'none', color: edit ? '#2563eb' : '#dc2626', cursor: 'pointer' }}>
+                      {edit ? 'reset' : 'drop'}
+                    </button>
+                  </React.Fragment>
+                )
+              })}
+            </div>
+            <div style={{ marginTop: '0.75rem' }}>
+              <select
+                value=""
+                onChange={(e) => e.target.value && setTemplateSpec(e.target.value, { min: 0, typical: 0, max: 0, criticality: 'MEDIUM' })}
+                style={{ padding: '0.25rem', fontSize: '0.8rem' }}
+              >
+                <option value="">+ Add device type…</option>
+                {deviceTaxonomy.types.filter(entry => !editedTypes.includes(entry.type)).map(entry => (
+                  <option key={entry.type} value={entry.type}>{entry.type}</option>
+                ))}
+              </select>
+            </div>
+            {templateErrors.length > 0 && (
+              <ul style={{ margin: '0.75rem 0 0 0', paddingLeft: '1.25rem', color: '#b91c1c' }}>
+                {templateErrors.map(message => <li key={message}>{message}</li>)}
+              </ul>
+            )}
+          </div>
+        )}
+      </div>
+
       <div style={{ 
         display: 'flex', 
         gap: '1rem', 
@@ -348,14 +1200,51 @@ export default function FlexibleOilGasCanonizer() {
             cursor: (loading || loadingSample) ? 'not-allowed' : 'pointer'
           }}
         >
-          {loading ? '⚙️ Canonizing Assets...' : loadingSample ? '⏳ Loading Demo Files…' : '🚀 Canonize Assets'}
+          {loading
+            ? uploadProgress && Object.values(uploadProgress).some(file => file.sent < file.parts) ? '📤 Uploading Files…' : '⚙️ Canonizing Assets...'
+            : loadingSample ? '⏳ Loading Demo Files…' : '🚀 Canonize Assets'}
         </button>
 
         <div style={{ color: '#64748b', fontSize: '0.875rem' }}>
-          Total files: {engineeringFiles.length + otToolFiles.length + otherFiles.length}
+          Total files: {engineeringFiles.length + otToolFiles.length + otherFiles.length + matchRulesFiles.length}
         </div>
+
+        <label style={{ display: 'flex', alignItems: 'center', gap: '0.35rem', color: '#475569', fontSize: '0.875rem' }} title="Stop the run when a file has more rows with errors (rejected, unparseable IP, duplicate key) than the limit">
+          <input type="checkbox" checked={strictValidation} onChange={(e) => setStrictValidation(e.target.checked)} />
+          Strict validation, max
+          <input
+            type="number"
+            min="0"
+            max="100"
+            step="0.5"
+            value={maxErrorRate}
+            disabled={!strictValidation}
+            onChange={(e) => setMaxErrorRate(e.target.value)}
+            style={{ width: '4rem', padding: '0.2rem', fontSize: '0.8rem' }}
+          />
+          % rows with errors per file
+        </label>
       </div>
 
+      {uploadProgress && (
+        <div style={{ padding: '1rem', background: '#f8fafc', border: '1px solid #e2e8f0', borderRadius: '0.5rem', marginBottom: '1.5rem' }}>
+          <div style={{ fontSize: '0.85rem', fontWeight: '600', color: '#0f172a', marginBottom: '0.5rem' }}>
+            📤 Large upload - sending gzipped parts
+          </div>
+          {Object.entries(uploadProgress).map(([fileId, file]) => (
+            <div key={fileId} style={{ display: 'flex', alignItems: 'center', gap: '0.75rem', fontSize: '0.8rem', color: '#475569', marginBottom: '0.35rem' }}>
+              <span style={{ flex: '0 0 16rem', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={file.filename}>{file.filename}</span>
+              <div style={{ flex: 1, height: '0.5rem', background: '#e2e8f0', borderRadius: '0.25rem', overflow: 'hidden' }}>
+                <div style={{ width: `${Math.round((file.sent / file.parts) * 100)}%`, height: '100%', background: file.sent === file.parts ? '#10b981' : '#3b82f6' }} />
+              </div>
+              <span style={{ flex: '0 0 9rem', textAlign: 'right' }}>
+                {file.sent}/{file.parts} parts • {(file.bytes / (1024 * 1024)).toFixed(1)} MB gz
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+
       {error && (
         <div style={{
           padding: '1rem',
@@ -366,6 +1255,7 @@ export default function FlexibleOilGasCanonizer() {
           marginBottom: '1rem'
         }}>
           ❌ {error}
+          {validationFailure && <ValidationReport validation={validationFailure} />}
         </div>
       )}
 
@@ -373,6 +1263,117 @@ export default function FlexibleOilGasCanonizer() {
         <div style={{ marginTop: '2rem' }}>
           <h2>✅ Canonization Complete</h2>
           
+          <div className="tab-navigation" style={{ marginBottom: '1.5rem' }}>
+            <button
+              className={`tab-button ${resultsTab === 'overview' ? 'active' : ''}`}
+              onClick={() => setResultsTab('overview')}
+            >
+              📊 Overview
+            </button>
+            <button
+              className={`tab-button ${resultsTab === 'contradictions' ? 'active' : ''}`}
+              onClick={() => setResultsTab('contradictions')}
+            >
+              ⚠️ Contradictions ({(result.contradictions?.total || 0).toLocaleString()})
+            </button>
+          </div>
+
+          {/* FIELD CONTRADICTIONS - matched assets whose sources disagree */}
+          {resultsTab === 'contradictions' && (
+            <div>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', flexWrap: 'wrap', gap: '1rem', marginBottom: '1rem' }}>
+                <div style={{ flex: '1', minWidth: '250px' }}>
+                  <h3 style={{ margin: '0 0 0.5rem 0', fontSize: '1.125rem' }}>⚠️ Field Contradictions</h3>
+                  <p style={{ margin: 0, fontSize: '0.875rem', color: '#64748b' }}>
+                    Matched assets where the engineering baseline and OT discovery disagree.
+                    {' '}{(result.contradictions?.assetsAffected || 0).toLocaleString()} asset{result.contradictions?.assetsAffected === 1 ? '' : 's'} affected
+                    {' '}({result.contradictions?.bySeverity?.high || 0} high, {result.contradictions?.bySeverity?.medium || 0} medium, {result.contradictions?.bySeverity?.low || 0} low).
+                  </p>
+                  {Object.keys(result.contradictions?.byField || {}).length > 0 && (
+                    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem', marginTop: '0.75rem' }}>
+                      {Object.entries(result.contradictions.byField).sort((a, b) => b[1] - a[1]).map(([field, count]) => (
+                        <span key={field} style={{ padding: '0.25rem 0.625rem', background: '#f1f5f9', borderRadius: '9999px', fontSize: '0.75rem', color: '#334155' }}>
+                          {field}: <strong>{count}</strong>
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                </div>
+                {result.contradictions?.total > 0 && (
+                  <button
+                    onClick={downloadContradictions}
+                    style={{
+                      padding: '0.75rem 1.5rem',
+                      background: '#f59e0b',
+                      color: 'white',
+                      border: 'none',
+                      borderRadius: '0.5rem',
+                      fontSize: '0.875rem',
+                      fontWeight: '600',
+                      cursor: 'pointer',
+                      whiteSpace: 'nowrap'
+                    }}
+                  >
+                    📥 Download Contradictions CSV
+                  </button>
+                )}
+              </div>
+
+              {!result.contradictions?.total ? (
+                <div style={{ padding: '1.5rem', background: '#f0fdf4', border: '1px solid #86efac', borderRadius: '0.5rem', color: '#166534' }}>
+                  ✅ No contradictions - every matched asset agrees across sources on the fields both sides carry.
+                </div>
+              ) : (
+                <div style={{ overflowX: 'auto', border: '1px solid #e2e8f0', borderRadius: '0.5rem' }}>
+                  <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.8rem' }}>
+                    <thead>
+                      <tr style={{ background: '#f8fafc', textAlign: 'left' }}>
+                        {['Tag', 'Unit', 'Field', 'Engineering', 'Discovered', 'Severity', 'Likely root cause', 'Baseline row'].map(h => (
+                          <th key={h} style={{ padding: '0.5rem 0.75rem', borderBottom: '1px solid #e2e8f0', whiteSpace: 'nowrap' }}>{h}</th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {result.contradictions.items.slice(0, 200).map((item, idx) => (
+                        <tr key={idx} style={{ borderBottom: '1px solid #f1f5f9' }}>
+                          <td style={{ padding: '0.5rem 0.75rem', fontFamily: 'monospace', whiteSpace: 'nowrap' }}>{item.tag_id}</td>
+                          <td style={{ padding: '0.5rem 0.75rem' }}>{item.unit}</td>
+                          <td style={{ padding: '0.5rem 0.75rem', fontWeight: '600' }}>{item.field}</td>
+                          <td style={{ padding: '0.5rem 0.75rem', fontFamily: 'monospace' }}>{String(item.engineering_value ?? '')}</td>
+                          <td style={{ padding: '0.5rem 0.75rem', fontFamily: 'monospace' }}>{String(item.discovered_value ?? '')}</td>
+                          <td style={{ padding: '0.5rem 0.75rem' }}>
+                            <span style={{
+                              padding: '0.125rem 0.5rem',
+                              borderRadius: '9999px',
+                              fontSize: '0.7rem',
+                              fontWeight: '600',
+                              background: item.severity === 'high' ? '#fee2e2' : item.severity === 'medium' ? '#fef3c7' : '#e0f2fe',
+                              color: item.severity === 'high' ? '#b91c1c' : item.severity === 'medium' ? '#92400e' : '#075985'
+                            }}>
+                              {item.severity}
+                            </span>
+                          </td>
+                          <td style={{ padding: '0.5rem 0.75rem', color: '#475569' }}>{item.likely_cause}</td>
+                          <td style={{ padding: '0.5rem 0.75rem', color: '#64748b', whiteSpace: 'nowrap' }}>
+                            {item.engineering_source?.file}{item.engineering_source?.row ? `:${item.engineering_source.row}` : ''}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  {result.contradictions.items.length > 200 && (
+                    <div style={{ padding: '0.75rem', fontSize: '0.75rem', color: '#64748b', background: '#f8fafc' }}>
+                      Showing 200 of {result.contradictions.total.toLocaleString()} - {result.contradictions.truncated
+                        ? `the CSV holds the ${result.contradictions.items.length.toLocaleString()} most severe; the counts above cover all of them.`
+                        : 'download the CSV for the full list.'}
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+
+          <div style={{ display: resultsTab === 'overview' ? 'block' : 'none' }}>
           {/* Data Sources Summary */}
           <div style={{
             padding: '1.5rem',
@@ -401,8 +1402,210 @@ export default function FlexibleOilGasCanonizer() {
                 )
               })}
             </div>
+            {result.metadata?.classifications?.length > 0 && (
+              <div style={{ marginTop: '1rem', fontSize: '0.8rem', color: '#475569', lineHeight: '1.6' }}>
+                {result.metadata.classifications.map(c => (
+                  <div key={c.filename}>
+                    📄 {c.filename} → <strong>{SOURCE_TYPE_LABELS[c.type] || c.type}</strong>
+                    {c.overridden
+                      ? ' (set by you)'
+                      : ` (${c.confidence}% confidence${c.ranked[1] ? `; next: ${SOURCE_TYPE_LABELS[c.ranked[1].type]} ${c.ranked[1].confidence}%` : ''})`}
+                  </div>
+                ))}
+              </div>
+            )}
+            {result.validation && <ValidationReport validation={result.validation} />}
           </div>
 
+          {/* 🗂️ COLUMN MAPPING - profile applied to each file */}
+          {result.columnMapping?.files?.some(f => f.profile || f.suggestions.length > 0 || csvSettingNotes(f.csv).length > 0 || (f.rows > 0 && f.emptyTagIds === f.rows && f.sourceType === 'engineering')) && (
+            <div style={{
+              padding: '1.5rem',
+              background: 'white',
+              border: '2px solid #cbd5e1',
+              borderRadius: '0.5rem',
+              marginBottom: '2rem'
+            }}>
+              <h3 style={{ margin: '0 0 0.5rem 0', fontSize: '1rem' }}>🗂️ Column Mapping</h3>
+              <p style={{ margin: '0 0 1rem 0', fontSize: '0.8rem', color: '#64748b' }}>
+                Profiles map a client's export headers onto canonical fields. Files without a profile use the standard column names; download a template to build a profile for a new export. Delimiter, encoding, header line and locale are detected per file (🔤).
+              </p>
+              {result.columnMapping.errors.length > 0 && (
+                <ul style={{ margin: '0 0 1rem 0', paddingLeft: '1.25rem', color: '#b45309', fontSize: '0.8rem' }}>
+                  {result.columnMapping.errors.map(message => <li key={message}>{message}</li>)}
+                </ul>
+              )}
+              <div style={{ display: 'grid', gap: '0.5rem' }}>
+                {result.columnMapping.files.map(file => {
+                  const noTags = file.sourceType === 'engineering' && file.rows > 0 && file.emptyTagIds === file.rows
+                  return (
+                    <div key={`${file.sourceType}-${file.filename}`} style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', flexWrap: 'wrap', gap: '0.5rem', padding: '0.5rem 0.75rem', background: noTags ? '#fef2f2' : '#f8fafc', borderRadius: '0.375rem', fontSize: '0.8rem' }}>
+                      <span>
+                        📄 <strong>{file.filename}</strong>
+                        <span style={{ color: '#64748b', marginLeft: '0.5rem' }}>
+                          {file.format ? file.format.name : file.profile ? `${file.profile.name}${file.auto ? ' (auto)' : ''}` : 'Standard column names'}
+                          {file.customColumns > 0 && ` + ${file.customColumns} custom column${file.customColumns === 1 ? '' : 's'}`}
+                        </span>
+                        {!file.profile && file.suggestions[0] && (
+                          <span style={{ color: '#2563eb', marginLeft: '0.5rem' }}>
+                            suggested: {file.suggestions[0].name} ({Math.round(file.suggestions[0].score * 100)}%)
+                          </span>
+                        )}
+                        {file.error && <span style={{ color: '#b45309', marginLeft: '0.5rem' }}>⚠️ {file.error}</span>}
+                        {csvSettingNotes(file.csv).length > 0 && (
+                          <span style={{ color: '#64748b', marginLeft: '0.5rem' }}>🔤 {csvSettingNotes(file.csv).join(' • ')}</span>
+                        )}
+                        {noTags && (
+                          <span style={{ color: '#b91c1c', marginLeft: '0.5rem' }}>
+                            ⚠️ no tag_id recognized in {file.rows.toLocaleString()} rows - choose or create a profile
+                          </span>
+                        )}
+                      </span>
+                      {!file.profile && !file.format && (
+                        <button
+                          onClick={() => {
+                            const name = file.filename.replace(/\.[^.]+$/, '')
+                            const blob = new Blob([JSON.stringify(profileTemplate(file.headers, name, file.sourceType === 'otDiscovery' ? 'otDiscovery' : file.sourceType === 'engineering' ? 'engineering' : 'any'), null, 2)], { type: 'application/json' })
+                            const url = URL.createObjectURL(blob)
+                            const a = document.createElement('a')
+                            a.href = url
+                            a.download = `mapping_profile_${name}.json`
+                            a.click()
+                            URL.revokeObjectURL(url)
+                          }}
+                          style={{ padding: '0.25rem 0.75rem', background: 'white', border: '1px solid #cbd5e1', borderRadius: '0.25rem', fontSize: '0.75rem', cursor: 'pointer' }}
+                        >
+                          📥 Profile template
+                        </button>
+                      )}
+                    </div>
+                  )
+                })}
+              </div>
+            </div>
+          )}
+
+          {/* 🏷️ DEVICE TAXONOMY - raw device types the vocabulary could not place */}
+          {result.deviceTaxonomy && (result.deviceTaxonomy.unmapped.length > 0 || result.deviceTaxonomy.errors.length > 0) && (
+            <div style={{
+              padding: '1.5rem',
+              background: 'white',
+              border: '2px solid #cbd5e1',
+              borderRadius: '0.5rem',
+              marginBottom: '2rem'
+            }}>
+              <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', flexWrap: 'wrap', gap: '0.5rem', marginBottom: '0.5rem' }}>
+                <h3 style={{ margin: 0, fontSize: '1rem' }}>🏷️ Device Taxonomy</h3>
+                {result.deviceTaxonomy.unmapped.length > 0 && (
+                  <button
+                    onClick={() => {
+                      const blob = new Blob([JSON.stringify(result.deviceTaxonomy.template, null, 2)], { type: 'application/json' })
+                      const url = URL.createObjectURL(blob)
+                      const a = document.createElement('a')
+                      a.href = url
+                      a.download = `device_taxonomy_additions_${new Date().toISOString().split('T')[0]}.json`
+                      a.click()
+                      URL.revokeObjectURL(url)
+                    }}
+                    style={{ padding: '0.25rem 0.75rem', background: 'white', border: '1px solid #cbd5e1', borderRadius: '0.25rem', fontSize: '0.75rem', cursor: 'pointer' }}
+                  >
+                    📥 Taxonomy template
+                  </button>
+                )}
+              </div>
+              <p style={{ margin: '0 0 1rem 0', fontSize: '0.8rem', color: '#64748b' }}>
+                Taxonomy {result.deviceTaxonomy.revision} ({result.deviceTaxonomy.types} device types). Device types below match no type or alias, so they get no Purdue level and are tiered on network presence alone. Fill in the template and upload it as a taxonomy extension.
+              </p>
+              {result.deviceTaxonomy.errors.length > 0 && (
+                <ul style={{ margin: '0 0 1rem 0', paddingLeft: '1.25rem', color: '#b45309', fontSize: '0.8rem' }}>
+                  {result.deviceTaxonomy.errors.map(message => <li key={message}>{message}</li>)}
+                </ul>
+              )}
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem' }}>
+                {result.deviceTaxonomy.unmapped.slice(0, 50).map(item => (
+                  <span key={item.value} title={`e.g. ${item.examples.join(', ')}`} style={{ padding: '0.25rem 0.6rem', background: '#fffbeb', border: '1px solid #fde68a', borderRadius: '9999px', fontSize: '0.75rem', color: '#92400e' }}>
+                    {item.value} <strong>×{item.count.toLocaleString()}</strong>
+                  </span>
+                ))}
+                {result.deviceTaxonomy.unmapped.length > 50 && (
+                  <span style={{ fontSize: '0.75rem', color: '#64748b' }}>+{result.deviceTaxonomy.unmapped.length - 50} more in the template</span>
+                )}
+              </div>
+            </div>
+          )}
+
+          {/* 🗺️ UNIT RESOLUTION - which equipment template each unit name was graded against */}
+          {result.unitResolution?.length > 0 && (
+            <div style={{
+              padding: '1.5rem',
+              background: 'white',
+              border: '2px solid #cbd5e1',
+              borderRadius: '0.5rem',
+              marginBottom: '2rem'
+            }}>
+              <h3 style={{ margin: '0 0 0.5rem 0', fontSize: '1rem' }}>🗺️ Process Unit Templates</h3>
+              <p style={{ margin: '0 0 1rem 0', fontSize: '0.8rem', color: '#64748b' }}>
+                Each unit name is matched to an equipment template (built-in refinery, uploaded or learned from reference plants) for completeness scoring. Units without a template get no completeness score.
+                {result.equipmentTemplates && <> Scored against <strong>{result.equipmentTemplates.revision}</strong>.</>}
+              </p>
+              {result.equipmentTemplates?.errors.length > 0 && (
+                <ul style={{ margin: '0 0 1rem 0', paddingLeft: '1.25rem', fontSize: '0.75rem', color: '#b91c1c' }}>
+                  {result.equipmentTemplates.errors.slice(0, 20).map(message => <li key={message}>{message}</li>)}
+                </ul>
+              )}
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem' }}>
+                {result.unitResolution.map(entry => (
+                  <span
+                    key={entry.unit}
+                    title={entry.matchedBy ? `Matched by ${entry.matchedBy}: "${entry.alias}" · template ${entry.templateSources.join(' + ')}` : 'No alias matched'}
+                    style={{
+                      padding: '0.25rem 0.6rem',
+                      background: entry.template === 'Unknown' ? '#fffbeb' : '#f0fdf4',
+                      border: `1px solid ${entry.template === 'Unknown' ? '#fde68a' : '#bbf7d0'}`,
+                      borderRadius: '9999px',
+                      fontSize: '0.75rem',
+                      color: entry.template === 'Unknown' ? '#92400e' : '#166534'
+                    }}
+                  >
+                    {entry.unit} → {entry.template === 'Unknown' ? 'no template' : entry.displayName} <strong>×{entry.assets.toLocaleString()}</strong>
+                    {entry.completenessScore !== null && <> · {entry.completenessScore}% complete</>}
+                  </span>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* 🏭 VENDOR CATALOG - manufacturer spellings folded into one vendor */}
+          {result.vendorCatalog && (result.vendorCatalog.aliases.length > 0 || result.vendorCatalog.unresolved.length > 0) && (
+            <div style={{
+              padding: '1.5rem',
+              background: 'white',
+              border: '2px solid #cbd5e1',
+              borderRadius: '0.5rem',
+              marginBottom: '2rem'
+            }}>
+              <h3 style={{ margin: '0 0 0.5rem 0', fontSize: '1rem' }}>🏭 Vendor Normalization</h3>
+              <p style={{ margin: '0 0 1rem 0', fontSize: '0.8rem', color: '#64748b' }}>
+                Vendor catalog {result.vendorCatalog.revision}. Brands and spellings below were counted under the company that owns them, in matching and in every vendor breakdown.
+              </p>
+              {result.vendorCatalog.aliases.length > 0 && (
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem', marginBottom: '1rem' }}>
+                  {result.vendorCatalog.aliases.slice(0, 50).map(item => (
+                    <span key={`${item.value}|${item.manufacturer}|${item.family}`} style={{ padding: '0.25rem 0.6rem', background: '#f0f9ff', border: '1px solid #bae6fd', borderRadius: '9999px', fontSize: '0.75rem', color: '#075985' }}>
+                      {item.value} → {item.manufacturer}{item.family ? ` (${item.family})` : ''} <strong>×{item.count.toLocaleString()}</strong>
+                    </span>
+                  ))}
+                </div>
+              )}
+              {result.vendorCatalog.unresolved.length > 0 && (
+                <div style={{ fontSize: '0.8rem', color: '#92400e' }}>
+                  Not in the catalog, counted as written: {result.vendorCatalog.unresolved.slice(0, 20).map(item => `${item.value} (${item.count.toLocaleString()})`).join(', ')}
+                  {result.vendorCatalog.unresolved.length > 20 && ` +${result.vendorCatalog.unresolved.length - 20} more`}
+                </div>
+              )}
+            </div>
+          )}
+
           {/* 1️⃣ COMPLETE ASSET INVENTORY & SECURITY POSTURE (FIRST!) */}
           {result.learningInsights?.deviceClassification && (
             <div style={{
@@ -1038,6 +2241,376 @@ export default function FlexibleOilGasCanonizer() {
             </div>
           )}
 
+          {/* 🔗 CANDIDATE MATCH REVIEW QUEUE */}
+          {result.candidateMatches?.length > 0 && (
+            <div style={{
+              padding: '2rem',
+              background: 'white',
+              border: '3px solid #f59e0b',
+              borderRadius: '0.75rem',
+              marginBottom: '2rem'
+            }}>
+              <h3 style={{ margin: '0 0 0.5rem 0', fontSize: '1.25rem', fontWeight: '700', color: '#0f172a' }}>
+                🔗 Candidate Matches (Review Required)
+              </h3>
+              <p style={{ margin: '0 0 1.25rem 0', fontSize: '0.875rem', color: '#64748b' }}>
+                Possible pairs the canonizer was not confident enough to accept. They are <strong>not</strong> counted in discovery coverage until an engineer confirms them. Accepted pairs are pinned and rejected pairs forbidden when you run the analysis again.
+              </p>
+              
+              <div style={{ display: 'grid', gap: '0.75rem', marginBottom: '1.25rem' }}>
+                {result.candidateMatches.slice(candidatePage * CANDIDATE_PAGE_SIZE, (candidatePage + 1) * CANDIDATE_PAGE_SIZE).map((candidate) => {
+                  const decision = candidateDecisions[candidate.rank]
+                  return (
+                    <div key={candidate.rank} style={{
+                      padding: '0.75rem 1rem',
+                      background: decision === 'accepted' ? '#f0fdf4' : decision === 'rejected' ? '#f8fafc' : '#fffbeb',
+                      border: '1px solid #e2e8f0',
+                      borderLeft: `4px solid ${decision === 'accepted' ? '#10b981' : decision === 'rejected' ? '#94a3b8' : '#f59e0b'}`,
+                      borderRadius: '0.5rem',
+                      fontSize: '0.85rem',
+                      color: '#475569'
+                    }}>
+                      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '1rem', flexWrap: 'wrap' }}>
+                        <div>
+                          <strong>#{candidate.rank}</strong> • <strong>{candidate.engineering.tag_id || 'Untagged asset'}</strong> ({candidate.engineering.unit || 'Unknown Unit'}, {candidate.engineering.device_type || 'Unknown type'})
+                          {' → '}
+                          <strong>{candidate.discovered.hostname || candidate.discovered.ip_address || candidate.discovered.mac_address || 'Unnamed device'}</strong>
+                          {candidate.discovered.ip_address && ` (${candidate.discovered.ip_address})`}
+                          <span style={{ marginLeft: '0.5rem', color: '#92400e', fontWeight: '600' }}>{candidate.confidence}% confidence</span>
+                        </div>
+                        <div style={{ display: 'flex', gap: '0.5rem' }}>
+                          <button
+                            type="button"
+                            onClick={() => setCandidateDecisions({ ...candidateDecisions, [candidate.rank]: 'accepted' })}
+                            style={{ padding: '0.35rem 0.75rem', background: '#10b981', color: 'white', border: 'none', borderRadius: '0.375rem', fontSize: '0.8rem', fontWeight: '600', cursor: 'pointer' }}
+                          >
+                            ✓ Accept
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => setCandidateDecisions({ ...candidateDecisions, [candidate.rank]: 'rejected' })}
+                            style={{ padding: '0.35rem 0.75rem', background: '#94a3b8', color: 'white', border: 'none', borderRadius: '0.375rem', fontSize: '0.8rem', fontWeight: '600', cursor: 'pointer' }}
+                          >
+                            ✕ Reject
+                          </button>
+                        </div>
+                      </div>
+                      <ul style={{ margin: '0.5rem 0 0 0', paddingLeft: '1.25rem', lineHeight: '1.5' }}>
+                        {candidate.reasons.map((reason) => (
+                          <li key={reason}>{reason}</li>
+                        ))}
+                      </ul>
+                    </div>
+                  )
+                })}
+              </div>
+
+              {result.candidateMatches.length > CANDIDATE_PAGE_SIZE && (
+                <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem', marginBottom: '1.25rem', fontSize: '0.85rem', color: '#475569' }}>
+                  <button
+                    type="button"
+                    disabled={candidatePage === 0}
+                    onClick={() => setCandidatePage(candidatePage - 1)}
+                    style={{ padding: '0.35rem 0.75rem', background: 'white', border: '1px solid #cbd5e1', borderRadius: '0.375rem', fontSize: '0.8rem', cursor: candidatePage === 0 ? 'default' : 'pointer', opacity: candidatePage === 0 ? 0.5 : 1 }}
+                  >
+                    ← Previous
+                  </button>
+                  <span>
+                    {candidatePage * CANDIDATE_PAGE_SIZE + 1}–{Math.min((candidatePage + 1) * CANDIDATE_PAGE_SIZE, result.candidateMatches.length)} of {result.candidateMatches.length} candidates
+                  </span>
+                  <button
+                    type="button"
+                    disabled={(candidatePage + 1) * CANDIDATE_PAGE_SIZE >= result.candidateMatches.length}
+                    onClick={() => setCandidatePage(candidatePage + 1)}
+                    style={{ padding: '0.35rem 0.75rem', background: 'white', border: '1px solid #cbd5e1', borderRadius: '0.375rem', fontSize: '0.8rem', cursor: (candidatePage + 1) * CANDIDATE_PAGE_SIZE >= result.candidateMatches.length ? 'default' : 'pointer', opacity: (candidatePage + 1) * CANDIDATE_PAGE_SIZE >= result.candidateMatches.length ? 0.5 : 1 }}
+                  >
+                    Next →
+                  </button>
+                </div>
+              )}
+              
+              <button
+                onClick={() => {
+                  const headers = ['rank', 'decision', 'confidence', 'score', 'eng_tag_id', 'eng_unit', 'eng_device_type', 'eng_manufacturer', 'eng_ip_address', 'disc_ip_address', 'disc_hostname', 'disc_mac_address', 'disc_device_type', 'disc_manufacturer', 'reasons']
+                  const rows = result.candidateMatches.map(c => [
+                    c.rank,
+                    candidateDecisions[c.rank] || c.status,
+                    c.confidence,
+                    c.score,
+                    c.engineering.tag_id || '',
+                    c.engineering.unit || '',
+                    c.engineering.device_type || '',
+                    c.engineering.manufacturer || '',
+                    c.engineering.ip_address || '',
+                    c.discovered.ip_address || '',
+                    c.discovered.hostname || '',
+                    c.discovered.mac_address || '',
+                    c.discovered.device_type || '',
+                    c.discovered.manufacturer || '',
+                    c.reasons.join('; ')
+                  ])
+                  downloadCsv('canonizer_candidate_matches', headers, rows)
+                }}
+                style={{
+                  padding: '0.75rem 1.5rem',
+                  background: '#f59e0b',
+                  color: 'white',
+                  border: 'none',
+                  borderRadius: '0.5rem',
+                  fontSize: '0.875rem',
+                  fontWeight: '600',
+                  cursor: 'pointer'
+                }}
+              >
+                📥 Export Review Queue ({result.candidateMatches.length})
+              </button>
+            </div>
+          )}
+
+          {/* 📌 MATCH RULES */}
+          {result.matchRules && (result.candidateMatches?.length > 0 || result.matchRules.results.length > 0 || result.matchRules.tagRewrites > 0 || result.matchRules.errors.length > 0) && (
+            <div style={{
+              padding: '2rem',
+              background: 'white',
+              border: '3px solid #6366f1',
+              borderRadius: '0.75rem',
+              marginBottom: '2rem'
+            }}>
+              <h3 style={{ margin: '0 0 0.5rem 0', fontSize: '1.25rem', fontWeight: '700', color: '#0f172a' }}>
+                📌 Match Rules
+              </h3>
+              <p style={{ margin: '0 0 1.25rem 0', fontSize: '0.875rem', color: '#64748b' }}>
+                Engineer decisions applied before automatic matching. Download the rules file (including your Accept / Reject decisions above) and upload it with the next run so nothing has to be re-reviewed.
+              </p>
+
+              <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))', gap: '1rem', marginBottom: '1.25rem' }}>
+                <div style={{ padding: '1rem', background: '#eef2ff', border: '2px solid #6366f1', borderRadius: '0.5rem' }}>
+                  <div style={{ fontSize: '0.75rem', color: '#3730a3', fontWeight: '600' }}>Pinned Pairs Applied</div>
+                  <div style={{ fontSize: '2rem', fontWeight: '700', color: '#3730a3' }}>{result.matchRules.pinned} / {result.matchRules.document.pinned.length}</div>
+                </div>
+                <div style={{ padding: '1rem', background: '#f8fafc', border: '2px solid #475569', borderRadius: '0.5rem' }}>
+                  <div style={{ fontSize: '0.75rem', color: '#334155', fontWeight: '600' }}>Forbidden Pairs</div>
+                  <div style={{ fontSize: '2rem', fontWeight: '700', color: '#334155' }}>{result.matchRules.forbidden}</div>
+                </div>
+                <div style={{ padding: '1rem', background: '#f0fdf4', border: '2px solid #10b981', borderRadius: '0.5rem' }}>
+                  <div style={{ fontSize: '0.75rem', color: '#047857', fontWeight: '600' }}>Tags Rewritten</div>
+                  <div style={{ fontSize: '2rem', fontWeight: '700', color: '#047857' }}>{result.matchRules.tagRewrites.toLocaleString()}</div>
+                </div>
+              </div>
+
+              {(result.matchRules.errors.length > 0 || result.matchRules.results.some(r => r.status !== 'applied')) && (
+                <ul style={{ margin: '0 0 1.25rem 0', paddingLeft: '1.25rem', color: '#b45309', fontSize: '0.85rem', lineHeight: '1.6' }}>
+                  {result.matchRules.errors.map((message) => (
+                    <li key={message}>{message}</li>
+                  ))}
+                  {result.matchRules.results.filter(r => r.status !== 'applied').slice(0, 10).map((r) => (
+                    <li key={`${r.type}-${r.index}`}>
+                      {r.type} rule #{r.index + 1} ({Object.values(r.engineering).join(', ')} ↔ {Object.values(r.discovered).join(', ')}): {r.status.replace(/_/g, ' ')}
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              <button
+                onClick={downloadMatchRules}
+                style={{
+                  padding: '0.75rem 1.5rem',
+                  background: '#6366f1',
+                  color: 'white',
+                  border: 'none',
+                  borderRadius: '0.5rem',
+                  fontSize: '0.875rem',
+                  fontWeight: '600',
+                  cursor: 'pointer'
+                }}
+              >
+                📥 Download Match Rules ({Object.keys(candidateDecisions).length} new decision{Object.keys(candidateDecisions).length === 1 ? '' : 's'})
+              </button>
+            </div>
+          )}
+
+          {/* 🔀 MULTI-NIC & REDUNDANT DEVICES */}
+          {(result.kpis.multi_interface_assets > 0 || result.redundantGroups?.length > 0) && (
+            <div style={{
+              padding: '2rem',
+              background: 'white',
+              border: '3px solid #14b8a6',
+              borderRadius: '0.75rem',
+              marginBottom: '2rem'
+            }}>
+              <h3 style={{ margin: '0 0 0.5rem 0', fontSize: '1.25rem', fontWeight: '700', color: '#0f172a' }}>
+                🔀 Multi-NIC & Redundant Devices
+              </h3>
+              <p style={{ margin: '0 0 1.25rem 0', fontSize: '0.875rem', color: '#64748b' }}>
+                Second network interfaces are attached to their asset instead of being counted as orphans. A/B tags are redundant siblings, not duplicates.
+              </p>
+
+              <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))', gap: '1rem', marginBottom: '1.25rem' }}>
+                <div style={{ padding: '1rem', background: '#f0fdfa', border: '2px solid #14b8a6', borderRadius: '0.5rem' }}>
+                  <div style={{ fontSize: '0.75rem', color: '#115e59', fontWeight: '600' }}>Assets with Multiple Interfaces</div>
+                  <div style={{ fontSize: '2rem', fontWeight: '700', color: '#115e59' }}>{result.kpis.multi_interface_assets.toLocaleString()}</div>
+                  <div style={{ fontSize: '0.7rem', color: '#115e59' }}>{result.kpis.additional_interfaces.toLocaleString()} extra interfaces attached</div>
+                </div>
+                <div style={{ padding: '1rem', background: '#f8fafc', border: '2px solid #475569', borderRadius: '0.5rem' }}>
+                  <div style={{ fontSize: '0.75rem', color: '#334155', fontWeight: '600' }}>Redundant A/B Groups</div>
+                  <div style={{ fontSize: '2rem', fontWeight: '700', color: '#334155' }}>{result.kpis.redundant_groups.toLocaleString()}</div>
+                  <div style={{ fontSize: '0.7rem', color: '#334155' }}>{(result.matchResults.strategyBreakdown.redundant_pair || 0).toLocaleString()} members share their partner's address</div>
+                </div>
+              </div>
+
+              <ul style={{ margin: 0, paddingLeft: '1.25rem', color: '#475569', fontSize: '0.85rem', lineHeight: '1.6' }}>
+                {result.assets.filter(a => a.interfaces?.length > 1).slice(0, 5).map((asset) => (
+                  <li key={`nic-${asset.tag_id}`}>
+                    <strong>{asset.tag_id}</strong> ({asset.device_type}) — {asset.interfaces.map(nic => nic.ip_address || nic.mac_address).join(', ')}
+                  </li>
+                ))}
+                {result.redundantGroups.slice(0, 5).map((group) => (
+                  <li key={`group-${group.namespace}-${group.group}`}>
+                    <strong>{group.group}</strong> ({group.unit || 'Unknown Unit'}) — siblings {group.members.map(m => m.tag_id).join(' / ')}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {/* 🔗 OBSERVED COMMUNICATIONS (PACKET CAPTURES + ZEEK LOGS) */}
+          {result.communications?.graph?.edges?.length > 0 && (
+            <div style={{
+              padding: '2rem',
+              background: 'white',
+              border: '2px solid #e2e8f0',
+              borderRadius: '0.75rem',
+              marginBottom: '2rem'
+            }}>
+              <h3 style={{ margin: '0 0 0.5rem 0', fontSize: '1.25rem', fontWeight: '700', color: '#0f172a' }}>
+                🔗 Observed Communications ({result.communications.graph.summary.edges} flows between {result.communications.graph.summary.nodes} hosts)
+              </h3>
+              <p style={{ margin: '0 0 1.25rem 0', fontSize: '0.875rem', color: '#64748b' }}>
+                Who talks to whom, from {[
+                  ...result.communications.captures.map(c => `${c.filename} (${c.packets} packets, ${c.hosts} hosts, ${c.identified} identified)`),
+                  ...result.communications.logs.map(l => `${l.filename} (${l.records} records)`)
+                ].join(', ')}. {result.communications.graph.summary.icsEdges} ICS flows, {result.communications.graph.summary.writeEdges} with write / operate commands. Busiest first.
+              </p>
+              {result.communications.graph.orphansTalkingToControllers.length > 0 && (
+                <div style={{ padding: '1rem', background: '#fef2f2', border: '1px solid #ef4444', borderRadius: '0.5rem', marginBottom: '1.25rem' }}>
+                  <h4 style={{ margin: '0 0 0.5rem 0', fontSize: '0.95rem', fontWeight: '700', color: '#b91c1c' }}>
+                    🚩 Undocumented devices talking to controllers ({result.communications.graph.orphansTalkingToControllers.length})
+                  </h4>
+                  <ul style={{ margin: 0, paddingLeft: '1.25rem', color: '#7f1d1d', fontSize: '0.85rem', lineHeight: '1.6' }}>
+                    {result.communications.graph.orphansTalkingToControllers.slice(0, 10).map((orphan) => (
+                      <li key={orphan.ip}>
+                        <strong>{orphan.hostname || orphan.ip}</strong> ({orphan.kind === 'orphan' ? 'orphan' : 'not in any inventory'}{orphan.device_type ? `, ${orphan.device_type}` : ''}) → {orphan.controllers.join(', ')} over {orphan.protocols.join(', ')}{orphan.writes ? ' — sends write / operate commands' : ''}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+              <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.85rem', color: '#475569' }}>
+                <thead>
+                  <tr style={{ textAlign: 'left', borderBottom: '2px solid #e2e8f0' }}>
+                    <th style={{ padding: '0.5rem' }}>Client</th>
+                    <th style={{ padding: '0.5rem' }}>Server</th>
+                    <th style={{ padding: '0.5rem' }}>Protocol</th>
+                    <th style={{ padding: '0.5rem', textAlign: 'right' }}>Packets</th>
+                    <th style={{ padding: '0.5rem' }}>Functions</th>
+                    <th style={{ padding: '0.5rem' }}>Zones</th>
+                    <th style={{ padding: '0.5rem' }}>Last seen</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.communications.graph.edges.slice(0, 15).map((edge) => (
+                    <tr key={`${edge.client}-${edge.server}-${edge.protocol}-${edge.port}`} style={{ borderBottom: '1px solid #f1f5f9' }}>
+                      <td style={{ padding: '0.5rem', fontFamily: 'monospace' }}>{edge.client_tag || edge.client}</td>
+                      <td style={{ padding: '0.5rem', fontFamily: 'monospace' }}>{edge.server_tag || edge.server}:{edge.port}</td>
+                      <td style={{ padding: '0.5rem' }}>{edge.protocol}</td>
+                      <td style={{ padding: '0.5rem', textAlign: 'right' }}>{edge.packets || edge.messages}</td>
+                      <td style={{ padding: '0.5rem', color: edge.writes ? '#b91c1c' : '#475569' }}>{edge.functions.join(', ') || '—'}</td>
+                      <td style={{ padding: '0.5rem' }}>{edge.client_zone || '?'} → {edge.server_zone || '?'}</td>
+                      <td style={{ padding: '0.5rem' }}>{edge.last_seen || '—'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* ⚠️ DUPLICATE IP COLLISIONS */}
+          {result.ipCollisions?.length > 0 && (
+            <div style={{
+              padding: '2rem',
+              background: 'white',
+              border: '3px solid #ef4444',
+              borderRadius: '0.75rem',
+              marginBottom: '2rem'
+            }}>
+              <h3 style={{ margin: '0 0 0.5rem 0', fontSize: '1.25rem', fontWeight: '700', color: '#0f172a' }}>
+                ⚠️ Duplicate IP Collisions ({result.ipCollisions.length})
+              </h3>
+              <p style={{ margin: '0 0 1.25rem 0', fontSize: '0.875rem', color: '#64748b' }}>
+                Different devices claiming the same IP address inside one plant. Reused addresses across plants are expected and are not listed here.
+              </p>
+              <ul style={{ margin: 0, paddingLeft: '1.25rem', color: '#475569', fontSize: '0.85rem', lineHeight: '1.6' }}>
+                {result.ipCollisions.slice(0, 10).map((collision) => (
+                  <li key={`${collision.source}-${collision.namespace}-${collision.ip_address}`}>
+                    <strong>{collision.ip_address}</strong> in <strong>{collision.namespace}</strong> ({collision.source === 'engineering' ? 'engineering baseline' : 'OT discovery'}) — claimed by {collision.records.map(r => r.tag_id || r.mac_address || r.hostname).join(', ')}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {/* 📡 MAC VENDOR (OUI) FINDINGS */}
+          {(result.macAnalysis?.transientDevices?.length > 0 || result.macAnalysis?.vendorMismatches?.length > 0) && (
+            <div style={{
+              padding: '2rem',
+              background: 'white',
+              border: '3px solid #0ea5e9',
+              borderRadius: '0.75rem',
+              marginBottom: '2rem'
+            }}>
+              <h3 style={{ margin: '0 0 0.5rem 0', fontSize: '1.25rem', fontWeight: '700', color: '#0f172a' }}>
+                📡 MAC Vendor Findings
+              </h3>
+              <p style={{ margin: '0 0 1.25rem 0', fontSize: '0.875rem', color: '#64748b' }}>
+                Each MAC address is resolved against the bundled IEEE OUI table ({result.macAnalysis.ouiTableSize.toLocaleString()} vendor prefixes, offline).
+                {result.macAnalysis.inferredManufacturers > 0 && ` ${result.macAnalysis.inferredManufacturers.toLocaleString()} missing manufacturers were filled in from the MAC vendor.`}
+              </p>
+
+              {result.macAnalysis.vendorMismatches.length > 0 && (
+                <div style={{ marginBottom: '1.25rem' }}>
+                  <h4 style={{ margin: '0 0 0.5rem 0', fontSize: '1rem', fontWeight: '600', color: '#0f172a' }}>
+                    Manufacturer ≠ MAC vendor ({result.kpis.mac_vendor_mismatches.toLocaleString()})
+                  </h4>
+                  <ul style={{ margin: 0, paddingLeft: '1.25rem', color: '#475569', fontSize: '0.85rem', lineHeight: '1.6' }}>
+                    {result.macAnalysis.vendorMismatches.slice(0, 10).map((mismatch) => (
+                      <li key={`${mismatch.tag_id}-${mismatch.mac_address}`}>
+                        <strong>{mismatch.tag_id}</strong> ({mismatch.mac_address}) — {mismatch.reason}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {result.macAnalysis.transientDevices.length > 0 && (
+                <div>
+                  <h4 style={{ margin: '0 0 0.5rem 0', fontSize: '1rem', fontWeight: '600', color: '#0f172a' }}>
+                    Suspicious transient devices ({result.kpis.transient_devices.toLocaleString()})
+                  </h4>
+                  <p style={{ margin: '0 0 0.5rem 0', fontSize: '0.8rem', color: '#64748b' }}>
+                    Randomized / locally administered MACs — typical of phones, laptops and VMs rather than burned-in OT hardware.
+                  </p>
+                  <ul style={{ margin: 0, paddingLeft: '1.25rem', color: '#475569', fontSize: '0.85rem', lineHeight: '1.6' }}>
+                    {result.macAnalysis.transientDevices.slice(0, 10).map((device) => (
+                      <li key={`${device.network_namespace}-${device.mac_address}-${device.ip_address}`}>
+                        <strong>{device.mac_address}</strong> at {device.ip_address || 'no IP'}{device.hostname ? ` (${device.hostname})` : ''}{device.matched ? ' — matched to a baseline asset' : ' — not in baseline'}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </div>
+          )}
+
           {/* 🛠 Maintenance & Reliability Insights */}
           {result.assuranceInsights?.maintenance?.total > 0 && (
             <div style={{
@@ -1470,6 +3043,25 @@ export default function FlexibleOilGasCanonizer() {
                   </ul>
                 </div>
               )}
+              {segmentationInsights.observedFlows && (
+                <div style={{ marginTop: '1.25rem' }}>
+                  <h4 style={{ fontSize: '0.95rem', fontWeight: '600', color: '#475569', marginBottom: '0.75rem' }}>
+                    Observed Flows vs. Zones ({segmentationInsights.observedFlows.flows.toLocaleString()} flows, {segmentationInsights.observedFlows.findings.toLocaleString()} findings)
+                  </h4>
+                  <p style={{ margin: '0 0 0.75rem 0', fontSize: '0.8rem', color: '#64748b' }}>
+                    {Object.entries(segmentationInsights.observedFlows.byZoneStatus).map(([status, count]) => `${status.replace(/_/g, ' ')}: ${count}`).join(' • ')}
+                  </p>
+                  {segmentationInsights.observedFlows.sampleFindings.length > 0 && (
+                    <ul style={{ margin: 0, paddingLeft: '1.25rem', color: '#475569', fontSize: '0.85rem', lineHeight: '1.6' }}>
+                      {segmentationInsights.observedFlows.sampleFindings.map((item) => (
+                        <li key={`${item.client}-${item.server}-${item.protocol}-${item.port}`}>
+                          <strong>{item.client_tag || item.client}</strong> → <strong>{item.server_tag || item.server}</strong> ({item.protocol}{item.writes ? ', writes' : ''}): {item.detail}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              )}
             </div>
           )}
 
@@ -1669,11 +3261,11 @@ export default function FlexibleOilGasCanonizer() {
                       // Convert matched assets to CSV
                       const headers = [
                         'tag_id', 'plant', 'unit', 'device_type', 'manufacturer', 'model',
-                        'ip_address', 'hostname', 'mac_address',
+                        'ip_address', 'hostname', 'mac_address', 'additional_interfaces', 'redundancy_group',
                         'tier', 'security_classification', 'security_required',
                         'is_managed', 'has_security_patches', 'encryption_enabled', 'authentication_required',
                         'vulnerabilities', 'cve_count',
-                        'match_type', 'match_confidence'
+                        'match_type', 'match_confidence', 'value_conflicts'
                       ]
                       
                       const rows = result.assets.map(asset => [
@@ -1686,6 +3278,8 @@ export default function FlexibleOilGasCanonizer() {
                         asset.ip_address || '',
                         asset.hostname || '',
                         asset.mac_address || '',
+                        (asset.interfaces || []).slice(1).map(nic => nic.ip_address || nic.mac_address).join('; '),
+                        asset.redundancy?.group || '',
                         asset.securityClass?.tier || '',
                         asset.securityClass?.classification || '',
                         asset.securityClass?.securityRequired || '',
@@ -1696,7 +3290,11 @@ export default function FlexibleOilGasCanonizer() {
                         asset.vulnerabilities || '',
                         asset.cve_count || '',
                         asset.sources?.matchType || '',
-                        asset.sources?.matchConfidence || ''
+                        asset.sources?.matchConfidence || '',
+                        Object.entries(asset.provenance || {})
+                          .filter(([, p]) => p.losing.length > 0)
+                          .map(([field, p]) => `${field}: ${p.value} (${p.source}) over ${p.losing.map(l => `${l.value} (${l.source})`).join(', ')}`)
+                          .join('; ')
                       ])
                       
                       const csv = [headers.join(','), ...rows.map(r => r.map(c => `"${c}"`).join(','))].join('\n')
@@ -1798,18 +3396,20 @@ export default function FlexibleOilGasCanonizer() {
                     </div>
                     <button
                       onClick={() => {
-                        const headers = ['ip_address', 'hostname', 'mac_address', 'device_type', 'manufacturer', 'model', 'is_managed', 'vulnerabilities', 'cve_count', 'last_seen']
+                        const headers = ['ip_address', 'hostname', 'mac_address', 'device_type', 'manufacturer', 'manufacturer_source', 'model', 'is_managed', 'vulnerabilities', 'cve_count', 'last_seen', 'talks_to_controllers']
                         const rows = result.orphans.map(asset => [
                           asset.ip_address || '',
                           asset.hostname || '',
                           asset.mac_address || '',
                           asset.device_type || '',
                           asset.manufacturer || '',
+                          asset.manufacturer_source || '',
                           asset.model || '',
                           asset.is_managed || '',
                           asset.vulnerabilities || '',
                           asset.cve_count || '',
-                          asset.last_seen || ''
+                          asset.last_seen || '',
+                          asset.talks_to_controllers ? asset.talks_to_controllers.controllers.join('; ') : ''
                         ])
                         
                         const csv = [headers.join(','), ...rows.map(r => r.map(c => `"${c}"`).join(','))].join('\n')
@@ -1840,6 +3440,7 @@ export default function FlexibleOilGasCanonizer() {
               )}
             </div>
           </div>
+          </div>
         </div>
       )}
     </div>
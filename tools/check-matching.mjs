@@ -0,0 +1,50 @@
+import assert from 'node:assert/strict'
+import { parseIsaTag } from '../lib/isa-tag.js'
+import { scoreCandidatePair, MATCH_THRESHOLD } from '../api/analyze-oil-gas-flexible.js'
+
+// Pairs whose match decision must not drift when the scoring weights change:
+//   npm run check:matching
+
+const row = (tagId, fields = {}) => ({ tag_id: tagId, isa_tag: parseIsaTag(tagId)?.key || '', ...fields })
+
+const checks = [
+  {
+    name: 'ISA-equivalent tags auto-match (PT101A vs CDU-PT-101A)',
+    eng: row('PT101A'),
+    disc: row('CDU-PT-101A'),
+    matches: true
+  },
+  {
+    name: 'ISA-equivalent tags with agreeing vendor auto-match',
+    eng: row('FV-2001', { manufacturer: 'Emerson' }),
+    disc: row('HCU-FV2001', { manufacturer: 'Emerson' }),
+    matches: true
+  },
+  {
+    name: 'Different loops do not match',
+    eng: row('PT101A'),
+    disc: row('CDU-PT-102A'),
+    matches: false
+  },
+  {
+    name: 'Redundant siblings are different devices',
+    eng: row('PT101A'),
+    disc: row('PT101B'),
+    matches: false
+  }
+]
+
+let failed = 0
+checks.forEach(({ name, eng, disc, matches }) => {
+  const { score, evidence } = scoreCandidatePair(eng, disc)
+  try {
+    assert.equal(score >= MATCH_THRESHOLD, matches, `score ${score.toFixed(2)} vs threshold ${MATCH_THRESHOLD}: ${JSON.stringify(evidence)}`)
+    console.log(`  ✅ ${name} (score ${score.toFixed(2)})`)
+  } catch (error) {
+    failed++
+    console.error(`  ❌ ${name}: ${error.message}`)
+  }
+})
+
+if (failed > 0) process.exit(1)
+console.log(`\n🎯 ${checks.length} matching checks passed`)
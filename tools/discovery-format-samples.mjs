@@ -0,0 +1,405 @@
+import { readFileSync, writeFileSync, mkdirSync } from 'fs'
+import { join } from 'path'
+import Papa from 'papaparse'
+import { OUI_VENDORS } from '../lib/oui-vendors.js'
+import { normalizeMac, resolveMacVendor, macVendorAgrees } from '../lib/mac-oui.js'
+
+// Sample exports in the native format of each commercial OT discovery platform and of
+// the Nmap / Masscan active scanners (read by lib/discovery-adapters.js), plus a SPAN-port
+// capture and Zeek logs of the same network (lib/packet-capture.js, lib/zeek-logs.js). Devices come
+// from the medium oil & gas demo set so the files match engineering_baseline_medium.csv
+// when uploaded with it.
+//   npm run seed:discovery-formats
+
+const DEMO_DIR = join('public', 'samples', 'demo', 'oil-gas')
+const OUT_DIR = join('public', 'samples', 'discovery-formats')
+const DEVICES_PER_FILE = 12
+
+const read = (name) => Papa.parse(readFileSync(join(DEMO_DIR, name), 'utf8'), { header: true, skipEmptyLines: true }).data
+const discovered = read('ot_discovery_medium.csv')
+const engineering = read('engineering_baseline_medium.csv')
+const unitByIp = new Map(engineering.map(row => [row.ip_address, row]))
+
+// Discovered devices with a documented unit, a different slice per format
+const devices = discovered.filter(row => unitByIp.has(row.ip_address))
+const slice = (n) => devices.slice(n * DEVICES_PER_FILE, (n + 1) * DEVICES_PER_FILE).map((row, i) => ({
+  ...row,
+  plant: unitByIp.get(row.ip_address).plant,
+  unit: unitByIp.get(row.ip_address).unit,
+  index: i
+}))
+
+// Deterministic spread of risk, CVEs and timestamps
+const CVES = ['CVE-2022-1161', 'CVE-2021-22681', 'CVE-2020-15782', 'CVE-2023-3595', 'CVE-2019-10953']
+const cvesFor = (device) => CVES.slice(0, device.index % 3 === 0 ? 2 : device.index % 4 === 1 ? 1 : 0)
+const riskFor = (device) => (device.index * 37) % 100
+const RISK_LEVELS = ['Low', 'Medium', 'High', 'Critical']
+const seenAt = (device) => new Date(Date.UTC(2025, 10, 10, device.index, device.index * 7))
+const protocolsFor = (device) => [device.protocol, device.index % 2 === 0 ? 'HTTP' : 'SNMP'].filter(Boolean)
+const macLower = (mac) => String(mac || '').toLowerCase()
+
+mkdirSync(OUT_DIR, { recursive: true })
+const writeCsv = (name, rows) => writeFileSync(join(OUT_DIR, name), Papa.unparse(rows))
+const writeJson = (name, doc) => writeFileSync(join(OUT_DIR, name), JSON.stringify(doc, null, 2) + '\n')
+
+// Claroty CTD: flat CSV, Yes / No flags, risk as a label, CVEs comma-separated
+writeCsv('claroty_ctd_assets.csv', slice(0).map(d => ({
+  'Name': d.hostname,
+  'IP': d.ip_address,
+  'MAC': d.mac_address,
+  'Vendor': d.manufacturer,
+  'Model': d.model,
+  'Asset Type': d.device_type,
+  'Site Name': d.plant,
+  'Virtual Zone': d.unit,
+  'Firmware Version': d.firmware_version,
+  'Protocols': protocolsFor(d).join(', '),
+  'Risk Level': RISK_LEVELS[Math.floor(riskFor(d) / 25)],
+  'CVEs': cvesFor(d).join(', '),
+  'Last Seen': seenAt(d).toISOString().replace('T', ' ').slice(0, 19),
+  'Managed': d.is_managed === 'true' ? 'Yes' : 'No'
+})))
+
+// Nozomi Guardian: query API result, JSON booleans, risk 0-10, epoch-millisecond timestamps
+writeJson('nozomi_guardian_nodes.json', {
+  result: slice(1).map(d => ({
+    ip: d.ip_address,
+    mac_address: macLower(d.mac_address),
+    label: d.hostname,
+    vendor: d.manufacturer,
+    product_name: d.model,
+    type: d.device_type.toLowerCase(),
+    zone: d.unit,
+    site: d.plant,
+    firmware_version: d.firmware_version,
+    protocols: protocolsFor(d).map(p => p.toLowerCase()),
+    risk: Math.round(riskFor(d)) / 10,
+    cve_references: cvesFor(d),
+    is_managed: d.is_managed === 'true',
+    last_activity_time: seenAt(d).getTime()
+  })),
+  total: DEVICES_PER_FILE
+})
+
+// Armis: devices search API, nested site, comma-separated boundaries, risk level 1-10
+writeJson('armis_devices.json', {
+  data: {
+    count: DEVICES_PER_FILE,
+    results: slice(2).map((d, i) => ({
+      id: 5000 + i,
+      name: d.hostname,
+      ipAddress: d.ip_address,
+      macAddress: macLower(d.mac_address),
+      manufacturer: d.manufacturer,
+      model: d.model,
+      type: d.device_type,
+      category: 'Industrial Control Systems',
+      site: { name: d.plant, location: d.plant },
+      boundaries: `${d.unit}, OT Network`,
+      operatingSystemVersion: d.firmware_version,
+      riskLevel: Math.max(1, Math.round(riskFor(d) / 10)),
+      tags: d.is_managed === 'true' ? ['Managed', 'OT'] : ['OT'],
+      lastSeen: seenAt(d).toISOString()
+    }))
+  }
+})
+
+// Dragos Platform: asset API page, typed address list, vulnerability objects, Y / N flags
+writeJson('dragos_assets.json', {
+  content: slice(3).map((d, i) => ({
+    id: 9100 + i,
+    displayName: d.hostname || `${d.manufacturer} ${d.device_type}`,
+    hostnames: d.hostname ? [d.hostname] : [],
+    addresses: [
+      { type: 'IP', value: d.ip_address },
+      { type: 'MAC', value: d.mac_address }
+    ],
+    vendor: d.manufacturer,
+    model: d.model,
+    type: d.device_type,
+    site: d.plant,
+    zone: d.unit,
+    firmwareVersion: d.firmware_version,
+    protocols: protocolsFor(d),
+    riskScore: riskFor(d),
+    vulnerabilities: cvesFor(d).map(cve => ({ cve, severity: 'HIGH' })),
+    managed: d.is_managed === 'true' ? 'Y' : 'N',
+    lastSeen: seenAt(d).toISOString()
+  })),
+  totalElements: DEVICES_PER_FILE
+})
+
+// Tenable OT Security: inventory CSV, risk 0-100, vulnerability count, long-form dates
+writeCsv('tenable_ot_assets.csv', slice(4).map(d => ({
+  'Name': d.hostname || `${d.device_type} #${d.index + 1}`,
+  'Type': d.device_type,
+  'Category': 'Controllers',
+  'Risk': riskFor(d),
+  'IP Addresses': d.ip_address,
+  'MAC Addresses': d.mac_address,
+  'Vendor': d.manufacturer,
+  'Family': d.device_type,
+  'Model': d.model,
+  'Firmware': d.firmware_version,
+  'Purdue Level': 'Level 1',
+  'Segment': d.unit,
+  'Location': d.plant,
+  'Last Seen': seenAt(d).toUTCString(),
+  'Vulnerabilities': d.vulnerabilities,
+  'Managed': d.is_managed === 'true' ? 'Enabled' : 'Disabled'
+})))
+
+// Active scans only see open ports: the device's protocol becomes its ICS port, plus a web UI
+const SCAN_PORTS = {
+  'Modbus TCP': { port: 502, proto: 'tcp', name: 'modbus' },
+  'EtherNet/IP': { port: 44818, proto: 'tcp', name: 'EtherNet-IP-2' },
+  'Profinet': { port: 102, proto: 'tcp', name: 'iso-tsap' },
+  'BACnet': { port: 47808, proto: 'udp', name: 'bacnet' },
+  'HART-IP': { port: 5094, proto: 'tcp', name: 'hart-ip' }
+}
+const portsFor = (device) => [
+  SCAN_PORTS[device.protocol],
+  /rtu/i.test(device.device_type) && { port: 20000, proto: 'tcp', name: 'dnp' },
+  device.index % 2 === 0 ? { port: 80, proto: 'tcp', name: 'http', product: 'GoAhead WebServer' } : { port: 443, proto: 'tcp', name: 'https' }
+].filter(Boolean)
+const epoch = (device) => Math.floor(seenAt(device).getTime() / 1000)
+const xml = (value) => String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+
+// Nmap prints the MAC as seen on the wire (padded, upper-case) and the IEEE registrant of its OUI.
+// A device gets a burned-in address from an OUI of its manufacturer, keeping the device-specific half
+// of its demo MAC; with no such OUI the address stays universal and Nmap names no vendor
+const MANUFACTURER_OUIS = Object.keys(OUI_VENDORS).filter(oui => oui.length === 6)
+const scannedMac = (device) => {
+  const nic = normalizeMac(device.mac_address).split(':').slice(3)
+  const oui = MANUFACTURER_OUIS.find(prefix => macVendorAgrees(device.manufacturer, resolveMacVendor(`${prefix}000000`)))
+  if (oui) return [...oui.match(/../g), ...nic].join(':')
+  const [first, ...rest] = normalizeMac(device.mac_address).split(':')
+  return [(parseInt(first, 16) & 0xfc).toString(16).toUpperCase().padStart(2, '0'), ...rest].join(':')
+}
+
+// Nmap: -oX output of an ARP + service scan, MAC vendor from the OUI, service banners
+const nmapHosts = slice(5).map(d => [
+  `<host starttime="${epoch(d) - 30}" endtime="${epoch(d)}"><status state="up" reason="arp-response" reason_ttl="0"/>`,
+  `<address addr="${d.ip_address}" addrtype="ipv4"/>`,
+  ((mac, vendor) => `<address addr="${mac}" addrtype="mac"${vendor ? ` vendor="${xml(vendor.organization)}"` : ''}/>`)(scannedMac(d), resolveMacVendor(scannedMac(d))),
+  d.hostname ? `<hostnames><hostname name="${xml(d.hostname)}" type="PTR"/></hostnames>` : '<hostnames/>',
+  '<ports><extraports state="closed" count="995"><extrareasons reason="reset" count="995"/></extraports>',
+  ...portsFor(d).map(p => `<port protocol="${p.proto}" portid="${p.port}"><state state="open" reason="syn-ack" reason_ttl="64"/>` +
+    `<service name="${p.name}"${p.product ? ` product="${xml(p.product)}"` : ''} method="${p.product ? 'probed' : 'table'}" conf="${p.product ? 10 : 3}"/></port>`),
+  '</ports>',
+  '</host>'
+].join('\n'))
+writeFileSync(join(OUT_DIR, 'nmap_scan.xml'), [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<!DOCTYPE nmaprun>',
+  `<nmaprun scanner="nmap" args="nmap -sS -sU -sV -p T:102,502,20000,44818,80,443,U:47808 -oX nmap_scan.xml 192.168.0.0/16" start="${epoch(slice(5)[0]) - 600}" version="7.94" xmloutputversion="1.05">`,
+  '<scaninfo type="syn" protocol="tcp" numservices="6" services="80,102,443,502,20000,44818"/>',
+  '<verbose level="0"/>',
+  '<debugging level="0"/>',
+  ...nmapHosts,
+  `<runstats><finished time="${epoch(slice(5)[0])}" exit="success"/><hosts up="${nmapHosts.length}" down="0" total="${nmapHosts.length}"/></runstats>`,
+  '</nmaprun>',
+  ''
+].join('\n'))
+
+// Masscan: -oJ output, one record per open port plus one per grabbed banner
+const masscanRecords = slice(6).flatMap(d => [
+  ...portsFor(d).map(p => ({ ip: d.ip_address, timestamp: String(epoch(d)), ports: [{ port: p.port, proto: p.proto, status: 'open', reason: 'syn-ack', ttl: 64 }] })),
+  ...portsFor(d).filter(p => p.product).map(p => ({
+    ip: d.ip_address,
+    timestamp: String(epoch(d) + 1),
+    ports: [{ port: p.port, proto: p.proto, service: { name: p.name, banner: `HTTP/1.0 200 OK\\x0d\\x0aServer: ${p.product}` } }]
+  }))
+])
+writeFileSync(join(OUT_DIR, 'masscan_scan.json'), `[\n${masscanRecords.map(record => JSON.stringify(record)).join('\n,\n')}\n]\n`)
+
+// SPAN-port capture (pcapng): an HMI and an engineering workstation talking to one device per
+// ICS protocol, with EtherNet/IP ListIdentity and S7 SZL identity responses, ARP and a routed host
+const bytes = (...parts) => Buffer.concat(parts.map(part => (Buffer.isBuffer(part) ? part : Buffer.from(part))))
+const u16 = (value, little = false) => { const b = Buffer.alloc(2); little ? b.writeUInt16LE(value) : b.writeUInt16BE(value); return b }
+const u32 = (value, little = false) => { const b = Buffer.alloc(4); little ? b.writeUInt32LE(value) : b.writeUInt32BE(value); return b }
+const macBytes = (mac) => Buffer.from(mac.split(':').map(o => parseInt(o, 16)))
+const ipBytes = (ip) => Buffer.from(ip.split('.').map(Number))
+const padded = (value, length) => Buffer.from(value.padEnd(length, ' ').slice(0, length), 'latin1')
+
+const TCP_FLAGS = { syn: 0x02, synAck: 0x12, ack: 0x10, push: 0x18 }
+const tcp = (sport, dport, flags, payload = Buffer.alloc(0)) =>
+  ({ proto: 6, segment: bytes(u16(sport), u16(dport), u32(1), u32(flags === TCP_FLAGS.syn ? 0 : 1), [0x50, flags], u16(8192), u16(0), u16(0), payload) })
+const udp = (sport, dport, payload) => ({ proto: 17, segment: bytes(u16(sport), u16(dport), u16(8 + payload.length), u16(0), payload) })
+const ipv4 = (src, dst, { proto, segment }) =>
+  bytes([0x45, 0], u16(20 + segment.length), u16(0), u16(0x4000), [64, proto], u16(0), ipBytes(src), ipBytes(dst), segment)
+const ethernet = (dstMac, srcMac, etherType, payload) => bytes(macBytes(dstMac), macBytes(srcMac), u16(etherType), payload)
+const BROADCAST_MAC = 'FF:FF:FF:FF:FF:FF'
+
+const [plcAb, plcS7, plcModbus, rtu, bms, opcServer] = slice(7)
+const hmi = { ip_address: '192.168.10.21', mac_address: '00:0C:29:4F:8E:21' }
+const ews = { ip_address: '192.168.10.22', mac_address: '00:0C:29:4F:8E:22' }
+const router = { mac_address: '00:1B:17:00:01:01' }
+const normalizedMac = (device) => device.mac_address.split(':').map(o => o.padStart(2, '0')).join(':')
+const frame = (from, to, segment, toMac = normalizedMac(to)) =>
+  ethernet(toMac, normalizedMac(from), 0x0800, ipv4(from.ip_address, to.ip_address, segment))
+
+// Request / response conversation over TCP with the handshake first
+const conversation = (client, server, port, request, response) => [
+  frame(client, server, tcp(49152, port, TCP_FLAGS.syn)),
+  frame(server, client, tcp(port, 49152, TCP_FLAGS.synAck)),
+  frame(client, server, tcp(49152, port, TCP_FLAGS.push, request)),
+  frame(server, client, tcp(port, 49152, TCP_FLAGS.push, response))
+]
+
+const modbusAdu = (pdu) => bytes(u16(1), u16(0), u16(pdu.length + 1), [1], pdu)
+const enip = (command, data) => bytes(u16(command, true), u16(data.length, true), u32(0), u32(0), Buffer.alloc(8), u32(0), data)
+const productName = '1756-L71/B LOGIX5571'
+const cipIdentity = bytes(
+  u16(1, true), // version
+  u16(2), u16(44818), ipBytes(plcAb.ip_address), Buffer.alloc(8), // socket address (big-endian)
+  u16(1, true), u16(0x0e, true), u16(54, true), [20, 11], u16(0x3060, true), u32(0x00c0ffee, true),
+  [productName.length], Buffer.from(productName, 'latin1'), [3]
+)
+const listIdentityReply = enip(0x63, bytes(u16(1, true), u16(0x0c, true), u16(cipIdentity.length, true), cipIdentity))
+
+const tpkt = (payload) => bytes([3, 0], u16(4 + 3 + payload.length), [2, 0xf0, 0x80], payload)
+const szlRequest = tpkt(bytes([0x32, 7], u16(0), u16(1), u16(8), u16(8), [0, 1, 0x12, 4, 0x11, 0x44, 1, 0], [0xff, 9], u16(4), u16(0x0011), u16(0)))
+const szlRecord = (index, text, ausbg, ausbe) => bytes(u16(index), padded(text, 20), u16(0), ausbg, ausbe)
+const szlData = bytes(u16(0x0011), u16(0), u16(28), u16(2),
+  szlRecord(1, '6ES7 315-2EH14-0AB0', u16(0), u16(1)),
+  szlRecord(7, '', [0x56, 3], [2, 6]))
+const szlResponse = tpkt(bytes([0x32, 7], u16(0), u16(1), u16(12), u16(4 + szlData.length),
+  [0, 1, 0x12, 8, 0x12, 0x84, 1, 1, 0, 0, 0, 0], [0xff, 9], u16(szlData.length), szlData))
+
+const dnp3 = (destination, source) => bytes([0x05, 0x64, 5, 0xc4], u16(destination, true), u16(source, true), u16(0))
+const bvlc = (npdu) => bytes([0x81, 0x0b], u16(4 + npdu.length), npdu)
+const iAm = bvlc(bytes([0x01, 0x00], [0x10, 0x00, 0xc4], u32((8 << 22) | 1001), [0x22], u16(1476), [0x91, 0x00], [0x21, 5]))
+const opcUa = (type, body) => bytes(Buffer.from(`${type}F`, 'latin1'), u32(8 + body.length, true), body)
+
+const packets = [
+  ethernet(BROADCAST_MAC, normalizedMac(plcModbus), 0x0806, bytes(u16(1), u16(0x0800), [6, 4], u16(2), macBytes(normalizedMac(plcModbus)), ipBytes(plcModbus.ip_address), macBytes(normalizedMac(hmi)), ipBytes(hmi.ip_address))),
+  ...conversation(hmi, plcModbus, 502, modbusAdu(Buffer.from([3, 0, 0, 0, 10])), modbusAdu(Buffer.from([3, 20, ...Buffer.alloc(20)]))),
+  ethernet(BROADCAST_MAC, normalizedMac(ews), 0x0800, ipv4(ews.ip_address, '255.255.255.255', udp(44818, 44818, enip(0x63, Buffer.alloc(0))))),
+  frame(plcAb, ews, udp(44818, 44818, listIdentityReply)),
+  ...conversation(ews, plcS7, 102, szlRequest, szlResponse),
+  ...conversation(hmi, rtu, 20000, dnp3(10, 1), dnp3(1, 10)),
+  ethernet(BROADCAST_MAC, normalizedMac(bms), 0x0800, ipv4(bms.ip_address, '192.168.255.255', udp(47808, 47808, iAm))),
+  ...conversation(hmi, opcServer, 4840, opcUa('HEL', Buffer.alloc(24)), opcUa('ACK', Buffer.alloc(20))),
+  // Remote historian reached through the router: its frames carry the router's MAC
+  ethernet(normalizedMac(hmi), router.mac_address, 0x0800, ipv4('10.20.0.5', hmi.ip_address, tcp(443, 49160, TCP_FLAGS.push, Buffer.from('tls')))),
+  ethernet(normalizedMac(hmi), router.mac_address, 0x0800, ipv4('10.20.0.6', hmi.ip_address, tcp(443, 49161, TCP_FLAGS.push, Buffer.from('tls'))))
+]
+
+// pcapng: section header, one Ethernet interface (microsecond timestamps), enhanced packet blocks
+const block = (type, body) => {
+  const paddedBody = bytes(body, Buffer.alloc((4 - (body.length % 4)) % 4))
+  return bytes(u32(type, true), u32(paddedBody.length + 12, true), paddedBody, u32(paddedBody.length + 12, true))
+}
+const captureStart = seenAt({ index: 0 }).getTime() * 1000
+writeFileSync(join(OUT_DIR, 'span_capture.pcapng'), bytes(
+  block(0x0a0d0d0a, bytes(u32(0x1a2b3c4d, true), u16(1, true), u16(0, true), u32(0xffffffff, true), u32(0xffffffff, true))),
+  block(1, bytes(u16(1, true), u16(0, true), u32(65535, true))),
+  ...packets.map((packet, i) => {
+    const stamp = captureStart + i * 250000
+    return block(6, bytes(u32(0, true), u32(Math.floor(stamp / 2 ** 32), true), u32(stamp % 2 ** 32, true), u32(packet.length, true), u32(packet.length, true), packet))
+  })
+))
+
+// Zeek logs from the same SPAN port a day later: conn.log and dnp3.log as Zeek TSV, modbus.log and
+// s7comm.log (ICSNPP) as JSON lines. A contractor laptop nobody documented writes Modbus registers,
+// and the HMI polls two devices listed in firewall_segments_medium.csv (one of them sits in the wrong zone)
+const firewall = read('firewall_segments_medium.csv').filter(row => row.ip_address)
+const [inZone, misplaced] = [
+  firewall.find(row => row.expected_zone && row.expected_zone === row.actual_zone),
+  firewall.find(row => row.expected_zone && row.actual_zone && row.expected_zone !== row.actual_zone)
+]
+const laptop = { ip_address: '192.168.10.99' }
+const zeekStart = seenAt({ index: 0 }).getTime() / 1000 + 86400
+const ZEEK_FLOWS = [
+  { client: hmi, server: plcModbus, port: 502, service: 'modbus', packets: 480, bytes: 31200 },
+  { client: laptop, server: plcModbus, port: 502, service: 'modbus', packets: 24, bytes: 1510 },
+  { client: ews, server: plcS7, port: 102, service: 's7comm', packets: 96, bytes: 11840 },
+  { client: hmi, server: rtu, port: 20000, service: 'dnp3_tcp', packets: 240, bytes: 14400 },
+  { client: hmi, server: opcServer, port: 4840, service: null, packets: 60, bytes: 9200 },
+  { client: ews, server: plcAb, port: 44818, service: 'enip', packets: 120, bytes: 13800 },
+  { client: hmi, server: { ip_address: inZone.ip_address }, port: 502, service: 'modbus', packets: 300, bytes: 19500 },
+  { client: hmi, server: { ip_address: misplaced.ip_address }, port: 502, service: 'modbus', packets: 300, bytes: 19500 }
+]
+const zeekUid = (i) => `C${(0x1f3a9b + i * 7919).toString(36)}Zk${i}`
+const zeekTsv = (path, fields, types, rows) => [
+  '#separator \\x09',
+  '#set_separator\t,',
+  '#empty_field\t(empty)',
+  '#unset_field\t-',
+  `#path\t${path}`,
+  `#open\t${new Date(zeekStart * 1000).toISOString().slice(0, 19).replace('T', '-').replace(/:/g, '-')}`,
+  `#fields\t${fields.join('\t')}`,
+  `#types\t${types.join('\t')}`,
+  ...rows.map(row => fields.map(field => row[field] ?? '-').join('\t')),
+  `#close\t${new Date((zeekStart + 3600) * 1000).toISOString().slice(0, 19).replace('T', '-').replace(/:/g, '-')}`
+].join('\n') + '\n'
+
+writeFileSync(join(OUT_DIR, 'zeek_conn.log'), zeekTsv('conn',
+  ['ts', 'uid', 'id.orig_h', 'id.orig_p', 'id.resp_h', 'id.resp_p', 'proto', 'service', 'duration', 'orig_bytes', 'resp_bytes', 'conn_state', 'history', 'orig_pkts', 'orig_ip_bytes', 'resp_pkts', 'resp_ip_bytes'],
+  ['time', 'string', 'addr', 'port', 'addr', 'port', 'enum', 'string', 'interval', 'count', 'count', 'string', 'string', 'count', 'count', 'count', 'count'],
+  ZEEK_FLOWS.map((flow, i) => ({
+    ts: (zeekStart + i * 60).toFixed(6),
+    uid: zeekUid(i),
+    'id.orig_h': flow.client.ip_address,
+    'id.orig_p': 49200 + i,
+    'id.resp_h': flow.server.ip_address,
+    'id.resp_p': flow.port,
+    proto: 'tcp',
+    service: flow.service,
+    duration: (1800 - i * 60).toFixed(6),
+    orig_bytes: Math.round(flow.bytes * 0.4) - flow.packets * 20,
+    resp_bytes: Math.round(flow.bytes * 0.6) - flow.packets * 20,
+    conn_state: 'SF',
+    history: 'ShADadFf',
+    orig_pkts: flow.packets / 2,
+    orig_ip_bytes: Math.round(flow.bytes * 0.4),
+    resp_pkts: flow.packets / 2,
+    resp_ip_bytes: Math.round(flow.bytes * 0.6)
+  }))))
+
+const modbusEvents = [
+  ...[0, 1, 2].map(n => ({ flow: 0, func: 'READ_HOLDING_REGISTERS', n })),
+  ...[0, 1].map(n => ({ flow: 1, func: 'WRITE_SINGLE_REGISTER', n })),
+  { flow: 1, func: 'WRITE_MULTIPLE_REGISTERS', n: 2 },
+  ...[0, 1].map(n => ({ flow: 6, func: 'READ_INPUT_REGISTERS', n })),
+  ...[0, 1].map(n => ({ flow: 7, func: 'READ_INPUT_REGISTERS', n }))
+]
+writeFileSync(join(OUT_DIR, 'zeek_modbus.log'), modbusEvents.map(({ flow, func, n }) => JSON.stringify({
+  ts: zeekStart + flow * 60 + n * 10,
+  uid: zeekUid(flow),
+  'id.orig_h': ZEEK_FLOWS[flow].client.ip_address,
+  'id.orig_p': 49200 + flow,
+  'id.resp_h': ZEEK_FLOWS[flow].server.ip_address,
+  'id.resp_p': 502,
+  func
+})).join('\n') + '\n')
+
+writeFileSync(join(OUT_DIR, 'zeek_dnp3.log'), zeekTsv('dnp3',
+  ['ts', 'uid', 'id.orig_h', 'id.orig_p', 'id.resp_h', 'id.resp_p', 'fc_request', 'fc_reply', 'iin'],
+  ['time', 'string', 'addr', 'port', 'addr', 'port', 'string', 'string', 'count'],
+  ['READ', 'READ', 'SELECT', 'OPERATE'].map((fc, n) => ({
+    ts: (zeekStart + 3 * 60 + n * 15).toFixed(6),
+    uid: zeekUid(3),
+    'id.orig_h': hmi.ip_address,
+    'id.orig_p': 49203,
+    'id.resp_h': rtu.ip_address,
+    'id.resp_p': 20000,
+    fc_request: fc,
+    fc_reply: 'RESPONSE',
+    iin: 0
+  }))))
+
+writeFileSync(join(OUT_DIR, 'zeek_s7comm.log'), ['SETUP_COMMUNICATION', 'READ_SZL', 'READ_VARIABLE'].map((name, n) => JSON.stringify({
+  ts: zeekStart + 2 * 60 + n * 5,
+  uid: zeekUid(2),
+  id: { orig_h: ews.ip_address, orig_p: 49202, resp_h: plcS7.ip_address, resp_p: 102 },
+  is_orig: true,
+  rosctr_code: name === 'READ_SZL' ? 7 : 1,
+  rosctr_name: name === 'READ_SZL' ? 'USER_DATA' : 'JOB',
+  pdu_reference: n + 1,
+  function_code: name === 'SETUP_COMMUNICATION' ? 'f0' : '04',
+  function_name: name
+})).join('\n') + '\n')
+
+console.log(`✅ Wrote 12 discovery export samples to ${OUT_DIR}`)
@@ -0,0 +1,43 @@
+import { readFileSync, writeFileSync } from 'fs'
+import { readCsv } from '../lib/csv-reader.js'
+import { learnEquipmentTemplates } from '../lib/equipment-templates.js'
+
+// Learn equipment templates from trusted reference baselines (engineering CSVs with plant,
+// unit and device_type columns, optionally a capacity column) and write a template document
+// to upload as Equipment Templates:
+//   npm run learn:templates -- baseline_a.csv baseline_b.csv --name="Pharma reference" --revision=2
+//   npm run learn:templates -- cdu_*.csv --capacity="Crude Distillation=80000" --out=templates.json
+
+const args = process.argv.slice(2)
+const option = (name) => args.find(a => a.startsWith(`--${name}=`))?.slice(name.length + 3)
+const files = args.filter(a => !a.startsWith('--'))
+
+if (files.length === 0) {
+  console.error('Usage: node tools/learn-equipment-templates.mjs <baseline.csv> [...] [--name=] [--revision=] [--capacity="Unit Type=value"] [--out=file.json]')
+  process.exit(1)
+}
+
+const capacity = Object.fromEntries(args
+  .filter(a => a.startsWith('--capacity='))
+  .map(a => a.slice('--capacity='.length).split('='))
+  .filter(([unitType, value]) => unitType && Number(value) > 0)
+  .map(([unitType, value]) => [unitType.trim(), Number(value)]))
+
+const records = files.flatMap(file => {
+  const { rows } = readCsv(readFileSync(file))
+  console.error(`  ✅ ${file}: ${rows.length} rows`)
+  return rows
+})
+
+const { document, warnings } = learnEquipmentTemplates(records, {
+  name: option('name') || 'Learned templates',
+  revision: option('revision') || '1',
+  capacity
+})
+warnings.forEach(warning => console.error(`  ⚠️  ${warning}`))
+
+const output = JSON.stringify(document, null, 2)
+const out = option('out')
+if (out) writeFileSync(out, output)
+else console.log(output)
+console.error(`\n🎯 Learned ${Object.keys(document.units).length} unit templates from ${document.learnedFrom.samples} reference units${out ? ` -> ${out}` : ''}`)
@@ -0,0 +1,63 @@
+import { readFileSync, writeFileSync } from 'fs'
+import { join } from 'path'
+import Papa from 'papaparse'
+import { vendorFamily } from '../lib/vendor-catalog.js'
+
+// Regenerate lib/oui-vendors.js from IEEE registry exports - no network access needed.
+// Download oui.csv / mam.csv / oui36.csv from https://standards.ieee.org/ on any machine,
+// copy them over and run:
+//   npm run update:oui -- oui.csv mam.csv oui36.csv          (OT / infrastructure vendors)
+//   npm run update:oui -- oui.csv mam.csv oui36.csv --all    (complete registry, ~40k rows)
+
+// Vendors kept on top of the ones in the vendor catalog (lib/vendor-catalog.js)
+const EXTRA_VENDORS = [
+  'advantech', 'axis communications', 'digi international', 'intel corporate',
+  'juniper', 'raspberry pi', 'red lion', 'westermo', 'prosoft', 'hilscher', 'pepperl', 'turck'
+]
+
+const args = process.argv.slice(2)
+const includeAll = args.includes('--all')
+const files = args.filter(a => !a.startsWith('--'))
+
+if (files.length === 0) {
+  console.error('Usage: node tools/update-oui.mjs <oui.csv> [mam.csv] [oui36.csv] [--all]')
+  process.exit(1)
+}
+
+const keep = (organization) => {
+  if (includeAll) return true
+  const name = organization.toLowerCase()
+  return Boolean(vendorFamily(organization)) || EXTRA_VENDORS.some(v => name.includes(v))
+}
+
+const table = {}
+files.forEach(file => {
+  const rows = Papa.parse(readFileSync(file, 'utf8'), { header: true, skipEmptyLines: true }).data
+  let kept = 0
+  rows.forEach(row => {
+    const assignment = String(row.Assignment || '').trim().toUpperCase()
+    const organization = String(row['Organization Name'] || '').trim()
+    if (!/^[0-9A-F]{6,9}$/.test(assignment) || !organization || !keep(organization)) return
+    table[assignment] = organization
+    kept++
+  })
+  console.log(`  ✅ ${file}: ${kept} of ${rows.length} assignments kept`)
+})
+
+const entries = Object.keys(table).sort()
+  .map(key => `  '${key}': '${table[key].replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`)
+
+const output = `// ============================================================================
+// IEEE OUI VENDOR TABLE (offline)
+// Generated by tools/update-oui.mjs - regenerate from the IEEE registry CSVs
+// (oui.csv, mam.csv, oui36.csv) with \`npm run update:oui -- <files>\`.
+// Keys are the assigned prefix in upper-case hex without separators:
+// 6 digits (MA-L), 7 digits (MA-M) or 9 digits (MA-S).
+// ============================================================================
+export const OUI_VENDORS = {
+${entries.join(',\n')}
+}
+`
+
+writeFileSync(join('lib', 'oui-vendors.js'), output)
+console.log(`\n🎯 Wrote ${entries.length} OUI assignments to lib/oui-vendors.js`)